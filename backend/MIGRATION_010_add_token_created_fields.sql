@@ -0,0 +1,42 @@
+-- ============================================
+-- MIGRATION 010: Add decoded TokenCreated fields
+-- ============================================
+-- Description: Stores the full TokenCreated event payload emitted by the Fey factory
+-- so symbol, image, pool and locker are available without extra RPC calls
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+ALTER TABLE deployments
+ADD COLUMN IF NOT EXISTS token_symbol TEXT,
+ADD COLUMN IF NOT EXISTS token_image TEXT,
+ADD COLUMN IF NOT EXISTS token_metadata TEXT,
+ADD COLUMN IF NOT EXISTS token_context TEXT,
+ADD COLUMN IF NOT EXISTS token_admin TEXT,
+ADD COLUMN IF NOT EXISTS pool_hook TEXT,
+ADD COLUMN IF NOT EXISTS pool_id TEXT,
+ADD COLUMN IF NOT EXISTS starting_tick INTEGER,
+ADD COLUMN IF NOT EXISTS paired_token TEXT,
+ADD COLUMN IF NOT EXISTS locker_address TEXT,
+ADD COLUMN IF NOT EXISTS mev_module TEXT,
+ADD COLUMN IF NOT EXISTS extensions_supply NUMERIC,
+ADD COLUMN IF NOT EXISTS extensions JSONB DEFAULT '[]'::jsonb;
+
+-- Create index on pool_id for swap lookups
+CREATE INDEX IF NOT EXISTS idx_deployments_pool_id ON deployments(pool_id);
+-- Create index on token_symbol for search
+CREATE INDEX IF NOT EXISTS idx_deployments_token_symbol ON deployments(token_symbol);
+
+-- Add comments to columns
+COMMENT ON COLUMN deployments.token_symbol IS 'Token symbol from the TokenCreated event';
+COMMENT ON COLUMN deployments.token_image IS 'Token image URL from the TokenCreated event';
+COMMENT ON COLUMN deployments.token_metadata IS 'Raw tokenMetadata string (usually JSON with description/socials)';
+COMMENT ON COLUMN deployments.token_context IS 'Raw tokenContext string (interface/platform that created the token)';
+COMMENT ON COLUMN deployments.token_admin IS 'Token admin address (indexed in TokenCreated)';
+COMMENT ON COLUMN deployments.pool_hook IS 'Uniswap v4 hook address of the launch pool';
+COMMENT ON COLUMN deployments.pool_id IS 'Uniswap v4 pool id (bytes32) of the launch pool';
+COMMENT ON COLUMN deployments.starting_tick IS 'Starting tick of the launch pool';
+COMMENT ON COLUMN deployments.paired_token IS 'Token the launch is paired against (usually WETH)';
+COMMENT ON COLUMN deployments.locker_address IS 'LP locker contract holding the launch liquidity';
+COMMENT ON COLUMN deployments.mev_module IS 'MEV protection module configured for the pool';
+COMMENT ON COLUMN deployments.extensions_supply IS 'Token supply allocated to extensions';
+COMMENT ON COLUMN deployments.extensions IS 'Extension contract addresses';
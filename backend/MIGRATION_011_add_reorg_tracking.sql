@@ -0,0 +1,26 @@
+-- ============================================
+-- MIGRATION 011: Add reorg tracking
+-- ============================================
+-- Description: Stores recent block hashes in monitor_state so the monitor can detect
+-- reorgs, and adds a confirmation status to deployments (pending -> confirmed, or orphaned
+-- when the deployment's block was reorged out)
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+ALTER TABLE monitor_state
+ADD COLUMN IF NOT EXISTS recent_blocks JSONB DEFAULT '[]'::jsonb;
+
+-- Existing rows were written long before any reorg window, treat them as confirmed
+ALTER TABLE deployments
+ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'confirmed',
+ADD COLUMN IF NOT EXISTS block_hash TEXT,
+ADD COLUMN IF NOT EXISTS confirmed_at BIGINT;
+
+-- Create index on status for the confirmation pass and feed filtering
+CREATE INDEX IF NOT EXISTS idx_deployments_status ON deployments(status);
+
+-- Add comments to columns
+COMMENT ON COLUMN monitor_state.recent_blocks IS 'Recently processed blocks [{number, hash, parentHash}] used for reorg detection';
+COMMENT ON COLUMN deployments.status IS 'pending until CONFIRMATION_DEPTH blocks deep, then confirmed; orphaned if reorged out';
+COMMENT ON COLUMN deployments.block_hash IS 'Hash of the block the deployment transaction was included in';
+COMMENT ON COLUMN deployments.confirmed_at IS 'Unix timestamp when the deployment was promoted to confirmed';
@@ -0,0 +1,57 @@
+-- ============================================
+-- MIGRATION 012: Holder balance ledger
+-- ============================================
+-- Description: Per-token balance ledger built from every Transfer log since the
+-- deployment block. holder_count on deployments is derived from it (addresses with a
+-- non-zero balance), so it goes down again when holders sell out.
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- One row per token: how far the ledger has been built
+CREATE TABLE IF NOT EXISTS token_ledgers (
+  token_address TEXT PRIMARY KEY,
+  last_block BIGINT NOT NULL,
+  -- Set while a batch of balances is being written; a non-null value on load means the
+  -- previous write was interrupted and the ledger is rebuilt from the deployment block
+  pending_block BIGINT,
+  holder_count INTEGER DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Non-zero balances only (rows are deleted when a balance drops to zero)
+CREATE TABLE IF NOT EXISTS token_balances (
+  token_address TEXT NOT NULL,
+  holder_address TEXT NOT NULL,
+  balance NUMERIC NOT NULL,
+  updated_block BIGINT,
+  PRIMARY KEY (token_address, holder_address)
+);
+
+-- Create index for "top holders of a token" queries
+CREATE INDEX IF NOT EXISTS idx_token_balances_token_balance ON token_balances(token_address, balance DESC);
+-- Create index for "tokens held by an address" queries
+CREATE INDEX IF NOT EXISTS idx_token_balances_holder ON token_balances(holder_address);
+
+-- Create trigger to auto-update updated_at (function from supabase-setup.sql)
+CREATE TRIGGER update_token_ledgers_updated_at
+  BEFORE UPDATE ON token_ledgers
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security
+ALTER TABLE token_ledgers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE token_balances ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations" ON token_ledgers
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow all operations" ON token_balances
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Add comments to columns
+COMMENT ON COLUMN token_ledgers.last_block IS 'Last block whose Transfer logs are included in token_balances';
+COMMENT ON COLUMN token_balances.balance IS 'Raw token balance (base units, not adjusted for decimals)';
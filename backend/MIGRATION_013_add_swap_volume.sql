@@ -0,0 +1,65 @@
+-- ============================================
+-- MIGRATION 013: Swap-based volume and price
+-- ============================================
+-- Description: Stores every Uniswap v4 Swap on a token's Fey pool (matched by pool_id) so
+-- volume, buy/sell split, trade counts, unique traders and last price come from actual
+-- swaps instead of sampled traces. volume_1h/6h/24h/7d on deployments are derived from it.
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS token_swaps (
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  token_address TEXT NOT NULL,
+  block_number BIGINT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  trader TEXT,
+  side TEXT NOT NULL,
+  token_amount NUMERIC NOT NULL,
+  paired_amount NUMERIC NOT NULL,
+  price NUMERIC,
+  PRIMARY KEY (tx_hash, log_index)
+);
+
+-- Create index for per-token time window queries
+CREATE INDEX IF NOT EXISTS idx_token_swaps_token_timestamp ON token_swaps(token_address, timestamp DESC);
+-- Create index for per-trader queries
+CREATE INDEX IF NOT EXISTS idx_token_swaps_trader ON token_swaps(trader);
+
+-- One row per token: how far its swaps have been scanned
+CREATE TABLE IF NOT EXISTS token_swap_cursors (
+  token_address TEXT PRIMARY KEY,
+  last_block BIGINT NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create trigger to auto-update updated_at (function from supabase-setup.sql)
+CREATE TRIGGER update_token_swap_cursors_updated_at
+  BEFORE UPDATE ON token_swap_cursors
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE deployments
+ADD COLUMN IF NOT EXISTS swap_stats JSONB,
+ADD COLUMN IF NOT EXISTS last_price_eth NUMERIC;
+
+-- Enable Row Level Security
+ALTER TABLE token_swaps ENABLE ROW LEVEL SECURITY;
+ALTER TABLE token_swap_cursors ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations" ON token_swaps
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow all operations" ON token_swap_cursors
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Add comments to columns
+COMMENT ON COLUMN token_swaps.side IS 'buy (trader received the token) or sell';
+COMMENT ON COLUMN token_swaps.paired_amount IS 'Paired token (WETH) amount of the swap, in ETH';
+COMMENT ON COLUMN token_swaps.price IS 'Pool price after the swap, in paired token per token';
+COMMENT ON COLUMN deployments.swap_stats IS 'Per window (1h/6h/24h/7d) volume, buyVolume, sellVolume, trades, buys, sells, uniqueTraders';
+COMMENT ON COLUMN deployments.last_price_eth IS 'Token price in ETH after the most recent swap';
@@ -0,0 +1,50 @@
+-- ============================================
+-- MIGRATION 014: OHLCV candles and holder snapshots
+-- ============================================
+-- Description: Per-token price/volume candles (1m, 5m, 1h) built from token_swaps, and a
+-- holder count time series for the chart overlay (volume_history / holder_count_history on
+-- deployments only keep the last few points)
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS token_candles (
+  token_address TEXT NOT NULL,
+  interval TEXT NOT NULL,
+  bucket_start BIGINT NOT NULL,
+  open NUMERIC NOT NULL,
+  high NUMERIC NOT NULL,
+  low NUMERIC NOT NULL,
+  close NUMERIC NOT NULL,
+  volume NUMERIC DEFAULT 0,
+  buy_volume NUMERIC DEFAULT 0,
+  sell_volume NUMERIC DEFAULT 0,
+  trades INTEGER DEFAULT 0,
+  PRIMARY KEY (token_address, interval, bucket_start)
+);
+
+CREATE TABLE IF NOT EXISTS holder_snapshots (
+  token_address TEXT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  holder_count INTEGER NOT NULL,
+  PRIMARY KEY (token_address, timestamp)
+);
+
+-- Enable Row Level Security
+ALTER TABLE token_candles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE holder_snapshots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations" ON token_candles
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow all operations" ON holder_snapshots
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Add comments to columns
+COMMENT ON COLUMN token_candles.interval IS '1m, 5m or 1h';
+COMMENT ON COLUMN token_candles.bucket_start IS 'Unix timestamp of the start of the candle';
+COMMENT ON COLUMN token_candles.open IS 'Token price in ETH (pool price after the first swap in the candle)';
+COMMENT ON COLUMN holder_snapshots.holder_count IS 'Holder count from the balance ledger, recorded whenever it changes';
@@ -0,0 +1,13 @@
+-- ============================================
+-- MIGRATION 015: Add market cap history
+-- ============================================
+-- Description: Keeps the last 30 market cap readings per token for the token detail page
+-- trend (same shape as volume_history / holder_count_history)
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+ALTER TABLE deployments
+ADD COLUMN IF NOT EXISTS market_cap_history JSONB DEFAULT '[]'::jsonb;
+
+-- Add comment to column
+COMMENT ON COLUMN deployments.market_cap_history IS 'Recent market cap readings [{marketCap, timestamp}] in USD, last 30';
@@ -0,0 +1,59 @@
+-- ============================================
+-- MIGRATION 016: Deployer reputation profiles
+-- ============================================
+-- Description: One row per deployer wallet aggregating all of its launches (peak holders,
+-- peak market cap, how often the dev sold soon after launch, funding source) into a
+-- 0-100 reputation score used by the feed filter. Also records when the dev first sold.
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+ALTER TABLE deployments
+ADD COLUMN IF NOT EXISTS dev_sold_at BIGINT;
+
+CREATE TABLE IF NOT EXISTS deployer_profiles (
+  deployer_address TEXT PRIMARY KEY,
+  ens_name TEXT,
+  total_launches INTEGER DEFAULT 0,
+  avg_peak_holders NUMERIC DEFAULT 0,
+  avg_peak_market_cap NUMERIC DEFAULT 0,
+  best_peak_market_cap NUMERIC DEFAULT 0,
+  dev_sold_count INTEGER DEFAULT 0,
+  quick_sell_count INTEGER DEFAULT 0,
+  quick_sell_rate NUMERIC DEFAULT 0,
+  funding_source TEXT,
+  funding_tx_hash TEXT,
+  funded_at BIGINT,
+  first_launch_at BIGINT,
+  last_launch_at BIGINT,
+  reputation_score INTEGER,
+  profile_updated_at BIGINT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create index for the feed (profiles of recently active deployers)
+CREATE INDEX IF NOT EXISTS idx_deployer_profiles_last_launch ON deployer_profiles(last_launch_at DESC);
+-- Create index for leaderboard sorting
+CREATE INDEX IF NOT EXISTS idx_deployer_profiles_reputation ON deployer_profiles(reputation_score DESC);
+-- Create index for "which deployers were funded by this wallet" lookups
+CREATE INDEX IF NOT EXISTS idx_deployer_profiles_funding_source ON deployer_profiles(funding_source);
+
+-- Create trigger to auto-update updated_at (function from supabase-setup.sql)
+CREATE TRIGGER update_deployer_profiles_updated_at
+  BEFORE UPDATE ON deployer_profiles
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security
+ALTER TABLE deployer_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations" ON deployer_profiles
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Add comments to columns
+COMMENT ON COLUMN deployments.dev_sold_at IS 'Unix timestamp of the first dev sell detected';
+COMMENT ON COLUMN deployer_profiles.deployer_address IS 'Deployer wallet, lowercase';
+COMMENT ON COLUMN deployer_profiles.quick_sell_rate IS 'Share of launches where the dev sold within DEV_QUICK_SELL_MINUTES';
+COMMENT ON COLUMN deployer_profiles.funding_source IS 'Wallet that sent the first ETH to the deployer';
+COMMENT ON COLUMN deployer_profiles.reputation_score IS '0 (serial rugger) to 100, 50 is neutral';
@@ -0,0 +1,28 @@
+-- ============================================
+-- MIGRATION 017: Indexes for the deployments query API
+-- ============================================
+-- Description: GET /api/deployments filters and sorts in the database and pages with a
+-- (sort column, tx_hash) cursor. Backfills NULL sort columns (the cursor can't step over
+-- NULLs) and adds the matching composite indexes plus a trigram index for name search.
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+UPDATE deployments SET dev_buy_amount = 0 WHERE dev_buy_amount IS NULL;
+UPDATE deployments SET holder_count = 0 WHERE holder_count IS NULL;
+UPDATE deployments SET market_cap = 0 WHERE market_cap IS NULL;
+
+ALTER TABLE deployments
+ALTER COLUMN dev_buy_amount SET DEFAULT 0;
+
+-- Create composite indexes for keyset pagination on each sortable column
+CREATE INDEX IF NOT EXISTS idx_deployments_timestamp_tx ON deployments(timestamp DESC, tx_hash DESC);
+CREATE INDEX IF NOT EXISTS idx_deployments_dev_buy_tx ON deployments(dev_buy_amount DESC, tx_hash DESC);
+CREATE INDEX IF NOT EXISTS idx_deployments_holder_count_tx ON deployments(holder_count DESC, tx_hash DESC);
+
+-- Create trigram indexes for name/symbol search (ilike '%term%')
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS idx_deployments_token_name_trgm ON deployments USING gin (token_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_deployments_token_symbol_trgm ON deployments USING gin (token_symbol gin_trgm_ops);
+
+-- Create index for the dev sold filter
+CREATE INDEX IF NOT EXISTS idx_deployments_dev_sold ON deployments(dev_sold);
@@ -0,0 +1,17 @@
+-- ============================================
+-- MIGRATION 018: Realtime updates for deployments
+-- ============================================
+-- Description: Adds the deployments table to Supabase Realtime so the dashboard receives
+-- inserts/updates as they are stored instead of re-fetching the feed every 15 seconds.
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'deployments'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE deployments;
+  END IF;
+END $$;
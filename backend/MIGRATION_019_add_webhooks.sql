@@ -0,0 +1,62 @@
+-- ============================================
+-- MIGRATION 019: Outbound webhooks
+-- ============================================
+-- Description: Webhook subscriptions (URL + event filter + signing secret) and a delivery
+-- log. Deliveries are queued as pending and retried with exponential backoff until they
+-- are delivered or fail for good.
+-- Both tables are private (they hold the signing secrets): the backend needs
+-- SUPABASE_SERVICE_ROLE_KEY to use them.
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id BIGSERIAL PRIMARY KEY,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events JSONB NOT NULL DEFAULT '[]'::jsonb,
+  min_dev_buy NUMERIC,
+  holder_threshold INTEGER,
+  runner_score_threshold NUMERIC,
+  description TEXT,
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  webhook_id BIGINT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at BIGINT,
+  response_status INTEGER,
+  last_error TEXT,
+  delivered_at BIGINT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create index for the dispatcher (due pending deliveries)
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+-- Create index for a webhook's delivery log
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id DESC);
+
+-- Create trigger to auto-update updated_at (function from supabase-setup.sql)
+CREATE TRIGGER update_webhooks_updated_at
+  BEFORE UPDATE ON webhooks
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security
+-- No anon/authenticated policy: only the service role (the backend) can read or write them
+ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Add comments to columns
+COMMENT ON COLUMN webhooks.events IS 'Subscribed events: deployment.created, holders.crossed, dev.sold, runner.crossed';
+COMMENT ON COLUMN webhooks.secret IS 'HMAC-SHA256 key for the X-FeyScan-Signature header';
+COMMENT ON COLUMN webhooks.min_dev_buy IS 'Only events for tokens with at least this dev buy (ETH)';
+COMMENT ON COLUMN webhook_deliveries.status IS 'pending (queued or waiting to retry), delivered or failed';
+COMMENT ON COLUMN webhook_deliveries.next_attempt_at IS 'Unix timestamp of the next delivery attempt';
@@ -0,0 +1,65 @@
+-- ============================================
+-- MIGRATION 020: Per-wallet alert rules
+-- ============================================
+-- Description: Named alert rules saved by signed-in wallets (Sign-In with Ethereum) and the
+-- tokens that matched them. The backend evaluates active rules on every monitor event and
+-- records a match the first time a token meets a rule.
+-- Both tables are private (rules belong to signed-in wallets, checked by the API): the
+-- backend needs SUPABASE_SERVICE_ROLE_KEY to use them.
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id BIGSERIAL PRIMARY KEY,
+  wallet TEXT NOT NULL,
+  name TEXT NOT NULL,
+  min_dev_buy NUMERIC,
+  min_holders INTEGER,
+  min_market_cap NUMERIC,
+  min_volume NUMERIC,
+  volume_window TEXT NOT NULL DEFAULT '24h',
+  min_deployer_score INTEGER,
+  keywords JSONB NOT NULL DEFAULT '[]'::jsonb,
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS alert_matches (
+  id BIGSERIAL PRIMARY KEY,
+  rule_id BIGINT NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+  wallet TEXT NOT NULL,
+  rule_name TEXT,
+  tx_hash TEXT NOT NULL,
+  token_address TEXT,
+  token_name TEXT,
+  token_symbol TEXT,
+  event_type TEXT,
+  snapshot JSONB,
+  matched_at BIGINT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (rule_id, tx_hash)
+);
+
+-- Create index for listing a wallet's rules
+CREATE INDEX IF NOT EXISTS idx_alert_rules_wallet ON alert_rules(wallet);
+-- Create index for polling a wallet's new matches
+CREATE INDEX IF NOT EXISTS idx_alert_matches_wallet ON alert_matches(wallet, id DESC);
+
+-- Create trigger to auto-update updated_at (function from supabase-setup.sql)
+CREATE TRIGGER update_alert_rules_updated_at
+  BEFORE UPDATE ON alert_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security
+-- No anon/authenticated policy: only the service role (the backend) can read or write them
+ALTER TABLE alert_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE alert_matches ENABLE ROW LEVEL SECURITY;
+
+-- Add comments to columns
+COMMENT ON COLUMN alert_rules.wallet IS 'Lowercase address of the wallet that owns the rule';
+COMMENT ON COLUMN alert_rules.volume_window IS 'Window min_volume applies to: 1h, 6h, 24h or 7d';
+COMMENT ON COLUMN alert_rules.min_deployer_score IS 'Minimum deployer reputation score (deployers without a profile count as 50)';
+COMMENT ON COLUMN alert_rules.keywords IS 'Lowercase keywords, any of which must appear in the token name or symbol';
+COMMENT ON COLUMN alert_matches.snapshot IS 'Dev buy, holders, market cap, 24h volume and deployer score when the rule matched';
@@ -0,0 +1,58 @@
+-- ============================================
+-- MIGRATION 021: Restrict the public (anon) role
+-- ============================================
+-- Description: Token gating is enforced by the backend, so the anon key the frontend ships
+-- with must not expose what the API gates. The anon role gets read-only access to
+-- deployments older than 5 minutes that aren't in the Alerts section (dev buy > 0.25 ETH,
+-- dev hasn't sold), plus the public reference tables. Private tables (webhooks, alert rules,
+-- monitor state, ledgers) are closed to it entirely.
+--
+-- IMPORTANT: set SUPABASE_SERVICE_ROLE_KEY for the backend BEFORE running this - the
+-- service role bypasses row level security, the anon key can no longer write.
+-- Hot Runners can't be expressed as a row policy; the API gates those.
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Deployments: delayed, read-only for anon
+DROP POLICY IF EXISTS "Allow all operations" ON deployments;
+
+CREATE POLICY "Public read of delayed deployments" ON deployments
+  FOR SELECT
+  TO anon
+  USING (
+    timestamp < EXTRACT(EPOCH FROM NOW()) - 300
+    AND NOT (COALESCE(dev_buy_amount, 0) > 0.25 AND dev_sold IS NOT TRUE)
+  );
+
+-- Reference data the dashboard reads directly: read-only for anon
+DROP POLICY IF EXISTS "Allow all operations" ON deployer_profiles;
+DROP POLICY IF EXISTS "Allow all operations" ON token_candles;
+DROP POLICY IF EXISTS "Allow all operations" ON holder_snapshots;
+
+CREATE POLICY "Public read" ON deployer_profiles
+  FOR SELECT
+  TO anon
+  USING (true);
+
+CREATE POLICY "Public read" ON token_candles
+  FOR SELECT
+  TO anon
+  USING (true);
+
+CREATE POLICY "Public read" ON holder_snapshots
+  FOR SELECT
+  TO anon
+  USING (true);
+
+-- Private tables: no anon policy, so anon can't read or write them
+DROP POLICY IF EXISTS "Allow all operations" ON monitor_state;
+DROP POLICY IF EXISTS "Allow all operations" ON token_ledgers;
+DROP POLICY IF EXISTS "Allow all operations" ON token_balances;
+DROP POLICY IF EXISTS "Allow all operations" ON token_swaps;
+DROP POLICY IF EXISTS "Allow all operations" ON token_swap_cursors;
+DROP POLICY IF EXISTS "Allow all operations" ON webhooks;
+DROP POLICY IF EXISTS "Allow all operations" ON webhook_deliveries;
+DROP POLICY IF EXISTS "Allow all operations" ON alert_rules;
+DROP POLICY IF EXISTS "Allow all operations" ON alert_matches;
+
+COMMENT ON POLICY "Public read of delayed deployments" ON deployments IS 'Matches the API''s public tier: 5 minute delay, no Alerts section rows';
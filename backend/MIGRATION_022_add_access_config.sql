@@ -0,0 +1,22 @@
+-- ============================================
+-- MIGRATION 022: Access tier configuration
+-- ============================================
+-- Description: The token gating tiers (name, required balance, features), whitelisted
+-- wallets and NFT/LP holdings that count toward a wallet's balance. A single row, changed
+-- through the admin API (PUT /api/access/config); the backend uses built-in defaults until
+-- one is saved.
+-- Run this in your Supabase SQL Editor (after MIGRATION_021)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS access_config (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  config JSONB NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+-- No anon policy: the backend reads it with the service role and serves it at /api/access/config
+ALTER TABLE access_config ENABLE ROW LEVEL SECURITY;
+
+-- Add comments to columns
+COMMENT ON COLUMN access_config.config IS '{ tiers: [{ name, requiredBalance, features }], whitelist: [address], holdings: [{ type, address, label, tokensPerUnit }] }';
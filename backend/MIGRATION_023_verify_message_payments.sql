@@ -0,0 +1,28 @@
+-- ============================================
+-- MIGRATION 023: Verified message board payments
+-- ============================================
+-- Description: The backend now verifies message payments on-chain (ETH transfer from the
+-- sender to the dev wallet) and is the only writer of the messages table. Adds the
+-- sender's ENS name, when the payment was verified and why a payment was rejected, and
+-- removes the anon insert/update policies from MIGRATION_004 - otherwise anyone could
+-- insert a row or mark their own message verified with the anon key.
+-- Run this in your Supabase SQL Editor (after MIGRATION_021)
+-- ============================================
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS sender_ens TEXT,
+ADD COLUMN IF NOT EXISTS rejection_reason TEXT,
+ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ;
+
+-- Pending rows are re-checked by the verifier
+CREATE INDEX IF NOT EXISTS idx_messages_status_id ON messages(status, id DESC);
+
+-- Only the backend (service role) writes; the public can still read verified messages
+DROP POLICY IF EXISTS "Anyone can insert messages" ON messages;
+DROP POLICY IF EXISTS "Users can update own messages" ON messages;
+
+-- Add comments to columns
+COMMENT ON COLUMN messages.sender_address IS 'Lowercase address of the signed-in wallet that paid for the message';
+COMMENT ON COLUMN messages.payment_amount_eth IS 'ETH actually transferred (0 until the payment is verified)';
+COMMENT ON COLUMN messages.sender_ens IS 'ENS name of the sender when the payment was verified';
+COMMENT ON COLUMN messages.rejection_reason IS 'Why the payment did not verify (wrong recipient, sender, amount, failed or never mined)';
@@ -0,0 +1,22 @@
+-- ============================================
+-- MIGRATION 024: Add rug / honeypot risk scores
+-- ============================================
+-- Description: Risk score per launch, computed after the deployment is stored and refreshed
+-- while the token is young: simulated buy+sell against the pool, transfer check, LP lock
+-- and holder concentration
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+ALTER TABLE deployments
+ADD COLUMN IF NOT EXISTS risk_score INTEGER,
+ADD COLUMN IF NOT EXISTS risk_level TEXT,
+ADD COLUMN IF NOT EXISTS risk_reasons JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS risk_details JSONB,
+ADD COLUMN IF NOT EXISTS risk_checked_at BIGINT;
+
+-- Add comments to columns
+COMMENT ON COLUMN deployments.risk_score IS 'Composite risk from 0 (no red flags) to 100, NULL until checked';
+COMMENT ON COLUMN deployments.risk_level IS 'low (< 30), medium (< 60) or high';
+COMMENT ON COLUMN deployments.risk_reasons IS 'Human readable red flags behind the score';
+COMMENT ON COLUMN deployments.risk_details IS 'Raw check results: simulation, transferOk, lpLock, top10Share, devShare, poolKey, lpPositionIds';
+COMMENT ON COLUMN deployments.risk_checked_at IS 'Unix timestamp of the last risk check';
@@ -0,0 +1,13 @@
+-- ============================================
+-- MIGRATION 025: Add launch sniper / bundle stats
+-- ============================================
+-- Description: Wallets that picked up a token in the first blocks after its deployment,
+-- which of them the deployer funded and how much of the supply they hold
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+ALTER TABLE deployments
+ADD COLUMN IF NOT EXISTS sniper_stats JSONB;
+
+-- Add comment to column
+COMMENT ON COLUMN deployments.sniper_stats IS '{ windowBlocks, earlyBuyers, sameBlockBuyers, deployerFunded, tracedWallets, boughtShare, heldShare, sameBlockShare, deployerFundedShare, wallets: [{ address, firstBlock, amount, boughtShare, heldShare, fundedByDeployer, fundingSource }], totalSupply, checkedAt }, NULL until the launch window is confirmed';
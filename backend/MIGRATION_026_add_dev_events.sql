@@ -0,0 +1,56 @@
+-- ============================================
+-- MIGRATION 026: Dev activity event log
+-- ============================================
+-- Description: Every token movement of a deployer's wallet (buy, sell into the pool,
+-- transfer in/out, LP add/remove) with its amount, share of the dev's holdings and
+-- counterparty. Scanned from the deployment block forward through a per-token cursor;
+-- dev_sold / dev_transfer_* on deployments are derived from it.
+-- Run this in your Supabase SQL Editor (after MIGRATION_021)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS dev_events (
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  token_address TEXT NOT NULL,
+  deployer_address TEXT NOT NULL,
+  block_number BIGINT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  event_type TEXT NOT NULL CHECK (event_type IN ('buy', 'sell', 'transfer_in', 'transfer_out', 'lp_add', 'lp_remove')),
+  amount NUMERIC NOT NULL,
+  paired_amount NUMERIC,
+  holdings_pct NUMERIC,
+  counterparty TEXT,
+  PRIMARY KEY (tx_hash, log_index)
+);
+
+-- Create index for per-token timelines
+CREATE INDEX IF NOT EXISTS idx_dev_events_token_block ON dev_events(token_address, block_number, log_index);
+-- Create index for per-deployer queries
+CREATE INDEX IF NOT EXISTS idx_dev_events_deployer ON dev_events(deployer_address);
+
+-- One row per token: how far its dev events have been scanned
+CREATE TABLE IF NOT EXISTS dev_event_cursors (
+  token_address TEXT PRIMARY KEY,
+  last_block BIGINT NOT NULL,
+  dev_balance NUMERIC(78, 0) NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create trigger to auto-update updated_at (function from supabase-setup.sql)
+CREATE TRIGGER update_dev_event_cursors_updated_at
+  BEFORE UPDATE ON dev_event_cursors
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security
+-- No anon policy: the API serves the timeline with the token (GET /api/deployments/:address)
+ALTER TABLE dev_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dev_event_cursors ENABLE ROW LEVEL SECURITY;
+
+-- Add comments to columns
+COMMENT ON COLUMN dev_events.event_type IS 'buy / sell (swap on the token''s pool), transfer_in / transfer_out (other wallets), lp_add / lp_remove (liquidity change on the pool)';
+COMMENT ON COLUMN dev_events.amount IS 'Tokens moved';
+COMMENT ON COLUMN dev_events.paired_amount IS 'Paired token (WETH) amount of the swap, in ETH - buys and sells only';
+COMMENT ON COLUMN dev_events.holdings_pct IS 'Percent of the dev''s holdings: before the event for outgoing, after it for incoming';
+COMMENT ON COLUMN dev_events.counterparty IS 'The other side of the Transfer (pool / router for swaps)';
+COMMENT ON COLUMN dev_event_cursors.dev_balance IS 'Deployer token balance (wei) as of last_block';
@@ -0,0 +1,48 @@
+-- ============================================
+-- MIGRATION 027: Dev wallet clusters
+-- ============================================
+-- Description: Wallets linked to a deployer - recipients of the dev's token transfers
+-- and wallets the deployer sent ETH to. Their token movements go into the dev event log
+-- (wallet_address says which wallet moved), so sells from a fresh wallet count as dev sells.
+-- Run this in your Supabase SQL Editor (after MIGRATION_026)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS dev_cluster_edges (
+  deployer_address TEXT NOT NULL,
+  from_address TEXT NOT NULL,
+  to_address TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('token_transfer', 'eth_funding')),
+  token_address TEXT,
+  tx_hash TEXT NOT NULL,
+  block_number BIGINT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (deployer_address, from_address, to_address, kind)
+);
+
+-- Create index for cluster lookups by member
+CREATE INDEX IF NOT EXISTS idx_dev_cluster_edges_to ON dev_cluster_edges(to_address);
+
+-- Which cluster wallet moved the tokens, and moves between cluster wallets
+ALTER TABLE dev_events
+ADD COLUMN IF NOT EXISTS wallet_address TEXT;
+
+UPDATE dev_events SET wallet_address = deployer_address WHERE wallet_address IS NULL;
+
+ALTER TABLE dev_events DROP CONSTRAINT IF EXISTS dev_events_event_type_check;
+ALTER TABLE dev_events ADD CONSTRAINT dev_events_event_type_check
+  CHECK (event_type IN ('buy', 'sell', 'transfer_in', 'transfer_out', 'cluster_transfer', 'lp_add', 'lp_remove'));
+
+ALTER TABLE deployments
+ADD COLUMN IF NOT EXISTS dev_cluster_sold_pct NUMERIC,
+ADD COLUMN IF NOT EXISTS dev_cluster_size INTEGER DEFAULT 1;
+
+-- Enable Row Level Security
+-- No anon policy: the API serves the graph (GET /api/deployers/:address/cluster)
+ALTER TABLE dev_cluster_edges ENABLE ROW LEVEL SECURITY;
+
+-- Add comments to columns
+COMMENT ON COLUMN dev_cluster_edges.kind IS 'token_transfer (from sent the dev''s token to) or eth_funding (deployer sent ETH to)';
+COMMENT ON COLUMN dev_cluster_edges.token_address IS 'Token of the transfer that linked the wallet, NULL for ETH funding';
+COMMENT ON COLUMN dev_events.wallet_address IS 'Cluster wallet that moved the tokens (the deployer or a linked wallet)';
+COMMENT ON COLUMN deployments.dev_cluster_sold_pct IS 'Percent of the tokens the dev cluster acquired (buys, transfers in, LP removals) that it sold, NULL while it acquired none';
+COMMENT ON COLUMN deployments.dev_cluster_size IS 'Wallets in the deployer''s cluster, the deployer included';
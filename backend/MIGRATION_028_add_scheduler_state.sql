@@ -0,0 +1,14 @@
+-- ============================================
+-- MIGRATION 028: Add scheduler state
+-- ============================================
+-- Description: Stores the monitor's job scheduler state in monitor_state - when each
+-- maintenance job last ran and is due next, and the per-token next-due queues - so a
+-- restart keeps the schedule instead of running everything at once
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+ALTER TABLE monitor_state
+ADD COLUMN IF NOT EXISTS scheduler_state JSONB;
+
+-- Add comment to column
+COMMENT ON COLUMN monitor_state.scheduler_state IS '{ jobs: { name: { lastRunAt, nextRunAt, runs, failures, lastError, lastDurationMs, lastProcessed } }, queues: { name: { key: nextDueAt } } }';
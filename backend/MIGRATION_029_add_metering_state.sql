@@ -0,0 +1,14 @@
+-- ============================================
+-- MIGRATION 029: Add metering state
+-- ============================================
+-- Description: Stores the call meter in monitor_state - estimated compute units per hour
+-- and per day, by method, provider and job - so the daily budget keeps counting across
+-- restarts
+-- Run this in your Supabase SQL Editor (after MIGRATION_028)
+-- ============================================
+
+ALTER TABLE monitor_state
+ADD COLUMN IF NOT EXISTS metering_state JSONB;
+
+-- Add comment to column
+COMMENT ON COLUMN monitor_state.metering_state IS '{ hours: { "YYYY-MM-DDTHH": bucket }, days: { "YYYY-MM-DD": bucket } }, bucket = { calls, units, byMethod, byProvider, byJob } in UTC';
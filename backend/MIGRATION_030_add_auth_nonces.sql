@@ -0,0 +1,23 @@
+-- ============================================
+-- MIGRATION 030: Used sign-in nonces
+-- ============================================
+-- Description: Sign-In with Ethereum nonces that were already exchanged for a session, kept
+-- until they expire (5 minutes), so a captured signed message can't be replayed. Expired
+-- rows are cleared by the backend on the next sign-in.
+-- Run this in your Supabase SQL Editor (after MIGRATION_029)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS auth_nonces (
+  nonce TEXT PRIMARY KEY,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- Create index for clearing expired nonces
+CREATE INDEX IF NOT EXISTS idx_auth_nonces_expires_at ON auth_nonces(expires_at);
+
+-- Enable Row Level Security
+-- No anon policy: only the backend (service role) records nonces
+ALTER TABLE auth_nonces ENABLE ROW LEVEL SECURITY;
+
+-- Add comments to columns
+COMMENT ON COLUMN auth_nonces.expires_at IS 'When the nonce expires; after that it is refused anyway and the row can go';
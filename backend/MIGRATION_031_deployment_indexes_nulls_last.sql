@@ -0,0 +1,17 @@
+-- ============================================
+-- MIGRATION 031: NULLS LAST keyset indexes for the deployments query API
+-- ============================================
+-- Description: GET /api/deployments now sorts NULL values (e.g. volumes that were never
+-- computed) last in both directions, so the cursor can step over them. Rebuilds the keyset
+-- indexes from MIGRATION_017 to match that order.
+-- Run this in your Supabase SQL Editor (after MIGRATION_017)
+-- ============================================
+
+DROP INDEX IF EXISTS idx_deployments_timestamp_tx;
+DROP INDEX IF EXISTS idx_deployments_dev_buy_tx;
+DROP INDEX IF EXISTS idx_deployments_holder_count_tx;
+
+-- Create composite indexes for keyset pagination on each sortable column
+CREATE INDEX IF NOT EXISTS idx_deployments_timestamp_tx ON deployments(timestamp DESC NULLS LAST, tx_hash DESC);
+CREATE INDEX IF NOT EXISTS idx_deployments_dev_buy_tx ON deployments(dev_buy_amount DESC NULLS LAST, tx_hash DESC);
+CREATE INDEX IF NOT EXISTS idx_deployments_holder_count_tx ON deployments(holder_count DESC NULLS LAST, tx_hash DESC);
@@ -0,0 +1,13 @@
+-- ============================================
+-- MIGRATION 032: Flag estimated holder counts
+-- ============================================
+-- Description: While a token's holder ledger is still backfilling (LEDGER_SYNC_BLOCKS per
+-- check), the monitor keeps the last stored holder count and marks it as an estimate. The
+-- flag clears once the ledger reaches the head and the exact count is stored.
+-- Run this in your Supabase SQL Editor (after MIGRATION_012)
+-- ============================================
+
+ALTER TABLE deployments
+ADD COLUMN IF NOT EXISTS holder_count_estimated BOOLEAN DEFAULT FALSE;
+
+COMMENT ON COLUMN deployments.holder_count_estimated IS 'Whether holder_count is the last stored count kept while the holder ledger catches up, not the ledger count';
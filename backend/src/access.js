@@ -0,0 +1,355 @@
+import { ethers } from 'ethers';
+import { createRpcPool, loadRpcProviderConfigs } from './rpc-pool.js';
+import { getAllDeployments, getAccessConfig as loadStoredAccessConfig } from './supabase-storage.js';
+import { calculateRunnerScore } from './runner-score.js';
+import { verifySessionToken, verifyStreamTicket } from './auth.js';
+
+// Server-side token gating
+// The dashboard's gated sections are enforced on the data: callers without a section's
+// feature don't receive the deployments that section would show. Tiers, whitelist and
+// counted holdings come from the access config (admin API), with built-in defaults.
+
+export const FEYSCAN_TOKEN_ADDRESS = '0x1a013768E7c572d6F7369a3e5bC9b29b0a0f0659';
+
+// The dashboard's gated sections
+// - allDeployments: full history (cursor paging) and more than PUBLIC_FEED_LIMIT rows
+// - newest5: launches younger than PUBLIC_FEED_DELAY and the live streams
+// - hotRunners: the current top runners
+// - alerts: high dev buy launches and alert rules
+export const FEATURES = ['allDeployments', 'newest5', 'hotRunners', 'alerts'];
+export const HOLDING_TYPES = ['erc20', 'erc721'];
+
+// Used until an admin saves a config. A wallet gets the features of the highest tier its
+// balance (whole FeyScan tokens, plus counted holdings) reaches.
+export const DEFAULT_ACCESS_CONFIG = Object.freeze({
+  tiers: [
+    { name: 'Explorer', requiredBalance: 5000000, features: ['allDeployments'] },
+    { name: 'Scout', requiredBalance: 10000000, features: ['allDeployments', 'newest5'] },
+    { name: 'Hunter', requiredBalance: 15000000, features: ['allDeployments', 'newest5', 'hotRunners'] },
+    { name: 'Whale', requiredBalance: 25000000, features: FEATURES }
+  ],
+  whitelist: [
+    '0x6a111f6a341e7110837fe3ea8e8f426fc5fa2b32',
+    '0x8dfbdeec8c5d4970bb5f481c6ec7f73fa1c65be5'
+  ],
+  holdings: []
+});
+
+// Always whitelisted on top of the config (comma separated)
+const ENV_WHITELIST = (process.env.ACCESS_WHITELIST || '').split(',').map(a => a.trim().toLowerCase()).filter(Boolean);
+
+export const PUBLIC_FEED_DELAY = parseInt(process.env.PUBLIC_FEED_DELAY_SECONDS) || 300;
+export const PUBLIC_FEED_LIMIT = 100;
+
+const ALERT_MIN_DEV_BUY = 0.25; // Same rule as the dashboard's Alerts section
+const HOT_RUNNER_COUNT = 10;
+const HOT_RUNNER_MIN_SCORE = 0.1;
+const BALANCE_CACHE_TTL = 300000;
+const BALANCE_RETRY_DELAY = 30000; // After a failed lookup, keep the last known balance this long
+const SECTION_CACHE_TTL = 60000;
+const CONFIG_CACHE_TTL = 60000; // Other instances pick up admin changes within a minute
+const MAX_TIERS = 10;
+const MAX_HOLDINGS = 5;
+
+const ERC20_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function decimals() view returns (uint8)'
+];
+
+export const PUBLIC_ACCESS = Object.freeze({ wallet: null, whitelisted: false, balance: 0, tier: null, features: [] });
+
+let rpcPool = null;
+const decimalsCache = new Map(); // contract -> decimals
+const balanceCache = new Map(); // wallet -> { balance, checkedAt }
+const pendingBalances = new Map(); // wallet -> Promise (one RPC call per wallet at a time)
+let sectionCache = null;
+let sectionCacheAt = 0;
+let configCache = null;
+let configCacheAt = 0;
+
+/**
+ * Validate an access config from the admin API
+ * Returns { config } (tiers sorted by required balance, addresses lowercase) or { error }
+ */
+export function validateAccessConfig(body) {
+  if (!body || !Array.isArray(body.tiers) || body.tiers.length === 0 || body.tiers.length > MAX_TIERS) {
+    return { error: `tiers must be an array of 1 to ${MAX_TIERS} tiers` };
+  }
+
+  const tiers = [];
+  for (const tier of body.tiers) {
+    if (typeof tier?.name !== 'string' || !tier.name.trim()) {
+      return { error: 'Every tier needs a name' };
+    }
+    const name = tier.name.trim().slice(0, 32);
+    if (tiers.some(t => t.name === name)) {
+      return { error: `Duplicate tier name: ${name}` };
+    }
+    if (!Number.isFinite(tier.requiredBalance) || tier.requiredBalance < 0) {
+      return { error: `${name}: requiredBalance must be a non-negative number` };
+    }
+    if (tiers.some(t => t.requiredBalance === tier.requiredBalance)) {
+      return { error: `${name}: another tier already requires ${tier.requiredBalance}` };
+    }
+    if (!Array.isArray(tier.features) || tier.features.some(f => !FEATURES.includes(f))) {
+      return { error: `${name}: features must be an array of ${FEATURES.join(', ')}` };
+    }
+    tiers.push({ name, requiredBalance: tier.requiredBalance, features: [...new Set(tier.features)] });
+  }
+  tiers.sort((a, b) => a.requiredBalance - b.requiredBalance);
+
+  const whitelist = body.whitelist ?? [];
+  if (!Array.isArray(whitelist) || whitelist.some(a => typeof a !== 'string' || !ethers.isAddress(a))) {
+    return { error: 'whitelist must be an array of addresses' };
+  }
+
+  const holdings = [];
+  for (const holding of body.holdings ?? []) {
+    if (!HOLDING_TYPES.includes(holding?.type)) {
+      return { error: `Holding type must be one of ${HOLDING_TYPES.join(', ')}` };
+    }
+    if (typeof holding.address !== 'string' || !ethers.isAddress(holding.address)) {
+      return { error: 'Every holding needs a contract address' };
+    }
+    if (!Number.isFinite(holding.tokensPerUnit) || holding.tokensPerUnit <= 0) {
+      return { error: `${holding.address}: tokensPerUnit must be a positive number` };
+    }
+    holdings.push({
+      type: holding.type,
+      address: holding.address.toLowerCase(),
+      label: typeof holding.label === 'string' ? holding.label.slice(0, 60) : null,
+      tokensPerUnit: holding.tokensPerUnit
+    });
+  }
+  if (holdings.length > MAX_HOLDINGS) {
+    return { error: `At most ${MAX_HOLDINGS} holdings` };
+  }
+
+  return {
+    config: {
+      tiers,
+      whitelist: [...new Set(whitelist.map(a => a.toLowerCase()))],
+      holdings
+    }
+  };
+}
+
+/**
+ * Current access config (stored, or the defaults), refreshed every minute
+ */
+export async function getAccessConfig() {
+  if (!configCache || Date.now() - configCacheAt > CONFIG_CACHE_TTL) {
+    let stored = null;
+    try {
+      stored = await loadStoredAccessConfig();
+    } catch (error) {
+      // Keep what we had (or the defaults) rather than locking everyone out
+      console.error('  ⚠️  Could not load access config:', error.message);
+    }
+    configCache = stored || configCache || DEFAULT_ACCESS_CONFIG;
+    configCacheAt = Date.now();
+  }
+  return configCache;
+}
+
+/**
+ * Use a newly saved config right away (balances are re-read, holdings may have changed)
+ */
+export function setAccessConfig(config) {
+  configCache = config;
+  configCacheAt = Date.now();
+  balanceCache.clear();
+}
+
+/**
+ * Lowest balance that unlocks a feature (null if no tier includes it)
+ */
+export function requiredBalanceFor(config, feature) {
+  const tier = config.tiers.find(t => t.features.includes(feature));
+  return tier ? tier.requiredBalance : null;
+}
+
+export function isWhitelisted(config, address) {
+  if (!address) return false;
+  const key = address.toLowerCase();
+  return ENV_WHITELIST.includes(key) || config.whitelist.includes(key);
+}
+
+async function readBalance(provider, contract, wallet, type) {
+  const token = new ethers.Contract(contract, ERC20_ABI, provider);
+  const raw = await token.balanceOf(wallet);
+  if (type === 'erc721') return Number(raw);
+
+  if (!decimalsCache.has(contract)) {
+    decimalsCache.set(contract, Number(await token.decimals()));
+  }
+  return Number(ethers.formatUnits(raw, decimalsCache.get(contract)));
+}
+
+/**
+ * Balance a wallet counts toward tiers, in whole FeyScan tokens (cached for 5 minutes)
+ * FeyScan held directly, plus each configured NFT / LP holding times its tokensPerUnit.
+ */
+export async function getFeyScanBalance(wallet, config = DEFAULT_ACCESS_CONFIG) {
+  const key = wallet.toLowerCase();
+  const cached = balanceCache.get(key);
+  if (cached && Date.now() - cached.checkedAt < BALANCE_CACHE_TTL) {
+    return cached.balance;
+  }
+  if (pendingBalances.has(key)) {
+    return pendingBalances.get(key);
+  }
+
+  const lookup = (async () => {
+    if (!rpcPool) {
+      rpcPool = createRpcPool(loadRpcProviderConfigs());
+    }
+    const balance = await rpcPool.call(async (provider) => {
+      let total = await readBalance(provider, FEYSCAN_TOKEN_ADDRESS, key, 'erc20');
+      for (const holding of config.holdings) {
+        total += (await readBalance(provider, holding.address, key, holding.type)) * holding.tokensPerUnit;
+      }
+      return total;
+    }, { name: 'FeyScan balance' });
+
+    balanceCache.set(key, { balance, checkedAt: Date.now() });
+    return balance;
+  })();
+
+  pendingBalances.set(key, lookup);
+  try {
+    return await lookup;
+  } finally {
+    pendingBalances.delete(key);
+  }
+}
+
+/**
+ * Features a wallet can use: { wallet, whitelisted, balance, tier, features }
+ * If the balance can't be read, the last known balance is used (none: public access).
+ */
+export async function getAccess(wallet) {
+  if (!wallet) return PUBLIC_ACCESS;
+
+  const config = await getAccessConfig();
+  if (isWhitelisted(config, wallet)) {
+    return { wallet, whitelisted: true, balance: 0, tier: null, features: FEATURES };
+  }
+
+  let balance = 0;
+  try {
+    balance = await getFeyScanBalance(wallet, config);
+  } catch (error) {
+    balance = balanceCache.get(wallet.toLowerCase())?.balance || 0;
+    balanceCache.set(wallet.toLowerCase(), { balance, checkedAt: Date.now() - BALANCE_CACHE_TTL + BALANCE_RETRY_DELAY });
+    console.error(`  ⚠️  Could not check FeyScan balance for ${wallet.slice(0, 10)}...:`, error.message);
+  }
+
+  const tier = config.tiers.filter(t => balance >= t.requiredBalance).pop() || null;
+  return {
+    wallet,
+    whitelisted: false,
+    balance,
+    tier: tier ? tier.name : null,
+    features: tier ? tier.features : []
+  };
+}
+
+const bearerToken = (req) => (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+
+// Requests whose access can't be worked out get public access (Express 4 doesn't catch rejections)
+async function setAccess(req, wallet) {
+  try {
+    req.access = await getAccess(wallet);
+  } catch (error) {
+    console.error('  ⚠️  Could not resolve access, serving public access:', error.message);
+    req.access = PUBLIC_ACCESS;
+  }
+}
+
+/**
+ * Middleware: sets req.access from the session token in the Authorization header
+ * Requests without a valid session get public access.
+ */
+export async function attachAccess(req, res, next) {
+  await setAccess(req, verifySessionToken(bearerToken(req)));
+  next();
+}
+
+/**
+ * attachAccess for the live streams, which also take a stream ticket as ?ticket=
+ * (EventSource can't send headers - see issueStreamTicket)
+ */
+export async function attachStreamAccess(req, res, next) {
+  await setAccess(req, verifyStreamTicket(req.query.ticket) || verifySessionToken(bearerToken(req)));
+  next();
+}
+
+/**
+ * Answer a request that needs a feature the caller doesn't have
+ * 401 without a session, 403 when the wallet's balance is too low
+ */
+export async function denyFeature(res, access, feature, error = null) {
+  const requiredBalance = requiredBalanceFor(await getAccessConfig(), feature);
+  const needed = requiredBalance !== null
+    ? `hold at least ${requiredBalance.toLocaleString('en-US')} FeyScan tokens`
+    : 'not available on any tier';
+  res.status(access.wallet ? 403 : 401).json({
+    error: error || (access.wallet ? `Needs the ${feature} feature - ${needed}` : 'Sign in with your wallet'),
+    feature,
+    requiredBalance
+  });
+}
+
+/**
+ * Middleware: only callers with `feature` get through (401 without a session, 403 without the balance)
+ */
+export function requireFeature(feature, attach = attachAccess) {
+  return [attach, (req, res, next) => {
+    if (req.access.features.includes(feature)) return next();
+    denyFeature(res, req.access, feature).catch(next);
+  }];
+}
+
+export const isAlertDeployment = (deployment) => (deployment.devBuyAmount || 0) > ALERT_MIN_DEV_BUY && !deployment.devSold;
+
+/**
+ * Current Alerts and Hot Runners sections (txHash sets), from the live feed, refreshed every minute
+ */
+export async function getGatedSections() {
+  if (!sectionCache || Date.now() - sectionCacheAt > SECTION_CACHE_TTL) {
+    const deployments = (await getAllDeployments()).filter(d => d.status !== 'orphaned');
+    const hotRunners = deployments
+      .map(d => ({ txHash: d.txHash, score: calculateRunnerScore(d).score }))
+      .filter(d => d.score > HOT_RUNNER_MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, HOT_RUNNER_COUNT);
+
+    sectionCache = {
+      alerts: new Set(deployments.filter(isAlertDeployment).map(d => d.txHash)),
+      hotRunners: new Set(hotRunners.map(d => d.txHash))
+    };
+    sectionCacheAt = Date.now();
+  }
+  return sectionCache;
+}
+
+/**
+ * Feature a caller is missing to see a deployment (null if they can see it)
+ */
+export function gatingFeature(deployment, access, sections) {
+  const has = (feature) => access.features.includes(feature);
+  if (!has('newest5') && (deployment.timestamp || 0) > Math.floor(Date.now() / 1000) - PUBLIC_FEED_DELAY) return 'newest5';
+  if (!has('alerts') && (isAlertDeployment(deployment) || sections.alerts.has(deployment.txHash))) return 'alerts';
+  if (!has('hotRunners') && sections.hotRunners.has(deployment.txHash)) return 'hotRunners';
+  return null;
+}
+
+/**
+ * Drop the deployments a caller's access doesn't cover
+ */
+export async function filterDeploymentsForAccess(deployments, access) {
+  if (FEATURES.every(f => access.features.includes(f))) return deployments;
+  const sections = await getGatedSections();
+  return deployments.filter(d => gatingFeature(d, access, sections) === null);
+}
@@ -0,0 +1,185 @@
+import { monitorEvents } from './events.js';
+import {
+  getAlertRules,
+  addAlertMatch,
+  getDeployment,
+  getDeployerProfile
+} from './supabase-storage.js';
+
+export const VOLUME_WINDOWS = ['1h', '6h', '24h', '7d'];
+export const MAX_RULES_PER_WALLET = 20;
+
+// Numeric conditions -> deployment field they compare against (minimums)
+const NUMERIC_CONDITIONS = ['minDevBuy', 'minHolders', 'minMarketCap', 'minVolume', 'minDeployerScore'];
+
+// Events that can make a token start matching a rule
+const EVALUATED_EVENTS = new Set(['deployment.created', 'holders.updated', 'volume.updated']);
+
+const RULE_CACHE_TTL = 60000;
+const MATCHED_KEYS_LIMIT = 20000;
+
+let ruleCache = null;
+let ruleCacheAt = 0;
+const matchedKeys = new Set(); // `${ruleId}:${txHash}` already recorded
+let started = false;
+
+/**
+ * Drop the cached rule list (call after rules are created, changed or removed)
+ */
+export function invalidateAlertRuleCache() {
+  ruleCache = null;
+}
+
+async function getActiveRules() {
+  if (!ruleCache || Date.now() - ruleCacheAt > RULE_CACHE_TTL) {
+    ruleCache = await getAlertRules({ activeOnly: true });
+    ruleCacheAt = Date.now();
+  }
+  return ruleCache;
+}
+
+/**
+ * Validate a create request body, or an update when the existing rule is passed
+ * Returns { rule } with only the accepted fields, or { error }
+ */
+export function validateAlertRuleInput(body, existing = null) {
+  const partial = existing !== null;
+  const rule = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name is required' };
+    }
+    rule.name = body.name.trim().slice(0, 60);
+  }
+
+  for (const field of NUMERIC_CONDITIONS) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && (!Number.isFinite(body[field]) || body[field] < 0)) {
+      return { error: `${field} must be a non-negative number or null` };
+    }
+    rule[field] = body[field];
+  }
+  if (rule.minDeployerScore != null && rule.minDeployerScore > 100) {
+    return { error: 'minDeployerScore must be between 0 and 100' };
+  }
+
+  if (body.volumeWindow !== undefined) {
+    if (!VOLUME_WINDOWS.includes(body.volumeWindow)) {
+      return { error: `volumeWindow must be one of ${VOLUME_WINDOWS.join(', ')}` };
+    }
+    rule.volumeWindow = body.volumeWindow;
+  }
+
+  if (body.keywords !== undefined) {
+    if (!Array.isArray(body.keywords) || body.keywords.some(k => typeof k !== 'string') || body.keywords.length > 10) {
+      return { error: 'keywords must be an array of up to 10 strings' };
+    }
+    rule.keywords = [...new Set(body.keywords.map(k => k.trim().toLowerCase().slice(0, 32)).filter(Boolean))];
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      return { error: 'active must be true or false' };
+    }
+    rule.active = body.active;
+  }
+
+  // A rule without any condition would match every launch
+  const merged = { keywords: [], ...existing, ...rule };
+  if (NUMERIC_CONDITIONS.every(f => merged[f] == null) && merged.keywords.length === 0) {
+    return { error: 'Set at least one condition' };
+  }
+
+  return { rule };
+}
+
+/**
+ * Whether a deployment meets every condition of a rule
+ * Deployers without a reputation profile count as neutral (50).
+ */
+export function evaluateAlertRule(rule, deployment, deployerScore = 50) {
+  if (deployment.status === 'orphaned') return false;
+
+  if (rule.minDevBuy != null && (deployment.devBuyAmount || 0) < rule.minDevBuy) return false;
+  if (rule.minHolders != null && (deployment.holderCount || 0) < rule.minHolders) return false;
+  if (rule.minMarketCap != null && (deployment.marketCap || 0) < rule.minMarketCap) return false;
+  if (rule.minVolume != null && (deployment[`volume${rule.volumeWindow || '24h'}`] || 0) < rule.minVolume) return false;
+  if (rule.minDeployerScore != null && deployerScore < rule.minDeployerScore) return false;
+
+  if (rule.keywords && rule.keywords.length > 0) {
+    const text = `${deployment.tokenName || ''} ${deployment.tokenSymbol || ''}`.toLowerCase();
+    if (!rule.keywords.some(k => text.includes(k))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Record a match for every active rule a monitor event makes a token meet (once per rule and token)
+ */
+export async function evaluateEvent(event) {
+  if (!EVALUATED_EVENTS.has(event.type)) return [];
+
+  const rules = (await getActiveRules()).filter(r => !matchedKeys.has(`${r.id}:${event.token.txHash}`));
+  if (rules.length === 0) return [];
+
+  // Stored row plus the values the event just reported (in case the write is still in flight)
+  const stored = await getDeployment(event.token.txHash);
+  if (!stored) return [];
+  const deployment = { ...stored, ...event.data };
+
+  let deployerScore = 50;
+  if (rules.some(r => r.minDeployerScore != null) && deployment.from) {
+    const profile = await getDeployerProfile(deployment.from);
+    if (profile && profile.reputationScore != null) deployerScore = profile.reputationScore;
+  }
+
+  const matches = [];
+  for (const rule of rules) {
+    if (!evaluateAlertRule(rule, deployment, deployerScore)) continue;
+
+    matchedKeys.add(`${rule.id}:${deployment.txHash}`);
+    if (matchedKeys.size > MATCHED_KEYS_LIMIT) {
+      matchedKeys.delete(matchedKeys.values().next().value);
+    }
+
+    const match = await addAlertMatch({
+      ruleId: rule.id,
+      wallet: rule.wallet,
+      ruleName: rule.name,
+      txHash: deployment.txHash,
+      tokenAddress: deployment.tokenAddress || null,
+      tokenName: deployment.tokenName || null,
+      tokenSymbol: deployment.tokenSymbol || null,
+      eventType: event.type,
+      snapshot: {
+        devBuyAmount: deployment.devBuyAmount || 0,
+        holderCount: deployment.holderCount || 0,
+        marketCap: deployment.marketCap || 0,
+        volume24h: deployment.volume24h || 0,
+        deployerScore
+      },
+      matchedAt: event.timestamp
+    });
+    if (match) matches.push(match);
+  }
+
+  return matches;
+}
+
+/**
+ * Evaluate every wallet's alert rules against monitor events
+ * Runs in the process that runs the monitor (events are in-process).
+ */
+export function startAlertRuleEngine() {
+  if (started) return;
+  started = true;
+
+  monitorEvents.on('event', (event) => {
+    evaluateEvent(event).catch(error => {
+      console.error(`Error evaluating alert rules for ${event.type}:`, error.message);
+    });
+  });
+  console.log('🎯 Alert rule engine started');
+}
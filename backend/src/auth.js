@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { consumeAuthNonce } from './supabase-storage.js';
+
+// Sign-In with Ethereum (EIP-4361) for wallet-scoped API routes
+// Nonces and session tokens are HMAC-signed with AUTH_SECRET instead of stored, so any
+// instance (including Vercel functions) can check them. Used nonces are recorded until they
+// expire, so a signed message only signs in once.
+
+const NONCE_TTL = 300; // Seconds a nonce (and the signed message) stays valid
+const SESSION_TTL = 7 * 86400;
+const STREAM_TICKET_TTL = 60; // Seconds to open a stream with a ticket
+const CHAIN_ID = 8453; // Base
+
+let authSecret = process.env.AUTH_SECRET || null;
+
+function getAuthSecret() {
+  if (!authSecret) {
+    // Sessions won't survive a restart (or work across Vercel instances) without a fixed secret
+    authSecret = crypto.randomBytes(32).toString('hex');
+    console.log('⚠️  AUTH_SECRET not set, using a random secret (wallet sessions reset on restart)');
+  }
+  return authSecret;
+}
+
+const hmac = (value) => crypto.createHmac('sha256', getAuthSecret()).update(value).digest('base64url');
+
+/**
+ * Constant-time string comparison (false for different lengths, in bytes - not characters)
+ */
+export function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * New sign-in nonce, returns { nonce, expiresAt }
+ * Alphanumeric only, as EIP-4361 requires: <random><expiry base36><signature>
+ */
+export function createNonce() {
+  const expiresAt = Math.floor(Date.now() / 1000) + NONCE_TTL;
+  const payload = `${crypto.randomBytes(8).toString('hex')}${expiresAt.toString(36)}`;
+  const signature = hmac(payload).replace(/[^a-zA-Z0-9]/g, '').slice(0, 16);
+  return { nonce: `${payload}${signature}`, expiresAt };
+}
+
+/**
+ * Expiry of a nonce we issued (null if it's forged or expired)
+ */
+function nonceExpiry(nonce) {
+  if (typeof nonce !== 'string' || !/^[a-zA-Z0-9]{24,}$/.test(nonce)) return null;
+
+  const payload = nonce.slice(0, -16);
+  const expected = hmac(payload).replace(/[^a-zA-Z0-9]/g, '').slice(0, 16);
+  if (!safeEqual(nonce.slice(-16), expected)) return null;
+
+  const expiresAt = parseInt(payload.slice(16), 36);
+  return expiresAt >= Math.floor(Date.now() / 1000) ? expiresAt : null;
+}
+
+/**
+ * Parse an EIP-4361 message into its fields (null if it isn't one)
+ */
+export function parseSiweMessage(message) {
+  if (typeof message !== 'string') return null;
+
+  const lines = message.split('\n');
+  const header = lines[0]?.match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+  if (!header || !ethers.isAddress(lines[1] || '')) return null;
+
+  const fields = {};
+  for (const line of lines.slice(2)) {
+    const match = line.match(/^(URI|Version|Chain ID|Nonce|Issued At|Expiration Time|Not Before|Request ID): (.+)$/);
+    if (match) fields[match[1]] = match[2];
+  }
+
+  // Optional statement sits between two blank lines after the address
+  const statement = lines[2] === '' && lines[3] && !lines[3].includes(': ') ? lines[3] : null;
+
+  return {
+    domain: header[1],
+    address: lines[1],
+    statement,
+    uri: fields['URI'] || null,
+    version: fields['Version'] || null,
+    chainId: fields['Chain ID'] ? Number(fields['Chain ID']) : null,
+    nonce: fields['Nonce'] || null,
+    issuedAt: fields['Issued At'] || null,
+    expirationTime: fields['Expiration Time'] || null
+  };
+}
+
+/**
+ * Check a signed sign-in message, returns { address } (lowercase) or { error }
+ * `domain` is the host the frontend is served from (the message must be for it).
+ * A valid message uses up its nonce. Only EOA signatures are supported (no EIP-1271
+ * smart contract wallets).
+ */
+export async function verifySiweSignature(message, signature, { domain }) {
+  const fields = parseSiweMessage(message);
+  if (!fields) return { error: 'Not a Sign-In with Ethereum message' };
+
+  if (fields.version !== '1') return { error: 'Unsupported message version' };
+  if (fields.chainId !== CHAIN_ID) return { error: `Sign in on Base (chain ${CHAIN_ID})` };
+  if (!domain || fields.domain !== domain) return { error: `Message is for ${fields.domain}, not ${domain}` };
+  const nonceExpiresAt = nonceExpiry(fields.nonce);
+  if (!nonceExpiresAt) return { error: 'Nonce is invalid or expired, request a new one' };
+
+  const now = Date.now();
+  const issuedAt = Date.parse(fields.issuedAt);
+  if (!Number.isFinite(issuedAt) || issuedAt > now + 60000 || now - issuedAt > NONCE_TTL * 1000) {
+    return { error: 'Message was not issued just now' };
+  }
+  if (fields.expirationTime && Date.parse(fields.expirationTime) < now) {
+    return { error: 'Message has expired' };
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, signature);
+  } catch {
+    return { error: 'Invalid signature' };
+  }
+  if (signer.toLowerCase() !== fields.address.toLowerCase()) {
+    return { error: 'Signature does not match the address' };
+  }
+  if (!(await consumeAuthNonce(fields.nonce, nonceExpiresAt))) {
+    return { error: 'Nonce was already used, request a new one' };
+  }
+
+  return { address: signer.toLowerCase() };
+}
+
+/**
+ * HMAC-signed claims for `address` that expire after `ttl` seconds, returns { token, expiresAt }
+ */
+function signClaims(address, ttl, claims = {}) {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+  const payload = Buffer.from(JSON.stringify({ address: address.toLowerCase(), exp: expiresAt, ...claims })).toString('base64url');
+  return { token: `${payload}.${hmac(payload)}`, expiresAt };
+}
+
+/**
+ * Claims of a signed token (null if invalid or expired)
+ */
+function readClaims(token) {
+  if (typeof token !== 'string' || !token.includes('.')) return null;
+
+  const [payload, signature] = token.split('.');
+  if (!signature || !safeEqual(signature, hmac(payload))) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Session token for a signed-in wallet, returns { token, expiresAt }
+ */
+export function issueSessionToken(address) {
+  return signClaims(address, SESSION_TTL);
+}
+
+/**
+ * Wallet address a session token belongs to (null if invalid, expired or a stream ticket)
+ */
+export function verifySessionToken(token) {
+  const claims = readClaims(token);
+  return claims && !claims.purpose ? claims.address : null;
+}
+
+/**
+ * Short-lived ticket that only opens the live streams, returns { ticket, expiresAt }
+ * EventSource can't send headers, so this goes in the URL (and ends up in access logs)
+ * instead of the session token.
+ */
+export function issueStreamTicket(address) {
+  const { token, expiresAt } = signClaims(address, STREAM_TICKET_TTL, { purpose: 'stream' });
+  return { ticket: token, expiresAt };
+}
+
+/**
+ * Wallet address a stream ticket belongs to (null if invalid, expired or not a stream ticket)
+ */
+export function verifyStreamTicket(ticket) {
+  const claims = readClaims(ticket);
+  return claims?.purpose === 'stream' ? claims.address : null;
+}
@@ -0,0 +1,98 @@
+/**
+ * Reorg-aware block cursor
+ * Keeps the hashes of recently processed blocks (the cursor tip of every cycle). Because a block
+ * hash commits to all of its ancestors, checking that the latest recorded tip is still canonical
+ * verifies everything scanned before it.
+ */
+export function createBlockCursor({ maxEntries = 128, entries = [] } = {}) {
+  // number -> { number, hash, parentHash }
+  const blocks = new Map();
+  for (const entry of entries || []) {
+    if (entry && entry.number != null && entry.hash) {
+      blocks.set(Number(entry.number), {
+        number: Number(entry.number),
+        hash: entry.hash,
+        parentHash: entry.parentHash || null
+      });
+    }
+  }
+
+  const sortedNumbers = () => [...blocks.keys()].sort((a, b) => a - b);
+
+  const prune = () => {
+    const numbers = sortedNumbers();
+    while (numbers.length > maxEntries) {
+      blocks.delete(numbers.shift());
+    }
+  };
+
+  return {
+    /**
+     * Record a processed block
+     * Returns { reorg: true, atBlock } if it contradicts what we stored before
+     * (different hash at the same height, or a parent hash that no longer matches)
+     */
+    record(block) {
+      if (!block || block.number == null || !block.hash) {
+        return { reorg: false };
+      }
+
+      const number = Number(block.number);
+      const stored = blocks.get(number);
+      if (stored && stored.hash !== block.hash) {
+        return { reorg: true, atBlock: number };
+      }
+
+      const parent = blocks.get(number - 1);
+      if (parent && block.parentHash && parent.hash !== block.parentHash) {
+        return { reorg: true, atBlock: number - 1 };
+      }
+
+      blocks.set(number, { number, hash: block.hash, parentHash: block.parentHash || null });
+      prune();
+      return { reorg: false };
+    },
+
+    /**
+     * Find the highest recorded block that is still canonical
+     * getCanonicalHash(number) must return the current hash at that height (or null)
+     * Returns { forkBlock, verified } - forkBlock is the last block we can trust; verified is
+     * false when none of the recorded blocks are canonical anymore (reorg deeper than the window)
+     */
+    async findForkPoint(getCanonicalHash) {
+      const numbers = sortedNumbers().reverse();
+      for (const number of numbers) {
+        const canonicalHash = await getCanonicalHash(number);
+        if (canonicalHash && canonicalHash === blocks.get(number).hash) {
+          return { forkBlock: number, verified: true };
+        }
+      }
+      const lowest = numbers.length > 0 ? numbers[numbers.length - 1] : null;
+      return { forkBlock: lowest !== null ? lowest - 1 : null, verified: false };
+    },
+
+    /**
+     * Forget every block above forkBlock
+     */
+    rollback(forkBlock) {
+      for (const number of sortedNumbers()) {
+        if (number > forkBlock) {
+          blocks.delete(number);
+        }
+      }
+    },
+
+    latest() {
+      const numbers = sortedNumbers();
+      return numbers.length > 0 ? blocks.get(numbers[numbers.length - 1]) : null;
+    },
+
+    get(number) {
+      return blocks.get(Number(number)) || null;
+    },
+
+    toJSON() {
+      return sortedNumbers().map(number => blocks.get(number));
+    }
+  };
+}
@@ -0,0 +1,105 @@
+import { getTokenSwaps, saveCandles, getCandles, getHolderSnapshots } from './supabase-storage.js';
+
+export const CANDLE_INTERVALS = {
+  '1m': 60,
+  '5m': 300,
+  '1h': 3600
+};
+
+const DEFAULT_CANDLE_LIMIT = 500;
+const MAX_CANDLE_LIMIT = 1000;
+
+/**
+ * Bucket swaps (in chain order) into OHLCV candles
+ * Prices are the pool price after each swap, volume is in ETH.
+ */
+export function buildCandles(swaps, intervalSeconds) {
+  const candles = [];
+  let current = null;
+
+  for (const swap of swaps) {
+    const time = Math.floor(swap.timestamp / intervalSeconds) * intervalSeconds;
+
+    if (!current || current.time !== time) {
+      current = {
+        time,
+        open: swap.price,
+        high: swap.price,
+        low: swap.price,
+        close: swap.price,
+        volume: 0,
+        buyVolume: 0,
+        sellVolume: 0,
+        trades: 0
+      };
+      candles.push(current);
+    }
+
+    current.high = Math.max(current.high, swap.price);
+    current.low = Math.min(current.low, swap.price);
+    current.close = swap.price;
+    current.volume += swap.pairedAmount;
+    if (swap.side === 'buy') {
+      current.buyVolume += swap.pairedAmount;
+    } else {
+      current.sellVolume += swap.pairedAmount;
+    }
+    current.trades++;
+  }
+
+  return candles;
+}
+
+/**
+ * Rebuild every candle touched by a batch of new swaps
+ * Buckets are recomputed from all stored swaps in them, so re-running a batch is harmless.
+ * Called before the swaps are stored, so they are merged in here.
+ */
+export async function updateCandles(tokenAddress, newSwaps) {
+  if (newSwaps.length === 0) return;
+
+  const earliest = Math.min(...newSwaps.map(s => s.timestamp));
+  const longest = Math.max(...Object.values(CANDLE_INTERVALS));
+  const stored = await getTokenSwaps(tokenAddress, Math.floor(earliest / longest) * longest);
+
+  const byKey = new Map();
+  for (const swap of [...stored, ...newSwaps]) {
+    byKey.set(`${swap.txHash}:${swap.logIndex}`, swap);
+  }
+  const swaps = [...byKey.values()].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  for (const [interval, seconds] of Object.entries(CANDLE_INTERVALS)) {
+    const firstBucket = Math.floor(earliest / seconds) * seconds;
+    const candles = buildCandles(swaps, seconds).filter(c => c.time >= firstBucket);
+    await saveCandles(tokenAddress, interval, candles);
+  }
+}
+
+/**
+ * Candles for a token with the holder count at the close of each candle
+ * Returns the most recent `limit` candles between from and to, oldest first.
+ */
+export async function getCandleSeries(tokenAddress, interval, { from, to, limit } = {}) {
+  const seconds = CANDLE_INTERVALS[interval];
+  if (!seconds) {
+    throw new Error(`Unknown candle interval ${interval}`);
+  }
+
+  const cappedLimit = Math.min(Math.max(parseInt(limit) || DEFAULT_CANDLE_LIMIT, 1), MAX_CANDLE_LIMIT);
+  const candles = await getCandles(tokenAddress, interval, { from, to, limit: cappedLimit });
+  if (candles.length === 0) return candles;
+
+  // Holder counts are snapshots taken whenever the count changes - carry the last one forward
+  const snapshots = await getHolderSnapshots(tokenAddress, { to: candles[candles.length - 1].time + seconds });
+  let next = 0;
+  let holderCount = null;
+
+  return candles.map(candle => {
+    const close = candle.time + seconds;
+    while (next < snapshots.length && snapshots[next].timestamp < close) {
+      holderCount = snapshots[next].holderCount;
+      next++;
+    }
+    return { ...candle, holderCount };
+  });
+}
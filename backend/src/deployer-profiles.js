@@ -0,0 +1,215 @@
+import {
+  getDeploymentsByDeployer,
+  getDeployerProfile,
+  getDeployerProfiles,
+  saveDeployerProfile
+} from './supabase-storage.js';
+import { meteredFetch } from './metering.js';
+
+// A dev sell this soon after launch counts as a quick sell (rug signal)
+export const QUICK_SELL_MINUTES = parseInt(process.env.DEV_QUICK_SELL_MINUTES) || 30;
+
+// Re-aggregate a profile at most this often unless the deployer launched again
+const PROFILE_REFRESH_SECONDS = 3600;
+
+/**
+ * Highest holder count a token reached (current count or any point in its history)
+ */
+function peakHolders(deployment) {
+  const history = (deployment.holderCountHistory || []).map(h => h.count || 0);
+  return Math.max(deployment.holderCount || 0, ...history);
+}
+
+/**
+ * Highest market cap a token reached (current value or any point in its history)
+ */
+function peakMarketCap(deployment) {
+  const history = (deployment.marketCapHistory || []).map(m => m.marketCap || 0);
+  return Math.max(deployment.marketCap || 0, ...history);
+}
+
+/**
+ * Aggregate a deployer's launches into profile stats
+ */
+export function summarizeDeployer(address, deployments, { quickSellMinutes = QUICK_SELL_MINUTES } = {}) {
+  const launches = deployments.filter(d => d.status !== 'orphaned');
+  const total = launches.length;
+
+  let holderSum = 0;
+  let marketCapSum = 0;
+  let bestPeakMarketCap = 0;
+  let devSoldCount = 0;
+  let quickSellCount = 0;
+
+  for (const d of launches) {
+    const holders = peakHolders(d);
+    const marketCap = peakMarketCap(d);
+    holderSum += holders;
+    marketCapSum += marketCap;
+    bestPeakMarketCap = Math.max(bestPeakMarketCap, marketCap);
+
+    // Transfers out of the dev wallet count as selling too (moving bag to a fresh wallet)
+    const sold = d.devSold || (d.devTransferredOut || 0) > 0;
+    if (sold) {
+      devSoldCount++;
+      if (d.devSoldAt && d.timestamp && d.devSoldAt - d.timestamp <= quickSellMinutes * 60) {
+        quickSellCount++;
+      }
+    }
+  }
+
+  const timestamps = launches.map(d => d.timestamp).filter(Boolean);
+  const withEns = launches.find(d => d.ensName);
+
+  return {
+    address: address.toLowerCase(),
+    ensName: withEns ? withEns.ensName : null,
+    totalLaunches: total,
+    avgPeakHolders: total > 0 ? holderSum / total : 0,
+    avgPeakMarketCap: total > 0 ? marketCapSum / total : 0,
+    bestPeakMarketCap,
+    devSoldCount,
+    quickSellCount,
+    quickSellRate: total > 0 ? quickSellCount / total : 0,
+    firstLaunchAt: timestamps.length > 0 ? Math.min(...timestamps) : null,
+    lastLaunchAt: timestamps.length > 0 ? Math.max(...timestamps) : null
+  };
+}
+
+/**
+ * Reputation score from 0 (serial rugger) to 100, 50 is neutral
+ * - up to +20 for average peak holders (100 holders = full)
+ * - up to +20 for average peak market cap ($1K = 0, $10K = +10, $100K = +20)
+ * - up to -40 for the share of launches dumped within QUICK_SELL_MINUTES
+ * - up to -15 for the share of launches sold later
+ * - up to -25 for 3+ launches that never got past 10 holders on average
+ */
+export function calculateReputationScore(stats) {
+  if (!stats.totalLaunches) return 50;
+
+  let score = 50;
+  score += Math.min(20, stats.avgPeakHolders / 5);
+  if (stats.avgPeakMarketCap > 1000) {
+    score += Math.min(20, Math.log10(stats.avgPeakMarketCap / 1000) * 10);
+  }
+  score -= stats.quickSellRate * 40;
+  score -= ((stats.devSoldCount - stats.quickSellCount) / stats.totalLaunches) * 15;
+  if (stats.totalLaunches >= 3 && stats.avgPeakHolders < 10) {
+    score -= Math.min(25, (stats.totalLaunches - 2) * 5);
+  }
+
+  return Math.round(Math.max(0, Math.min(100, score)));
+}
+
+/**
+ * Find who first funded a wallet with ETH (earliest incoming transfer, normal or internal)
+ * Returns { fundingSource, fundingTxHash, fundedAt } or null
+ */
+export async function fetchFundingSource(address, { apiUrl, apiKey }) {
+  if (!apiKey) return null;
+
+  const wallet = address.toLowerCase();
+  const candidates = [];
+
+  for (const action of ['txlist', 'txlistinternal']) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 5000);
+    try {
+      const response = await meteredFetch('basescan', action,
+        `${apiUrl}?module=account&action=${action}&address=${address}&startblock=0&endblock=99999999&page=1&offset=10&sort=asc&apikey=${apiKey}`,
+        { signal: controller.signal }
+      );
+      const data = await response.json();
+      if (data.status === '1' && Array.isArray(data.result)) {
+        const funding = data.result.find(tx => tx.to?.toLowerCase() === wallet && BigInt(tx.value || 0) > 0n);
+        if (funding) candidates.push(funding);
+      }
+    } catch (error) {
+      console.error(`  ⚠️  Error fetching ${action} for ${address.slice(0, 10)}...:`, error.message);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  if (candidates.length === 0) return null;
+
+  const first = candidates.sort((a, b) => parseInt(a.timeStamp) - parseInt(b.timeStamp))[0];
+  return {
+    fundingSource: first.from.toLowerCase(),
+    fundingTxHash: first.hash,
+    fundedAt: parseInt(first.timeStamp)
+  };
+}
+
+/**
+ * Re-aggregate and store one deployer's profile
+ * The funding source never changes, so it is only looked up once per wallet.
+ */
+export async function refreshDeployerProfile(address, { apiUrl, apiKey } = {}) {
+  const deployments = await getDeploymentsByDeployer(address);
+  if (deployments.length === 0) return null;
+
+  const existing = await getDeployerProfile(address);
+  const stats = summarizeDeployer(address, deployments);
+
+  let funding = existing && existing.fundingSource
+    ? { fundingSource: existing.fundingSource, fundingTxHash: existing.fundingTxHash, fundedAt: existing.fundedAt }
+    : null;
+  if (!funding) {
+    funding = await fetchFundingSource(address, { apiUrl, apiKey });
+  }
+
+  const profile = {
+    ...stats,
+    fundingSource: funding ? funding.fundingSource : null,
+    fundingTxHash: funding ? funding.fundingTxHash : null,
+    fundedAt: funding ? funding.fundedAt : null,
+    reputationScore: calculateReputationScore(stats),
+    updatedAt: Math.floor(Date.now() / 1000)
+  };
+
+  await saveDeployerProfile(profile);
+  return profile;
+}
+
+/**
+ * Refresh profiles that are missing or stale for the deployers in `deployments`
+ * New launches first, then deployers whose tokens are still moving (launched in the last day).
+ */
+export async function refreshStaleDeployerProfiles(deployments, { limit = 5, apiUrl, apiKey } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const latestLaunch = new Map();
+  for (const d of deployments) {
+    if (!d.from || d.status === 'orphaned') continue;
+    const addr = d.from.toLowerCase();
+    latestLaunch.set(addr, Math.max(latestLaunch.get(addr) || 0, d.timestamp || 0));
+  }
+  if (latestLaunch.size === 0) return 0;
+
+  const oldest = Math.min(...latestLaunch.values());
+  const profiles = new Map((await getDeployerProfiles({ since: oldest })).map(p => [p.address, p]));
+
+  const stale = [...latestLaunch.entries()]
+    .filter(([addr, launchedAt]) => {
+      const profile = profiles.get(addr);
+      if (!profile || (profile.lastLaunchAt || 0) < launchedAt) return true;
+      return now - launchedAt < 86400 && now - (profile.updatedAt || 0) > PROFILE_REFRESH_SECONDS;
+    })
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit);
+
+  let refreshed = 0;
+  for (const [addr] of stale) {
+    try {
+      const profile = await refreshDeployerProfile(addr, { apiUrl, apiKey });
+      if (profile) {
+        refreshed++;
+        console.log(`  👤 Deployer ${profile.ensName || addr.slice(0, 10) + '...'}: ${profile.totalLaunches} launches, score ${profile.reputationScore}`);
+      }
+    } catch (error) {
+      console.error(`  ⚠️  Error refreshing deployer profile for ${addr.slice(0, 10)}...:`, error.message);
+    }
+  }
+
+  return refreshed;
+}
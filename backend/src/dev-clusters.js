@@ -0,0 +1,94 @@
+import { getDevClusterEdges, saveDevClusterEdges } from './supabase-storage.js';
+import { meteredFetch } from './metering.js';
+
+// Dev wallet clusters: the deployer plus wallets linked to it, either because the dev sent
+// them the token (moving the bag to a fresh wallet) or because the deployer funded them
+// with ETH. The cluster is per deployer, so links found on one launch carry over to the next.
+
+// Wallets followed per cluster (each one widens the dev event getLogs filters)
+export const MAX_CLUSTER_SIZE = parseInt(process.env.DEV_CLUSTER_MAX_SIZE) || 25;
+
+// Most recent outgoing deployer transactions looked at for ETH funding edges
+const FUNDING_TX_LOOKBACK = 100;
+// ETH funded wallets added per lookup
+const MAX_FUNDED_WALLETS = 10;
+
+/**
+ * A deployer's cluster: { deployer, members (Set, deployer included), edges }
+ */
+export async function loadDevCluster(deployerAddress) {
+  const deployer = deployerAddress.toLowerCase();
+  const edges = await getDevClusterEdges(deployer);
+  return { deployer, members: new Set([deployer, ...edges.map(e => e.to)]), edges };
+}
+
+/**
+ * Cluster graph for the API: one node per wallet with how and when it joined
+ * Returns { deployer, nodes: [{ address, via, firstBlock }], edges }
+ */
+export function clusterGraph(deployerAddress, edges) {
+  const deployer = deployerAddress.toLowerCase();
+  const nodes = new Map([[deployer, { address: deployer, via: 'deployer', firstBlock: null }]]);
+  for (const edge of edges) {
+    if (!nodes.has(edge.to)) {
+      nodes.set(edge.to, { address: edge.to, via: edge.kind, firstBlock: edge.blockNumber });
+    }
+  }
+  return { deployer, nodes: [...nodes.values()], edges };
+}
+
+/**
+ * Wallets (not contracts) the deployer sent ETH to, from the explorer API
+ * isContract(address) is the monitor's pooled getCode check. Without an API key nothing is found.
+ * Returns eth_funding edges
+ */
+export async function findFundedWallets(deployerAddress, { apiUrl, apiKey, isContract }) {
+  if (!apiKey) return [];
+
+  const deployer = deployerAddress.toLowerCase();
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 5000);
+  let txs = [];
+  try {
+    const response = await meteredFetch('basescan', 'txlist',
+      `${apiUrl}?module=account&action=txlist&address=${deployer}&startblock=0&endblock=99999999&page=1&offset=${FUNDING_TX_LOOKBACK}&sort=desc&apikey=${apiKey}`,
+      { signal: controller.signal }
+    );
+    const data = await response.json();
+    if (data.status === '1' && Array.isArray(data.result)) txs = data.result;
+  } catch (error) {
+    console.error(`  ⚠️  Error fetching txlist for ${deployer.slice(0, 10)}...:`, error.message);
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  const edges = [];
+  const seen = new Set([deployer]);
+  for (const tx of txs) {
+    const to = tx.to?.toLowerCase();
+    if (!to || seen.has(to) || tx.from?.toLowerCase() !== deployer) continue;
+    if (BigInt(tx.value || 0) === 0n || tx.isError === '1') continue;
+    seen.add(to);
+
+    if (await isContract(to)) continue;
+    edges.push({ deployer, from: deployer, to, kind: 'eth_funding', tokenAddress: null, txHash: tx.hash, blockNumber: parseInt(tx.blockNumber) });
+    if (edges.length >= MAX_FUNDED_WALLETS) break;
+  }
+  return edges;
+}
+
+/**
+ * Look up and store the deployer's ETH funding edges
+ * Returns the number of wallets added to the cluster
+ */
+export async function refreshFundingEdges(deployerAddress, options) {
+  const cluster = await loadDevCluster(deployerAddress);
+  const room = MAX_CLUSTER_SIZE - cluster.members.size;
+  if (room <= 0) return 0;
+
+  const edges = (await findFundedWallets(deployerAddress, options))
+    .filter(edge => !cluster.members.has(edge.to))
+    .slice(0, room);
+  await saveDevClusterEdges(edges);
+  return edges.length;
+}
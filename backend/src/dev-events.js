@@ -0,0 +1,224 @@
+import { ethers } from 'ethers';
+import { getDevEventCursor, saveDevEvents, saveDevClusterEdges } from './supabase-storage.js';
+import { POOL_MANAGER_ADDRESS, SWAP_TOPIC, decodeSwapLog } from './swap-volume.js';
+import { TRANSFER_TOPIC } from './holder-ledger.js';
+import { loadDevCluster, MAX_CLUSTER_SIZE } from './dev-clusters.js';
+
+// Every token movement of a deployer's wallets, scanned from the deployment block forward
+// like the holder ledger. Each one is classified by what else happened in its transaction.
+
+export const DEV_EVENT_TYPES = ['buy', 'sell', 'transfer_in', 'transfer_out', 'cluster_transfer', 'lp_add', 'lp_remove'];
+
+const MODIFY_LIQUIDITY_EVENT = 'event ModifyLiquidity(bytes32 indexed id, address indexed sender, ' +
+  'int24 tickLower, int24 tickUpper, int256 liquidityDelta, bytes32 salt)';
+const MODIFY_LIQUIDITY_TOPIC = new ethers.Interface([MODIFY_LIQUIDITY_EVENT]).getEvent('ModifyLiquidity').topicHash;
+
+// Base produces a block every 2 seconds, so a block's age follows from its number
+const BASE_BLOCK_TIME = 2;
+
+/**
+ * Classify a dev token movement from its transaction receipt
+ * A swap on the token's pool makes it a buy / sell, a liquidity change an LP action,
+ * anything else a plain transfer.
+ * Returns { type, pairedAmount }
+ */
+export function classifyDevTransfer(outgoing, receipt, deployment) {
+  const poolManager = POOL_MANAGER_ADDRESS.toLowerCase();
+  const poolLogs = (receipt?.logs || []).filter(log =>
+    log.address.toLowerCase() === poolManager && log.topics[1] === deployment.poolId);
+
+  const swapLog = poolLogs.find(log => log.topics[0] === SWAP_TOPIC);
+  if (swapLog && deployment.pairedToken) {
+    const swap = decodeSwapLog(swapLog, deployment.tokenAddress, deployment.pairedToken);
+    if (swap) return { type: outgoing ? 'sell' : 'buy', pairedAmount: swap.pairedAmount };
+  }
+  if (poolLogs.some(log => log.topics[0] === MODIFY_LIQUIDITY_TOPIC)) {
+    return { type: outgoing ? 'lp_add' : 'lp_remove', pairedAmount: null };
+  }
+  return { type: outgoing ? 'transfer_out' : 'transfer_in', pairedAmount: null };
+}
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const DEAD_ADDRESS = '0x000000000000000000000000000000000000dead';
+
+/**
+ * Addresses a dev transfer never links into the cluster (burns, pool, token plumbing)
+ */
+function unlinkableAddresses(deployment) {
+  return new Set([
+    ZERO_ADDRESS,
+    DEAD_ADDRESS,
+    POOL_MANAGER_ADDRESS.toLowerCase(),
+    deployment.tokenAddress.toLowerCase(),
+    (deployment.locker || '').toLowerCase(),
+    ...(deployment.extensions || []).map(a => a.toLowerCase())
+  ]);
+}
+
+const logKey = (log) => `${log.transactionHash}:${log.index ?? log.logIndex}`;
+const topicAddress = (topic) => ('0x' + topic.slice(-40)).toLowerCase();
+
+/**
+ * Bring a token's dev events forward from its cursor towards toBlock
+ * Covers every wallet of the deployer's cluster (see dev-clusters.js). A plain transfer
+ * from a cluster wallet to a new one links the recipient, which is then followed from that
+ * block on - in the same call, so a bag moved and sold within one window is still caught.
+ * Scans at most maxBlocks per call so old tokens catch up over several cycles. The cursor
+ * also keeps the cluster's running balance, which gives each event's share of the dev's holdings.
+ *
+ * getLogs(filter, fromBlock, toBlock) is the monitor's pooled getLogs,
+ * getReceipt(txHash) its pooled getTransactionReceipt. linkFunding(deployer), if given,
+ * runs before a token's first scan to add the deployer's ETH funded wallets.
+ * Returns { lastBlock, caughtUp, events, clusterSize }
+ */
+export async function syncDevEvents(deployment, toBlock, { getLogs, getReceipt, maxBlocks = 5000, linkFunding }) {
+  const { tokenAddress } = deployment;
+  const dev = deployment.from.toLowerCase();
+  const cursor = await getDevEventCursor(tokenAddress);
+  const startBlock = cursor ? cursor.lastBlock + 1 : deployment.blockNumber;
+
+  if (!cursor && linkFunding) {
+    try {
+      await linkFunding(dev);
+    } catch (error) {
+      console.error(`  ⚠️  Could not look up wallets funded by ${dev.slice(0, 10)}...:`, error.message);
+    }
+  }
+  const cluster = await loadDevCluster(dev);
+  const members = cluster.members;
+
+  if (startBlock > toBlock) {
+    return { lastBlock: startBlock - 1, caughtUp: cursor !== null, events: [], clusterSize: members.size };
+  }
+
+  const endBlock = Math.min(toBlock, startBlock + maxBlocks - 1);
+  const unlinkable = unlinkableAddresses(deployment);
+  const receipts = new Map();
+  const receiptFor = async (txHash) => {
+    if (!receipts.has(txHash)) receipts.set(txHash, await getReceipt(txHash));
+    return receipts.get(txHash);
+  };
+
+  // Self transfers match both filters and don't move anything
+  const logs = new Map();
+  const newEdges = [];
+  const scan = async (wallets, fromBlock) => {
+    const topics = wallets.map(wallet => ethers.zeroPadValue(wallet, 32));
+    const [outLogs, inLogs] = await Promise.all([
+      getLogs({ address: tokenAddress, topics: [TRANSFER_TOPIC, topics] }, fromBlock, endBlock),
+      getLogs({ address: tokenAddress, topics: [TRANSFER_TOPIC, null, topics] }, fromBlock, endBlock)
+    ]);
+
+    const linked = [];
+    for (const log of [...outLogs, ...inLogs]) {
+      if (!log.topics || log.topics.length !== 3 || log.topics[1] === log.topics[2]) continue;
+      logs.set(logKey(log), log);
+    }
+    for (const log of outLogs) {
+      const from = topicAddress(log.topics[1]);
+      const to = topicAddress(log.topics[2]);
+      if (members.has(to) || unlinkable.has(to) || members.size >= MAX_CLUSTER_SIZE) continue;
+      if (!log.data || log.data === '0x' || BigInt(log.data) === 0n) continue;
+
+      const { type } = classifyDevTransfer(true, await receiptFor(log.transactionHash), deployment);
+      if (type !== 'transfer_out') continue;
+
+      members.add(to);
+      newEdges.push({ deployer: dev, from, to, kind: 'token_transfer', tokenAddress: tokenAddress.toLowerCase(), txHash: log.transactionHash, blockNumber: log.blockNumber });
+      linked.push({ wallet: to, fromBlock: log.blockNumber });
+    }
+    return linked;
+  };
+
+  let linked = await scan([...members], startBlock);
+  while (linked.length > 0) {
+    const next = [];
+    for (const { wallet, fromBlock } of linked) {
+      next.push(...await scan([wallet], fromBlock));
+    }
+    linked = next;
+  }
+
+  const ordered = [...logs.values()].sort((a, b) =>
+    a.blockNumber - b.blockNumber || (a.index ?? a.logIndex) - (b.index ?? b.logIndex));
+
+  let balance = cursor ? BigInt(cursor.devBalance) : 0n;
+  const events = [];
+
+  for (const log of ordered) {
+    const value = log.data && log.data !== '0x' ? BigInt(log.data) : 0n;
+    if (value === 0n) continue;
+
+    const from = topicAddress(log.topics[1]);
+    const to = topicAddress(log.topics[2]);
+    const outgoing = members.has(from);
+    const internal = outgoing && members.has(to);
+
+    let type = 'cluster_transfer';
+    let pairedAmount = null;
+    if (!internal) {
+      ({ type, pairedAmount } = classifyDevTransfer(outgoing, await receiptFor(log.transactionHash), deployment));
+    }
+
+    // Outgoing: share of what the cluster held before, incoming: share of what it holds after.
+    // Moves between cluster wallets don't change it.
+    const before = balance;
+    if (!internal) balance = outgoing ? balance - value : balance + value;
+    const base = outgoing ? before : balance;
+    const holdingsPct = base > 0n ? Math.min(100, Number((value * 10000n) / base) / 100) : null;
+
+    events.push({
+      txHash: log.transactionHash,
+      logIndex: log.index ?? log.logIndex,
+      blockNumber: log.blockNumber,
+      timestamp: deployment.timestamp + (log.blockNumber - deployment.blockNumber) * BASE_BLOCK_TIME,
+      deployer: dev,
+      wallet: outgoing ? from : to,
+      type,
+      amount: parseFloat(ethers.formatEther(value)),
+      pairedAmount,
+      holdingsPct,
+      counterparty: outgoing ? to : from
+    });
+  }
+
+  if (balance < 0n) {
+    // Transfers were missed, or a wallet held tokens before it was linked - restart the
+    // count rather than go negative
+    console.error(`    ⚠️  Negative dev balance for ${tokenAddress.slice(0, 10)}..., resetting it to 0`);
+    balance = 0n;
+  }
+
+  await saveDevClusterEdges(newEdges);
+  await saveDevEvents(tokenAddress, events, endBlock, balance.toString());
+  return { lastBlock: endBlock, caughtUp: endBlock >= toBlock, events, clusterSize: members.size };
+}
+
+/**
+ * Deployment dev fields derived from the full event log
+ * devSold means a wallet of the dev's cluster sold into the pool; devClusterSoldPct is what
+ * the cluster sold against what it acquired. Transfers are the deployer wallet's own, moves
+ * to linked wallets included.
+ */
+export function summarizeDevEvents(events, deployerAddress) {
+  const dev = deployerAddress.toLowerCase();
+  const ownWallet = (e) => (e.wallet || e.deployer) === dev;
+
+  const sells = events.filter(e => e.type === 'sell');
+  const acquired = events.filter(e => e.type === 'buy' || e.type === 'transfer_in' || e.type === 'lp_remove');
+  const outgoing = events.filter(e => ownWallet(e) && (e.type === 'transfer_out' || e.type === 'cluster_transfer'));
+  const incoming = events.filter(e => (ownWallet(e) && e.type === 'transfer_in') ||
+    (e.type === 'cluster_transfer' && e.counterparty === dev));
+  const total = (list) => list.reduce((sum, e) => sum + e.amount, 0);
+
+  return {
+    devSold: sells.length > 0,
+    devSoldAmount: total(sells),
+    devSoldAt: sells.length > 0 ? Math.min(...sells.map(e => e.timestamp)) : null,
+    devClusterSoldPct: total(acquired) > 0 ? Math.min(100, Math.round((total(sells) / total(acquired)) * 1000) / 10) : null,
+    devTransferCount: outgoing.length + incoming.length,
+    devTransferredOut: total(outgoing),
+    devTransferredIn: total(incoming),
+    devNetTransfer: total(incoming) - total(outgoing)
+  };
+}
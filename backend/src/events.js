@@ -0,0 +1,95 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process bus for deployment changes
+ * supabase-storage.js publishes every stored insert/update; the SSE routes in server.js fan
+ * them out to connected dashboards. Only the process running the monitor sees events.
+ */
+export const deploymentEvents = new EventEmitter();
+
+// One listener per connected client
+deploymentEvents.setMaxListeners(0);
+
+/**
+ * A deployment was stored for the first time
+ */
+export function publishDeploymentInsert(deployment) {
+  deploymentEvents.emit('insert', { deployment });
+}
+
+/**
+ * Fields of a stored deployment changed (only the changed fields are sent)
+ */
+export function publishDeploymentUpdate(txHash, changes) {
+  deploymentEvents.emit('update', { txHash, changes });
+}
+
+// Typed monitor events (GET /api/stream)
+export const MONITOR_EVENT_TYPES = [
+  'deployment.created',
+  'holders.updated',
+  'volume.updated',
+  'dev.sold',
+  'dev.transferred',
+  'token.pruned'
+];
+
+const BACKLOG_SIZE = 500; // Events kept for Last-Event-ID resume
+
+export const monitorEvents = new EventEmitter();
+monitorEvents.setMaxListeners(0);
+
+const backlog = [];
+let lastEventId = 0;
+
+/**
+ * Publish a typed monitor event about one deployment
+ * Ids are millisecond timestamps (bumped when two events share a millisecond), so they keep
+ * increasing across restarts and a client resuming with an old id never skips new events.
+ */
+export function publishMonitorEvent(type, deployment, data = {}) {
+  lastEventId = Math.max(lastEventId + 1, Date.now());
+
+  const event = {
+    id: String(lastEventId),
+    type,
+    timestamp: Math.floor(Date.now() / 1000),
+    token: {
+      txHash: deployment.txHash,
+      tokenAddress: deployment.tokenAddress || null,
+      tokenName: deployment.tokenName || null,
+      tokenSymbol: deployment.tokenSymbol || null,
+      deployer: deployment.from || null,
+      devBuyAmount: deployment.devBuyAmount || 0,
+      deployedAt: deployment.timestamp || null
+    },
+    data
+  };
+
+  backlog.push(event);
+  if (backlog.length > BACKLOG_SIZE) {
+    backlog.shift();
+  }
+
+  monitorEvents.emit('event', event);
+  return event;
+}
+
+/**
+ * Buffered events newer than `lastId` (all buffered events if lastId is missing)
+ */
+export function getEventsSince(lastId) {
+  const after = Number(lastId) || 0;
+  return backlog.filter(event => Number(event.id) > after);
+}
+
+/**
+ * Whether an event passes a subscriber's filter ({ types, minDevBuy, token, deployer })
+ */
+export function matchesEventFilter(event, { types, minDevBuy, token, deployer } = {}) {
+  if (types && !types.includes(event.type)) return false;
+  if (minDevBuy !== undefined && event.token.devBuyAmount < minDevBuy) return false;
+  if (token && event.token.tokenAddress?.toLowerCase() !== token) return false;
+  if (deployer && event.token.deployer?.toLowerCase() !== deployer) return false;
+  return true;
+}
@@ -0,0 +1,90 @@
+import { getTokenLedger, saveTokenLedger, resetTokenLedger } from './supabase-storage.js';
+
+export const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Apply ERC20 Transfer logs to a balance map (address -> bigint)
+ * Mints (from zero) and burns (to zero) only move the other side
+ * Returns the set of addresses whose balance changed
+ */
+export function applyTransferLogs(balances, logs) {
+  const changed = new Set();
+
+  for (const log of logs) {
+    // ERC20 Transfer has exactly 3 topics (ERC721 Transfer indexes the token id as a 4th)
+    if (!log.topics || log.topics.length !== 3 || log.topics[0] !== TRANSFER_TOPIC) continue;
+
+    const from = ('0x' + log.topics[1].slice(-40)).toLowerCase();
+    const to = ('0x' + log.topics[2].slice(-40)).toLowerCase();
+    const value = log.data && log.data !== '0x' ? BigInt(log.data) : 0n;
+    if (value === 0n || from === to) continue;
+
+    if (from !== ZERO_ADDRESS) {
+      balances.set(from, (balances.get(from) || 0n) - value);
+      changed.add(from);
+    }
+    if (to !== ZERO_ADDRESS) {
+      balances.set(to, (balances.get(to) || 0n) + value);
+      changed.add(to);
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Number of addresses with a non-zero balance
+ */
+export function countHolders(balances) {
+  let holders = 0;
+  for (const balance of balances.values()) {
+    if (balance > 0n) holders++;
+  }
+  return holders;
+}
+
+/**
+ * Bring a token's ledger forward from its stored cursor towards toBlock
+ * Scans at most maxBlocks per call so old tokens catch up over several cycles.
+ *
+ * getLogs(filter, fromBlock, toBlock) is the monitor's pooled getLogs.
+ * Returns { holderCount, lastBlock, caughtUp, changed }
+ */
+export async function syncHolderLedger(tokenAddress, deployBlock, toBlock, { getLogs, maxBlocks = 500 }) {
+  let ledger = await getTokenLedger(tokenAddress);
+
+  // An interrupted write leaves balances from a range the cursor doesn't cover - start over
+  if (ledger && ledger.pendingBlock !== null && ledger.pendingBlock !== undefined) {
+    console.log(`    ♻️  Ledger for ${tokenAddress.slice(0, 10)}... was interrupted at block ${ledger.pendingBlock}, rebuilding`);
+    await resetTokenLedger(tokenAddress);
+    ledger = null;
+  }
+
+  const balances = ledger ? ledger.balances : new Map();
+  const startBlock = ledger ? ledger.lastBlock + 1 : deployBlock;
+
+  if (startBlock > toBlock) {
+    // Nothing new to apply; a token younger than toBlock has no ledger yet
+    return { holderCount: countHolders(balances), lastBlock: startBlock - 1, caughtUp: ledger !== null, changed: 0 };
+  }
+
+  const endBlock = Math.min(toBlock, startBlock + maxBlocks - 1);
+  const logs = await getLogs({ address: tokenAddress, topics: [TRANSFER_TOPIC] }, startBlock, endBlock);
+  const changed = applyTransferLogs(balances, logs);
+
+  // A negative balance means we missed logs somewhere - the ledger can't be trusted anymore
+  for (const holder of changed) {
+    if (balances.get(holder) < 0n) {
+      console.error(`    ⚠️  Negative balance for ${holder} in ${tokenAddress.slice(0, 10)}... ledger, rebuilding from block ${deployBlock}`);
+      await resetTokenLedger(tokenAddress);
+      return { holderCount: null, lastBlock: deployBlock - 1, caughtUp: false, changed: 0 };
+    }
+  }
+
+  const holderCount = countHolders(balances);
+  const changedBalances = new Map([...changed].map(holder => [holder, balances.get(holder)]));
+  await saveTokenLedger(tokenAddress, { lastBlock: endBlock, holderCount, balances: changedBalances });
+
+  return { holderCount, lastBlock: endBlock, caughtUp: endBlock >= toBlock, changed: changed.size };
+}
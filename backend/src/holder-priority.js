@@ -0,0 +1,268 @@
+// Which tokens get their holder count checked first. Every token is scored from its recent
+// transfers, age, holder growth, size and how long ago it was checked; the weights live in
+// one config object so they can be tuned (HOLDER_PRIORITY_CONFIG) without touching the code.
+
+/**
+ * Default weights
+ * Bands are [threshold, points] pairs tried in order, the first one that matches counts:
+ * "above" bands match values greater than the threshold, "below" bands values less than it.
+ * Cooldown rules are also tried in order: the first whose seconds-since-check range
+ * (under / over) and flags (match) fit applies.
+ */
+export const DEFAULT_HOLDER_PRIORITY = {
+  // Tokens younger than this skip the cooldowns of inactive tokens
+  veryNewSeconds: 3600,
+  // Checks without a change (in poll intervals) before a token counts as stale
+  staleAfterCycles: 2,
+  // An inactive token checked this recently is skipped (chill mode)
+  chillSeconds: 300,
+
+  // Tier 1: big tokens (any threshold exceeded), boosted unless stale
+  tier1: { marketCap: 10000, holders: 50, score: 1.0 },
+  tier1Boost: {
+    marketCap: [[100000, 10000], [50000, 5000], [10000, 2000]],
+    holders: [[100, 5000], [50, 2000]],
+    score: [[5.0, 5000], [2.0, 2000], [1.0, 1000]]
+  },
+  staleTier1: 500,
+  // Tier 2: other tokens with recent changes
+  active: 1000,
+
+  // Transfers in the last 50 blocks (above)
+  recentTransfers: [[50, 2000], [20, 1000], [10, 500], [5, 200], [0, 100]],
+  // Seconds since launch (below)
+  age: [[3600, 1000], [7200, 500], [14400, 200]],
+  // Holder growth between the last two checks
+  growth: { perHolder: 10, max: 500, rapidPercent: 10, rapidBonus: 300 },
+  // Never checked / stale / checked but inactive - catch-up mode works through the backlog first
+  dataState: {
+    catchUp: { noData: 50000, stale: 20000, inactive: 200 },
+    normal: { noData: 1500, stale: 100, inactive: 200 }
+  },
+  cooldown: [
+    { under: 300, match: { hasData: true, hasActivity: false }, points: -10000 },
+    { under: 600, match: { hasData: true, hasActivity: false }, points: -5000 },
+    { under: 600, match: { isVeryNew: false, isTier1: false, hasActivity: false }, points: -5000 },
+    { under: 1200, match: { isVeryNew: false, isTier1: false, hasActivity: false }, points: -2000 },
+    { under: 1800, match: { isTier1: false, hasActivity: false }, points: -500 },
+    { over: 300, match: { hasData: true, hasActivity: false, isStale: false }, points: 100 },
+    { over: 1800, match: { hasActivity: true, isStale: false }, points: 400 },
+    { over: 1200, match: { hasActivity: true, isStale: false }, points: 200 },
+    { over: 600, match: { hasActivity: true, isStale: false }, points: 100 }
+  ],
+  // Current holder count (above)
+  holders: [[100, 500], [50, 300], [20, 150], [10, 75], [5, 30]],
+  // Dev buy in ETH (above)
+  devBuy: [[1.0, 400], [0.5, 250], [0.25, 150], [0.1, 75], [0, 25]]
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Overrides merged into the defaults: objects key by key, arrays (bands, cooldown rules) and
+ * numbers replaced whole
+ */
+function mergeConfig(defaults, overrides) {
+  if (!isPlainObject(defaults) || !isPlainObject(overrides)) return overrides;
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = key in defaults ? mergeConfig(defaults[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Check a config has the shape of the defaults, returns the first problem (null if none)
+ */
+function validateConfig(config, defaults, path = 'config') {
+  if (Array.isArray(defaults)) {
+    if (!Array.isArray(config)) return `${path} must be an array`;
+    for (const [index, item] of config.entries()) {
+      const at = `${path}[${index}]`;
+      if (Array.isArray(defaults[0])) {
+        if (!Array.isArray(item) || item.length !== 2 || !item.every(Number.isFinite)) {
+          return `${at} must be a [threshold, points] pair`;
+        }
+      } else if (!isPlainObject(item) || !Number.isFinite(item.points)) {
+        return `${at} needs numeric points`;
+      } else if (['under', 'over'].some(key => item[key] !== undefined && !Number.isFinite(item[key]))) {
+        return `${at}.under / over must be numbers`;
+      } else if (item.match !== undefined &&
+        (!isPlainObject(item.match) || Object.values(item.match).some(value => typeof value !== 'boolean'))) {
+        return `${at}.match must map flags to true / false`;
+      }
+    }
+    return null;
+  }
+
+  if (isPlainObject(defaults)) {
+    if (!isPlainObject(config)) return `${path} must be an object`;
+    for (const key of Object.keys(config)) {
+      if (!(key in defaults)) return `${path}.${key} is not a known setting`;
+    }
+    for (const key of Object.keys(defaults)) {
+      const problem = validateConfig(config[key], defaults[key], `${path}.${key}`);
+      if (problem) return problem;
+    }
+    return null;
+  }
+
+  return Number.isFinite(config) ? null : `${path} must be a number`;
+}
+
+/**
+ * Default weights with HOLDER_PRIORITY_CONFIG (JSON string) merged in:
+ *   { "recentTransfers": [[100, 3000], [10, 500]], "dataState": { "normal": { "noData": 2000 } } }
+ * An override that doesn't fit the shape of the defaults is ignored as a whole.
+ */
+export function loadHolderPriorityConfig(env = process.env) {
+  if (!env.HOLDER_PRIORITY_CONFIG) return DEFAULT_HOLDER_PRIORITY;
+  let overrides;
+  try {
+    overrides = JSON.parse(env.HOLDER_PRIORITY_CONFIG);
+  } catch (error) {
+    console.error('❌ Could not parse HOLDER_PRIORITY_CONFIG, using default weights:', error.message);
+    return DEFAULT_HOLDER_PRIORITY;
+  }
+
+  const config = mergeConfig(DEFAULT_HOLDER_PRIORITY, overrides);
+  const problem = validateConfig(config, DEFAULT_HOLDER_PRIORITY);
+  if (problem) {
+    console.error(`❌ Invalid HOLDER_PRIORITY_CONFIG (${problem}), using default weights`);
+    return DEFAULT_HOLDER_PRIORITY;
+  }
+  return config;
+}
+
+const bandAbove = (value, bands) => (bands.find(([threshold]) => value > threshold) || [0, 0])[1];
+const bandBelow = (value, bands) => (bands.find(([threshold]) => value < threshold) || [0, 0])[1];
+
+/**
+ * Feed-style growth score from the last two holder counts (same formula as the frontend)
+ */
+function growthScore(history, volume24h) {
+  if (history.length < 2) return 0;
+  const recent = history[history.length - 1];
+  const previous = history[history.length - 2];
+  const growth = recent.count - previous.count;
+  const growthPercent = previous.count > 0 ? (growth / previous.count) * 100 : 0;
+  const normalizedGrowth = Math.min(growthPercent / 10, 10);
+  const normalizedAbsGrowth = Math.min(growth, 50);
+  return (volume24h * 0.4) + (normalizedGrowth * 0.4) + (normalizedAbsGrowth * 0.2);
+}
+
+/**
+ * Score one token
+ * recentVolume is its transfer count over the last 50 blocks, pollInterval the monitor's.
+ * Returns { priority, factors (points per factor), lastCheck, score, isTier1, isStale,
+ * isVeryNew, hasData, hasNoData, hasActivity }
+ */
+export function scoreHolderPriority(deployment, { recentVolume = 0, now, catchUpMode = false, pollInterval }, config = DEFAULT_HOLDER_PRIORITY) {
+  const history = deployment.holderCountHistory || [];
+  const lastCheck = deployment.lastHolderCheck || (history.length > 0 ? history[history.length - 1].timestamp : null);
+  const age = now - deployment.timestamp;
+  const holderCount = deployment.holderCount || 0;
+  const marketCap = deployment.marketCap || 0;
+  const volume24h = deployment.volume24h || 0;
+
+  const hasData = lastCheck !== null && history.length > 0;
+  const hasNoData = !hasData;
+  const cyclesSinceCheck = lastCheck ? Math.floor((now - lastCheck) / pollInterval) : 0;
+  const isStale = hasData && cyclesSinceCheck >= config.staleAfterCycles;
+  const isVeryNew = age < config.veryNewSeconds;
+
+  let growth = 0;
+  let growthPercent = 0;
+  let hasActivity = false;
+  if (history.length >= 2) {
+    const recent = history[history.length - 1];
+    const previous = history[history.length - 2];
+    growth = recent.count - previous.count;
+    growthPercent = previous.count > 0 ? (growth / previous.count) * 100 : 0;
+    hasActivity = growth > 0 || volume24h > 0 || marketCap > 0;
+  }
+
+  const score = growthScore(history, volume24h);
+  const isTier1 = marketCap > config.tier1.marketCap || holderCount > config.tier1.holders || score > config.tier1.score;
+  const flags = { hasData, hasActivity, isTier1, isStale, isVeryNew };
+
+  const factors = {};
+
+  // Tier 1 boosts don't apply to the catch-up backlog - it gets processed anyway
+  if (!(catchUpMode && hasNoData) && isTier1) {
+    factors.tier1 = isStale
+      ? config.staleTier1
+      : bandAbove(marketCap, config.tier1Boost.marketCap) +
+        bandAbove(holderCount, config.tier1Boost.holders) +
+        bandAbove(score, config.tier1Boost.score);
+  }
+  if (!isTier1 && hasActivity && !isStale) {
+    factors.active = config.active;
+  }
+
+  factors.recentTransfers = bandAbove(recentVolume, config.recentTransfers);
+  factors.age = bandBelow(age, config.age);
+
+  if (growth > 0) {
+    factors.growth = Math.min(growth * config.growth.perHolder, config.growth.max) +
+      (growthPercent > config.growth.rapidPercent ? config.growth.rapidBonus : 0);
+  }
+
+  const dataState = catchUpMode ? config.dataState.catchUp : config.dataState.normal;
+  if (hasNoData) factors.dataState = dataState.noData;
+  else if (isStale) factors.dataState = dataState.stale;
+  else if (!hasActivity) factors.dataState = dataState.inactive;
+
+  const timeSinceCheck = lastCheck ? now - lastCheck : Infinity;
+  const cooldown = config.cooldown.find(rule =>
+    (rule.under === undefined || timeSinceCheck < rule.under) &&
+    (rule.over === undefined || timeSinceCheck > rule.over) &&
+    Object.entries(rule.match || {}).every(([flag, value]) => flags[flag] === value));
+  if (cooldown) factors.cooldown = cooldown.points;
+
+  factors.holders = bandAbove(holderCount, config.holders);
+  factors.devBuy = bandAbove(deployment.devBuyAmount || 0, config.devBuy);
+
+  const priority = Object.values(factors).reduce((sum, points) => sum + points, 0);
+  return { priority, factors, lastCheck, score, ...flags, hasNoData };
+}
+
+/**
+ * Whether a scored token may be checked this cycle
+ * Inactive tokens sit out chill mode; otherwise a positive priority, activity, or being very
+ * new and not checked in the chill window lets a token through.
+ */
+function isEligible(entry, now, config) {
+  const { deployment } = entry;
+  const history = deployment.holderCountHistory || [];
+  const lastCheck = entry.lastCheck || (history.length > 0 ? history[history.length - 1].timestamp : deployment.timestamp);
+  const timeSinceCheck = now - lastCheck;
+
+  if (!entry.hasActivity && history.length > 0 && timeSinceCheck < config.chillSeconds) {
+    return false;
+  }
+  return entry.priority > 0 || (entry.isVeryNew && timeSinceCheck > config.chillSeconds) || entry.hasActivity;
+}
+
+/**
+ * Split the candidate tokens into the ones that get a recent-transfer count this cycle and
+ * the rest (ranked with recentVolume 0). Every candidate lands in exactly one of the two.
+ */
+export function splitVolumeChecks(candidates, { catchUpMode = false } = {}) {
+  const limit = catchUpMode ? 50 : 10;
+  return { toCheck: candidates.slice(0, limit), unchecked: candidates.slice(limit) };
+}
+
+/**
+ * Score and rank tokens for holder checks, highest priority first
+ * candidates are [{ deployment, recentVolume }]. Each entry gets its score fields plus
+ * eligible (false for tokens that should wait).
+ */
+export function rankHolderChecks(candidates, options, config = DEFAULT_HOLDER_PRIORITY) {
+  return candidates
+    .map(({ deployment, recentVolume = 0 }) => {
+      const entry = { deployment, recentVolume, ...scoreHolderPriority(deployment, { ...options, recentVolume }, config) };
+      return { ...entry, eligible: isEligible(entry, options.now, config) };
+    })
+    .sort((a, b) => b.priority - a.priority);
+}
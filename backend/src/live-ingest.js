@@ -0,0 +1,154 @@
+import { ethers } from 'ethers';
+import WebSocket from 'ws';
+import { recordCall } from './metering.js';
+
+const CONNECT_TIMEOUT = 15000; // 15 seconds to open the socket and answer eth_blockNumber
+
+/**
+ * Live ingestion over a WebSocket provider
+ * Subscribes to new heads and to logs matching `filter`, reconnects with exponential backoff
+ * and reports skipped heads so the caller can backfill them over HTTP.
+ *
+ * Callbacks:
+ *  - onLog(log)                    every log matching the filter
+ *  - onHead(blockNumber, info)     every new head; info.gap is true when heads were skipped
+ *                                  (first head after (re)connect, or a jump of more than one block)
+ *  - onStatusChange(status, error) 'connecting' | 'connected' | 'disconnected' | 'stopped'
+ *
+ * Works against any node that supports eth_subscribe (Alchemy, a local anvil/hardhat node, ...)
+ */
+export function createLiveIngestor({
+  url,
+  filter,
+  onLog,
+  onHead,
+  onStatusChange = () => {},
+  reconnectDelay = 1000,
+  maxReconnectDelay = 30000,
+  staleTimeout = 60000
+}) {
+  let provider = null;
+  let status = 'stopped';
+  let stopped = true;
+  let lastHead = null;
+  let lastHeadAt = 0;
+  let currentDelay = reconnectDelay;
+  let reconnectTimer = null;
+  let staleTimer = null;
+  let generation = 0; // Bumped on every connect so events from old sockets are ignored
+
+  const setStatus = (newStatus, error = null) => {
+    if (status === newStatus) return;
+    status = newStatus;
+    onStatusChange(newStatus, error);
+  };
+
+  const teardown = async () => {
+    clearInterval(staleTimer);
+    staleTimer = null;
+    if (provider) {
+      const old = provider;
+      provider = null;
+      try {
+        // destroy() drops the subscriptions too; removing listeners first would queue
+        // eth_unsubscribe requests that destroy() then rejects unhandled
+        await old.destroy();
+      } catch (e) {
+        // Socket already gone
+      }
+    }
+  };
+
+  const handleDrop = async (error, socketGeneration = generation) => {
+    if (stopped || socketGeneration !== generation || status === 'disconnected') return;
+    setStatus('disconnected', error);
+    await teardown();
+    scheduleReconnect();
+  };
+
+  const scheduleReconnect = () => {
+    if (stopped || reconnectTimer) return;
+    const delay = currentDelay;
+    currentDelay = Math.min(currentDelay * 2, maxReconnectDelay);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  };
+
+  const connect = async () => {
+    if (stopped) return;
+    const connectGeneration = ++generation;
+    setStatus('connecting');
+
+    try {
+      provider = new ethers.WebSocketProvider(() => {
+        const socket = new WebSocket(url);
+        // Without these listeners a refused connection would throw an unhandled 'error' event
+        socket.on('error', (error) => handleDrop(error, connectGeneration));
+        socket.on('close', () => handleDrop(new Error('WebSocket closed'), connectGeneration));
+        return socket;
+      });
+
+      let connectTimer;
+      const head = await Promise.race([
+        provider.getBlockNumber(),
+        new Promise((_, reject) => {
+          connectTimer = setTimeout(() => reject(new Error('WebSocket connect timeout after 15s')), CONNECT_TIMEOUT);
+        })
+      ]).finally(() => clearTimeout(connectTimer));
+      if (stopped || connectGeneration !== generation) return;
+
+      lastHead = head;
+      lastHeadAt = Date.now();
+
+      // Each subscription notification is billed like a call
+      await provider.on('block', (blockNumber) => {
+        recordCall({ provider: 'websocket', method: 'eth_subscription' });
+        const gap = blockNumber > lastHead + 1;
+        lastHead = Math.max(lastHead, blockNumber);
+        lastHeadAt = Date.now();
+        onHead(blockNumber, { gap });
+      });
+      await provider.on(filter, (log) => {
+        recordCall({ provider: 'websocket', method: 'eth_subscription' });
+        onLog(log);
+      });
+
+      // Half-open sockets never fire 'close', so treat a silent head subscription as a drop
+      staleTimer = setInterval(() => {
+        if (Date.now() - lastHeadAt > staleTimeout) {
+          handleDrop(new Error(`No new heads for ${staleTimeout / 1000}s`), connectGeneration);
+        }
+      }, Math.min(staleTimeout, 10000));
+
+      currentDelay = reconnectDelay;
+      setStatus('connected');
+      // Always treat the first head after (re)connecting as a gap so the caller backfills
+      onHead(head, { gap: true });
+    } catch (error) {
+      await handleDrop(error, connectGeneration);
+    }
+  };
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      connect();
+    },
+    async stop() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      await teardown();
+      setStatus('stopped');
+    },
+    isConnected() {
+      return status === 'connected';
+    },
+    getStatus() {
+      return { status, lastHead, lastHeadAt };
+    }
+  };
+}
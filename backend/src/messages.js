@@ -0,0 +1,236 @@
+import { ethers } from 'ethers';
+import { createRpcPool, loadRpcProviderConfigs } from './rpc-pool.js';
+import { addMessage, getMessageByTxHash, getMessages, updateMessage } from './supabase-storage.js';
+import { meteredFetch } from './metering.js';
+
+// Paid message board
+// A message is posted by a signed-in wallet together with the hash of an ETH transfer it
+// made to the dev wallet. It's shown once that transfer is verified on-chain.
+
+export const MESSAGE_PAYMENT_ADDRESS = (process.env.MESSAGE_PAYMENT_ADDRESS || '0x8DFBdEEC8c5d4970BB5F481C6ec7f73fa1C65be5').toLowerCase();
+export const MESSAGE_PRICE_ETH = parseFloat(process.env.MESSAGE_PRICE_ETH) || 0.001;
+export const MAX_MESSAGE_LENGTH = 500;
+
+const MIN_CONFIRMATIONS = 2;
+const MAX_PAYMENT_AGE = 86400; // Seconds: older transfers (e.g. past donations) can't pay for a message
+const PENDING_TIMEOUT = 1800; // Seconds a payment may stay unmined before the message is rejected
+const VERIFY_INTERVAL = 30000;
+
+let rpcPool = null;
+let verifyTimer = null;
+let verifying = false;
+
+function getRpcPool() {
+  if (!rpcPool) {
+    rpcPool = createRpcPool(loadRpcProviderConfigs());
+  }
+  return rpcPool;
+}
+
+/**
+ * Validate a submit request body, returns { message, paymentTxHash } or { error }
+ */
+export function validateMessageInput(body) {
+  if (typeof body.message !== 'string' || !body.message.trim()) {
+    return { error: 'message is required' };
+  }
+  if (body.message.trim().length > MAX_MESSAGE_LENGTH) {
+    return { error: `message must be at most ${MAX_MESSAGE_LENGTH} characters` };
+  }
+  if (typeof body.paymentTxHash !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(body.paymentTxHash)) {
+    return { error: 'paymentTxHash must be a transaction hash' };
+  }
+  return { message: body.message.trim(), paymentTxHash: body.paymentTxHash.toLowerCase() };
+}
+
+/**
+ * Wallet that sent a payment (lowercase), or null while the transaction can't be found
+ */
+async function getPaymentSender(paymentTxHash) {
+  return getRpcPool().call(async (provider) => {
+    const tx = await provider.getTransaction(paymentTxHash);
+    return tx ? tx.from.toLowerCase() : null;
+  }, { name: 'message payment sender' });
+}
+
+/**
+ * Check a payment on-chain
+ * Returns { status: 'verified', amountEth }, { status: 'rejected', reason } or
+ * { status: 'pending', reason } (not mined / not confirmed yet)
+ */
+export async function checkPayment(paymentTxHash, senderAddress) {
+  return getRpcPool().call(async (provider) => {
+    const tx = await provider.getTransaction(paymentTxHash);
+    if (!tx) {
+      return { status: 'pending', reason: 'Transaction not found yet' };
+    }
+
+    // These can't change once the transaction exists, so fail fast
+    if (!tx.to || tx.to.toLowerCase() !== MESSAGE_PAYMENT_ADDRESS) {
+      return { status: 'rejected', reason: 'Payment was not sent to the dev wallet' };
+    }
+    if (tx.from.toLowerCase() !== senderAddress.toLowerCase()) {
+      return { status: 'rejected', reason: 'Payment was sent from a different wallet' };
+    }
+    const amountEth = Number(ethers.formatEther(tx.value));
+    if (amountEth < MESSAGE_PRICE_ETH) {
+      return { status: 'rejected', reason: `Payment of ${amountEth} ETH is below the ${MESSAGE_PRICE_ETH} ETH price` };
+    }
+
+    const receipt = await provider.getTransactionReceipt(paymentTxHash);
+    if (!receipt) {
+      return { status: 'pending', reason: 'Waiting for the transaction to be mined' };
+    }
+    if (receipt.status !== 1) {
+      return { status: 'rejected', reason: 'Payment transaction failed' };
+    }
+
+    const [latestBlock, block] = await Promise.all([
+      provider.getBlockNumber(),
+      provider.getBlock(receipt.blockNumber)
+    ]);
+    if (latestBlock - receipt.blockNumber + 1 < MIN_CONFIRMATIONS) {
+      return { status: 'pending', reason: 'Waiting for confirmations' };
+    }
+    if (block && Math.floor(Date.now() / 1000) - block.timestamp > MAX_PAYMENT_AGE) {
+      return { status: 'rejected', reason: 'Payment is more than a day old' };
+    }
+
+    return { status: 'verified', amountEth };
+  }, { name: 'message payment' });
+}
+
+/**
+ * ENS name for an address (null if it has none or the lookup fails)
+ */
+async function resolveEnsName(address) {
+  try {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 5000);
+    const response = await meteredFetch('ensideas', 'resolve', `https://api.ensideas.com/ens/resolve/${address}?chainId=8453`, {
+      signal: controller.signal
+    });
+    clearTimeout(timeout);
+    if (!response.ok) return null;
+    const data = await response.json();
+    return data.name || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a pending message's payment and record the outcome, returns the message as stored
+ * RPC errors leave it pending for the next check.
+ */
+export async function verifyMessage(message) {
+  if (message.status !== 'pending') return message;
+
+  let result;
+  try {
+    result = await checkPayment(message.paymentTxHash, message.senderAddress);
+  } catch (error) {
+    console.error(`  ⚠️  Could not check payment ${message.paymentTxHash.slice(0, 10)}...:`, error.message);
+    return message;
+  }
+
+  if (result.status === 'verified') {
+    const senderEns = await resolveEnsName(message.senderAddress);
+    console.log(`  💬 Message ${message.id} verified (${result.amountEth} ETH from ${senderEns || message.senderAddress.slice(0, 10) + '...'})`);
+    return updateMessage(message.id, {
+      status: 'verified',
+      paymentAmountEth: result.amountEth,
+      senderEns,
+      rejectionReason: null,
+      verifiedAt: new Date().toISOString()
+    });
+  }
+
+  const age = (Date.now() - Date.parse(message.createdAt)) / 1000;
+  if (result.status === 'rejected' || age > PENDING_TIMEOUT) {
+    const reason = result.status === 'rejected' ? result.reason : `${result.reason} after ${PENDING_TIMEOUT / 60} minutes`;
+    console.log(`  💬 Message ${message.id} rejected: ${reason}`);
+    return updateMessage(message.id, { status: 'rejected', rejectionReason: reason });
+  }
+
+  return { ...message, rejectionReason: result.reason };
+}
+
+/**
+ * Re-check every pending message once
+ */
+export async function verifyPendingMessages() {
+  if (verifying) return;
+  verifying = true;
+
+  try {
+    const pending = await getMessages({ status: 'pending', limit: 100 });
+    for (const message of pending) {
+      await verifyMessage(message);
+    }
+  } catch (error) {
+    console.error('Error verifying message payments:', error.message);
+  } finally {
+    verifying = false;
+  }
+}
+
+/**
+ * Store a message from `wallet` paid for by `paymentTxHash` and check the payment
+ * Returns { message } or { status, error } when the payment can't be claimed.
+ * Only the wallet that sent the payment can claim it. A transaction the RPC can't see yet (or an
+ * RPC error) leaves that to the verifier; if another wallet claimed the hash meanwhile, its
+ * message can't verify, so the actual sender takes it over.
+ */
+export async function submitMessage(wallet, { message, paymentTxHash }) {
+  const sender = await getPaymentSender(paymentTxHash).catch(() => null);
+  if (sender && sender !== wallet) {
+    return { status: 403, error: 'Payment was sent from a different wallet' };
+  }
+
+  // Each payment pays for one message
+  let created = await addMessage({ senderAddress: wallet, message, paymentTxHash });
+  if (!created && sender) {
+    const existing = await getMessageByTxHash(paymentTxHash);
+    if (existing && existing.senderAddress !== wallet) {
+      console.log(`  💬 Message ${existing.id} taken over by the payment's sender ${wallet.slice(0, 10)}...`);
+      created = await updateMessage(existing.id, {
+        senderAddress: wallet,
+        message,
+        status: 'pending',
+        rejectionReason: null,
+        createdAt: new Date().toISOString()
+      });
+    }
+  }
+  if (!created) {
+    return { status: 409, error: 'This payment was already used for a message' };
+  }
+
+  return { message: await verifyMessage(created) };
+}
+
+/**
+ * Keep re-checking pending payments (submit and status requests also verify, so this only
+ * catches messages nobody is waiting on)
+ */
+export function startMessageVerifier() {
+  if (verifyTimer) return;
+  verifyTimer = setInterval(verifyPendingMessages, VERIFY_INTERVAL);
+  console.log('💬 Message payment verifier started');
+}
+
+/**
+ * Fields anyone can see for a message
+ */
+export function toPublicMessage(message) {
+  return {
+    id: message.id,
+    senderAddress: message.senderAddress,
+    senderEns: message.senderEns,
+    message: message.message,
+    paymentAmountEth: message.paymentAmountEth,
+    createdAt: message.createdAt,
+    verifiedAt: message.verifiedAt
+  };
+}
@@ -0,0 +1,189 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Metering of outside calls: every JSON-RPC request the RPC pools send, WebSocket
+// notifications and third-party HTTP API calls, by method, provider and the scheduler job
+// that made them, with estimated compute units (CU). Totals are kept per hour and per day.
+// The daily budget (RPC_DAILY_CU_BUDGET) feeds the scheduler, which sheds low-priority jobs
+// as the budget fills up.
+
+/**
+ * Estimated CU per call (Alchemy's published per-method compute units)
+ * Keys are JSON-RPC methods or "provider:method" for HTTP APIs; METER_CU_COSTS (JSON) overrides them.
+ */
+export const DEFAULT_CU_COSTS = {
+  eth_blockNumber: 10,
+  eth_chainId: 0,
+  net_version: 0,
+  eth_call: 26,
+  eth_getBalance: 19,
+  eth_getCode: 26,
+  eth_getLogs: 75,
+  eth_getBlockByNumber: 16,
+  eth_getBlockByHash: 21,
+  eth_getTransactionByHash: 17,
+  eth_getTransactionReceipt: 15,
+  eth_getTransactionCount: 26,
+  eth_estimateGas: 87,
+  eth_subscription: 10,
+  trace_block: 24,
+  trace_transaction: 26
+};
+// RPC methods missing from the table
+const DEFAULT_RPC_COST = 20;
+
+const HOURS_KEPT = 48;
+const DAYS_KEPT = 14;
+
+export const DAILY_CU_BUDGET = parseInt(process.env.RPC_DAILY_CU_BUDGET) || 0; // 0 = unlimited
+
+function loadCosts(env = process.env) {
+  if (!env.METER_CU_COSTS) return DEFAULT_CU_COSTS;
+  try {
+    return { ...DEFAULT_CU_COSTS, ...JSON.parse(env.METER_CU_COSTS) };
+  } catch (error) {
+    console.error('❌ Could not parse METER_CU_COSTS, using default costs:', error.message);
+    return DEFAULT_CU_COSTS;
+  }
+}
+
+const costs = loadCosts();
+const jobContext = new AsyncLocalStorage();
+
+// hour ('2026-01-31T13') / day ('2026-01-31') -> bucket, UTC
+let hours = new Map();
+let days = new Map();
+
+const emptyBucket = () => ({ calls: 0, units: 0, byMethod: {}, byProvider: {}, byJob: {} });
+
+function addTo(group, key, units) {
+  const entry = group[key] || (group[key] = { calls: 0, units: 0 });
+  entry.calls++;
+  entry.units += units;
+}
+
+function addToBuckets(buckets, key, keep, call) {
+  if (!buckets.has(key)) {
+    buckets.set(key, emptyBucket());
+    // Keys sort chronologically, so the oldest go first
+    for (const old of [...buckets.keys()].sort().slice(0, Math.max(0, buckets.size - keep))) {
+      buckets.delete(old);
+    }
+  }
+  const bucket = buckets.get(key);
+  bucket.calls++;
+  bucket.units += call.units;
+  addTo(bucket.byMethod, call.method, call.units);
+  addTo(bucket.byProvider, call.provider, call.units);
+  addTo(bucket.byJob, call.job, call.units);
+}
+
+/**
+ * Estimated CU of one call
+ */
+export function costOf(provider, method, kind = 'rpc') {
+  return costs[`${provider}:${method}`] ?? costs[method] ?? (kind === 'rpc' ? DEFAULT_RPC_COST : 0);
+}
+
+/**
+ * Run fn with every call it makes (including async continuations) counted against a job
+ * Calls outside any job count as "other".
+ */
+export function runInJob(job, fn) {
+  return jobContext.run({ job }, fn);
+}
+
+/**
+ * Count one call: kind 'rpc' (method is the JSON-RPC method) or 'http' (provider is the API)
+ */
+export function recordCall({ provider, method, kind = 'rpc' }) {
+  const call = {
+    provider: provider || 'unknown',
+    method: method || 'unknown',
+    job: jobContext.getStore()?.job || 'other',
+    units: costOf(provider, method, kind)
+  };
+  const iso = new Date().toISOString();
+  addToBuckets(hours, iso.slice(0, 13), HOURS_KEPT, call);
+  addToBuckets(days, iso.slice(0, 10), DAYS_KEPT, call);
+}
+
+/**
+ * fetch() that counts as an HTTP call to provider / method
+ */
+export function meteredFetch(provider, method, url, options) {
+  recordCall({ provider, method, kind: 'http' });
+  return fetch(url, options);
+}
+
+/**
+ * CU used today (UTC)
+ */
+export function unitsToday() {
+  return days.get(new Date().toISOString().slice(0, 10))?.units || 0;
+}
+
+/**
+ * Share of the daily CU budget used today (0 without a budget, above 1 once over it)
+ */
+export function budgetPressure() {
+  return DAILY_CU_BUDGET > 0 ? unitsToday() / DAILY_CU_BUDGET : 0;
+}
+
+/**
+ * Totals for the status route: budget, today and this hour in full, recent hours and days as totals
+ */
+export function getMeterStats() {
+  const iso = new Date().toISOString();
+  const totals = (buckets, label) => [...buckets.entries()]
+    .sort(([a], [b]) => (a < b ? 1 : -1))
+    .map(([key, bucket]) => ({ [label]: key, calls: bucket.calls, units: bucket.units }));
+
+  return {
+    budget: {
+      dailyUnits: DAILY_CU_BUDGET || null,
+      usedToday: unitsToday(),
+      pressure: Number(budgetPressure().toFixed(4))
+    },
+    today: days.get(iso.slice(0, 10)) || emptyBucket(),
+    currentHour: hours.get(iso.slice(0, 13)) || emptyBucket(),
+    hours: totals(hours, 'hour'),
+    days: totals(days, 'day'),
+    costs
+  };
+}
+
+/**
+ * Buckets as plain JSON (saved with the monitor state so the daily total survives restarts)
+ */
+export function meterToJSON() {
+  return { hours: Object.fromEntries(hours), days: Object.fromEntries(days) };
+}
+
+/**
+ * Restore buckets saved by meterToJSON, merging into anything counted since startup
+ */
+export function restoreMeterState(state) {
+  if (!state) return;
+  const merge = (current, saved) => {
+    const merged = new Map(Object.entries(saved || {}));
+    for (const [key, bucket] of current) {
+      const base = merged.get(key);
+      if (!base) {
+        merged.set(key, bucket);
+        continue;
+      }
+      base.calls += bucket.calls;
+      base.units += bucket.units;
+      for (const group of ['byMethod', 'byProvider', 'byJob']) {
+        for (const [name, entry] of Object.entries(bucket[group])) {
+          const target = base[group][name] || (base[group][name] = { calls: 0, units: 0 });
+          target.calls += entry.calls;
+          target.units += entry.units;
+        }
+      }
+    }
+    return merged;
+  };
+  hours = merge(hours, state.hours);
+  days = merge(days, state.days);
+}
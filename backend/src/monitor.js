@@ -7,8 +7,26 @@ import {
   getAllDeployments,
   saveMonitorState,
   loadMonitorState,
-  updateDeployment
+  updateDeployment,
+  addHolderSnapshot,
+  getDevEvents
 } from './supabase-storage.js';
+import { TOKEN_CREATED_TOPIC, decodeTokenCreatedLog, findTokenCreatedEvent } from './token-created.js';
+import { createLiveIngestor } from './live-ingest.js';
+import { createBlockCursor } from './block-cursor.js';
+import { createRpcPool, loadRpcProviderConfigs, classifyRpcError } from './rpc-pool.js';
+import { createScheduler, loadSchedulerOverrides } from './scheduler.js';
+import { meteredFetch, recordCall, runInJob, restoreMeterState, meterToJSON } from './metering.js';
+import { syncHolderLedger, TRANSFER_TOPIC } from './holder-ledger.js';
+import { rankHolderChecks, loadHolderPriorityConfig, splitVolumeChecks } from './holder-priority.js';
+import { syncTokenSwaps, getSwapStats } from './swap-volume.js';
+import { refreshStaleDeployerProfiles } from './deployer-profiles.js';
+import { refreshTokenRisk, refreshStaleRiskScores } from './risk.js';
+import { refreshLaunchBuyers } from './snipers.js';
+import { syncDevEvents, summarizeDevEvents } from './dev-events.js';
+import { refreshFundingEdges } from './dev-clusters.js';
+import { publishMonitorEvent } from './events.js';
+import { calculateRunnerScore } from './runner-score.js';
 
 // Load environment variables (dotenv for local dev, Vercel provides them automatically)
 // Only load dotenv if not in production (Vercel sets NODE_ENV=production)
@@ -16,22 +34,46 @@ if (process.env.NODE_ENV !== 'production') {
   dotenv.config();
 }
 
-const CONTRACT_ADDRESS = '0x8EEF0dC80ADf57908bB1be0236c2a72a7e379C2d';
-// Dual-provider setup: Free API for basic ops, Paid API for trace/large ranges
-const ALCHEMY_API_KEY_PAID = process.env.ALCHEMY_API_KEY_PAID;
+// Factory address can be overridden to point the monitor at a local anvil/hardhat node
+const CONTRACT_ADDRESS = process.env.FEY_FACTORY_ADDRESS || '0x8EEF0dC80ADf57908bB1be0236c2a72a7e379C2d';
+// HTTP RPC endpoints come from RPC_PROVIDERS / RPC_PROVIDERS_FILE (see rpc-pool.js),
+// falling back to BASE_RPC_URL or ALCHEMY_API_KEY_FREE (free tier) + ALCHEMY_API_KEY_PAID (trace, large ranges)
 const ALCHEMY_API_KEY_FREE = process.env.ALCHEMY_API_KEY_FREE;
 const INFURA_API_KEY = process.env.INFURA_API_KEY; // Kept for reference but not used
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY;
 
-// Free tier provider (for basic RPC calls, 10-block chunks)
-const BASE_RPC_FREE = ALCHEMY_API_KEY_FREE
-  ? `https://base-mainnet.g.alchemy.com/v2/${ALCHEMY_API_KEY_FREE}`
-  : 'https://mainnet.base.org';
-
-// Paid tier provider (for trace API and large block ranges only)
-const BASE_RPC_PAID = ALCHEMY_API_KEY_PAID
-  ? `https://base-mainnet.g.alchemy.com/v2/${ALCHEMY_API_KEY_PAID}`
-  : BASE_RPC_FREE; // Fallback to free if paid not available
+// WebSocket endpoint for live ingestion (new heads + TokenCreated subscriptions)
+// INGEST_MODE=poll disables it and keeps the getLogs polling path only
+const BASE_WS_URL = process.env.BASE_WS_URL || (ALCHEMY_API_KEY_FREE
+  ? `wss://base-mainnet.g.alchemy.com/v2/${ALCHEMY_API_KEY_FREE}`
+  : null);
+const INGEST_MODE = process.env.INGEST_MODE || (BASE_WS_URL ? 'ws' : 'poll');
+// Blocks a deployment must be buried under before it is promoted from pending to confirmed
+const CONFIRMATION_DEPTH = parseInt(process.env.CONFIRMATION_DEPTH ?? '10', 10);
+const MAX_CONFIRMATIONS_PER_CYCLE = 20; // Each promotion re-fetches the receipt
+// Blocks of Transfer logs a holder ledger advances per check (old tokens catch up over several cycles)
+const LEDGER_SYNC_BLOCKS = parseInt(process.env.LEDGER_SYNC_BLOCKS) || 500;
+// Blocks of Transfer logs the holder estimate looks at while a ledger is catching up
+const HOLDER_ESTIMATE_BLOCKS = 200;
+// Max blocks of pool Swap logs scanned per token per volume update
+const SWAP_SYNC_BLOCKS = parseInt(process.env.SWAP_SYNC_BLOCKS) || 2000;
+// Max blocks of dev Transfer logs scanned per token per cycle, tokens per cycle, and how long
+// after launch a token's dev keeps being watched
+const DEV_EVENT_SYNC_BLOCKS = parseInt(process.env.DEV_EVENT_SYNC_BLOCKS) || 5000;
+const DEV_EVENT_TOKENS_PER_CYCLE = 10;
+const DEV_EVENTS_MAX_AGE_DAYS = parseInt(process.env.DEV_EVENTS_MAX_AGE_DAYS) || 7;
+// Seconds before a token whose dev events reached the head is synced again (a token still
+// catching up, or one whose sync failed, comes back next cycle / after the retry delay)
+const DEV_EVENT_RECHECK_SECONDS = 120;
+const DEV_EVENT_RETRY_SECONDS = 300;
+// Minimum seconds between DEXScreener market cap fetches of a token from the holder check
+const MARKET_CAP_REFRESH_SECONDS = 600;
+// Holder-check priority weights (defaults in holder-priority.js, HOLDER_PRIORITY_CONFIG overrides)
+const HOLDER_PRIORITY = loadHolderPriorityConfig();
+// Maintenance jobs that don't need to run every cycle (SCHEDULER_JOBS can override these)
+const DEPLOYER_PROFILES_INTERVAL = 900;
+const RISK_SCORES_INTERVAL = 900;
+const LAUNCH_BUYERS_INTERVAL = 900;
 
 // CATCH-UP MODE: Automatically enabled, will auto-disable when catch-up is complete
 // Can be forced via environment variable: CATCH_UP_MODE=false to disable, CATCH_UP_MODE=true to force enable
@@ -46,9 +88,6 @@ const CATCH_UP_AUTO_DISABLE_THRESHOLD = 2; // Disable after 2 cycles with minima
 // Set via environment variable or use default
 const MIN_VOLUME_THRESHOLD = parseFloat(process.env.MIN_VOLUME_THRESHOLD) || 1.0; // Default: 1 ETH
 const ETHERSCAN_API_URL = 'https://api.basescan.org/api';
-const ALCHEMY_TRACE_URL = ALCHEMY_API_KEY_PAID
-  ? `https://base-mainnet.g.alchemy.com/v2/${ALCHEMY_API_KEY_PAID}`
-  : null;
 
 // Neynar API for Farcaster data
 const NEYNAR_API_KEY = process.env.NEYNAR_API_KEY;
@@ -68,19 +107,6 @@ if (NEYNAR_API_KEY) {
   console.log('⚠️  Neynar API key not configured - Farcaster data will not be fetched');
 }
 
-// Free tier block range limit (10 blocks)
-const FREE_TIER_MAX_BLOCK_RANGE = 10;
-
-// Known DEX router addresses on Base (for identifying swaps)
-const DEX_ROUTERS = new Set([
-  '0x2626664c2603336E57B271c5C0b26F421741e481'.toLowerCase(), // Uniswap V3 Router
-  '0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24'.toLowerCase(), // Uniswap V3 Router 2
-  '0x03a520b32C04BF3bEEf7Bebf72F091C1C93A44fE'.toLowerCase(), // Aerodrome Router
-  '0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E45'.toLowerCase(), // Aerodrome Router V2
-  '0x6BDED42c6DA8FBf0d2bA55B2fa120C5e0c8D7891'.toLowerCase(), // BaseSwap Router
-  '0x327Df1E6de05895d2ab08513aaDD9313Fe505d86'.toLowerCase(), // SwapBased Router
-]);
-
 // Known standard tokens to exclude (not new deployments)
 const KNOWN_TOKENS = new Set([
   '0x4200000000000000000000000000000000000006'.toLowerCase(), // WETH on Base
@@ -96,40 +122,55 @@ const KNOWN_TOKEN_NAMES = new Set([
   'FEY', // FEY token (the main FEY token, not deployments)
 ]);
 
-let providerFree; // Free tier provider for basic operations
-let providerPaid; // Paid tier provider for trace API and large ranges
+let rpcPool = null; // HTTP RPC endpoints with health tracking and failover
 let lastCheckedBlock = null;
 let isMonitoring = false;
+let liveIngestor = null; // WebSocket ingestion (null in poll mode)
+let liveQueue = Promise.resolve(); // Serializes live log/head handling
+let blockCursor = createBlockCursor(); // Recent block hashes for reorg detection
+let scheduler = null; // Maintenance jobs and per-token queues (restored from the monitor state)
+let lastHolderQueue = null; // Holder-check ranking of the last cycle, for the debug route
 
 /**
  * Initialize the provider and start monitoring
  */
 export async function startMonitoring() {
   try {
-    providerFree = new ethers.JsonRpcProvider(BASE_RPC_FREE);
-    providerPaid = new ethers.JsonRpcProvider(BASE_RPC_PAID);
-
-    const freeStatus = ALCHEMY_API_KEY_FREE ? 'Free Tier' : 'Public RPC';
-    const paidStatus = ALCHEMY_API_KEY_PAID ? 'Paid Tier' : 'Not Available';
-    console.log(`Connected to Base Network:`);
-    console.log(`  Free API: ${freeStatus}`);
-    console.log(`  Paid API: ${paidStatus} (for trace/large ranges only)`);
+    // Keep the pool (and its health stats) across startup retries
+    const rpcConfigs = loadRpcProviderConfigs();
+    if (!rpcPool) {
+      rpcPool = createRpcPool(rpcConfigs);
+    }
+
+    console.log(`Connected to Base Network (${rpcConfigs.length} RPC provider${rpcConfigs.length === 1 ? '' : 's'}):`);
+    for (const config of rpcConfigs) {
+      console.log(`  ${config.tier === 'paid' ? '💰' : '🆓'} ${config.name} (${config.tier}, ${config.maxBlockRange}-block logs${config.trace ? ', trace' : ''})`);
+    }
     if (CATCH_UP_MODE) {
       console.log(`⚡ CATCH-UP MODE ENABLED - Running at maximum speed (${POLL_INTERVAL}ms intervals)`);
       console.log(`⚠️  Processing ${CATCH_UP_MODE ? 10 : 1} holder checks and ${CATCH_UP_MODE ? 15 : 3} volume updates per cycle`);
       console.log(`✅ Will automatically disable when catch-up is complete (after 3 cycles with minimal work)`);
     }
     console.log(`📊 Volume threshold: ${MIN_VOLUME_THRESHOLD} ETH (tokens below this will be skipped)`);
+    console.log(`📡 Ingestion mode: ${INGEST_MODE === 'ws' && BASE_WS_URL ? 'WebSocket (polling fallback)' : 'polling'}`);
+    console.log(`🧱 Confirmation depth: ${CONFIRMATION_DEPTH} blocks`);
 
     // Get current block (use free API)
-    const currentBlock = await providerFree.getBlockNumber();
+    const currentBlock = await smartRpcCall((provider) => provider.getBlockNumber(), false, 2, 'getBlockNumber');
 
-    // Load saved state (last checked block and catch-up status)
+    // Load saved state (last checked block, recent block hashes and catch-up status)
     const savedState = await loadMonitorState();
+    restoreMeterState(savedState.metering);
+    blockCursor = createBlockCursor({ entries: savedState.recentBlocks });
+    scheduler = createScheduler({ state: savedState.scheduler, overrides: loadSchedulerOverrides() });
+    registerMaintenanceJobs();
     if (savedState.lastCheckedBlock) {
       lastCheckedBlock = savedState.lastCheckedBlock;
       console.log(`Resuming from saved block ${lastCheckedBlock} (current: ${currentBlock})`);
 
+      // The chain may have reorganized while we were down
+      await checkForReorg();
+
       // Only backfill if we're more than 100 blocks behind
       const blocksBehind = currentBlock - lastCheckedBlock;
       if (blocksBehind > 100) {
@@ -152,10 +193,13 @@ export async function startMonitoring() {
     }
 
     // Save initial state
-    await saveMonitorState({ lastCheckedBlock, catchUpComplete: !CATCH_UP_MODE });
+    await persistMonitorState({ catchUpComplete: !CATCH_UP_MODE });
     console.log('Backfill complete. Starting live monitoring...\n');
 
     isMonitoring = true;
+    if (INGEST_MODE === 'ws' && BASE_WS_URL) {
+      startLiveIngestion();
+    }
     monitorLoop();
   } catch (error) {
     console.error('Error starting monitor:', error);
@@ -168,7 +212,7 @@ export async function startMonitoring() {
  * Backfill historical transactions
  */
 export async function backfillHistory(fromBlock, toBlock) {
-  if (!providerFree) return;
+  if (!rpcPool) return;
 
   try {
     console.log(`Backfilling blocks ${fromBlock} to ${toBlock}...`);
@@ -202,6 +246,59 @@ export async function backfillHistory(fromBlock, toBlock) {
   }
 }
 
+/**
+ * Start WebSocket ingestion of new heads and TokenCreated logs
+ * While the socket is up it owns lastCheckedBlock; when it drops, checkForNewDeployments
+ * falls back to the getLogs polling path until the socket reconnects
+ */
+function startLiveIngestion() {
+  liveIngestor = createLiveIngestor({
+    url: BASE_WS_URL,
+    filter: { address: CONTRACT_ADDRESS, topics: [TOKEN_CREATED_TOPIC] },
+    onLog: (log) => {
+      liveQueue = liveQueue.then(() => runInJob('ingest', () => processTokenCreatedLogs([log])))
+        .catch(e => console.error('  ⚠️  Error handling live TokenCreated log:', e.message));
+    },
+    onHead: (blockNumber, { gap }) => {
+      liveQueue = liveQueue.then(() => runInJob('ingest', () => handleLiveHead(blockNumber, gap)))
+        .catch(e => console.error('  ⚠️  Error handling live head:', e.message));
+    },
+    onStatusChange: (status, error) => {
+      if (status === 'connected') {
+        console.log(`📡 Live ingestion connected (${CONTRACT_ADDRESS})`);
+      } else if (status === 'disconnected') {
+        console.error(`📡 Live ingestion disconnected${error ? `: ${error.message}` : ''} - falling back to polling until reconnect`);
+      }
+    }
+  });
+  liveIngestor.start();
+}
+
+/**
+ * Advance the block cursor on a new head
+ * Logs for block N-1 have been delivered once head N arrives, so in steady state the cursor
+ * moves without any RPC calls. When heads were skipped (reconnect, dropped notifications)
+ * the missing range is backfilled over HTTP first.
+ */
+async function handleLiveHead(blockNumber, gap) {
+  const safeBlock = blockNumber - 1;
+  if (lastCheckedBlock !== null && safeBlock <= lastCheckedBlock) {
+    return; // Already covered (duplicate head or reorg to a lower height)
+  }
+
+  const fromBlock = lastCheckedBlock !== null ? lastCheckedBlock + 1 : safeBlock;
+  if (gap && fromBlock <= safeBlock) {
+    console.log(`  📡 Gap detected: backfilling blocks ${fromBlock}-${safeBlock} over HTTP...`);
+    await checkTokenCreatedEvents(fromBlock, safeBlock);
+  }
+
+  lastCheckedBlock = safeBlock;
+}
+
+function isLiveIngestionActive() {
+  return liveIngestor !== null && liveIngestor.isConnected();
+}
+
 /**
  * Main monitoring loop with overall timeout protection
  */
@@ -214,9 +311,9 @@ async function monitorLoop() {
   try {
     console.log(`\n🔄 [${new Date().toLocaleTimeString()}] Starting monitoring cycle...`);
 
-    // Wrap the entire cycle in a timeout
+    // Wrap the entire cycle in a timeout (calls outside scheduled jobs are metered as ingest)
     await Promise.race([
-      checkForNewDeployments(),
+      runInJob('ingest', checkForNewDeployments),
       new Promise((_, reject) =>
         setTimeout(() => reject(new Error('Monitoring cycle timeout after 2 minutes')), CYCLE_TIMEOUT)
       )
@@ -248,10 +345,24 @@ async function monitorLoop() {
  * Respects Alchemy 10-block limit
  */
 async function checkForNewDeployments() {
-  if (!providerFree) return;
+  if (!rpcPool) return;
 
   try {
-    const currentBlock = await providerFree.getBlockNumber();
+    // Verify the last recorded block before scanning further (rewinds lastCheckedBlock on reorg)
+    await checkForReorg();
+
+    // Live ingestion is handling new deployments - only run the confirmation and maintenance work
+    if (isLiveIngestionActive()) {
+      if (lastCheckedBlock !== null) {
+        await recordCursorBlock(lastCheckedBlock);
+      }
+      await confirmDeployments();
+      await runMaintenance();
+      await persistMonitorState();
+      return;
+    }
+
+    const currentBlock = await smartRpcCall((provider) => provider.getBlockNumber(), false, 2, 'getBlockNumber');
     const fromBlock = lastCheckedBlock ? lastCheckedBlock + 1 : currentBlock - 50; // Check more blocks initially
     const toBlock = currentBlock;
 
@@ -279,24 +390,13 @@ async function checkForNewDeployments() {
       }
     }
 
-    // Check for dev sells (periodically, ~5% of cycles to reduce costs)
-    const checkSells = Math.random() < 0.05; // Reduced from 20% to 5%
-    if (checkSells) {
-      await checkForDevSells();
-    }
-
-    // Check for dev transfers (periodically, ~10% of cycles)
-    const checkTransfers = Math.random() < 0.1;
-    if (checkTransfers) {
-      await checkForDevTransfers();
-    }
-
-    // Update holder counts more frequently (every cycle now for better tracking)
-    await updateHolderCounts();
-
-    // Update last checked block and save state
+    // Update last checked block, remember its hash and promote deployments that are deep enough
     lastCheckedBlock = actualToBlock;
-    await saveMonitorState({ lastCheckedBlock });
+    await recordCursorBlock(lastCheckedBlock);
+    await confirmDeployments();
+
+    await runMaintenance();
+    await persistMonitorState();
 
     // If there are more blocks to check, we'll get them in the next cycle
     if (actualToBlock < toBlock) {
@@ -310,185 +410,313 @@ async function checkForNewDeployments() {
   }
 }
 
-// Rate limit tracking
-let lastRateLimitHit = 0;
-let consecutiveRateLimits = 0;
+/**
+ * Per-cycle maintenance of already stored deployments (dev activity, holders, volume, profiles,
+ * risk, launch buyers), as scheduled jobs
+ */
+function registerMaintenanceJobs() {
+  // Priorities decide what is skipped first as the daily compute budget runs out. Dev-sell
+  // detection is priority 0 and keeps running over budget; holder counts go last of the rest.
+
+  // Dev sells, buys, transfers and LP actions (every cycle, a few tokens at a time)
+  scheduler.register({ name: 'devActivity', budget: DEV_EVENT_TOKENS_PER_CYCLE, priority: 0, run: syncDevActivity });
+
+  // Holder counts and volume (every cycle, the holder check picks its own tokens by priority)
+  scheduler.register({ name: 'holderCounts', priority: 1, run: updateHolderCounts });
+
+  // Deployer reputation profiles, a few deployers at a time
+  scheduler.register({
+    name: 'deployerProfiles',
+    intervalSeconds: DEPLOYER_PROFILES_INTERVAL,
+    budget: 5,
+    priority: 3,
+    run: async ({ budget }) => refreshStaleDeployerProfiles(await getAllDeployments(), {
+      limit: budget,
+      apiUrl: ETHERSCAN_API_URL,
+      apiKey: ETHERSCAN_API_KEY
+    })
+  });
+
+  // Rug / honeypot risk of young tokens, a few tokens at a time
+  scheduler.register({
+    name: 'riskScores',
+    intervalSeconds: RISK_SCORES_INTERVAL,
+    budget: 3,
+    priority: 2,
+    run: async ({ budget }) => refreshStaleRiskScores(await getAllDeployments(), { limit: budget, rpcCall: riskRpcCall })
+  });
+
+  // Snipers / bundles once a launch window is confirmed, then their holdings
+  scheduler.register({
+    name: 'launchBuyers',
+    intervalSeconds: LAUNCH_BUYERS_INTERVAL,
+    budget: 3,
+    priority: 3,
+    run: async ({ budget }) => {
+      if (!lastCheckedBlock) return 0;
+      return refreshLaunchBuyers(await getAllDeployments(), lastCheckedBlock - CONFIRMATION_DEPTH, {
+        limit: budget,
+        getLogs: smartGetLogs,
+        getTransaction: (txHash) => smartRpcCall((provider) => provider.getTransaction(txHash), false, 2, 'getTransaction'),
+        rpcCall: riskRpcCall,
+        apiUrl: ETHERSCAN_API_URL,
+        apiKey: ETHERSCAN_API_KEY
+      });
+    }
+  });
+}
+
+async function runMaintenance() {
+  if (!scheduler) return;
+  await scheduler.runDue();
+}
 
 /**
- * Helper function to get logs in chunks (for free tier 10-block limit)
+ * The last holder-check ranking with each token's per-factor points
  */
-async function getLogsInChunks(provider, filter, fromBlock, toBlock, maxBlockRange = FREE_TIER_MAX_BLOCK_RANGE) {
-  const allLogs = [];
-  const GET_LOGS_TIMEOUT = 15000; // 15 second timeout per getLogs call
+export function getHolderCheckQueue() {
+  if (!lastHolderQueue) return { rankedAt: null, catchUpMode: CATCH_UP_MODE, weights: HOLDER_PRIORITY, queue: [] };
+  return {
+    rankedAt: lastHolderQueue.rankedAt,
+    catchUpMode: lastHolderQueue.catchUpMode,
+    weights: HOLDER_PRIORITY,
+    queue: lastHolderQueue.entries.map((t, index) => ({
+      rank: index + 1,
+      tokenAddress: t.deployment.tokenAddress,
+      tokenName: t.deployment.tokenName || null,
+      priority: t.priority,
+      eligible: t.eligible,
+      factors: t.factors,
+      recentVolume: t.recentVolume,
+      lastCheck: t.lastCheck,
+      isTier1: t.isTier1,
+      isStale: t.isStale,
+      hasActivity: t.hasActivity,
+      hasNoData: t.hasNoData
+    }))
+  };
+}
 
-  for (let blockNum = fromBlock; blockNum <= toBlock; blockNum += maxBlockRange) {
-    const endBlock = Math.min(blockNum + maxBlockRange - 1, toBlock);
-    let retries = 3;
-    let success = false;
+/**
+ * Scheduled job settings, run history and queue sizes
+ */
+export function getSchedulerStats() {
+  return scheduler ? scheduler.stats() : [];
+}
 
-    while (retries > 0 && !success) {
-      try {
-        // If we've hit rate limits recently, add extra delay
-        const timeSinceRateLimit = Date.now() - lastRateLimitHit;
-        if (timeSinceRateLimit < 10000) { // Within last 10 seconds
-          const backoffDelay = Math.min(consecutiveRateLimits * 1000, 5000); // Up to 5 seconds
-          console.log(`  ⏳ Rate limit backoff: waiting ${backoffDelay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, backoffDelay));
-        }
+/**
+ * Save the block cursor together with the recent block hashes, schedule and call meter
+ */
+async function persistMonitorState(extra = {}) {
+  await saveMonitorState({
+    lastCheckedBlock,
+    recentBlocks: blockCursor.toJSON(),
+    ...(scheduler && { scheduler: scheduler.toJSON() }),
+    metering: meterToJSON(),
+    ...extra
+  });
+}
 
-        // Add timeout to getLogs call
-        const logsPromise = provider.getLogs({
-          ...filter,
-          fromBlock: blockNum,
-          toBlock: endBlock
-        });
-        const timeoutPromise = new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('getLogs timeout after 15s')), GET_LOGS_TIMEOUT)
-        );
-        const logs = await Promise.race([logsPromise, timeoutPromise]);
-        allLogs.push(...logs);
-        success = true;
-        consecutiveRateLimits = 0; // Reset on success
-
-        // Delay between chunks (increased to avoid rate limits)
-        if (endBlock < toBlock) {
-          const baseDelay = CATCH_UP_MODE ? 200 : 500; // Increased from 50/200
-          await new Promise(resolve => setTimeout(resolve, baseDelay));
-        }
-      } catch (error) {
-        const isRateLimit = error.message && (
-          error.message.includes('429') ||
-          error.message.includes('compute units') ||
-          error.message.includes('exceeded') ||
-          error.message.includes('rate limit')
-        );
+async function getCanonicalBlockHash(blockNumber) {
+  const block = await smartRpcCall(
+    (provider) => provider.getBlock(blockNumber),
+    false,
+    2,
+    `getBlock ${blockNumber}`
+  );
+  return block ? block.hash : null;
+}
 
-        if (isRateLimit) {
-          lastRateLimitHit = Date.now();
-          consecutiveRateLimits++;
-          const backoffTime = Math.min(consecutiveRateLimits * 2000, 10000); // Exponential backoff up to 10s
-          console.error(`  ⚠️  Rate limit hit (${consecutiveRateLimits}x). Waiting ${backoffTime}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, backoffTime));
-          retries--;
-        } else {
-          console.error(`Error fetching logs for blocks ${blockNum}-${endBlock}:`, error.message);
-          break; // Non-rate-limit error, don't retry
-        }
-      }
+/**
+ * Remember the hash of the block the cursor just advanced to
+ * A parent hash that no longer matches the stored previous block means the chain reorganized
+ */
+async function recordCursorBlock(blockNumber) {
+  try {
+    const block = await smartRpcCall((provider) => provider.getBlock(blockNumber), false, 2, `getBlock ${blockNumber}`);
+    if (!block) return;
+
+    const result = blockCursor.record({ number: block.number, hash: block.hash, parentHash: block.parentHash });
+    if (result.reorg) {
+      console.log(`  🔀 Parent hash changed at block ${result.atBlock} - chain reorganized`);
+      await rollbackToForkPoint();
     }
+  } catch (error) {
+    console.error(`  ⚠️  Could not record block ${blockNumber}:`, error.message);
   }
-  return allLogs;
 }
 
 /**
- * Smart RPC call with automatic fallback: Try free API first, fallback to paid on rate limit
- * Includes overall timeout to prevent infinite hangs
+ * Check that the last recorded block is still canonical
+ * A block hash commits to all of its ancestors, so one lookup covers everything scanned so far
  */
-async function smartRpcCall(operation, usePaid = false, retries = 2, operationName = 'RPC call') {
-  const OVERALL_TIMEOUT = 30000; // 30 second overall timeout for any RPC call
+async function checkForReorg() {
+  const latest = blockCursor.latest();
+  if (!latest) return false;
 
-  const operationWithTimeout = async (provider, isPaid) => {
-    const emoji = isPaid ? '💰' : '🆓';
-    console.log(`  ${emoji} Using ${isPaid ? 'PAID' : 'FREE'} API for ${operationName}`);
-    return await Promise.race([
-      operation(provider),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('RPC call timeout after 30s')), OVERALL_TIMEOUT)
-      )
-    ]);
-  };
-
-  // If operation requires paid (trace API, large ranges), use paid directly
-  if (usePaid) {
-    if (!providerPaid || !ALCHEMY_API_KEY_PAID) {
-      throw new Error('Paid API required but not available');
+  try {
+    const canonicalHash = await getCanonicalBlockHash(latest.number);
+    if (!canonicalHash || canonicalHash === latest.hash) {
+      return false; // Still canonical (or the node hasn't seen that height yet)
     }
-    return await operationWithTimeout(providerPaid, true);
-  }
 
-  // Try free API first
-  try {
-    return await operationWithTimeout(providerFree, false);
+    console.log(`\n🔀 REORG DETECTED: block ${latest.number} is now ${canonicalHash.slice(0, 10)}... (was ${latest.hash.slice(0, 10)}...)`);
+    await rollbackToForkPoint();
+    return true;
   } catch (error) {
-    // Check if it's a rate limit error
-    const isRateLimit = error.message && (
-      error.message.includes('Too Many Requests') ||
-      error.message.includes('exceeded') ||
-      error.message.includes('rate limit') ||
-      error.message.includes('429') ||
-      error.message.includes('block range') || // Free tier block range limit
-      error.message.includes('compute units') ||
-      error.message.includes('quota')
-    );
+    console.error('  ⚠️  Error checking for reorg:', error.message);
+    return false;
+  }
+}
 
-    if (isRateLimit) {
-      lastRateLimitHit = Date.now();
-      consecutiveRateLimits++;
+/**
+ * Walk back to the last canonical block, rewind the cursor to it and reconcile every
+ * deployment above it. The next cycle rescans the rewound range on the new chain.
+ */
+async function rollbackToForkPoint() {
+  const { forkBlock, verified } = await blockCursor.findForkPoint(getCanonicalBlockHash);
+  if (forkBlock === null) return;
 
-      // If we have paid API, try it with backoff
-      if (providerPaid && ALCHEMY_API_KEY_PAID && retries > 0) {
-        const backoffTime = Math.min(consecutiveRateLimits * 1000, 5000);
-        console.log(`  ⚠️  Free API rate limited (${consecutiveRateLimits}x). Waiting ${backoffTime}ms before paid fallback...`);
-        await new Promise(resolve => setTimeout(resolve, backoffTime));
+  if (!verified) {
+    console.error(`  ⚠️  Reorg is deeper than the ${blockCursor.toJSON().length} tracked blocks - rescanning from block ${forkBlock}`);
+  }
 
-        try {
-          return await operationWithTimeout(providerPaid, true);
-        } catch (paidError) {
-          // If paid also rate limited, wait longer and retry
-          if (paidError.message && paidError.message.includes('429')) {
-            const longerBackoff = Math.min(consecutiveRateLimits * 2000, 10000);
-            console.log(`  ⚠️  Paid API also rate limited. Waiting ${longerBackoff}ms...`);
-            await new Promise(resolve => setTimeout(resolve, longerBackoff));
-
-            if (retries > 0) {
-              return await smartRpcCall(operation, usePaid, retries - 1);
-            }
-          }
-          console.error(`  ❌ Paid API also failed:`, paidError.message);
-          throw paidError;
-        }
-      } else {
-        // No paid API or out of retries - wait and throw
-        const backoffTime = Math.min(consecutiveRateLimits * 2000, 10000);
-        console.log(`  ⚠️  Rate limited. Waiting ${backoffTime}ms...`);
-        await new Promise(resolve => setTimeout(resolve, backoffTime));
-        throw error;
-      }
+  blockCursor.rollback(forkBlock);
+  if (lastCheckedBlock === null || lastCheckedBlock > forkBlock) {
+    console.log(`  ⏪ Rolling back cursor from block ${lastCheckedBlock} to ${forkBlock}`);
+    lastCheckedBlock = forkBlock;
+  }
+
+  const deployments = await getAllDeployments();
+  const affected = deployments.filter(d => d.status !== 'orphaned' && d.blockNumber > forkBlock);
+  for (const deployment of affected) {
+    try {
+      await reconcileDeployment(deployment);
+    } catch (e) {
+      console.error(`  ⚠️  Could not reconcile ${deployment.txHash} after reorg:`, e.message);
     }
+  }
+
+  await persistMonitorState();
+}
+
+/**
+ * Re-check a deployment's transaction against the canonical chain
+ * - tx gone or reverted: mark orphaned (hidden from the feed)
+ * - tx re-included in another block: move it there, stays pending
+ * - unchanged and `promote`: mark confirmed
+ * Returns 'orphaned' | 'moved' | 'confirmed' | 'unchanged'
+ */
+async function reconcileDeployment(deployment, { promote = false } = {}) {
+  const receipt = await smartRpcCall(
+    (provider) => provider.getTransactionReceipt(deployment.txHash),
+    false,
+    2,
+    `getTransactionReceipt ${deployment.txHash.slice(0, 10)}...`
+  );
+
+  if (!receipt || receipt.status === 0) {
+    await updateDeployment(deployment.txHash, { status: 'orphaned' });
+    console.log(`  🪦 Orphaned deployment ${deployment.tokenName} (${deployment.txHash}) - no longer on chain`);
+    return 'orphaned';
+  }
+
+  if (deployment.blockHash && receipt.blockHash !== deployment.blockHash) {
+    await updateDeployment(deployment.txHash, {
+      status: 'pending',
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash
+    });
+    console.log(`  🔀 Deployment ${deployment.tokenName} moved to block ${receipt.blockNumber} by reorg`);
+    return 'moved';
+  }
 
-    // If not rate limit, throw original error
-    throw error;
+  if (promote) {
+    await updateDeployment(deployment.txHash, {
+      status: 'confirmed',
+      blockHash: receipt.blockHash,
+      confirmedAt: Math.floor(Date.now() / 1000)
+    });
+    return 'confirmed';
   }
+
+  return 'unchanged';
 }
 
 /**
- * Smart getLogs with fallback and automatic chunking
- * Tries free API first, falls back to paid if rate limited
+ * Promote pending deployments that are at least CONFIRMATION_DEPTH blocks below the cursor
  */
-async function smartGetLogs(filter, fromBlock, toBlock, options = {}) {
-  const { usePaid = false, maxBlockRange = FREE_TIER_MAX_BLOCK_RANGE } = options;
+async function confirmDeployments() {
+  if (lastCheckedBlock === null) return;
 
-  // If using paid API, can use larger block ranges
-  const actualMaxRange = usePaid ? 2000 : maxBlockRange;
+  try {
+    const deployments = await getAllDeployments();
+    const ready = deployments
+      .filter(d => d.status === 'pending' && d.blockNumber && d.blockNumber <= lastCheckedBlock - CONFIRMATION_DEPTH)
+      .slice(0, MAX_CONFIRMATIONS_PER_CYCLE);
 
-  const blockRange = toBlock - fromBlock;
-  const operationName = `getLogs (blocks ${fromBlock}-${toBlock}, range: ${blockRange})`;
+    let confirmed = 0;
+    for (const deployment of ready) {
+      try {
+        const result = await reconcileDeployment(deployment, { promote: true });
+        if (result === 'confirmed') confirmed++;
+      } catch (e) {
+        console.error(`  ⚠️  Could not confirm ${deployment.txHash}:`, e.message);
+      }
+    }
 
-  const operation = async (provider) => {
-    // If range is small enough, call directly
-    if (toBlock - fromBlock <= actualMaxRange) {
-      return await provider.getLogs({
-        ...filter,
-        fromBlock,
-        toBlock
-      });
+    if (confirmed > 0) {
+      console.log(`  🧱 Confirmed ${confirmed} deployment(s) (${CONFIRMATION_DEPTH}+ blocks deep)`);
     }
+  } catch (error) {
+    console.error('Error confirming deployments:', error);
+  }
+}
 
-    // Otherwise chunk it
-    return await getLogsInChunks(provider, filter, fromBlock, toBlock, actualMaxRange);
-  };
+/**
+ * RPC call through the provider pool: free tier first, paid endpoints as fallback
+ * usePaid restricts the call to paid endpoints (trace API, large ranges)
+ */
+async function smartRpcCall(operation, usePaid = false, retries = 2, operationName = 'RPC call') {
+  return await rpcPool.call(operation, { tier: usePaid ? 'paid' : 'free', retries, name: operationName });
+}
 
-  return await smartRpcCall(operation, usePaid, 2, operationName);
+/**
+ * getLogs through the provider pool
+ * Each chunk goes to the healthiest endpoint and is sized to that endpoint's block range limit
+ */
+async function smartGetLogs(filter, fromBlock, toBlock, options = {}) {
+  const { usePaid = false } = options;
+  return await rpcPool.getLogs(filter, fromBlock, toBlock, {
+    tier: usePaid ? 'paid' : 'free',
+    chunkDelay: CATCH_UP_MODE ? 200 : 500 // Spread chunks out to avoid rate limits
+  });
+}
+
+/**
+ * Read-only token contract call (name, symbol, decimals) through the provider pool
+ */
+async function callTokenContract(tokenAddress, signature, method) {
+  return await smartRpcCall(
+    (provider) => new ethers.Contract(tokenAddress, [signature], provider)[method](),
+    false,
+    2,
+    `${method}() on ${tokenAddress.slice(0, 10)}...`
+  );
+}
+
+/**
+ * RPC call for the risk and launch buyer checks (see risk.js, snipers.js)
+ */
+function riskRpcCall(operation, operationName) {
+  return smartRpcCall(operation, false, 2, operationName);
+}
+
+/**
+ * Per-provider latency, error rate and rate-limit state
+ */
+export function getRpcStats() {
+  return rpcPool ? rpcPool.getStats() : [];
 }
 
 /**
@@ -498,11 +726,6 @@ async function smartGetLogs(filter, fromBlock, toBlock, options = {}) {
  */
 async function checkTokenCreatedEvents(fromBlock, toBlock) {
   try {
-    // TokenCreated event signature - first 3 indexed params: msgSender, tokenAddress, tokenAdmin
-    // We'll use a partial signature to catch the event
-    // Full event: TokenCreated(address,address,address,string,string,string,string,string,address,bytes32,int24,address,address,address,uint256,address[])
-    const tokenCreatedTopic = ethers.id('TokenCreated(address,address,address,string,string,string,string,string,address,bytes32,int24,address,address,address,uint256,address[])');
-
     // Use free API with 10-block chunks
     // PRIORITY: Check recent blocks first (last 100 blocks) for immediate detection
     const RECENT_BLOCK_RANGE = 100;
@@ -515,7 +738,7 @@ async function checkTokenCreatedEvents(fromBlock, toBlock) {
         const recentLogs = await smartGetLogs(
           {
             address: CONTRACT_ADDRESS,
-            topics: [tokenCreatedTopic]
+            topics: [TOKEN_CREATED_TOPIC]
           },
           recentFromBlock,
           toBlock,
@@ -523,31 +746,7 @@ async function checkTokenCreatedEvents(fromBlock, toBlock) {
         );
 
         console.log(`  🔍 PRIORITY: Checking recent blocks ${recentFromBlock}-${toBlock}: found ${recentLogs.length} TokenCreated events`);
-
-        for (const log of recentLogs) {
-          try {
-            if (log.topics && log.topics.length >= 4) {
-              const tokenAddress = '0x' + log.topics[2].slice(-40);
-
-              // Get transaction and receipt for additional data (use free API)
-              const tx = await providerFree.getTransaction(log.transactionHash);
-              const receipt = await providerFree.getTransactionReceipt(log.transactionHash);
-
-              // Check if we already have this deployment
-              const existing = await getAllDeployments();
-              if (existing.some(d => d.txHash === log.transactionHash || d.tokenAddress?.toLowerCase() === tokenAddress.toLowerCase())) {
-                continue; // Already processed
-              }
-
-              // Extract and store immediately
-              await extractAndStoreDeployment(tx, receipt, tokenAddress);
-              foundCount++;
-              console.log(`  ✅ NEW DEPLOYMENT DETECTED: ${tokenAddress} (tx: ${log.transactionHash})`);
-            }
-          } catch (e) {
-            console.error(`  ⚠️  Error processing TokenCreated event:`, e.message);
-          }
-        }
+        foundCount += await processTokenCreatedLogs(recentLogs);
       } catch (e) {
         console.error(`  ⚠️  Error checking recent TokenCreated events:`, e.message);
       }
@@ -559,109 +758,17 @@ async function checkTokenCreatedEvents(fromBlock, toBlock) {
         const logs = await smartGetLogs(
           {
             address: CONTRACT_ADDRESS,
-            topics: [tokenCreatedTopic]
+            topics: [TOKEN_CREATED_TOPIC]
           },
           fromBlock,
           recentFromBlock - 1,
           { usePaid: false } // Try free first, fallback to paid if rate limited
         );
 
-        console.log(`  🔍 Checking TokenCreated events in blocks ${fromBlock}-${toBlock}: found ${logs.length} events`);
-
-        for (const log of logs) {
-          try {
-            // Decode the event (indexed params are in topics, non-indexed in data)
-            // topics[0] = event signature
-            // topics[1] = msgSender (indexed)
-            // topics[2] = tokenAddress (indexed)
-            // topics[3] = tokenAdmin (indexed)
-            // data contains: tokenMetadata, tokenImage, tokenName, tokenSymbol, tokenContext, poolHook, poolId, startingTick, pairedToken, locker, mevModule, extensionsSupply, extensions[]
-
-            if (log.topics && log.topics.length >= 4) {
-              const msgSender = '0x' + log.topics[1].slice(-40);
-              const tokenAddress = '0x' + log.topics[2].slice(-40);
-              const tokenAdmin = '0x' + log.topics[3].slice(-40);
-
-              // Get transaction and receipt for additional data (use free API)
-              const tx = await providerFree.getTransaction(log.transactionHash);
-              const receipt = await providerFree.getTransactionReceipt(log.transactionHash);
-
-              // Check if we already have this deployment
-              const existing = await getAllDeployments();
-              if (existing.some(d => d.txHash === log.transactionHash || d.tokenAddress?.toLowerCase() === tokenAddress.toLowerCase())) {
-                continue; // Already processed
-              }
-
-              // Decode the event data to get token name, symbol, etc.
-              // For now, extract from transaction receipt logs (ERC20 Transfer from address(0))
-              // This is more reliable than parsing the event data directly
-              await extractAndStoreDeployment(tx, receipt, tokenAddress);
-              foundCount++;
-              console.log(`  ✅ New deployment detected via TokenCreated: ${tokenAddress}`);
-            }
-          } catch (e) {
-            console.error(`  ⚠️  Error processing TokenCreated event:`, e.message);
-          }
-        }
-      } catch (e) {
-        if (e.message && (e.message.includes('Too Many Requests') || e.message.includes('exceeded'))) {
-          console.error(`  ⚠️  Rate limit hit while checking TokenCreated events`);
-        } else {
-          console.error(`  ⚠️  Error fetching TokenCreated events for blocks ${fromBlock}-${toBlock}:`, e.message);
-        }
-      }
-    } else {
-      // For larger ranges, use smartGetLogs with automatic fallback
-      try {
-        const logs = await smartGetLogs(
-          {
-            address: CONTRACT_ADDRESS,
-            topics: [tokenCreatedTopic]
-          },
-          fromBlock,
-          toBlock,
-          { usePaid: false } // Try free first, fallback to paid if rate limited
-        );
-
-        console.log(`  🔍 Checking TokenCreated events in blocks ${fromBlock}-${toBlock}: found ${logs.length} events`);
-
-        for (const log of logs) {
-          try {
-            // Decode the event (indexed params are in topics, non-indexed in data)
-            // topics[0] = event signature
-            // topics[1] = msgSender (indexed)
-            // topics[2] = tokenAddress (indexed)
-            // topics[3] = tokenAdmin (indexed)
-            // data contains: tokenMetadata, tokenImage, tokenName, tokenSymbol, tokenContext, poolHook, poolId, startingTick, pairedToken, locker, mevModule, extensionsSupply, extensions[]
-
-            if (log.topics && log.topics.length >= 4) {
-              const msgSender = '0x' + log.topics[1].slice(-40);
-              const tokenAddress = '0x' + log.topics[2].slice(-40);
-              const tokenAdmin = '0x' + log.topics[3].slice(-40);
-
-              // Get transaction and receipt for additional data (use free API)
-              const tx = await providerFree.getTransaction(log.transactionHash);
-              const receipt = await providerFree.getTransactionReceipt(log.transactionHash);
-
-                // Check if we already have this deployment
-                const existing = await getAllDeployments();
-                if (existing.some(d => d.txHash === log.transactionHash || d.tokenAddress?.toLowerCase() === tokenAddress.toLowerCase())) {
-                  continue; // Already processed
-                }
-
-                // Decode the event data to get token name, symbol, etc.
-                // For now, extract from transaction receipt logs (ERC20 Transfer from address(0))
-                // This is more reliable than parsing the event data directly
-              await extractAndStoreDeployment(tx, receipt, tokenAddress);
-              foundCount++;
-              console.log(`  ✅ New deployment detected via TokenCreated: ${tokenAddress}`);
-            }
-          } catch (e) {
-            console.error(`  ⚠️  Error processing TokenCreated event:`, e.message);
-          }
-        }
+        console.log(`  🔍 Checking TokenCreated events in blocks ${fromBlock}-${recentFromBlock - 1}: found ${logs.length} events`);
+        foundCount += await processTokenCreatedLogs(logs);
       } catch (e) {
-        if (e.message && (e.message.includes('Too Many Requests') || e.message.includes('exceeded'))) {
+        if (classifyRpcError(e) === 'rate_limit') {
           console.error(`  ⚠️  Rate limit hit while checking TokenCreated events`);
         } else {
           console.error(`  ⚠️  Error fetching TokenCreated events for blocks ${fromBlock}-${toBlock}:`, e.message);
@@ -677,6 +784,61 @@ async function checkTokenCreatedEvents(fromBlock, toBlock) {
   }
 }
 
+/**
+ * Decode and store TokenCreated logs
+ * The event payload already carries name, symbol, image, pool and locker data,
+ * so only the transaction (for dev buy value) and receipt are fetched
+ * Returns the number of new deployments stored
+ */
+async function processTokenCreatedLogs(logs) {
+  let stored = 0;
+
+  for (const log of logs) {
+    try {
+      const tokenEvent = decodeTokenCreatedLog(log);
+      if (!tokenEvent) continue;
+
+      const existing = await getAllDeployments();
+      const known = existing.find(d => d.txHash === log.transactionHash);
+
+      // Subscriptions re-deliver logs with removed=true when their block is reorged out
+      if (log.removed) {
+        if (known && known.status !== 'orphaned') {
+          await reconcileDeployment(known);
+        }
+        continue;
+      }
+
+      // An orphaned deployment whose tx was re-included after a reorg
+      if (known && known.status === 'orphaned') {
+        await updateDeployment(known.txHash, { status: 'pending', blockNumber: log.blockNumber, blockHash: log.blockHash });
+        console.log(`  ♻️  Deployment ${known.tokenName} re-included in block ${log.blockNumber}`);
+        continue;
+      }
+
+      // Check if we already have this deployment
+      if (known || existing.some(d => d.tokenAddress?.toLowerCase() === tokenEvent.tokenAddress.toLowerCase())) {
+        continue; // Already processed
+      }
+
+      // Get transaction and receipt for additional data (use free API)
+      const tx = await smartRpcCall((provider) => provider.getTransaction(log.transactionHash), false, 2, 'getTransaction');
+      const receipt = await smartRpcCall((provider) => provider.getTransactionReceipt(log.transactionHash), false, 2, 'getTransactionReceipt');
+
+      // Extract and store immediately
+      const added = await extractAndStoreDeployment(tx, receipt, tokenEvent);
+      if (added) {
+        stored++;
+        console.log(`  ✅ NEW DEPLOYMENT DETECTED: ${tokenEvent.tokenSymbol} ${tokenEvent.tokenAddress} (tx: ${log.transactionHash})`);
+      }
+    } catch (e) {
+      console.error(`  ⚠️  Error processing TokenCreated event:`, e.message);
+    }
+  }
+
+  return stored;
+}
+
 /**
  * Get ALL transactions to the contract in a block range
  * Use getLogs to find transactions (more reliable)
@@ -710,7 +872,7 @@ async function getTransactionsInRange(fromBlock, toBlock) {
     let fetched = 0;
     for (const txHash of txHashes) {
       try {
-        const tx = await providerFree.getTransaction(txHash);
+        const tx = await smartRpcCall((provider) => provider.getTransaction(txHash), false, 2, 'getTransaction');
         if (tx && tx.to && tx.to.toLowerCase() === CONTRACT_ADDRESS.toLowerCase()) {
           transactions.push(tx);
         }
@@ -747,7 +909,7 @@ async function processTransaction(tx) {
     }
 
     // Get transaction receipt for more details (use free API)
-    const receipt = await providerFree.getTransactionReceipt(tx.hash);
+    const receipt = await smartRpcCall((provider) => provider.getTransactionReceipt(tx.hash), false, 2, 'getTransactionReceipt');
     if (!receipt || receipt.status !== 1) {
       return false; // Transaction failed or not found
     }
@@ -827,23 +989,29 @@ async function checkIfDeployToken(tx, receipt, functionSelector) {
 
 /**
  * Extract deployment information and store it
+ * tokenEvent is the decoded TokenCreated payload; if not provided it is looked up in the receipt
+ * Returns true if a new deployment was stored
  */
-async function extractAndStoreDeployment(tx, receipt, knownTokenAddress = null) {
+async function extractAndStoreDeployment(tx, receipt, tokenEvent = null) {
   try {
     // Final duplicate check before storing
     const existing = await getAllDeployments();
     if (existing.some(d => d.txHash === tx.hash)) {
-      return; // Already processed
+      return false; // Already processed
     }
 
-    const block = await providerFree.getBlock(receipt.blockNumber);
+    const block = await smartRpcCall((provider) => provider.getBlock(receipt.blockNumber), false, 2, 'getBlock');
     const timestamp = block ? block.timestamp : Math.floor(Date.now() / 1000);
 
-    // Find token address from logs (or use provided knownTokenAddress from TokenCreated event)
-    let tokenAddress = knownTokenAddress;
-    let tokenName = 'Unknown';
+    // The factory's TokenCreated event has everything we need (address, name, symbol, image, pool, locker)
+    if (!tokenEvent) {
+      tokenEvent = findTokenCreatedEvent(receipt, CONTRACT_ADDRESS);
+    }
+
+    let tokenAddress = tokenEvent ? tokenEvent.tokenAddress : null;
+    let tokenName = tokenEvent ? (tokenEvent.tokenName || tokenEvent.tokenSymbol || 'Unknown') : 'Unknown';
 
-    // If we don't have a known token address, find it from logs
+    // Legacy fallback: no TokenCreated event in the receipt, guess the token address from logs
     if (!tokenAddress) {
       // Priority: Transfer events from non-deployer addresses (token contracts)
       const deployerAddr = CONTRACT_ADDRESS.toLowerCase();
@@ -888,22 +1056,15 @@ async function extractAndStoreDeployment(tx, receipt, knownTokenAddress = null)
       }
     }
 
-    // Try to get token name from the token contract
-    if (tokenAddress) {
+    // Try to get token name from the token contract (only needed without a TokenCreated event)
+    if (tokenAddress && !tokenEvent) {
       try {
-        // Standard ERC20 name() function selector: 0x06fdde03
-        const nameData = '0x06fdde03';
-        const tokenContract = new ethers.Contract(tokenAddress, [
-          'function name() view returns (string)',
-          'function symbol() view returns (string)'
-        ], providerFree);
-
         try {
-          tokenName = await tokenContract.name();
+          tokenName = await callTokenContract(tokenAddress, 'function name() view returns (string)', 'name');
         } catch (e) {
           // Try symbol if name fails
           try {
-            tokenName = await tokenContract.symbol();
+            tokenName = await callTokenContract(tokenAddress, 'function symbol() view returns (string)', 'symbol');
           } catch (e2) {
             tokenName = 'Unknown';
           }
@@ -942,7 +1103,7 @@ async function extractAndStoreDeployment(tx, receipt, knownTokenAddress = null)
       // Try to resolve via public API
       const ensController = new AbortController();
       const ensTimeout = setTimeout(() => ensController.abort(), 5000);
-      const ensResponse = await fetch(`https://api.ensideas.com/ens/resolve/${tx.from}?chainId=8453`, {
+      const ensResponse = await meteredFetch('ensideas', 'resolve', `https://api.ensideas.com/ens/resolve/${tx.from}?chainId=8453`, {
         signal: ensController.signal
       });
       clearTimeout(ensTimeout);
@@ -972,7 +1133,7 @@ async function extractAndStoreDeployment(tx, receipt, knownTokenAddress = null)
           try {
             const responseController = new AbortController();
             const responseTimeout = setTimeout(() => responseController.abort(), 5000);
-            const response = await fetch(
+            const response = await meteredFetch('basescan', 'tokenholderlist',
               `${ETHERSCAN_API_URL}?module=token&action=tokenholderlist&contractaddress=${tokenAddress}&apikey=${ETHERSCAN_API_KEY}&page=1&offset=1`,
               { signal: responseController.signal }
             );
@@ -983,7 +1144,7 @@ async function extractAndStoreDeployment(tx, receipt, knownTokenAddress = null)
               // Note: This endpoint might return paginated results, but we can get an estimate
               const holderController = new AbortController();
               const holderTimeout = setTimeout(() => holderController.abort(), 5000);
-              const holderResponse = await fetch(
+              const holderResponse = await meteredFetch('basescan', 'tokensupply',
                 `${ETHERSCAN_API_URL}?module=stats&action=tokensupply&contractaddress=${tokenAddress}&apikey=${ETHERSCAN_API_KEY}`,
                 { signal: holderController.signal }
               );
@@ -991,7 +1152,7 @@ async function extractAndStoreDeployment(tx, receipt, knownTokenAddress = null)
               // Alternative: Use token info endpoint
               const tokenInfoController = new AbortController();
               const tokenInfoTimeout = setTimeout(() => tokenInfoController.abort(), 5000);
-              const tokenInfoResponse = await fetch(
+              const tokenInfoResponse = await meteredFetch('basescan', 'tokeninfo',
                 `${ETHERSCAN_API_URL}?module=token&action=tokeninfo&contractaddress=${tokenAddress}&apikey=${ETHERSCAN_API_KEY}`,
                 { signal: tokenInfoController.signal }
               );
@@ -1043,7 +1204,7 @@ async function extractAndStoreDeployment(tx, receipt, knownTokenAddress = null)
       );
       if (existingByAddress) {
         console.log(`  ⚠️  Duplicate token address detected: ${tokenAddress} (already exists as ${existingByAddress.txHash})`);
-        return; // Token address already exists, skip
+        return false; // Token address already exists, skip
       }
     }
 
@@ -1063,6 +1224,9 @@ async function extractAndStoreDeployment(tx, receipt, knownTokenAddress = null)
       tokenAddress: tokenAddress || 'N/A',
       tokenName: tokenName,
       blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+      // Promoted to 'confirmed' by confirmDeployments once CONFIRMATION_DEPTH blocks deep
+      status: 'pending',
       timestamp: timestamp,
       from: tx.from,
       ensName: ensName,
@@ -1073,6 +1237,22 @@ async function extractAndStoreDeployment(tx, receipt, knownTokenAddress = null)
       holderCount: holderCount,
       holderCountHistory: holderCountHistory,
       marketCap: marketCap,
+      // Decoded TokenCreated payload (null for legacy receipts without the event)
+      ...(tokenEvent && {
+        tokenSymbol: tokenEvent.tokenSymbol,
+        tokenImage: tokenEvent.tokenImage,
+        tokenMetadata: tokenEvent.tokenMetadata,
+        tokenContext: tokenEvent.tokenContext,
+        tokenAdmin: tokenEvent.tokenAdmin,
+        poolHook: tokenEvent.poolHook,
+        poolId: tokenEvent.poolId,
+        startingTick: tokenEvent.startingTick,
+        pairedToken: tokenEvent.pairedToken,
+        locker: tokenEvent.locker,
+        mevModule: tokenEvent.mevModule,
+        extensionsSupply: tokenEvent.extensionsSupply,
+        extensions: tokenEvent.extensions
+      }),
       links: {
         dexscreener: tokenAddress
           ? `https://dexscreener.com/base/${tokenAddress}`
@@ -1089,337 +1269,84 @@ async function extractAndStoreDeployment(tx, receipt, knownTokenAddress = null)
     // Store the deployment
     const added = await addDeployment(deployment);
     if (added) {
+      publishMonitorEvent('deployment.created', deployment, {
+        blockNumber: deployment.blockNumber,
+        status: deployment.status,
+        devBuyAmountFormatted: deployment.devBuyAmountFormatted
+      });
       console.log(`\n✅ New deployment detected!`);
-      console.log(`  Token: ${tokenName}`);
+      console.log(`  Token: ${tokenName}${tokenEvent?.tokenSymbol ? ` ($${tokenEvent.tokenSymbol})` : ''}`);
       console.log(`  Address: ${tokenAddress || 'N/A'}`);
       console.log(`  TX: ${tx.hash}`);
       console.log(`  Block: ${receipt.blockNumber}\n`);
+
+      // First risk check from the receipt we already have (re-checked by runMaintenance)
+      if (deployment.poolId && tokenAddress) {
+        try {
+          const risk = await refreshTokenRisk(deployment, { rpcCall: riskRpcCall, receipt });
+          console.log(`  🛡️  Risk: ${risk.riskScore} (${risk.riskLevel})${risk.riskReasons.length > 0 ? ` - ${risk.riskReasons.join(', ')}` : ''}`);
+        } catch (error) {
+          console.error(`  ⚠️  Risk check failed for ${tokenName}:`, error.message);
+        }
+      }
     }
+    return added;
   } catch (error) {
     console.error('Error extracting deployment:', error);
+    return false;
   }
 }
 
 /**
- * Verify holder counts using Trace API to filter out zero-balance addresses
- * This provides more accurate holder counts by checking actual token balances
+ * Make sure a deployment knows its pool (rows stored before TokenCreated was fully decoded
+ * don't have poolId) - re-reads it from the deployment receipt once
  */
-async function verifyHoldersWithTrace(tokenAddress, potentialHolders, fromBlock, toBlock) {
-  if (!ALCHEMY_TRACE_URL || potentialHolders.length === 0) {
-    return potentialHolders.length;
-  }
-
-  try {
-    const verifiedHolders = new Set();
-    const ERC20_BALANCE_OF = '0x70a08231'; // balanceOf(address) function selector
-
-    // Sample a few blocks to check balances
-    const sampleSize = Math.min(3, toBlock - fromBlock);
-    const blockStep = Math.max(1, Math.floor((toBlock - fromBlock) / sampleSize));
+async function ensurePoolInfo(deployment) {
+  if (deployment.poolId && deployment.pairedToken) return deployment;
 
-    for (let i = 0; i < sampleSize; i++) {
-      const blockNum = toBlock - (i * blockStep);
-      if (blockNum < fromBlock) break;
-
-      try {
-        // Get trace for the block with timeout
-        console.log(`  💰 Using PAID API for trace_block (block ${blockNum})`);
-        const traceController = new AbortController();
-        const traceTimeout = setTimeout(() => traceController.abort(), 10000);
-        const traceResponse = await fetch(ALCHEMY_TRACE_URL, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            id: 1,
-            method: 'trace_block',
-            params: [`0x${blockNum.toString(16)}`]
-          }),
-          signal: traceController.signal
-        });
-        clearTimeout(traceTimeout);
-
-        if (!traceResponse.ok) continue;
-        const traceData = await traceResponse.json();
-
-        if (traceData.result && Array.isArray(traceData.result)) {
-          // Look for balanceOf calls or state changes involving our token
-          for (const trace of traceData.result) {
-            if (trace.action && trace.action.to) {
-              const toAddress = trace.action.to.toLowerCase();
-              if (toAddress === tokenAddress.toLowerCase()) {
-                // Check if this trace involves any of our potential holders
-                const fromAddress = trace.action.from?.toLowerCase();
-                if (fromAddress && potentialHolders.includes(fromAddress)) {
-                  // If there's a value transfer or state change, they likely have a balance
-                  if (trace.action.value || trace.result) {
-                    verifiedHolders.add(fromAddress);
-                  }
-                }
-              }
-            }
-          }
-        }
+  const receipt = await smartRpcCall((provider) => provider.getTransactionReceipt(deployment.txHash), false, 2, 'getTransactionReceipt');
+  const tokenEvent = findTokenCreatedEvent(receipt, CONTRACT_ADDRESS);
+  if (!tokenEvent) return null;
 
-        // Small delay between blocks
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (err) {
-        // Continue with next block if trace fails
-        continue;
-      }
-    }
-
-    // If we verified some holders, use that count; otherwise trust Transfer events
-    // For efficiency, we'll use a hybrid approach: if we verified >50% of potential holders, use verified count
-    // Otherwise, use Transfer event count (which is usually accurate)
-    if (verifiedHolders.size > 0 && verifiedHolders.size >= potentialHolders.length * 0.5) {
-      return verifiedHolders.size;
-    }
-
-    // Default to Transfer event count (more comprehensive)
-    return potentialHolders.length;
-  } catch (error) {
-    console.error(`Error verifying holders with trace:`, error.message);
-    return potentialHolders.length; // Fallback to Transfer event count
-  }
+  await updateDeployment(deployment.txHash, { poolId: tokenEvent.poolId, pairedToken: tokenEvent.pairedToken });
+  return { ...deployment, poolId: tokenEvent.poolId, pairedToken: tokenEvent.pairedToken };
 }
 
 /**
- * Calculate actual ETH volume using Alchemy Trace API
- * This provides accurate volume metrics instead of estimates
+ * Calculate volume, buy/sell split, trades, unique traders and last price from the
+ * token's pool Swap events. Returns null while the swap history is still catching up.
  */
-async function calculateActualVolume(deployment, currentBlock, currentTimestamp) {
-  if (!ALCHEMY_TRACE_URL || !deployment.tokenAddress) {
-    // Fallback to estimate if Trace API not available
-    return { volume1h: 0, volume6h: 0, volume24h: 0, volume7d: 0 };
+async function calculateSwapVolume(deployment, currentBlock, currentTimestamp) {
+  const pooled = await ensurePoolInfo(deployment);
+  if (!pooled) {
+    console.log(`    ⚠️  No pool found for ${deployment.tokenName || 'token'}, skipping volume`);
+    return null;
   }
 
-  try {
-    const tokenAddress = deployment.tokenAddress.toLowerCase();
-    const WETH_ADDRESS = '0x4200000000000000000000000000000000000006'.toLowerCase();
-
-    // Calculate block ranges (Base has ~2s block time, ~43200 blocks/day)
-    const blocks1h = 1800;   // ~1 hour
-    const blocks6h = 10800;   // ~6 hours
-    const blocks24h = 43200;  // ~24 hours
-    const blocks7d = blocks24h * 7;
-    const fromBlock1h = Math.max(currentBlock - blocks1h, deployment.blockNumber);
-    const fromBlock6h = Math.max(currentBlock - blocks6h, deployment.blockNumber);
-    const fromBlock24h = Math.max(currentBlock - blocks24h, deployment.blockNumber);
-    const fromBlock7d = Math.max(currentBlock - blocks7d, deployment.blockNumber);
-
-    let volume1h = 0;
-    let volume6h = 0;
-    let volume24h = 0;
-    let volume7d = 0;
-
-    // Get all transactions involving this token in the last 24h
-    try {
-      // Find transactions that interact with DEX routers and involve our token
-      const transferEventSignature = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
-
-      // Get Transfer events for the token (use smartGetLogs with automatic fallback)
-      const transferLogs = await smartGetLogs(
-        {
-          address: deployment.tokenAddress,
-          topics: [transferEventSignature]
-        },
-        fromBlock24h,
-        currentBlock,
-        { usePaid: false } // Try free first, fallback to paid if rate limited
-      );
-
-      // Get unique transaction hashes
-      const txHashes = [...new Set(transferLogs.map(log => log.transactionHash))];
-
-      // Limit to most recent 10 transactions to avoid timeouts and rate limits (reduced from 20)
-      const recentTxs = txHashes.slice(-10);
-
-      // Set a timeout for the entire volume calculation (15 seconds max - reduced from 30)
-      const volumeCalculationStart = Date.now();
-      const MAX_VOLUME_CALC_TIME = 15000; // 15 seconds
-
-      // Process transactions in batches to get traces
-      for (let i = 0; i < recentTxs.length; i++) {
-        const txHash = recentTxs[i];
-
-        // Check if we've exceeded max time
-        if (Date.now() - volumeCalculationStart > MAX_VOLUME_CALC_TIME) {
-          console.log(`    ⏱️  Volume calculation timeout after ${i}/${recentTxs.length} transactions, using fallback`);
-          break;
-        }
-
-        try {
-          // Add timeout to transaction fetch (5 seconds)
-          const txPromise = providerFree.getTransaction(txHash);
-          const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Transaction fetch timeout')), 5000)
-          );
-          const tx = await Promise.race([txPromise, timeoutPromise]);
-
-          if (!tx || !tx.to) continue;
-
-          // Check if transaction interacts with a DEX router
-          const toAddress = tx.to.toLowerCase();
-          if (!DEX_ROUTERS.has(toAddress)) continue;
-
-          // Get transaction trace using Alchemy Trace API with timeout
-          console.log(`  💰 Using PAID API for trace_transaction (${txHash.slice(0, 10)}...)`);
-          const traceController = new AbortController();
-          const traceTimeout = setTimeout(() => traceController.abort(), 10000); // 10 second timeout
-
-          try {
-            const traceResponse = await fetch(ALCHEMY_TRACE_URL, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                jsonrpc: '2.0',
-                id: 1,
-                method: 'trace_transaction',
-                params: [txHash]
-              }),
-              signal: traceController.signal
-            });
-
-            clearTimeout(traceTimeout);
+  const sync = await syncTokenSwaps(pooled, currentBlock - CONFIRMATION_DEPTH, {
+    getLogs: smartGetLogs,
+    getTransaction: (txHash) => smartRpcCall((provider) => provider.getTransaction(txHash), false, 2, 'getTransaction'),
+    refBlock: currentBlock,
+    refTimestamp: currentTimestamp,
+    maxBlocks: SWAP_SYNC_BLOCKS
+  });
 
-            if (!traceResponse.ok) {
-              console.log(`    ⚠️  Trace API returned ${traceResponse.status} for ${txHash.slice(0, 10)}...`);
-              continue;
-            }
-
-            const traceData = await traceResponse.json();
-
-            if (traceData.error) {
-              console.log(`    ⚠️  Trace API error: ${traceData.error.message || 'Unknown error'}`);
-              continue;
-            }
-
-            if (traceData.result && Array.isArray(traceData.result)) {
-              // Extract ETH value transfers from trace
-              for (const trace of traceData.result) {
-                if (trace.action && trace.action.value) {
-                  const value = BigInt(trace.action.value);
-                  if (value > 0) {
-                    const ethValue = parseFloat(ethers.formatEther(value));
-
-                    // Check if this trace involves our token or WETH
-                    const traceAddress = trace.action.to?.toLowerCase();
-                    if (traceAddress === tokenAddress || traceAddress === WETH_ADDRESS) {
-                      // Get block number for this transaction (with timeout)
-                      try {
-                        const receiptPromise = providerFree.getTransactionReceipt(txHash);
-                        const receiptTimeout = new Promise((_, reject) =>
-                          setTimeout(() => reject(new Error('Receipt fetch timeout')), 5000)
-                        );
-                        const receipt = await Promise.race([receiptPromise, receiptTimeout]);
-
-                        if (receipt) {
-                          const blockPromise = providerFree.getBlock(receipt.blockNumber);
-                          const blockTimeout = new Promise((_, reject) =>
-                            setTimeout(() => reject(new Error('Block fetch timeout')), 5000)
-                          );
-                          const block = await Promise.race([blockPromise, blockTimeout]);
-                          const txTimestamp = block ? block.timestamp : currentTimestamp;
-                          const age = currentTimestamp - txTimestamp;
-
-                          if (age <= 3600) { // 1 hour
-                            volume1h += ethValue;
-                          }
-                          if (age <= 21600) { // 6 hours
-                            volume6h += ethValue;
-                          }
-                          if (age <= 86400) { // 24 hours
-                            volume24h += ethValue;
-                          }
-                          if (age <= 604800) { // 7 days
-                            volume7d += ethValue;
-                          }
-                        }
-                      } catch (blockErr) {
-                        // Skip this transaction if block/receipt fetch fails
-                        continue;
-                      }
-                    }
-                  }
-                }
-              }
-            }
-
-            // Small delay to avoid rate limits
-            await new Promise(resolve => setTimeout(resolve, 100));
-          } catch (fetchErr) {
-            clearTimeout(traceTimeout);
-            if (fetchErr.name === 'AbortError') {
-              console.log(`    ⏱️  Trace API timeout for ${txHash.slice(0, 10)}..., skipping`);
-            } else {
-              console.log(`    ⚠️  Trace API error for ${txHash.slice(0, 10)}...: ${fetchErr.message}`);
-            }
-            continue;
-          }
-        } catch (err) {
-          // Continue with next transaction if anything fails
-          if (err.message !== 'Transaction fetch timeout') {
-            console.log(`    ⚠️  Error processing transaction ${txHash.slice(0, 10)}...: ${err.message}`);
-          }
-          continue;
-        }
-      }
-    } catch (err) {
-      console.error(`Error calculating volume for ${deployment.tokenName || 'token'}:`, err.message);
-      // Return fallback estimate - will be calculated in fallback section below
-    }
-
-    // If we got actual volume, use it; otherwise use fallback
-    if (volume1h === 0 && volume6h === 0 && volume24h === 0 && volume7d === 0) {
-      // Fallback: estimate based on transfer activity (use smartGetLogs with automatic fallback)
-      // Get transfers for 1h, 6h, and 24h separately for better estimates
-      const transferLogs1h = await smartGetLogs(
-        {
-          address: deployment.tokenAddress,
-          topics: ['0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef']
-        },
-        fromBlock1h,
-        currentBlock,
-        { usePaid: false }
-      );
-      const transferLogs6h = await smartGetLogs(
-        {
-          address: deployment.tokenAddress,
-          topics: ['0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef']
-        },
-        fromBlock6h,
-        currentBlock,
-        { usePaid: false }
-      );
-      const transferLogs24h = await smartGetLogs(
-        {
-          address: deployment.tokenAddress,
-          topics: ['0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef']
-        },
-        fromBlock24h,
-        currentBlock,
-        { usePaid: false }
-      );
-
-      const transferCount1h = transferLogs1h.length;
-      const transferCount6h = transferLogs6h.length;
-      const transferCount24h = transferLogs24h.length;
+  if (!sync.caughtUp) {
+    console.log(`    🔄 ${deployment.tokenName || 'token'}: swaps synced to block ${sync.lastBlock} (${Math.max(0, currentBlock - CONFIRMATION_DEPTH - sync.lastBlock)} blocks behind), catching up...`);
+    return null;
+  }
 
-      return {
-        volume1h: transferCount1h * 0.01,
-        volume6h: transferCount6h * 0.01,
-        volume24h: transferCount24h * 0.01,
-        volume7d: transferCount24h * 0.01 * 7 // Estimate 7d from 24h
-      };
-    }
+  return getSwapStats(deployment.tokenAddress, currentTimestamp);
+}
 
-    return { volume1h, volume6h, volume24h, volume7d };
-  } catch (error) {
-    console.error(`Error in calculateActualVolume:`, error.message);
-    // Return zero volume on error
-    return { volume1h: 0, volume6h: 0, volume24h: 0, volume7d: 0 };
-  }
+/**
+ * Market cap history with a new point appended (keeps last 30, skips unchanged values)
+ */
+function appendMarketCapHistory(deployment, marketCap, timestamp) {
+  const history = deployment.marketCapHistory || [];
+  const last = history[history.length - 1];
+  if (!marketCap || (last && last.marketCap === marketCap)) return history;
+  return [...history, { marketCap, timestamp }].slice(-30);
 }
 
 /**
@@ -1432,6 +1359,7 @@ async function fetchFarcasterUser(ethereumAddress) {
   }
 
   try {
+    recordCall({ provider: 'neynar', method: 'fetchBulkUsersByEthOrSolAddress', kind: 'http' });
     const response = await neynarClient.fetchBulkUsersByEthOrSolAddress({
       addresses: [ethereumAddress]
     });
@@ -1456,6 +1384,52 @@ async function fetchFarcasterUser(ethereumAddress) {
   }
 }
 
+/**
+ * One-off holder count for a token with no stored count whose ledger is still backfilling:
+ * the explorer's holder list if there's an API key, otherwise the addresses in the last
+ * 200 blocks of Transfer logs. Stored as an estimate until the ledger count takes over.
+ */
+async function estimateHolderCount(deployment, currentBlock) {
+  if (ETHERSCAN_API_KEY) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 5000);
+    try {
+      const response = await meteredFetch('basescan', 'tokenholderlist',
+        `${ETHERSCAN_API_URL}?module=token&action=tokenholderlist&contractaddress=${deployment.tokenAddress}&apikey=${ETHERSCAN_API_KEY}&page=1&offset=1000`,
+        { signal: controller.signal }
+      );
+      const data = await response.json();
+      if (data.status === '1' && Array.isArray(data.result)) {
+        return data.result.length;
+      }
+    } catch (e) {
+      // Explorer failed, use the Transfer logs
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  const holders = new Set();
+  try {
+    const logs = await smartGetLogs(
+      { address: deployment.tokenAddress, topics: [TRANSFER_TOPIC] },
+      Math.max(deployment.blockNumber, currentBlock - HOLDER_ESTIMATE_BLOCKS),
+      currentBlock,
+      { usePaid: false }
+    );
+    for (const log of logs) {
+      if (!log.topics || log.topics.length < 3) continue;
+      for (const topic of [log.topics[1], log.topics[2]]) {
+        const address = ('0x' + topic.slice(-40)).toLowerCase();
+        if (address !== ethers.ZeroAddress) holders.add(address);
+      }
+    }
+  } catch (e) {
+    console.error(`  ⚠️  Error fetching logs for ${deployment.tokenName || 'token'}:`, e.message);
+  }
+  return holders.size;
+}
+
 /**
  * Fetch market cap from DEXScreener API
  * Returns market cap in USD, or 0 if unavailable
@@ -1470,7 +1444,7 @@ async function fetchMarketCap(tokenAddress) {
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), 5000); // 5 second timeout
 
-    const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`, {
+    const response = await meteredFetch('dexscreener', 'tokens', `https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`, {
       method: 'GET',
       headers: {
         'Accept': 'application/json'
@@ -1521,12 +1495,13 @@ async function fetchMarketCap(tokenAddress) {
 async function updateHolderCounts() {
   try {
     const deployments = await getAllDeployments();
-    const currentBlock = await providerFree.getBlockNumber();
+    const currentBlock = await smartRpcCall((provider) => provider.getBlockNumber(), false, 2, 'getBlockNumber');
     const currentTimestamp = Math.floor(Date.now() / 1000);
 
-    // Filter valid tokens (exclude known standard tokens like WETH and FEY, and pruned tokens)
+    // Filter valid tokens (exclude known standard tokens like WETH and FEY, pruned and orphaned tokens)
     const validTokens = deployments.filter(d => {
       if (!d.tokenAddress || d.tokenAddress === 'N/A') return false;
+      if (d.status === 'orphaned') return false; // Reorged out
       // Exclude known standard tokens by address
       const addrLower = d.tokenAddress.toLowerCase();
       if (KNOWN_TOKENS.has(addrLower)) return false;
@@ -1552,9 +1527,11 @@ async function updateHolderCounts() {
       if (age > 3600 && (d.holderCount || 0) <= 5) {
         // Proactively mark as pruned if not already marked
         if (!d.isPruned) {
-          updateDeployment(d.txHash, { isPruned: true }).catch(() => {
-            // Ignore errors, will be marked on next holder check
-          });
+          updateDeployment(d.txHash, { isPruned: true })
+            .then(() => publishMonitorEvent('token.pruned', d, { holderCount: d.holderCount || 0, age }))
+            .catch(() => {
+              // Ignore errors, will be marked on next holder check
+            });
         }
         return false; // Don't check this token anymore
       }
@@ -1566,8 +1543,8 @@ async function updateHolderCounts() {
 
     // Score and prioritize tokens for checking
     // First pass: Quick volume check for tokens (sequential to reduce costs, limit to top 10)
-    // Only check volume for top priority tokens to reduce API calls
-    const tokensToCheckVolume = validTokens.slice(0, CATCH_UP_MODE ? 50 : 10); // Increased to 50 in catch-up mode for faster processing
+    // Only check volume for top priority tokens to reduce API calls (top 50 in catch-up mode)
+    const { toCheck: tokensToCheckVolume, unchecked } = splitVolumeChecks(validTokens, { catchUpMode: CATCH_UP_MODE });
     const tokensWithVolume = [];
 
     // Process sequentially with delays to reduce costs
@@ -1596,223 +1573,23 @@ async function updateHolderCounts() {
     }
 
     // Add remaining tokens with 0 volume (not checked)
-    for (const deployment of validTokens.slice(20)) {
+    for (const deployment of unchecked) {
       tokensWithVolume.push({ deployment, recentVolume: 0 });
     }
 
-    // Second pass: Calculate priority scores with tiered system
-    // Tier 1: Highest MCAP, holders, score (always prioritized unless stale)
-    // Tier 2: Active tokens with recent changes
-    // Tier 3: New tokens or tokens with no data yet
-    // Stale: Tokens with no change in 2+ cycles go back to round-robin
-
-    const tokensWithPriority = tokensWithVolume.map(({ deployment, recentVolume }) => {
-      let priority = 0;
-      const history = deployment.holderCountHistory || [];
-      const lastCheck = deployment.lastHolderCheck || (history.length > 0 ? history[history.length - 1].timestamp : null);
-      const age = currentTimestamp - deployment.timestamp;
-
-      // Determine if token has data vs no data
-      const hasData = lastCheck !== null && history.length > 0;
-      const hasNoData = !hasData; // Never been checked
-
-      // Check if token is stale (no change in 2+ cycles)
-      // A cycle is roughly POLL_INTERVAL, so 2 cycles = 2 * POLL_INTERVAL
-      const cyclesSinceCheck = lastCheck ? Math.floor((currentTimestamp - lastCheck) / POLL_INTERVAL) : 0;
-      const isStale = hasData && cyclesSinceCheck >= 2;
-
-      // Check if token showed activity in last check
-      let hasActivity = false;
-      if (history.length >= 2) {
-        const recent = history[history.length - 1];
-        const previous = history[history.length - 2];
-        const change = recent.count - previous.count;
-        hasActivity = change > 0 || (deployment.volume24h || 0) > 0 || (deployment.marketCap || 0) > 0;
-      }
+    // Second pass: rank by holder-check priority (see holder-priority.js for the weights)
+    const tokensWithPriority = rankHolderChecks(tokensWithVolume, {
+      now: currentTimestamp,
+      catchUpMode: CATCH_UP_MODE,
+      pollInterval: POLL_INTERVAL
+    }, HOLDER_PRIORITY);
+    lastHolderQueue = { rankedAt: currentTimestamp, catchUpMode: CATCH_UP_MODE, entries: tokensWithPriority };
 
-      // TIER 1: Highest MCAP, holders, score (MASSIVE priority boost)
-      // BUT: In catch-up mode, only apply if token already has data (not in backlog)
-      const holderCount = deployment.holderCount || 0;
-      const marketCap = deployment.marketCap || 0;
-      const volume24h = deployment.volume24h || 0;
-
-      // Calculate score (same as frontend)
-      let score = 0;
-      if (history.length >= 2) {
-        const recent = history[history.length - 1];
-        const previous = history[history.length - 2];
-        const growth = recent.count - previous.count;
-        const growthPercent = previous.count > 0 ? (growth / previous.count) * 100 : 0;
-        const normalizedGrowth = Math.min(growthPercent / 10, 10);
-        const normalizedAbsGrowth = Math.min(growth, 50);
-        score = (volume24h * 0.4) + (normalizedGrowth * 0.4) + (normalizedAbsGrowth * 0.2);
-      }
-
-      // Tier 1 boost: High MCAP, holders, or score
-      const isTier1 = marketCap > 10000 || holderCount > 50 || score > 1.0;
-
-      // In catch-up mode, only prioritize Tier 1 if token already has data (not in backlog)
-      if (CATCH_UP_MODE && hasNoData) {
-        // Skip Tier 1 boost for tokens with no data - they'll get processed anyway
-      } else if (isTier1 && !isStale) {
-        // Tier 1 tokens get massive priority unless stale
-        if (marketCap > 100000) priority += 10000; // $100K+ MCAP
-        else if (marketCap > 50000) priority += 5000; // $50K+ MCAP
-        else if (marketCap > 10000) priority += 2000; // $10K+ MCAP
-
-        if (holderCount > 100) priority += 5000; // 100+ holders
-        else if (holderCount > 50) priority += 2000; // 50+ holders
-
-        if (score > 5.0) priority += 5000; // Very high score
-        else if (score > 2.0) priority += 2000; // High score
-        else if (score > 1.0) priority += 1000; // Good score
-      } else if (isTier1 && isStale) {
-        // Stale tier 1 tokens: still check but lower priority
-        priority += 500; // Reduced priority for stale tier 1
-      }
-
-      // TIER 2: Active tokens with recent changes
-      if (!isTier1 && hasActivity && !isStale) {
-        priority += 1000; // Active tokens get good priority
-      }
-
-      // Priority 1: HIGH VOLUME DETECTION (most important for catching active tokens!)
-      if (recentVolume > 50) priority += 2000; // Very high volume (50+ transfers in 50 blocks)
-      else if (recentVolume > 20) priority += 1000; // High volume (20+ transfers)
-      else if (recentVolume > 10) priority += 500; // Moderate volume (10+ transfers)
-      else if (recentVolume > 5) priority += 200; // Some activity (5+ transfers)
-      else if (recentVolume > 0) priority += 100; // Any recent activity
-
-      // Priority 2: Newer tokens (deployed in last hour = high priority)
-      if (age < 3600) priority += 1000; // Very new
-      else if (age < 7200) priority += 500; // Recent
-      else if (age < 14400) priority += 200; // Fairly recent
-
-      // Priority 3: Tokens with recent holder growth (indicates activity)
-      if (history.length >= 2) {
-        const recent = history[history.length - 1];
-        const previous = history[history.length - 2];
-        const growth = recent.count - previous.count;
-        const growthPercent = previous.count > 0 ? (growth / previous.count) * 100 : 0;
-
-        if (growth > 0) {
-          priority += Math.min(growth * 10, 500); // Up to 500 points for growth
-          if (growthPercent > 10) priority += 300; // Bonus for rapid growth
-        }
-      }
-
-      // Priority 4: Distinguish "no data" vs "no activity"
-      const timeSinceCheck = lastCheck ? (currentTimestamp - lastCheck) : Infinity;
-      const isVeryNew = age < 3600; // Less than 1 hour old
-
-      // In catch-up mode, prioritize backlog (no data) over everything else
-      if (CATCH_UP_MODE) {
-        if (hasNoData) {
-          // No data gathered yet - MASSIVE priority in catch-up mode to process backlog
-          priority += 50000; // Highest priority - process backlog first
-        } else if (isStale) {
-          // Stale token - high priority to refresh data
-          priority += 20000; // High priority for stale tokens
-        } else if (hasData && !hasActivity) {
-          // Has data but no activity - lower priority (token might be dead)
-          priority += 200; // Low priority for inactive tokens
-        }
-      } else {
-        // Normal mode: prioritize active/high-value tokens
-        if (hasNoData) {
-          // No data gathered yet - high priority to get initial data
-          priority += 1500; // High priority for tokens we haven't checked
-        } else if (hasData && !hasActivity && !isStale) {
-          // Has data but no activity - lower priority (token might be dead)
-          priority += 200; // Low priority for inactive tokens
-        } else if (isStale) {
-          // Stale token (no change in 2+ cycles) - back to round-robin
-          priority += 100; // Minimal priority, round-robin style
-        }
-      }
-
-      // CHILL MODE: Aggressive cooldown for tokens with no activity
-      // If token has no activity and was checked recently, give it a long cooldown (5 minutes)
-      const CHILL_MODE_COOLDOWN = 300; // 5 minutes for inactive tokens
-      const hasNoActivity = !hasActivity && hasData; // Has data but no activity
-
-      if (hasNoActivity && timeSinceCheck < CHILL_MODE_COOLDOWN) {
-        // Token has no activity and was checked recently - CHILL MODE (skip for 5 minutes)
-        priority -= 10000; // Massive penalty - skip for 5 minutes
-      } else if (hasNoActivity && timeSinceCheck < CHILL_MODE_COOLDOWN * 2) {
-        // Still in extended cooldown for inactive tokens
-        priority -= 5000;
-      } else if (timeSinceCheck < 600 && !isVeryNew && !isTier1 && !hasActivity) {
-        // Regular cooldown for tokens with no activity
-        priority -= 5000; // Checked in last 10 min - skip unless tier 1 or very new
-      } else if (timeSinceCheck < 1200 && !isVeryNew && !isTier1 && !hasActivity) {
-        priority -= 2000; // Checked in last 20 min - heavy penalty
-      } else if (timeSinceCheck < 1800 && !isTier1 && !hasActivity) {
-        priority -= 500; // Checked in last 30 min - moderate penalty
-      } else if (timeSinceCheck > CHILL_MODE_COOLDOWN && !isStale && hasNoActivity) {
-        // Inactive token not checked in 5+ min - can check again
-        priority += 100; // Low priority for inactive tokens
-      } else if (timeSinceCheck > 1800 && !isStale && hasActivity) {
-        priority += 400; // Active token not checked in 30+ min - bonus
-      } else if (timeSinceCheck > 1200 && !isStale && hasActivity) {
-        priority += 200; // Active token not checked in 20+ min
-      } else if (timeSinceCheck > 600 && !isStale && hasActivity) {
-        priority += 100; // Active token not checked in 10+ min
-      }
-
-      // Priority 5: Tokens with higher holder counts (more holders = more important)
-      if (holderCount > 100) priority += 500;
-      else if (holderCount > 50) priority += 300;
-      else if (holderCount > 20) priority += 150;
-      else if (holderCount > 10) priority += 75;
-      else if (holderCount > 5) priority += 30;
-
-      // Priority 6: Higher dev buy amounts (more skin in the game = more important)
-      const devBuy = deployment.devBuyAmount || 0;
-      if (devBuy > 1.0) priority += 400; // 1+ ETH dev buy
-      else if (devBuy > 0.5) priority += 250; // 0.5+ ETH dev buy
-      else if (devBuy > 0.25) priority += 150; // 0.25+ ETH dev buy
-      else if (devBuy > 0.1) priority += 75; // 0.1+ ETH dev buy
-      else if (devBuy > 0) priority += 25; // Any dev buy
-
-      return {
-        deployment,
-        priority,
-        lastCheck,
-        recentVolume,
-        isTier1,
-        isStale,
-        hasNoData,
-        hasActivity,
-        score
-      };
-    });
-
-    // Sort by priority (highest first) and filter out tokens with negative priority (recently checked)
-    tokensWithPriority.sort((a, b) => b.priority - a.priority);
-
-    // Filter out tokens that were checked too recently (negative priority) unless they're very new or have activity
-    const filteredByCooldown = tokensWithPriority.filter(t => {
-      const age = currentTimestamp - t.deployment.timestamp;
-      const isVeryNew = age < 3600; // Less than 1 hour old
-      const lastCheck = t.lastCheck || (t.deployment.holderCountHistory?.length > 0
-        ? t.deployment.holderCountHistory[t.deployment.holderCountHistory.length - 1].timestamp
-        : t.deployment.timestamp);
-      const timeSinceCheck = currentTimestamp - lastCheck;
-      const CHILL_MODE_COOLDOWN = 300; // 5 minutes for inactive tokens
-
-      // CHILL MODE: Skip inactive tokens that were checked recently
-      const hasData = t.deployment.holderCountHistory && t.deployment.holderCountHistory.length > 0;
-      if (!t.hasActivity && hasData && timeSinceCheck < CHILL_MODE_COOLDOWN) {
-        return false; // Skip inactive tokens in chill mode
-      }
-
-      // Allow if priority is positive OR if token is very new OR if token has activity
-      return t.priority > 0 || (isVeryNew && timeSinceCheck > 300) || t.hasActivity;
-    });
+    // Tokens checked too recently wait, unless they're very new or active
+    const filteredByCooldown = tokensWithPriority.filter(t => t.eligible);
 
     // Reduce tokens per cycle if we're hitting rate limits
-    const maxTokens = consecutiveRateLimits > 3 ? 1 : (CATCH_UP_MODE ? 10 : 1); // Increased to 10 in catch-up mode for faster processing
+    const maxTokens = rpcPool.recentRateLimits() > 3 ? 1 : (CATCH_UP_MODE ? 10 : 1); // Increased to 10 in catch-up mode for faster processing
     const toUpdate = filteredByCooldown.slice(0, maxTokens).map(t => t.deployment);
 
     // Store volume data for tokens with activity (process sequentially to avoid Supabase rate limits)
@@ -1820,8 +1597,8 @@ async function updateHolderCounts() {
     // Also filter by volume threshold: skip tokens that already have volume data below threshold
     const tokensNeedingVolumeUpdate = tokensWithPriority
       .filter(t => {
-        // Skip if no recent activity
-        if (t.recentVolume === 0) return false;
+        // Skip if no recent activity (unless 1h volume still needs to decay back to zero)
+        if (t.recentVolume === 0 && !(t.deployment.volume1h > 0)) return false;
 
         // If token already has volume data, check threshold
         const existingVolume = t.deployment.volume24h || 0;
@@ -1834,7 +1611,7 @@ async function updateHolderCounts() {
 
         return true;
       })
-      .slice(0, consecutiveRateLimits > 3 ? 3 : (CATCH_UP_MODE ? 15 : 3)); // Increased to 15 in catch-up mode for faster processing
+      .slice(0, rpcPool.recentRateLimits() > 3 ? 3 : (CATCH_UP_MODE ? 15 : 3)); // Increased to 15 in catch-up mode for faster processing
 
     // Auto-disable catch-up mode if we have minimal work for several cycles
     if (CATCH_UP_MODE) {
@@ -1850,7 +1627,7 @@ async function updateHolderCounts() {
           console.log('   Most tokens are in chill mode (checked every 5 minutes when inactive).');
           console.log('   To re-enable catch-up mode, set CATCH_UP_MODE=true or restart.\n');
           // Save state
-          await saveMonitorState({ lastCheckedBlock, catchUpComplete: true });
+          await persistMonitorState({ catchUpComplete: true });
         } else {
           console.log(`  ⏳ Catch-up mode: ${catchUpLowWorkCycles}/${CATCH_UP_AUTO_DISABLE_THRESHOLD} cycles with minimal work (${totalWork} tokens)`);
         }
@@ -1864,13 +1641,13 @@ async function updateHolderCounts() {
       const { deployment, recentVolume } = tokensNeedingVolumeUpdate[i];
       try {
         console.log(`  📊 Updating volume ${i + 1}/${tokensNeedingVolumeUpdate.length}: ${deployment.tokenName || 'Unknown'}`);
-        // Calculate actual ETH volume using Trace API for accurate metrics
-        const actualVolume = await calculateActualVolume(deployment, currentBlock, currentTimestamp);
+        const swapStats = await calculateSwapVolume(deployment, currentBlock, currentTimestamp);
+        if (!swapStats) continue;
 
-        const volume1h = actualVolume.volume1h;
-        const volume6h = actualVolume.volume6h;
-        const volume24h = actualVolume.volume24h;
-        const volume7d = actualVolume.volume7d;
+        const volume1h = swapStats.windows['1h'].volume;
+        const volume6h = swapStats.windows['6h'].volume;
+        const volume24h = swapStats.windows['24h'].volume;
+        const volume7d = swapStats.windows['7d'].volume;
 
         // Only update if volume meets threshold (for tokens older than 1 hour)
         const age = currentTimestamp - deployment.timestamp;
@@ -1917,10 +1694,26 @@ async function updateHolderCounts() {
           volume24h: volume24h,
           volume7d: volume7d,
           volumeHistory: newVolumeHistory,
+          swapStats: swapStats.windows,
+          ...(swapStats.lastPrice !== null && { lastPriceEth: swapStats.lastPrice }),
           marketCap: marketCap,
+          marketCapHistory: appendMarketCapHistory(deployment, marketCap, currentTimestamp),
           ...(farcasterData && { farcasterData: farcasterData })
         });
 
+        if (volume1h !== (deployment.volume1h || 0) || volume24h !== (deployment.volume24h || 0)) {
+          publishMonitorEvent('volume.updated', deployment, {
+            volume1h,
+            volume6h,
+            volume24h,
+            volume7d,
+            marketCap,
+            lastPriceEth: swapStats.lastPrice,
+            previousRunnerScore: calculateRunnerScore(deployment).score,
+            runnerScore: calculateRunnerScore({ ...deployment, volume24h }).score
+          });
+        }
+
         // Delay between updates (faster in catch-up mode)
         await new Promise(resolve => setTimeout(resolve, CATCH_UP_MODE ? 200 : 1000));
       } catch (err) {
@@ -1959,141 +1752,34 @@ async function updateHolderCounts() {
       console.log(`    🔍 Checking holders for ${tokenName}...`);
       await (async () => {
         try {
-          let newHolderCount = 0;
-
-          // Try Etherscan API first if available
-          if (ETHERSCAN_API_KEY) {
-            try {
-              const responseController = new AbortController();
-              const responseTimeout = setTimeout(() => responseController.abort(), 5000);
-              const response = await fetch(
-                `${ETHERSCAN_API_URL}?module=token&action=tokenholderlist&contractaddress=${deployment.tokenAddress}&apikey=${ETHERSCAN_API_KEY}&page=1&offset=1000`,
-                { signal: responseController.signal }
-              );
-              clearTimeout(responseTimeout);
-              const data = await response.json();
-              if (data.status === '1' && data.result && Array.isArray(data.result)) {
-                newHolderCount = Math.max(newHolderCount, data.result.length);
-              }
-            } catch (e) {
-              // Etherscan API failed, use Transfer event counting
-            }
-          }
-
-          // Count from Transfer events (more accurate for all holders)
-          // Use smartGetLogs with automatic fallback (free first, paid if rate limited)
-          const transferEventSignature = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
-          const holders = new Set();
-
-          // Smart block range selection: for old tokens, only check recent blocks
-          // For new tokens, check all blocks from creation
-          const fromBlock = deployment.blockNumber;
-          const toBlock = currentBlock;
-          const blockRange = toBlock - fromBlock;
-          const MAX_BLOCKS_TO_CHECK = 200; // Only check last 200 blocks for old tokens (reduced from 500 to cut costs)
-
-          // Determine starting block: for old tokens, only check recent blocks
-          let checkFromBlock = fromBlock;
-          if (blockRange > MAX_BLOCKS_TO_CHECK) {
-            // For old tokens, only check recent blocks and use existing holder count as base
-            checkFromBlock = Math.max(fromBlock, toBlock - MAX_BLOCKS_TO_CHECK);
-            // Start with existing holder count (we'll add new holders from recent blocks)
-            const existingCount = deployment.holderCount || 0;
-            // We can't accurately track all holders with partial data, so we'll use a different approach
-            // For now, just check recent blocks and estimate
-          }
-
-          // Use smartGetLogs with automatic fallback (tries free first, falls back to paid if rate limited)
-          try {
-            const logs = await smartGetLogs(
-              {
-                address: deployment.tokenAddress,
-                topics: [transferEventSignature]
-              },
-              checkFromBlock,
-              toBlock,
-              { usePaid: false } // Try free first, fallback to paid if rate limited
-            );
-
-            // Process all logs
-            for (const log of logs) {
-              if (log.topics && log.topics.length >= 3) {
-                const fromAddr = '0x' + log.topics[1].slice(-40);
-                const toAddr = '0x' + log.topics[2].slice(-40);
-
-                if (fromAddr !== '0x0000000000000000000000000000000000000000') {
-                  holders.add(fromAddr.toLowerCase());
-                }
-                if (toAddr !== '0x0000000000000000000000000000000000000000') {
-                  holders.add(toAddr.toLowerCase());
-                }
-              }
-            }
-          } catch (e) {
-            // If smartGetLogs fails (both free and paid), log and skip
-            if (e.message && (e.message.includes('Too Many Requests') || e.message.includes('exceeded') || e.message.includes('rate limit'))) {
-              console.error(`  ⚠️  Rate limit hit for ${deployment.tokenName || 'token'} (both APIs), skipping holder check`);
-              return; // Skip this token
-            }
-            console.error(`  ⚠️  Error fetching logs for ${deployment.tokenName || 'token'}:`, e.message);
-            throw e; // Re-throw if not rate limit
-          }
-
-          // For old tokens where we only checked recent blocks, use existing count as base
-          // Verify holder counts using Trace API for more accuracy (optional enhancement)
-          // For tokens with many transfers, we can use trace_block to verify actual balances
-          let verifiedHolderCount = holders.size;
-
-          // If we have Trace API and this is a high-activity token, verify balances
-          if (ALCHEMY_TRACE_URL && holders.size > 0 && holders.size < 1000) {
-            try {
-              // Sample a few recent blocks to verify actual token balances
-              const sampleBlocks = Math.min(5, Math.floor((toBlock - checkFromBlock) / 10));
-              if (sampleBlocks > 0) {
-                const verifiedHolders = await verifyHoldersWithTrace(
-                  deployment.tokenAddress,
-                  Array.from(holders),
-                  Math.max(checkFromBlock, toBlock - sampleBlocks * 10),
-                  toBlock
-                );
-                if (verifiedHolders > 0) {
-                  verifiedHolderCount = verifiedHolders;
-                }
-              }
-            } catch (err) {
-              // If trace verification fails, use the Transfer event count
-              console.error(`  ⚠️  Trace verification failed, using Transfer event count:`, err.message);
-            }
-          }
+          // Bring the token's balance ledger forward from its cursor (confirmed blocks only,
+          // so a reorg can't leave phantom balances behind)
+          const ledger = await syncHolderLedger(
+            deployment.tokenAddress,
+            deployment.blockNumber,
+            currentBlock - CONFIRMATION_DEPTH,
+            { getLogs: smartGetLogs, maxBlocks: LEDGER_SYNC_BLOCKS }
+          );
 
-          if (checkFromBlock > fromBlock && deployment.holderCount) {
-            // We checked recent blocks, so we have new holders but not all historical
-            // Use the larger of: existing count or recent holders found
-            newHolderCount = Math.max(deployment.holderCount, verifiedHolderCount);
-          } else {
-            // For new tokens or when we checked all blocks, use the verified holder count
-            newHolderCount = verifiedHolderCount;
+          // Partial ledgers undercount - until the ledger reaches the head, keep the stored count
+          // (estimate one if there is none) and flag it as estimated
+          let newHolderCount = ledger.holderCount;
+          const holderCountEstimated = !ledger.caughtUp;
+          if (holderCountEstimated) {
+            console.log(`    📒 ${tokenName}: holder ledger at block ${ledger.lastBlock} (${Math.max(0, currentBlock - CONFIRMATION_DEPTH - ledger.lastBlock)} blocks behind), catching up - count is estimated`);
+            newHolderCount = deployment.holderCount || await estimateHolderCount(deployment, currentBlock);
           }
 
-          // Rate limit handling is now done in smartGetLogs, so we can proceed
-
-          // newHolderCount is already set above based on whether we checked all blocks or just recent
-
           // If token name is still "Unknown", try to fetch it again (token might be ready now)
           let updatedTokenName = deployment.tokenName;
           if ((!updatedTokenName || updatedTokenName === 'Unknown') && deployment.tokenAddress && deployment.tokenAddress !== 'N/A') {
             try {
-              const tokenContract = new ethers.Contract(deployment.tokenAddress, [
-                'function name() view returns (string)',
-                'function symbol() view returns (string)'
-              ], providerFree);
-
               try {
-                updatedTokenName = await tokenContract.name();
+                updatedTokenName = await callTokenContract(deployment.tokenAddress, 'function name() view returns (string)', 'name');
               } catch (e) {
                 // Try symbol if name fails
                 try {
-                  updatedTokenName = await tokenContract.symbol();
+                  updatedTokenName = await callTokenContract(deployment.tokenAddress, 'function symbol() view returns (string)', 'symbol');
                 } catch (e2) {
                   // Keep as Unknown if both fail
                 }
@@ -2103,9 +1789,9 @@ async function updateHolderCounts() {
             }
           }
 
-          // Check if token should be pruned (stopped checking)
+          // Check if token should be pruned (stopped checking), never on an estimated count
           const age = currentTimestamp - deployment.timestamp;
-          const shouldPrune = age > 3600 && newHolderCount <= 5; // >1 hour old and <=5 holders
+          const shouldPrune = !holderCountEstimated && age > 3600 && newHolderCount <= 5; // >1 hour old and <=5 holders
 
           // Update holder count and history
           const history = deployment.holderCountHistory || [{ count: deployment.holderCount || 0, timestamp: deployment.timestamp }];
@@ -2115,18 +1801,25 @@ async function updateHolderCounts() {
           const timeSinceLastUpdate = currentTimestamp - (lastUpdate?.timestamp || deployment.timestamp);
           const countChanged = newHolderCount !== (deployment.holderCount || 0);
 
-          if (countChanged || timeSinceLastUpdate > 300) { // 5 minutes
+          const estimateChanged = holderCountEstimated !== (deployment.holderCountEstimated || false);
+
+          if (countChanged || estimateChanged || timeSinceLastUpdate > 300) { // 5 minutes
             // Add new entry to history (keep last 10 entries)
             const newHistory = [...history, { count: newHolderCount, timestamp: currentTimestamp }];
             if (newHistory.length > 10) {
               newHistory.shift(); // Remove oldest
             }
 
-            // Fetch market cap if not already set (refresh periodically)
+            // Full-resolution series for the chart's holder overlay
+            if (countChanged) {
+              await addHolderSnapshot(deployment.tokenAddress, currentTimestamp, newHolderCount);
+            }
+
+            // Fetch market cap if not already set, or when the count moved and the last fetch is old enough
             let marketCap = deployment.marketCap || 0;
-            // Only fetch if missing or very old (check every 3rd holder update to reduce API calls)
-            const shouldFetchMarketCap = !marketCap || (countChanged && Math.random() < 0.33);
+            const shouldFetchMarketCap = !marketCap || (countChanged && scheduler.isDue('marketCap', deployment.tokenAddress));
             if (shouldFetchMarketCap) {
+              scheduler.defer('marketCap', deployment.tokenAddress, MARKET_CAP_REFRESH_SECONDS);
               try {
                 marketCap = await fetchMarketCap(deployment.tokenAddress);
                 if (marketCap > 0) {
@@ -2140,9 +1833,11 @@ async function updateHolderCounts() {
             // Prepare update object
             const updateData = {
               holderCount: newHolderCount,
+              holderCountEstimated,
               holderCountHistory: newHistory,
               lastHolderCheck: currentTimestamp, // Track when we last checked
-              marketCap: marketCap
+              marketCap: marketCap,
+              marketCapHistory: appendMarketCapHistory(deployment, marketCap, currentTimestamp)
             };
 
             // Mark as pruned if it should be stopped
@@ -2157,6 +1852,19 @@ async function updateHolderCounts() {
 
             await updateDeployment(deployment.txHash, updateData);
 
+            if (countChanged) {
+              publishMonitorEvent('holders.updated', deployment, {
+                previousHolderCount: deployment.holderCount || 0,
+                holderCount: newHolderCount,
+                marketCap,
+                previousRunnerScore: calculateRunnerScore(deployment).score,
+                runnerScore: calculateRunnerScore({ ...deployment, holderCountHistory: newHistory }).score
+              });
+            }
+            if (shouldPrune) {
+              publishMonitorEvent('token.pruned', deployment, { holderCount: newHolderCount, age });
+            }
+
             // Use updated name for display
             const displayName = updatedTokenName && updatedTokenName !== 'Unknown' ? updatedTokenName : (deployment.tokenName || 'Token');
 
@@ -2189,216 +1897,78 @@ async function updateHolderCounts() {
 }
 
 /**
- * Check existing deployments for dev sells
+ * Bring the dev event log of recent tokens forward (due tokens from the job's queue) and
+ * derive the deployment's dev fields from it
  */
-async function checkForDevSells() {
+async function syncDevActivity({ take, defer }) {
   try {
     const deployments = await getAllDeployments();
-    const currentBlock = await providerFree.getBlockNumber();
-
-    // Check deployments that aren't marked as sold yet
-    const unsoldDeployments = deployments.filter(d => !d.devSold && d.tokenAddress !== 'N/A' && d.tokenAddress);
-
-    for (const deployment of unsoldDeployments.slice(0, 10)) { // Check max 10 at a time
+    const currentBlock = await smartRpcCall((provider) => provider.getBlockNumber(), false, 2, 'getBlockNumber');
+    const toBlock = currentBlock - CONFIRMATION_DEPTH;
+    const now = Math.floor(Date.now() / 1000);
+
+    const watched = new Map(deployments
+      .filter(d => d.tokenAddress && d.tokenAddress !== 'N/A' && d.from && d.status !== 'orphaned' && !d.isPruned)
+      .filter(d => d.blockNumber <= toBlock && now - (d.timestamp || 0) < DEV_EVENTS_MAX_AGE_DAYS * 86400)
+      .map(d => [d.tokenAddress.toLowerCase(), d]));
+    const due = take([...watched.keys()]).map(token => watched.get(token));
+
+    for (const deployment of due) {
+      const token = deployment.tokenAddress.toLowerCase();
       try {
-        const tokenContract = new ethers.Contract(deployment.tokenAddress, [
-          'function decimals() view returns (uint8)'
-        ], providerFree);
-
-        // Check for transfers from deployer in recent blocks
-        const transferEventSignature = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
-        const checkBlocks = 100; // Check last 100 blocks
-
-        const fromBlock = Math.max(currentBlock - checkBlocks, deployment.blockNumber);
-        const logs = await smartGetLogs(
-          {
-            address: deployment.tokenAddress,
-            topics: [
-              transferEventSignature,
-              ethers.zeroPadValue(deployment.from, 32) // from address (deployer)
-            ]
-          },
-          fromBlock,
-          currentBlock,
-          { usePaid: false } // Try free first, fallback to paid if rate limited
-        );
-
-        // Check if deployer transferred tokens to someone else (sell)
-        let maxSellAmount = 0;
-        for (const log of logs) {
-          if (log.topics && log.topics.length >= 3) {
-            const toAddress = '0x' + log.topics[2].slice(-40);
-            // If transfer is to a different address, it's a sell
-            if (toAddress.toLowerCase() !== deployment.from.toLowerCase()) {
-              try {
-                const decimals = await tokenContract.decimals();
-                // Transfer amount is in the data field
-                if (log.data && log.data !== '0x') {
-                  const transferAmount = ethers.formatUnits(log.data, decimals);
-                  maxSellAmount = Math.max(maxSellAmount, parseFloat(transferAmount));
-                }
-              } catch (e) {
-                // Could not parse amount
-              }
-            }
-          }
-        }
+        const sync = await syncDevEvents(deployment, toBlock, {
+          getLogs: smartGetLogs,
+          getReceipt: (txHash) => smartRpcCall((provider) => provider.getTransactionReceipt(txHash), false, 2, 'getTransactionReceipt'),
+          maxBlocks: DEV_EVENT_SYNC_BLOCKS,
+          linkFunding: (deployer) => refreshFundingEdges(deployer, {
+            apiUrl: ETHERSCAN_API_URL,
+            apiKey: ETHERSCAN_API_KEY,
+            isContract: async (address) => (await smartRpcCall((provider) => provider.getCode(address), false, 2, 'getCode')) !== '0x'
+          })
+        });
 
-        // If we found significant transfers out, mark as sold
-        if (maxSellAmount > 0) {
-          await updateDeployment(deployment.txHash, {
-            devSold: true,
-            devSoldAmount: maxSellAmount
-          });
+        defer(token, sync.caughtUp ? DEV_EVENT_RECHECK_SECONDS : 0);
 
-          console.log(`\n⚠️  Dev sold detected: ${deployment.tokenName} (${deployment.tokenAddress.slice(0, 10)}...)`);
-          console.log(`   Sold amount: ${maxSellAmount.toFixed(4)} tokens\n`);
+        if (sync.events.length === 0) {
+          await updateDeployment(deployment.txHash, { devClusterSize: sync.clusterSize, lastTransferCheck: now });
+          continue;
         }
-      } catch (e) {
-        // Skip if error checking this deployment
-      }
-    }
-  } catch (error) {
-    console.error('Error checking for dev sells:', error);
-  }
-}
 
-/**
- * Check for dev transfers (both in and out) to track dev activity
- */
-async function checkForDevTransfers() {
-  try {
-    const deployments = await getAllDeployments();
-    const currentBlock = await providerFree.getBlockNumber();
-
-    // Check recent deployments (last 24 hours worth of blocks)
-    const checkBlocks = 43200; // ~24 hours at 2s per block
-    const recentDeployments = deployments.filter(d => {
-      if (!d.tokenAddress || d.tokenAddress === 'N/A') return false;
-      const age = currentBlock - (d.blockNumber || 0);
-      return age < checkBlocks; // Only check recent deployments
-    });
-
-    for (const deployment of recentDeployments.slice(0, 20)) { // Check max 20 at a time
-      try {
-        const transferEventSignature = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
-        const fromBlock = Math.max(currentBlock - 100, deployment.blockNumber);
-
-        // Check transfers FROM dev (outgoing) - use smartGetLogs with automatic fallback
-        const transfersFrom = await smartGetLogs(
-          {
-            address: deployment.tokenAddress,
-            topics: [
-              transferEventSignature,
-              ethers.zeroPadValue(deployment.from, 32) // from address (deployer)
-            ]
-          },
-          fromBlock,
-          currentBlock,
-          { usePaid: false } // Try free first, fallback to paid if rate limited
-        );
+        const summary = summarizeDevEvents(await getDevEvents(deployment.tokenAddress), deployment.from);
+        await updateDeployment(deployment.txHash, { ...summary, devClusterSize: sync.clusterSize, lastTransferCheck: now });
 
-        // Check transfers TO dev (incoming) - use smartGetLogs with automatic fallback
-        // Get all Transfer events and filter for those where 'to' is the dev address
-        const allTransfers = await smartGetLogs(
-          {
-            address: deployment.tokenAddress,
-            topics: [transferEventSignature] // Only filter by event signature
-          },
-          fromBlock,
-          currentBlock,
-          { usePaid: false } // Try free first, fallback to paid if rate limited
-        );
-
-        // Filter for transfers TO dev (topics[2] is the 'to' address)
-        const devAddressPadded = ethers.zeroPadValue(deployment.from, 32).toLowerCase();
-        const transfersTo = allTransfers.filter(log => {
-          if (log.topics && log.topics.length >= 3) {
-            const toAddress = log.topics[2].toLowerCase();
-            return toAddress === devAddressPadded;
-          }
-          return false;
-        });
-
-        // Process transfers
-        let totalTransferredOut = 0;
-        let totalTransferredIn = 0;
-        let transferCount = 0;
-
-        const tokenContract = new ethers.Contract(deployment.tokenAddress, [
-          'function decimals() view returns (uint8)'
-        ], providerFree);
-
-        const decimals = await tokenContract.decimals().catch(() => 18);
-
-        // Process outgoing transfers
-        for (const log of transfersFrom) {
-          if (log.topics && log.topics.length >= 3) {
-            const toAddress = '0x' + log.topics[2].slice(-40);
-            // Only count if transferring to a different address
-            if (toAddress.toLowerCase() !== deployment.from.toLowerCase()) {
-              transferCount++;
-              if (log.data && log.data !== '0x') {
-                try {
-                  const amount = parseFloat(ethers.formatUnits(log.data, decimals));
-                  totalTransferredOut += amount;
-                } catch (e) {
-                  // Could not parse amount
-                }
-              }
-            }
-          }
+        for (const event of sync.events) {
+          const via = event.wallet && event.wallet !== event.deployer ? ` via ${event.wallet.slice(0, 10)}...` : '';
+          console.log(`  🧑‍💻 Dev ${event.type.replace('_', ' ')}: ${deployment.tokenName || 'Token'} ${event.amount.toFixed(2)} tokens${event.holdingsPct !== null ? ` (${event.holdingsPct}% of holdings)` : ''}${via}`);
         }
 
-        // Process incoming transfers
-        for (const log of transfersTo) {
-          if (log.topics && log.topics.length >= 3) {
-            const fromAddress = '0x' + log.topics[1].slice(-40);
-            // Only count if receiving from a different address
-            if (fromAddress.toLowerCase() !== deployment.from.toLowerCase()) {
-              transferCount++;
-              if (log.data && log.data !== '0x') {
-                try {
-                  const amount = parseFloat(ethers.formatUnits(log.data, decimals));
-                  totalTransferredIn += amount;
-                } catch (e) {
-                  // Could not parse amount
-                }
-              }
-            }
-          }
+        if (summary.devSold && !deployment.devSold) {
+          publishMonitorEvent('dev.sold', deployment, {
+            amount: summary.devSoldAmount,
+            soldAt: summary.devSoldAt,
+            clusterSoldPct: summary.devClusterSoldPct,
+            clusterSize: sync.clusterSize
+          });
+          console.log(`\n⚠️  Dev sold detected: ${deployment.tokenName} (${deployment.tokenAddress.slice(0, 10)}...)`);
+          console.log(`   Sold amount: ${summary.devSoldAmount.toFixed(4)} tokens${summary.devClusterSoldPct !== null ? ` (${summary.devClusterSoldPct}% of the cluster's tokens, ${sync.clusterSize} wallet${sync.clusterSize === 1 ? '' : 's'})` : ''}\n`);
         }
-
-        // Store transfer data if there's activity
-        if (transferCount > 0 || totalTransferredOut > 0 || totalTransferredIn > 0) {
-          const transferData = {
-            transferCount,
-            totalTransferredOut,
-            totalTransferredIn,
-            netTransfer: totalTransferredIn - totalTransferredOut,
-            lastTransferCheck: Math.floor(Date.now() / 1000)
-          };
-
-          // Update deployment with transfer data
-          await updateDeployment(deployment.txHash, {
-            devTransferCount: transferCount,
-            devTransferredOut: totalTransferredOut,
-            devTransferredIn: totalTransferredIn,
-            devNetTransfer: totalTransferredIn - totalTransferredOut,
-            lastTransferCheck: transferData.lastTransferCheck
+        if (sync.events.some(e => e.type === 'transfer_out' || e.type === 'transfer_in' || e.type === 'cluster_transfer')) {
+          publishMonitorEvent('dev.transferred', deployment, {
+            transferCount: summary.devTransferCount,
+            transferredOut: summary.devTransferredOut,
+            transferredIn: summary.devTransferredIn,
+            netTransfer: summary.devNetTransfer
           });
-
-          if (transferCount > 0) {
-            console.log(`  📊 Dev transfer activity: ${deployment.tokenName || 'Token'}`);
-            console.log(`     Transfers: ${transferCount}, Out: ${totalTransferredOut.toFixed(2)}, In: ${totalTransferredIn.toFixed(2)}, Net: ${transferData.netTransfer.toFixed(2)}`);
-          }
         }
       } catch (e) {
-        // Skip if error checking this deployment
+        defer(token, DEV_EVENT_RETRY_SECONDS);
+        console.error(`  ⚠️  Error syncing dev events for ${deployment.tokenName || 'token'}:`, e.message);
       }
     }
+    return due.length;
   } catch (error) {
-    console.error('Error checking for dev transfers:', error);
+    console.error('Error syncing dev activity:', error);
+    return 0;
   }
 }
 
@@ -2407,6 +1977,10 @@ async function checkForDevTransfers() {
  */
 export function stopMonitoring() {
   isMonitoring = false;
+  if (liveIngestor) {
+    liveIngestor.stop();
+    liveIngestor = null;
+  }
 }
 
 
@@ -0,0 +1,341 @@
+import fs from 'fs';
+import { monitorEvents } from './events.js';
+import { meteredFetch } from './metering.js';
+
+// Alerts a channel can receive
+// - launch: every new launch passing the channel's minDevBuy
+// - high_dev_buy: a launch with a dev buy of highDevBuy ETH or more (sent instead of launch)
+// - dev_sold: the deployer sold
+// - hot_runner: the runner score rises to or past runnerScore
+export const ALERT_TYPES = ['launch', 'high_dev_buy', 'dev_sold', 'hot_runner'];
+
+const DEFAULT_ALERTS = ['high_dev_buy', 'dev_sold', 'hot_runner'];
+const DEFAULT_HIGH_DEV_BUY = 1; // ETH, same as the dashboard's two-tone chime
+const DEFAULT_RUNNER_SCORE = 5;
+const DEFAULT_MAX_PER_MINUTE = 20; // Telegram allows ~20 messages/minute to a group
+const MAX_QUEUE = 100; // Pending messages per channel before new ones are dropped
+const MAX_ATTEMPTS = 3;
+const SEND_TIMEOUT = 10000;
+const SENT_ALERTS_LIMIT = 5000; // Remembered alert keys per channel (hot runners fire once per token)
+
+let started = false;
+
+/**
+ * Normalize one channel config, returns null (and logs) when it is unusable
+ */
+function normalizeChannel(raw, index, env) {
+  const name = raw.name || `${raw.type}-${index + 1}`;
+
+  if (raw.type === 'telegram') {
+    if (!raw.chatId) {
+      console.error(`  ⚠️  Notifier channel ${name}: telegram channels need a chatId`);
+      return null;
+    }
+    if (!(raw.botToken || env.TELEGRAM_BOT_TOKEN)) {
+      console.error(`  ⚠️  Notifier channel ${name}: TELEGRAM_BOT_TOKEN is not set`);
+      return null;
+    }
+  } else if (raw.type === 'discord') {
+    if (!raw.webhookUrl) {
+      console.error(`  ⚠️  Notifier channel ${name}: discord channels need a webhookUrl`);
+      return null;
+    }
+  } else {
+    console.error(`  ⚠️  Notifier channel ${name}: unknown type ${raw.type}`);
+    return null;
+  }
+
+  const alerts = Array.isArray(raw.alerts) ? raw.alerts.filter(a => ALERT_TYPES.includes(a)) : DEFAULT_ALERTS;
+
+  return {
+    name,
+    type: raw.type,
+    chatId: raw.chatId ? String(raw.chatId) : null,
+    botToken: raw.botToken || env.TELEGRAM_BOT_TOKEN || null,
+    apiUrl: (env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/$/, ''),
+    webhookUrl: raw.webhookUrl || null,
+    alerts,
+    minDevBuy: Number(raw.minDevBuy) || 0,
+    highDevBuy: raw.highDevBuy != null ? Number(raw.highDevBuy) : DEFAULT_HIGH_DEV_BUY,
+    runnerScore: raw.runnerScore != null ? Number(raw.runnerScore) : DEFAULT_RUNNER_SCORE,
+    maxPerMinute: Number(raw.maxPerMinute) || DEFAULT_MAX_PER_MINUTE,
+    // Runtime state
+    queue: [],
+    sentAt: [],
+    blockedUntil: 0,
+    draining: false,
+    sentAlerts: new Set(),
+    dropped: 0
+  };
+}
+
+/**
+ * Build the channel list
+ * NOTIFY_CHANNELS (JSON string) or NOTIFY_CHANNELS_FILE (path to a JSON file) take precedence:
+ *   [{ "type": "telegram", "chatId": "-100123", "alerts": ["launch", "dev_sold"], "minDevBuy": 0.1 },
+ *    { "type": "discord", "webhookUrl": "https://discord.com/api/webhooks/...", "runnerScore": 8, "maxPerMinute": 10 }]
+ * Otherwise TELEGRAM_CHAT_ID and DISCORD_WEBHOOK_URL each add a channel with the default rules
+ */
+export function loadNotifierChannels(env = process.env) {
+  let raw = null;
+  try {
+    if (env.NOTIFY_CHANNELS) {
+      raw = JSON.parse(env.NOTIFY_CHANNELS);
+    } else if (env.NOTIFY_CHANNELS_FILE) {
+      raw = JSON.parse(fs.readFileSync(env.NOTIFY_CHANNELS_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error('❌ Could not parse NOTIFY_CHANNELS, alerts disabled:', error.message);
+    return [];
+  }
+
+  if (!Array.isArray(raw)) {
+    raw = [];
+    if (env.TELEGRAM_CHAT_ID) raw.push({ type: 'telegram', name: 'telegram', chatId: env.TELEGRAM_CHAT_ID });
+    if (env.DISCORD_WEBHOOK_URL) raw.push({ type: 'discord', name: 'discord', webhookUrl: env.DISCORD_WEBHOOK_URL });
+  }
+
+  return raw
+    .filter(Boolean)
+    .map((c, i) => normalizeChannel(c, i, env))
+    .filter(Boolean);
+}
+
+/**
+ * Alert a monitor event triggers for one channel, or null
+ */
+export function matchAlert(channel, event) {
+  const devBuy = event.token.devBuyAmount || 0;
+  if (devBuy < channel.minDevBuy) return null;
+
+  const wants = (alert) => channel.alerts.includes(alert);
+
+  if (event.type === 'deployment.created') {
+    if (wants('high_dev_buy') && devBuy >= channel.highDevBuy) return 'high_dev_buy';
+    if (wants('launch')) return 'launch';
+  }
+  if (event.type === 'dev.sold' && wants('dev_sold')) {
+    return 'dev_sold';
+  }
+  if ((event.type === 'holders.updated' || event.type === 'volume.updated') && wants('hot_runner') &&
+      event.data.runnerScore !== undefined &&
+      event.data.previousRunnerScore < channel.runnerScore && event.data.runnerScore >= channel.runnerScore) {
+    return 'hot_runner';
+  }
+
+  return null;
+}
+
+const shortAddress = (address) => (address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '-');
+
+const formatEth = (value) => `${(value || 0) >= 0.01 ? (value || 0).toFixed(3) : (value || 0).toFixed(4)} ETH`;
+
+const escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Title, detail lines and links for an alert (shared by both formatters)
+ */
+function describeAlert(alert, event) {
+  const { token, data } = event;
+  const label = `${token.tokenName || 'Unknown'}${token.tokenSymbol ? ` ($${token.tokenSymbol})` : ''}`;
+  const devBuy = data.devBuyAmountFormatted || formatEth(token.devBuyAmount);
+
+  const titles = {
+    launch: `🚀 New launch: ${label}`,
+    high_dev_buy: `💰 High dev buy: ${label}`,
+    dev_sold: `⚠️ Dev sold: ${label}`,
+    hot_runner: `🔥 Hot runner: ${label}`
+  };
+
+  const lines = [];
+  if (alert === 'launch' || alert === 'high_dev_buy') {
+    lines.push(['Dev buy', devBuy]);
+  }
+  if (alert === 'dev_sold') {
+    lines.push(['Sold', `${(data.amount || 0).toFixed(2)} tokens`]);
+    if (token.deployedAt && data.soldAt) {
+      lines.push(['After', `${Math.max(0, Math.round((data.soldAt - token.deployedAt) / 60))}m`]);
+    }
+  }
+  if (alert === 'hot_runner') {
+    lines.push(['Runner score', data.runnerScore.toFixed(1)]);
+    if (data.holderCount !== undefined) lines.push(['Holders', String(data.holderCount)]);
+    if (data.volume24h !== undefined) lines.push(['Volume 24h', formatEth(data.volume24h)]);
+  }
+  lines.push(['Deployer', shortAddress(token.deployer)]);
+  if (token.tokenAddress) lines.push(['Token', token.tokenAddress]);
+
+  const links = token.tokenAddress
+    ? [
+      ['DexScreener', `https://dexscreener.com/base/${token.tokenAddress}`],
+      ['BaseScan', `https://basescan.org/token/${token.tokenAddress}`]
+    ]
+    : [['BaseScan', `https://basescan.org/tx/${token.txHash}`]];
+
+  return { title: titles[alert], lines, links };
+}
+
+/**
+ * Telegram message text (parse_mode HTML)
+ */
+export function formatTelegramMessage(alert, event) {
+  const { title, lines, links } = describeAlert(alert, event);
+  return [
+    `<b>${escapeHtml(title)}</b>`,
+    ...lines.map(([key, value]) => `${escapeHtml(key)}: <code>${escapeHtml(value)}</code>`),
+    links.map(([text, url]) => `<a href="${url}">${text}</a>`).join(' · ')
+  ].join('\n');
+}
+
+const DISCORD_COLORS = {
+  launch: 0x22c55e,
+  high_dev_buy: 0xeab308,
+  dev_sold: 0xef4444,
+  hot_runner: 0xf97316
+};
+
+/**
+ * Discord webhook body (one embed)
+ */
+export function formatDiscordMessage(alert, event) {
+  const { title, lines, links } = describeAlert(alert, event);
+  return {
+    username: 'FeyScan',
+    embeds: [{
+      title,
+      url: links[0][1],
+      color: DISCORD_COLORS[alert],
+      fields: lines.map(([name, value]) => ({ name, value, inline: name !== 'Token' })),
+      description: links.map(([text, url]) => `[${text}](${url})`).join(' · '),
+      timestamp: new Date(event.timestamp * 1000).toISOString()
+    }]
+  };
+}
+
+/**
+ * POST JSON with a timeout, returns { ok, status, retryAfter, error }
+ * retryAfter (seconds) is set when the API rate limited us.
+ */
+async function postJson(url, body) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), SEND_TIMEOUT);
+
+  try {
+    const response = await meteredFetch(new URL(url).host, 'POST', url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (response.status === 429) {
+      // Telegram: { parameters: { retry_after } }, Discord: { retry_after } (seconds)
+      const data = await response.json().catch(() => ({}));
+      const retryAfter = data.parameters?.retry_after ?? data.retry_after ?? parseFloat(response.headers.get('retry-after'));
+      return { ok: false, status: 429, retryAfter: Number.isFinite(retryAfter) ? retryAfter : 5, error: 'Rate limited' };
+    }
+
+    return { ok: response.ok, status: response.status, retryAfter: null, error: response.ok ? null : `HTTP ${response.status}` };
+  } catch (error) {
+    return { ok: false, status: null, retryAfter: null, error: error.name === 'AbortError' ? 'Timed out' : error.message };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function sendMessage(channel, message) {
+  if (channel.type === 'telegram') {
+    return postJson(`${channel.apiUrl}/bot${channel.botToken}/sendMessage`, {
+      chat_id: channel.chatId,
+      text: formatTelegramMessage(message.alert, message.event),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    });
+  }
+  return postJson(channel.webhookUrl, formatDiscordMessage(message.alert, message.event));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send a channel's queued messages in order, keeping under maxPerMinute and honouring 429s
+ */
+async function drainChannel(channel) {
+  if (channel.draining) return;
+  channel.draining = true;
+
+  try {
+    while (channel.queue.length > 0) {
+      const now = Date.now();
+      channel.sentAt = channel.sentAt.filter(t => now - t < 60000);
+      const windowWait = channel.sentAt.length >= channel.maxPerMinute ? channel.sentAt[0] + 60000 - now : 0;
+      const wait = Math.max(windowWait, channel.blockedUntil - now);
+      if (wait > 0) {
+        await sleep(wait);
+        continue;
+      }
+
+      const message = channel.queue.shift();
+      message.attempts++;
+      channel.sentAt.push(Date.now());
+      const result = await sendMessage(channel, message);
+
+      if (result.ok) continue;
+
+      if (result.retryAfter !== null) {
+        channel.blockedUntil = Date.now() + result.retryAfter * 1000;
+      }
+      if (message.attempts < MAX_ATTEMPTS && (result.retryAfter !== null || result.status === null || result.status >= 500)) {
+        channel.queue.unshift(message);
+        console.log(`  ⚠️  Notifier ${channel.name}: ${result.error}, retrying ${message.alert} for ${message.event.token.tokenName || message.event.token.txHash}`);
+      } else {
+        console.error(`  ⚠️  Notifier ${channel.name}: dropped ${message.alert} alert (${result.error})`);
+      }
+    }
+  } finally {
+    channel.draining = false;
+  }
+}
+
+/**
+ * Queue the alert a monitor event triggers on each channel
+ */
+export function dispatchAlert(channels, event) {
+  for (const channel of channels) {
+    const alert = matchAlert(channel, event);
+    if (!alert) continue;
+
+    // One alert of each kind per token (runner scores bounce around the threshold)
+    const key = `${alert}:${event.token.txHash}`;
+    if (channel.sentAlerts.has(key)) continue;
+    channel.sentAlerts.add(key);
+    if (channel.sentAlerts.size > SENT_ALERTS_LIMIT) {
+      channel.sentAlerts.delete(channel.sentAlerts.values().next().value);
+    }
+
+    if (channel.queue.length >= MAX_QUEUE) {
+      channel.dropped++;
+      if (channel.dropped % 10 === 1) {
+        console.log(`  ⚠️  Notifier ${channel.name}: queue full, dropped ${channel.dropped} alert(s) so far`);
+      }
+      continue;
+    }
+
+    channel.queue.push({ alert, event, attempts: 0 });
+    drainChannel(channel).catch(error => {
+      console.error(`Error sending alerts to ${channel.name}:`, error.message);
+    });
+  }
+}
+
+/**
+ * Post monitor events to the configured Telegram chats and Discord webhooks
+ * Runs in the process that runs the monitor (events are in-process).
+ */
+export function startNotifier(channels = loadNotifierChannels()) {
+  if (started || channels.length === 0) return;
+  started = true;
+
+  monitorEvents.on('event', (event) => dispatchAlert(channels, event));
+  console.log(`📣 Notifier started: ${channels.map(c => `${c.name} (${c.alerts.join(', ')})`).join('; ')}`);
+}
@@ -0,0 +1,325 @@
+import { ethers } from 'ethers';
+import { getTokenLedger, updateDeployment } from './supabase-storage.js';
+import { POOL_MANAGER_ADDRESS } from './swap-volume.js';
+import { applyTransferLogs, TRANSFER_TOPIC } from './holder-ledger.js';
+
+// Rug / honeypot risk for a launch: a buy+sell simulated against the pool, whether the
+// token transfers at all, whether the LP position sits in the locker, and how concentrated
+// the supply is. Everything is read with eth_call, nothing is sent.
+
+// Uniswap v4 Quoter and PositionManager on Base
+export const V4_QUOTER_ADDRESS = process.env.V4_QUOTER_ADDRESS || '0x0d5e0f971ed27fbff6c2837bf31316121532048d';
+export const POSITION_MANAGER_ADDRESS = process.env.POSITION_MANAGER_ADDRESS || '0x7c5f5a4bbd8fd63184577525326123b519429bdc';
+
+// Paired token amount (WETH) bought and sold back in the simulation
+const SIMULATED_BUY = ethers.parseEther(process.env.RISK_SIMULATED_BUY_ETH || '0.01');
+
+// Re-check tokens younger than a day at most this often
+const RISK_REFRESH_SECONDS = 1800;
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const DEAD_ADDRESS = '0x000000000000000000000000000000000000dead';
+// Transfer target for the transfer check - any address that isn't a holder
+const PROBE_ADDRESS = '0x000000000000000000000000000000000000fe15';
+
+const INITIALIZE_EVENT = 'event Initialize(bytes32 indexed id, address indexed currency0, address indexed currency1, ' +
+  'uint24 fee, int24 tickSpacing, address hooks, uint160 sqrtPriceX96, int24 tick)';
+
+const poolManagerInterface = new ethers.Interface([INITIALIZE_EVENT]);
+const INITIALIZE_TOPIC = poolManagerInterface.getEvent('Initialize').topicHash;
+
+const QUOTER_ABI = [
+  'function quoteExactInputSingle(((address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks) poolKey, ' +
+  'bool zeroForOne, uint128 exactAmount, bytes hookData) params) returns (uint256 amountOut, uint256 gasEstimate)'
+];
+const TOKEN_ABI = [
+  'function totalSupply() view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)'
+];
+const POSITION_MANAGER_ABI = ['function ownerOf(uint256 tokenId) view returns (address)'];
+const LOCKER_ABI = ['function unlockTime() view returns (uint256)'];
+
+/**
+ * Pool key and LP position ids from the deployment receipt
+ * Returns { poolKey: { currency0, currency1, fee, tickSpacing, hooks } | null, lpPositionIds: [string] }
+ */
+export function findLaunchPool(receipt, poolId) {
+  let poolKey = null;
+  const lpPositionIds = [];
+  const poolManager = POOL_MANAGER_ADDRESS.toLowerCase();
+  const positionManager = POSITION_MANAGER_ADDRESS.toLowerCase();
+
+  for (const log of receipt?.logs || []) {
+    const address = log.address.toLowerCase();
+    if (address === poolManager && log.topics[0] === INITIALIZE_TOPIC && log.topics[1] === poolId) {
+      const { args } = poolManagerInterface.parseLog({ topics: [...log.topics], data: log.data });
+      poolKey = {
+        currency0: args.currency0,
+        currency1: args.currency1,
+        fee: Number(args.fee),
+        tickSpacing: Number(args.tickSpacing),
+        hooks: args.hooks
+      };
+    }
+    // ERC721 mint of an LP position (4 topics: Transfer, from, to, tokenId)
+    if (address === positionManager && log.topics.length === 4 && log.topics[0] === TRANSFER_TOPIC &&
+        BigInt(log.topics[1]) === 0n) {
+      lpPositionIds.push(BigInt(log.topics[3]).toString());
+    }
+  }
+
+  return { poolKey, lpPositionIds };
+}
+
+/**
+ * Quote buying SIMULATED_BUY worth of the token and selling it straight back
+ * A failed buy is inconclusive (pool not live yet, MEV module still blocking); a sell that
+ * reverts after a buy succeeded is a honeypot.
+ * Returns { buyOk, sellOk, tokensOut, roundTripLoss, error }
+ */
+async function simulateRoundTrip(tokenAddress, poolKey, rpcCall) {
+  const tokenIsCurrency0 = poolKey.currency0.toLowerCase() === tokenAddress.toLowerCase();
+  const quote = (zeroForOne, exactAmount) => rpcCall(
+    (provider) => new ethers.Contract(V4_QUOTER_ADDRESS, QUOTER_ABI, provider).quoteExactInputSingle.staticCall({
+      poolKey, zeroForOne, exactAmount, hookData: '0x'
+    }),
+    `quote ${zeroForOne ? '0->1' : '1->0'} for ${tokenAddress.slice(0, 10)}...`
+  );
+
+  let tokensOut;
+  try {
+    [tokensOut] = await quote(!tokenIsCurrency0, SIMULATED_BUY);
+  } catch (error) {
+    return { buyOk: false, sellOk: null, tokensOut: null, roundTripLoss: null, error: error.shortMessage || error.message };
+  }
+
+  try {
+    const [pairedBack] = await quote(tokenIsCurrency0, tokensOut);
+    const roundTripLoss = 1 - Number(pairedBack) / Number(SIMULATED_BUY);
+    return { buyOk: true, sellOk: true, tokensOut: tokensOut.toString(), roundTripLoss, error: null };
+  } catch (error) {
+    return { buyOk: true, sellOk: false, tokensOut: tokensOut.toString(), roundTripLoss: null, error: error.shortMessage || error.message };
+  }
+}
+
+/**
+ * Whether every LP position minted at launch is held by the locker, and until when
+ * Fey lockers keep positions for good; lockedUntil is only set if the locker exposes an unlockTime().
+ * Returns { locked, positions, lockedUntil } (locked is null when no position was found)
+ */
+async function checkLpLock(deployment, lpPositionIds, rpcCall) {
+  if (lpPositionIds.length === 0 || !deployment.locker) {
+    return { locked: null, positions: 0, lockedUntil: null };
+  }
+
+  const locker = deployment.locker.toLowerCase();
+  let locked = true;
+  for (const tokenId of lpPositionIds) {
+    const owner = await rpcCall(
+      (provider) => new ethers.Contract(POSITION_MANAGER_ADDRESS, POSITION_MANAGER_ABI, provider).ownerOf(tokenId),
+      `ownerOf(${tokenId})`
+    );
+    if (owner.toLowerCase() !== locker) locked = false;
+  }
+
+  let lockedUntil = null;
+  if (locked) {
+    try {
+      const unlockTime = await rpcCall(
+        (provider) => new ethers.Contract(deployment.locker, LOCKER_ABI, provider).unlockTime(),
+        `unlockTime() on ${locker.slice(0, 10)}...`
+      );
+      lockedUntil = Number(unlockTime) || null;
+    } catch {
+      // No unlock function - permanent lock
+    }
+  }
+
+  return { locked, positions: lpPositionIds.length, lockedUntil };
+}
+
+/**
+ * Top-10 holder and dev share of the total supply
+ * Pool, locker, extension vaults and burn addresses don't count as holders.
+ * Returns { top10Share, devShare, topHolder }
+ */
+export function measureConcentration(balances, totalSupply, deployment) {
+  const excluded = new Set([
+    ZERO_ADDRESS,
+    DEAD_ADDRESS,
+    POOL_MANAGER_ADDRESS.toLowerCase(),
+    (deployment.tokenAddress || '').toLowerCase(),
+    (deployment.locker || '').toLowerCase(),
+    ...(deployment.extensions || []).map(a => a.toLowerCase())
+  ]);
+  const devWallets = new Set([deployment.from, deployment.tokenAdmin].filter(Boolean).map(a => a.toLowerCase()));
+
+  const holders = [...balances.entries()]
+    .filter(([address, balance]) => balance > 0n && !excluded.has(address))
+    .sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0));
+
+  const share = (amount) => (totalSupply > 0n ? Number((amount * 10000n) / totalSupply) / 10000 : 0);
+  const top10 = holders.slice(0, 10).reduce((sum, [, balance]) => sum + balance, 0n);
+  const dev = holders.filter(([address]) => devWallets.has(address)).reduce((sum, [, balance]) => sum + balance, 0n);
+
+  return {
+    top10Share: share(top10),
+    devShare: share(dev),
+    topHolder: holders.length > 0 ? holders[0][0] : null
+  };
+}
+
+/**
+ * Composite risk score from 0 (no red flags) to 100
+ * - +60 sells revert after a successful buy (honeypot), +50 transfers revert
+ * - +40 round-trip loss over 30%, +15 over 10% (fees / transfer tax)
+ * - +30 LP not held by the locker, +15 unlocking within 30 days
+ * - +20 top-10 holders own over 50% of supply, +10 over 30%
+ * - +20 dev holds over 20% of supply, +10 over 5%
+ * - +10 dev already sold
+ * Level: low < 30, medium < 60, high otherwise.
+ */
+export function calculateRiskScore(checks, now = Math.floor(Date.now() / 1000)) {
+  const reasons = [];
+  let score = 0;
+  const flag = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+  const pct = (share) => `${(share * 100).toFixed(1)}%`;
+
+  const { simulation, transferOk, lpLock, top10Share, devShare, devSold } = checks;
+
+  if (simulation?.buyOk && simulation.sellOk === false) {
+    flag(60, 'Sells revert (honeypot)');
+  } else if (simulation?.roundTripLoss != null) {
+    if (simulation.roundTripLoss > 0.3) flag(40, `Buy+sell loses ${pct(simulation.roundTripLoss)} (high tax)`);
+    else if (simulation.roundTripLoss > 0.1) flag(15, `Buy+sell loses ${pct(simulation.roundTripLoss)}`);
+  }
+  if (transferOk === false) flag(50, 'Token transfers revert');
+
+  if (lpLock?.locked === false) {
+    flag(30, 'LP is not held by the locker');
+  } else if (lpLock?.locked && lpLock.lockedUntil && lpLock.lockedUntil - now < 30 * 86400) {
+    flag(15, `LP unlocks ${new Date(lpLock.lockedUntil * 1000).toISOString().slice(0, 10)}`);
+  }
+
+  if (top10Share != null) {
+    if (top10Share > 0.5) flag(20, `Top 10 holders own ${pct(top10Share)}`);
+    else if (top10Share > 0.3) flag(10, `Top 10 holders own ${pct(top10Share)}`);
+  }
+  if (devShare != null) {
+    if (devShare > 0.2) flag(20, `Dev holds ${pct(devShare)}`);
+    else if (devShare > 0.05) flag(10, `Dev holds ${pct(devShare)}`);
+  }
+  if (devSold) flag(10, 'Dev sold');
+
+  score = Math.min(100, score);
+  const level = score >= 60 ? 'high' : score >= 30 ? 'medium' : 'low';
+  return { score, level, reasons };
+}
+
+/**
+ * Run every check for a deployment
+ * rpcCall(operation, name) is the monitor's pooled RPC call. The pool key and LP positions
+ * come from the deployment receipt the first time and are kept in riskDetails after that.
+ * Returns { riskScore, riskLevel, riskReasons, riskDetails, riskCheckedAt }
+ */
+export async function analyzeTokenRisk(deployment, { rpcCall, receipt = null }) {
+  const { tokenAddress } = deployment;
+  let { poolKey = null, lpPositionIds = [] } = deployment.riskDetails || {};
+
+  // Balances: the holder ledger once it exists, the launch distribution before that
+  const ledger = await getTokenLedger(tokenAddress);
+
+  if (!receipt && (!poolKey || !ledger)) {
+    receipt = await rpcCall((provider) => provider.getTransactionReceipt(deployment.txHash), 'getTransactionReceipt');
+  }
+  if (!poolKey) {
+    ({ poolKey, lpPositionIds } = findLaunchPool(receipt, deployment.poolId));
+  }
+
+  let balances = ledger ? ledger.balances : null;
+  if (!balances) {
+    balances = new Map();
+    const token = tokenAddress.toLowerCase();
+    applyTransferLogs(balances, (receipt?.logs || []).filter(log => log.address.toLowerCase() === token));
+  }
+
+  const totalSupply = await rpcCall(
+    (provider) => new ethers.Contract(tokenAddress, TOKEN_ABI, provider).totalSupply(),
+    `totalSupply() on ${tokenAddress.slice(0, 10)}...`
+  );
+  const concentration = measureConcentration(balances, totalSupply, deployment);
+
+  const simulation = poolKey ? await simulateRoundTrip(tokenAddress, poolKey, rpcCall) : null;
+
+  let transferOk = null;
+  if (concentration.topHolder) {
+    try {
+      await rpcCall(
+        (provider) => new ethers.Contract(tokenAddress, TOKEN_ABI, provider).transfer.staticCall(PROBE_ADDRESS, 1n, { from: concentration.topHolder }),
+        `transfer() on ${tokenAddress.slice(0, 10)}...`
+      );
+      transferOk = true;
+    } catch (error) {
+      // Only a revert says something about the token, RPC failures leave it unknown
+      if (error.code === 'CALL_EXCEPTION') transferOk = false;
+    }
+  }
+
+  const lpLock = await checkLpLock(deployment, lpPositionIds, rpcCall);
+
+  const checks = {
+    simulation,
+    transferOk,
+    lpLock,
+    top10Share: concentration.top10Share,
+    devShare: concentration.devShare,
+    devSold: deployment.devSold || false
+  };
+  const { score, level, reasons } = calculateRiskScore(checks);
+
+  return {
+    riskScore: score,
+    riskLevel: level,
+    riskReasons: reasons,
+    riskDetails: { ...checks, poolKey, lpPositionIds },
+    riskCheckedAt: Math.floor(Date.now() / 1000)
+  };
+}
+
+/**
+ * Analyze one deployment and store the result
+ */
+export async function refreshTokenRisk(deployment, options) {
+  const risk = await analyzeTokenRisk(deployment, options);
+  await updateDeployment(deployment.txHash, risk);
+  return risk;
+}
+
+/**
+ * Re-score tokens that were never checked or whose check is stale (younger than a day,
+ * last checked over RISK_REFRESH_SECONDS ago), newest first
+ */
+export async function refreshStaleRiskScores(deployments, { limit = 3, rpcCall } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const stale = deployments
+    .filter(d => d.tokenAddress && d.tokenAddress !== 'N/A' && d.poolId && d.status !== 'orphaned' && !d.isPruned)
+    .filter(d => !d.riskCheckedAt || (now - (d.timestamp || 0) < 86400 && now - d.riskCheckedAt > RISK_REFRESH_SECONDS))
+    .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+    .slice(0, limit);
+
+  let refreshed = 0;
+  for (const deployment of stale) {
+    try {
+      const risk = await refreshTokenRisk(deployment, { rpcCall });
+      refreshed++;
+      console.log(`  🛡️  Risk ${deployment.tokenName || deployment.tokenAddress.slice(0, 10) + '...'}: ${risk.riskScore} (${risk.riskLevel})${risk.riskReasons.length > 0 ? ` - ${risk.riskReasons.join(', ')}` : ''}`);
+    } catch (error) {
+      console.error(`  ⚠️  Error scoring risk for ${deployment.tokenAddress.slice(0, 10)}...:`, error.message);
+    }
+  }
+
+  return refreshed;
+}
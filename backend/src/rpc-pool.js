@@ -0,0 +1,353 @@
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { recordCall } from './metering.js';
+
+const BASE_NETWORK = ethers.Network.from(8453);
+const DEFAULT_TIMEOUT = 30000; // 30 second timeout for any single RPC call
+const MAX_COOLDOWN = 60000; // Rate-limited endpoints sit out at most 1 minute
+const MAX_COOLDOWN_WAIT = 10000; // Longest we wait for a cooling endpoint before giving up
+const RATE_LIMIT_WINDOW = 60000; // Window for recentRateLimits()
+
+// JSON-RPC error codes providers use for throttling (-32005 limit exceeded, 429 Alchemy/QuickNode)
+const RATE_LIMIT_RPC_CODES = new Set([429, -32005, -32090]);
+const RATE_LIMIT_HTTP_STATUS = new Set([429]);
+// Codes providers return when a getLogs range/result is too large for them
+const RANGE_RPC_CODES = new Set([-32600, -32602, -32614]);
+// ethers error codes that are about the request itself, not the endpoint - never retried elsewhere
+const NON_RETRYABLE_CODES = new Set(['CALL_EXCEPTION', 'INVALID_ARGUMENT', 'ACTION_REJECTED', 'BAD_DATA']);
+
+/**
+ * Build the endpoint list
+ * RPC_PROVIDERS (JSON string) or RPC_PROVIDERS_FILE (path to a JSON file) take precedence:
+ *   [{ "name": "alchemy-free", "url": "https://...", "tier": "free", "maxBlockRange": 10, "weight": 2, "trace": false }]
+ * Otherwise the legacy single-key variables are mapped to a free and a paid endpoint
+ */
+export function loadRpcProviderConfigs(env = process.env) {
+  let raw = null;
+  try {
+    if (env.RPC_PROVIDERS) {
+      raw = JSON.parse(env.RPC_PROVIDERS);
+    } else if (env.RPC_PROVIDERS_FILE) {
+      raw = JSON.parse(fs.readFileSync(env.RPC_PROVIDERS_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error('❌ Could not parse RPC_PROVIDERS, using default providers:', error.message);
+    raw = null;
+  }
+
+  if (Array.isArray(raw) && raw.length > 0) {
+    return raw
+      .filter(p => p && p.url)
+      .map((p, i) => normalizeConfig(p, i));
+  }
+
+  const configs = [];
+  if (env.BASE_RPC_URL) {
+    configs.push({ name: 'custom', url: env.BASE_RPC_URL, tier: 'free', maxBlockRange: 2000, weight: 1, trace: false });
+  } else if (env.ALCHEMY_API_KEY_FREE) {
+    configs.push({
+      name: 'alchemy-free',
+      url: `https://base-mainnet.g.alchemy.com/v2/${env.ALCHEMY_API_KEY_FREE}`,
+      tier: 'free',
+      maxBlockRange: 10, // Alchemy free tier getLogs limit
+      weight: 1,
+      trace: false
+    });
+  } else {
+    configs.push({ name: 'base-public', url: 'https://mainnet.base.org', tier: 'free', maxBlockRange: 10, weight: 1, trace: false });
+  }
+
+  if (env.ALCHEMY_API_KEY_PAID) {
+    configs.push({
+      name: 'alchemy-paid',
+      url: `https://base-mainnet.g.alchemy.com/v2/${env.ALCHEMY_API_KEY_PAID}`,
+      tier: 'paid',
+      maxBlockRange: 2000,
+      weight: 1,
+      trace: true
+    });
+  }
+
+  return configs.map((p, i) => normalizeConfig(p, i));
+}
+
+function normalizeConfig(config, index) {
+  return {
+    name: config.name || `rpc-${index + 1}`,
+    url: config.url,
+    tier: config.tier === 'paid' ? 'paid' : 'free',
+    maxBlockRange: Math.max(1, parseInt(config.maxBlockRange, 10) || 10),
+    weight: Number(config.weight) > 0 ? Number(config.weight) : 1,
+    trace: config.trace === true
+  };
+}
+
+/**
+ * Classify an RPC error by code instead of message text
+ * Returns 'rate_limit' | 'range' | 'timeout' | 'fatal' (request problem, don't fail over) | 'error'
+ */
+export function classifyRpcError(error) {
+  if (!error) return 'error';
+  if (NON_RETRYABLE_CODES.has(error.code)) return 'fatal';
+  if (error.code === 'TIMEOUT') return 'timeout';
+
+  const httpStatus = error.response?.statusCode ?? error.status;
+  if (RATE_LIMIT_HTTP_STATUS.has(httpStatus)) return 'rate_limit';
+
+  const rpcCode = error.error?.code ?? error.info?.error?.code;
+  if (RATE_LIMIT_RPC_CODES.has(rpcCode)) return 'rate_limit';
+  if (RANGE_RPC_CODES.has(rpcCode)) return 'range';
+
+  return 'error';
+}
+
+function redactUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return 'invalid-url';
+  }
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${label} timeout after ${ms / 1000}s`);
+        error.code = 'TIMEOUT';
+        reject(error);
+      }, ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Pool of JSON-RPC endpoints with per-endpoint health tracking
+ * Each call goes to the healthiest eligible endpoint (free tier first unless paid is required)
+ * and fails over to the next one on rate limits, timeouts and server errors.
+ */
+export function createRpcPool(configs, { timeout = DEFAULT_TIMEOUT } = {}) {
+  if (!configs || configs.length === 0) {
+    throw new Error('RPC pool needs at least one provider');
+  }
+
+  const createProvider = (config) => {
+    // Let the pool handle 429s (fail over right away) instead of ethers' built-in throttle retries
+    const request = new ethers.FetchRequest(config.url);
+    request.retryFunc = async () => false;
+    // Meter every JSON-RPC request as it goes out (a batch counts each request in it)
+    request.preflightFunc = async (req) => {
+      try {
+        const payload = JSON.parse(ethers.toUtf8String(req.body));
+        for (const item of Array.isArray(payload) ? payload : [payload]) {
+          recordCall({ provider: config.name, method: item.method });
+        }
+      } catch (error) {
+        recordCall({ provider: config.name, method: 'unknown' });
+      }
+      return req;
+    };
+    return new ethers.JsonRpcProvider(request, BASE_NETWORK, { staticNetwork: BASE_NETWORK });
+  };
+
+  const endpoints = configs.map(config => ({
+    config,
+    provider: createProvider(config),
+    stats: {
+      calls: 0,
+      errors: 0,
+      rateLimits: 0,
+      latencyEma: null, // ms
+      errorEma: 0, // 0..1
+      consecutiveRateLimits: 0,
+      cooldownUntil: 0,
+      lastError: null,
+      lastErrorAt: null,
+      rateLimitTimes: []
+    }
+  }));
+
+  const score = (endpoint) => {
+    const { latencyEma, errorEma } = endpoint.stats;
+    const latency = latencyEma === null ? 500 : latencyEma; // Untested endpoints get a neutral latency
+    return endpoint.config.weight * (1 - errorEma) / (1 + latency / 1000);
+  };
+
+  const recordSuccess = (endpoint, latency) => {
+    const stats = endpoint.stats;
+    stats.calls++;
+    stats.latencyEma = stats.latencyEma === null ? latency : stats.latencyEma * 0.8 + latency * 0.2;
+    stats.errorEma *= 0.9;
+    stats.consecutiveRateLimits = 0;
+  };
+
+  const recordFailure = (endpoint, kind, error) => {
+    const stats = endpoint.stats;
+    const now = Date.now();
+    stats.calls++;
+    stats.lastError = error.shortMessage || error.message;
+    stats.lastErrorAt = now;
+
+    if (kind === 'rate_limit') {
+      stats.rateLimits++;
+      stats.consecutiveRateLimits++;
+      stats.rateLimitTimes.push(now);
+      stats.cooldownUntil = now + Math.min(1000 * 2 ** (stats.consecutiveRateLimits - 1), MAX_COOLDOWN);
+    } else {
+      stats.errors++;
+      stats.errorEma = stats.errorEma * 0.9 + 0.1;
+    }
+  };
+
+  /**
+   * Eligible endpoints in the order they should be tried
+   * tier 'free' prefers free endpoints and falls back to paid ones, tier 'paid' only uses paid
+   */
+  const candidates = ({ tier = 'free', trace = false, minBlockRange = 0 } = {}) => {
+    return endpoints
+      .filter(e => (tier !== 'paid' || e.config.tier === 'paid') &&
+        (!trace || e.config.trace) &&
+        e.config.maxBlockRange >= minBlockRange)
+      .sort((a, b) => {
+        const tierRank = (e) => (e.config.tier === tier ? 0 : 1);
+        if (tierRank(a) !== tierRank(b)) return tierRank(a) - tierRank(b);
+        return score(b) - score(a);
+      });
+  };
+
+  /**
+   * Run operation(provider, config) against the pool
+   * options: { name, tier: 'free' | 'paid', trace, minBlockRange, retries }
+   */
+  const call = async (operation, options = {}) => {
+    const { name = 'RPC call', retries = 2 } = options;
+    const eligible = candidates(options);
+    if (eligible.length === 0) {
+      throw new Error(`No RPC provider available for ${name} (tier: ${options.tier || 'free'}${options.trace ? ', trace' : ''})`);
+    }
+
+    let lastError = null;
+    const tried = new Set();
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const now = Date.now();
+      let endpoint = eligible.find(e => !tried.has(e) && e.stats.cooldownUntil <= now);
+
+      if (!endpoint) {
+        // Everything is cooling down or already tried - wait for the endpoint that frees up first
+        const next = [...eligible].sort((a, b) => a.stats.cooldownUntil - b.stats.cooldownUntil)[0];
+        const wait = next.stats.cooldownUntil - now;
+        if (wait > MAX_COOLDOWN_WAIT) break;
+        if (wait > 0) {
+          console.log(`  ⏳ All RPC providers rate limited. Waiting ${wait}ms...`);
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        endpoint = next;
+      }
+
+      tried.add(endpoint);
+      const start = Date.now();
+      try {
+        const emoji = endpoint.config.tier === 'paid' ? '💰' : '🆓';
+        console.log(`  ${emoji} Using ${endpoint.config.name} for ${name}`);
+        const result = await withTimeout(operation(endpoint.provider, endpoint.config), timeout, name);
+        recordSuccess(endpoint, Date.now() - start);
+        return result;
+      } catch (error) {
+        const kind = classifyRpcError(error);
+        if (kind === 'fatal' || kind === 'range') {
+          // The request itself is the problem, another endpoint won't help
+          recordSuccess(endpoint, Date.now() - start);
+          throw error;
+        }
+        recordFailure(endpoint, kind, error);
+        lastError = error;
+        console.error(`  ⚠️  ${endpoint.config.name} failed for ${name} (${kind}): ${error.shortMessage || error.message}`);
+      }
+    }
+
+    throw lastError || new Error(`All RPC providers failed for ${name}`);
+  };
+
+  return {
+    call,
+
+    /**
+     * Raw JSON-RPC request (trace_*, debug_* and other non-standard methods)
+     */
+    send(method, params, options = {}) {
+      return call((provider) => provider.send(method, params), { name: method, ...options });
+    },
+
+    /**
+     * getLogs over an arbitrary range
+     * Every chunk is routed separately and sized to the chosen endpoint's maxBlockRange
+     */
+    async getLogs(filter, fromBlock, toBlock, options = {}) {
+      const { chunkDelay = 0, ...callOptions } = options;
+      const allLogs = [];
+      let from = fromBlock;
+
+      while (from <= toBlock) {
+        const { logs, end } = await call(async (provider, config) => {
+          const end = Math.min(from + config.maxBlockRange - 1, toBlock);
+          const logs = await provider.getLogs({ ...filter, fromBlock: from, toBlock: end });
+          return { logs, end };
+        }, { name: `getLogs (blocks ${from}-${toBlock})`, ...callOptions });
+
+        allLogs.push(...logs);
+        from = end + 1;
+
+        if (chunkDelay > 0 && from <= toBlock) {
+          await new Promise(resolve => setTimeout(resolve, chunkDelay));
+        }
+      }
+
+      return allLogs;
+    },
+
+    hasTrace() {
+      return endpoints.some(e => e.config.trace);
+    },
+
+    /**
+     * Rate limits across all endpoints in the last minute (used to throttle background work)
+     */
+    recentRateLimits() {
+      const since = Date.now() - RATE_LIMIT_WINDOW;
+      let count = 0;
+      for (const endpoint of endpoints) {
+        endpoint.stats.rateLimitTimes = endpoint.stats.rateLimitTimes.filter(t => t > since);
+        count += endpoint.stats.rateLimitTimes.length;
+      }
+      return count;
+    },
+
+    getStats() {
+      const now = Date.now();
+      return endpoints.map(endpoint => {
+        const { config, stats } = endpoint;
+        return {
+          name: config.name,
+          host: redactUrl(config.url),
+          tier: config.tier,
+          maxBlockRange: config.maxBlockRange,
+          weight: config.weight,
+          trace: config.trace,
+          calls: stats.calls,
+          errors: stats.errors,
+          rateLimits: stats.rateLimits,
+          errorRate: stats.calls > 0 ? stats.errors / stats.calls : 0,
+          avgLatencyMs: stats.latencyEma === null ? null : Math.round(stats.latencyEma),
+          score: Number(score(endpoint).toFixed(4)),
+          rateLimited: stats.cooldownUntil > now,
+          cooldownMs: Math.max(0, stats.cooldownUntil - now),
+          lastError: stats.lastError,
+          lastErrorAt: stats.lastErrorAt ? new Date(stats.lastErrorAt).toISOString() : null
+        };
+      });
+    }
+  };
+}
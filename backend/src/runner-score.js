@@ -0,0 +1,32 @@
+/**
+ * Runner score: combines 24h volume, holder growth % and absolute holder growth
+ * Same formula as the dashboard's Hot Runners score (frontend TokenFeed.jsx), so webhook
+ * thresholds match what users see.
+ */
+export function calculateRunnerScore(deployment) {
+  const volume24h = deployment.volume24h || 0;
+
+  // Growth between the last two holder count samples
+  let growthPercent = 0;
+  let absGrowth = 0;
+  const history = deployment.holderCountHistory || [];
+  if (history.length >= 2) {
+    const currentCount = history[history.length - 1].count || 0;
+    const previousCount = history[history.length - 2].count || 0;
+    absGrowth = currentCount - previousCount;
+    growthPercent = previousCount > 0 ? (absGrowth / previousCount) * 100 : (absGrowth > 0 ? 100 : 0);
+  }
+
+  // 10% growth = 1 point (capped at 10), absolute growth capped at 50 holders
+  const normalizedGrowth = Math.min(growthPercent / 10, 10);
+  const normalizedAbsGrowth = Math.min(absGrowth, 50);
+
+  const score = (volume24h * 0.4) + (normalizedGrowth * 0.4) + (normalizedAbsGrowth * 0.2);
+
+  return {
+    score: Math.max(0, score),
+    volume24h,
+    growthPercent,
+    absGrowth
+  };
+}
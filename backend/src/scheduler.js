@@ -0,0 +1,214 @@
+/**
+ * Job scheduler for the monitor cycle
+ * Named jobs run once their interval has passed (checked every cycle, in registration order),
+ * each with a budget of work items per run. Jobs that work through tokens keep a queue of
+ * per-key next-due times, so every token gets its turn in a fixed order instead of by chance.
+ * The whole state is plain JSON (toJSON / the state option) and is saved with the monitor
+ * state, so a restart picks the schedule up where it left off.
+ * Jobs also have a priority (0 = essential). As the daily compute budget fills up (see
+ * metering.js), the least important jobs are skipped first.
+ */
+import { runInJob, budgetPressure } from './metering.js';
+
+// Queue entries overdue by this much are dropped when saving - a missing key is due anyway
+const QUEUE_RETENTION_SECONDS = 86400;
+
+// Share of the daily compute budget used -> least important priority still run
+// (checked from the top, below 75% everything runs)
+export const BUDGET_STEPS = [
+  { pressure: 1.0, maxPriority: 0 },
+  { pressure: 0.9, maxPriority: 1 },
+  { pressure: 0.75, maxPriority: 2 }
+];
+
+/**
+ * Least important job priority allowed to run at a budget pressure (Infinity = all)
+ */
+export function maxPriorityFor(pressure) {
+  const step = BUDGET_STEPS.find(s => pressure >= s.pressure);
+  return step ? step.maxPriority : Infinity;
+}
+
+/**
+ * Per-job overrides from SCHEDULER_JOBS (JSON string):
+ *   { "riskScores": { "intervalSeconds": 600, "budget": 5, "priority": 1 }, "launchBuyers": { "enabled": false } }
+ */
+export function loadSchedulerOverrides(env = process.env) {
+  if (!env.SCHEDULER_JOBS) return {};
+  try {
+    const raw = JSON.parse(env.SCHEDULER_JOBS);
+    return raw && typeof raw === 'object' ? raw : {};
+  } catch (error) {
+    console.error('❌ Could not parse SCHEDULER_JOBS, using default job settings:', error.message);
+    return {};
+  }
+}
+
+export function createScheduler({
+  state = null,
+  overrides = {},
+  now = () => Math.floor(Date.now() / 1000),
+  pressure = budgetPressure
+} = {}) {
+  // name -> { name, intervalSeconds, budget, priority, enabled, run }
+  const jobs = new Map();
+  // name -> { lastRunAt, nextRunAt, runs, failures, lastError, lastDurationMs, lastProcessed, skipped, lastSkippedAt }
+  const jobState = new Map(Object.entries(state?.jobs || {}));
+  // queue name -> Map(key -> next due timestamp)
+  const queues = new Map(Object.entries(state?.queues || {}).map(([name, entries]) => [name, new Map(Object.entries(entries))]));
+
+  const queue = (name) => {
+    if (!queues.has(name)) queues.set(name, new Map());
+    return queues.get(name);
+  };
+
+  /**
+   * Keys from `keys` that are due, never seen first then longest overdue, at most limit
+   * Entries for keys no longer offered are forgotten.
+   */
+  const take = (name, keys, limit = Infinity) => {
+    const entries = queue(name);
+    const offered = new Set(keys);
+    for (const key of entries.keys()) {
+      if (!offered.has(key)) entries.delete(key);
+    }
+
+    const at = now();
+    return keys
+      .filter(key => (entries.get(key) ?? 0) <= at)
+      .sort((a, b) => (entries.get(a) ?? 0) - (entries.get(b) ?? 0))
+      .slice(0, limit);
+  };
+
+  const defer = (name, key, seconds) => {
+    queue(name).set(key, now() + seconds);
+  };
+
+  const isDue = (name, key) => (queue(name).get(key) ?? 0) <= now();
+
+  const newEntry = () => ({
+    lastRunAt: null,
+    nextRunAt: 0,
+    runs: 0,
+    failures: 0,
+    lastError: null,
+    lastDurationMs: null,
+    lastProcessed: null,
+    skipped: 0,
+    lastSkippedAt: null
+  });
+
+  const runJob = async (job) => {
+    const entry = jobState.get(job.name) || newEntry();
+    const startedAt = Date.now();
+    entry.lastRunAt = now();
+    entry.nextRunAt = entry.lastRunAt + job.intervalSeconds;
+
+    try {
+      // Calls made by the job are metered against its name
+      const processed = await runInJob(job.name, () => job.run({
+        budget: job.budget,
+        take: (keys, limit = job.budget) => take(job.name, keys, limit),
+        defer: (key, seconds) => defer(job.name, key, seconds),
+        isDue: (key) => isDue(job.name, key)
+      }));
+      entry.lastProcessed = typeof processed === 'number' ? processed : null;
+      entry.lastError = null;
+    } catch (error) {
+      entry.failures++;
+      entry.lastError = error.message;
+      console.error(`  ⚠️  Scheduled job ${job.name} failed:`, error.message);
+    } finally {
+      entry.runs++;
+      entry.lastDurationMs = Date.now() - startedAt;
+      jobState.set(job.name, entry);
+    }
+  };
+
+  return {
+    /**
+     * Add a job: run({ budget, take, defer, isDue }) may return the number of items processed
+     * intervalSeconds 0 runs it every cycle; budget is the max work items per run; priority 0
+     * is never skipped for the compute budget, higher numbers are skipped sooner
+     */
+    register({ name, intervalSeconds = 0, budget = Infinity, priority = 1, run }) {
+      const override = overrides[name] || {};
+      jobs.set(name, {
+        name,
+        intervalSeconds: override.intervalSeconds ?? intervalSeconds,
+        budget: override.budget ?? budget,
+        priority: override.priority ?? priority,
+        enabled: override.enabled !== false,
+        run
+      });
+    },
+
+    /**
+     * Run every enabled job whose next run time has come, one after another
+     * Jobs less important than the budget allows are skipped (and stay due).
+     * Returns the names of the jobs that ran
+     */
+    async runDue() {
+      const ran = [];
+      const maxPriority = maxPriorityFor(pressure());
+      for (const job of jobs.values()) {
+        if (!job.enabled) continue;
+        if ((jobState.get(job.name)?.nextRunAt ?? 0) > now()) continue;
+        if (job.priority > maxPriority) {
+          const entry = jobState.get(job.name) || newEntry();
+          entry.skipped++;
+          entry.lastSkippedAt = now();
+          jobState.set(job.name, entry);
+          continue;
+        }
+        await runJob(job);
+        ran.push(job.name);
+      }
+      return ran;
+    },
+
+    take,
+    defer,
+    isDue,
+
+    /**
+     * Job settings and run history, with queue sizes
+     */
+    stats() {
+      const at = now();
+      const maxPriority = maxPriorityFor(pressure());
+      return [...jobs.values()].map(job => {
+        const entry = jobState.get(job.name) || {};
+        const entries = queues.get(job.name);
+        return {
+          name: job.name,
+          enabled: job.enabled,
+          intervalSeconds: job.intervalSeconds,
+          budget: Number.isFinite(job.budget) ? job.budget : null,
+          priority: job.priority,
+          shed: job.priority > maxPriority,
+          lastRunAt: entry.lastRunAt ?? null,
+          nextRunAt: entry.nextRunAt ?? null,
+          runs: entry.runs || 0,
+          failures: entry.failures || 0,
+          lastError: entry.lastError ?? null,
+          lastDurationMs: entry.lastDurationMs ?? null,
+          lastProcessed: entry.lastProcessed ?? null,
+          skipped: entry.skipped || 0,
+          lastSkippedAt: entry.lastSkippedAt ?? null,
+          queued: entries ? entries.size : 0,
+          deferred: entries ? [...entries.values()].filter(due => due > at).length : 0
+        };
+      });
+    },
+
+    toJSON() {
+      const cutoff = now() - QUEUE_RETENTION_SECONDS;
+      const savedQueues = {};
+      for (const [name, entries] of queues) {
+        savedQueues[name] = Object.fromEntries([...entries].filter(([, due]) => due > cutoff));
+      }
+      return { jobs: Object.fromEntries(jobState), queues: savedQueues };
+    }
+  };
+}
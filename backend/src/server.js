@@ -2,8 +2,95 @@ import cors from 'cors';
 import express from 'express';
 import { dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { startMonitoring } from './monitor.js';
-import { getAllDeployments, getLatestDeployment } from './supabase-storage.js';
+import { startMonitoring, getRpcStats, getSchedulerStats, getHolderCheckQueue } from './monitor.js';
+import { getMeterStats } from './metering.js';
+import {
+  getAllDeployments,
+  queryDeployments,
+  getLatestDeployment,
+  getDeployment,
+  getHolderSnapshots,
+  getDeploymentsByDeployer,
+  getDeployerProfile,
+  getDevEvents,
+  getDevClusterEdges,
+  getDeployerProfiles,
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getAlertRules,
+  getAlertRule,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  getAlertMatches,
+  saveAccessConfig,
+  getMessages,
+  getMessageByTxHash
+} from './supabase-storage.js';
+import { summarizeDeployer, calculateReputationScore } from './deployer-profiles.js';
+import { clusterGraph } from './dev-clusters.js';
+import {
+  deploymentEvents,
+  monitorEvents,
+  MONITOR_EVENT_TYPES,
+  getEventsSince,
+  matchesEventFilter
+} from './events.js';
+import { CANDLE_INTERVALS, getCandleSeries } from './candles.js';
+import { startNotifier } from './notifier.js';
+import {
+  createNonce,
+  parseSiweMessage,
+  verifySiweSignature,
+  issueSessionToken,
+  issueStreamTicket,
+  verifySessionToken,
+  safeEqual
+} from './auth.js';
+import {
+  FEYSCAN_TOKEN_ADDRESS,
+  FEATURES,
+  PUBLIC_FEED_DELAY,
+  PUBLIC_FEED_LIMIT,
+  validateAccessConfig,
+  getAccessConfig,
+  setAccessConfig,
+  attachAccess,
+  attachStreamAccess,
+  requireFeature,
+  denyFeature,
+  getGatedSections,
+  gatingFeature,
+  filterDeploymentsForAccess
+} from './access.js';
+import {
+  VOLUME_WINDOWS,
+  MAX_RULES_PER_WALLET,
+  validateAlertRuleInput,
+  invalidateAlertRuleCache,
+  startAlertRuleEngine
+} from './alert-rules.js';
+import {
+  MESSAGE_PAYMENT_ADDRESS,
+  MESSAGE_PRICE_ETH,
+  validateMessageInput,
+  submitMessage,
+  verifyMessage,
+  toPublicMessage,
+  startMessageVerifier
+} from './messages.js';
+import {
+  WEBHOOK_EVENTS,
+  validateWebhookInput,
+  generateWebhookSecret,
+  invalidateWebhookCache,
+  sendTestWebhook,
+  startWebhookDispatcher
+} from './webhooks.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -18,20 +105,364 @@ app.use(cors({
 }));
 app.use(express.json());
 
+// Opaque pagination cursor: the sort value and tx hash of the last row of a page
+const encodeCursor = (next) => Buffer.from(JSON.stringify([next.value, next.txHash])).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const [value, txHash] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof txHash !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(txHash)) {
+      return null;
+    }
+    // null: the last row had no value for the sort column
+    if (value === null) {
+      return { value: null, txHash };
+    }
+    return Number.isFinite(Number(value)) ? { value: Number(value), txHash } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Translate /api/deployments query parameters into storage filters
+ * Returns { filters } or { error } for a 400 response
+ */
+function parseDeploymentQuery(query) {
+  const filters = {};
+
+  const numbers = {
+    minDevBuy: 'minDevBuy',
+    maxDevBuy: 'maxDevBuy',
+    minHolders: 'minHolders',
+    minMarketCap: 'minMarketCap',
+    minVolume: 'minVolume',
+    since: 'since',
+    before: 'before'
+  };
+  for (const [param, key] of Object.entries(numbers)) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const value = Number(query[param]);
+    if (!Number.isFinite(value)) {
+      return { error: `${param} must be a number` };
+    }
+    filters[key] = value;
+  }
+
+  const booleans = { pruned: 'isPruned', devSold: 'devSold' };
+  for (const [param, key] of Object.entries(booleans)) {
+    if (query[param] === undefined || query[param] === '') continue;
+    if (query[param] !== 'true' && query[param] !== 'false') {
+      return { error: `${param} must be true or false` };
+    }
+    filters[key] = query[param] === 'true';
+  }
+
+  if (query.volumeWindow) {
+    if (!['1h', '6h', '24h', '7d'].includes(query.volumeWindow)) {
+      return { error: 'volumeWindow must be one of 1h, 6h, 24h, 7d' };
+    }
+    filters.volumeWindow = query.volumeWindow;
+  }
+
+  if (query.deployer) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(query.deployer)) {
+      return { error: 'Invalid deployer address' };
+    }
+    filters.deployer = query.deployer;
+  }
+
+  if (query.search) {
+    filters.search = String(query.search).slice(0, 64);
+  }
+
+  const sorts = ['timestamp', 'devBuy', 'holders', 'marketCap', 'volume1h', 'volume6h', 'volume24h', 'volume7d'];
+  if (query.sort && !sorts.includes(query.sort)) {
+    return { error: `sort must be one of ${sorts.join(', ')}` };
+  }
+  filters.sort = query.sort || 'timestamp';
+  filters.ascending = query.order === 'asc';
+  filters.limit = Math.min(Math.max(parseInt(query.limit) || 100, 1), 1000);
+  // Deployments from reorged-out blocks are kept for reference but hidden by default
+  filters.includeOrphaned = query.includeOrphaned === 'true';
+
+  if (query.cursor) {
+    filters.after = decodeCursor(query.cursor);
+    if (!filters.after) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { filters };
+}
+
 // API Routes
-app.get('/api/deployments', async (req, res) => {
+// Deployments with server-side filtering, sorting and cursor pagination (see README for parameters)
+// Callers without the matching features get a delayed, shorter feed without history paging
+app.get('/api/deployments', attachAccess, async (req, res) => {
   try {
-    const deployments = await getAllDeployments();
-    res.json({ deployments });
+    const { filters, error } = parseDeploymentQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { features } = req.access;
+    const fullHistory = features.includes('allDeployments');
+    if (!fullHistory) {
+      if (filters.after) {
+        return await denyFeature(res, req.access, 'allDeployments', 'Paging through history needs the allDeployments feature');
+      }
+      filters.limit = Math.min(filters.limit, PUBLIC_FEED_LIMIT);
+    }
+    if (!features.includes('newest5')) {
+      const cutoff = Math.floor(Date.now() / 1000) - PUBLIC_FEED_DELAY;
+      filters.before = filters.before !== undefined ? Math.min(filters.before, cutoff) : cutoff;
+    }
+
+    const { deployments, next } = await queryDeployments(filters);
+    res.json({
+      deployments: await filterDeploymentsForAccess(deployments, req.access),
+      nextCursor: next && fullHistory ? encodeCursor(next) : null
+    });
   } catch (error) {
     console.error('Error fetching deployments:', error);
     res.status(500).json({ error: 'Failed to fetch deployments' });
   }
 });
 
-app.get('/api/latest', async (req, res) => {
+// Live deployment inserts/updates as Server-Sent Events (anonymous dashboards poll instead)
+// Needs the newest5 tier (it pushes launches as they happen); pass a ticket from /api/auth/stream-ticket as ?ticket=
+app.get('/api/deployments/stream', requireFeature('newest5', attachStreamAccess), async (req, res) => {
+  let sections;
+  try {
+    sections = await getGatedSections();
+  } catch (error) {
+    console.error('Error opening deployment stream:', error);
+    return res.status(500).json({ error: 'Failed to open deployment stream' });
+  }
+  const hidden = new Set(); // Inserts this client couldn't see, so their updates are skipped too
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let nginx/ngrok buffer the stream
+  });
+  res.flushHeaders();
+
+  const send = (event) => (payload) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+  const onInsert = (payload) => {
+    if (gatingFeature(payload.deployment, req.access, sections)) {
+      hidden.add(payload.deployment.txHash);
+      return;
+    }
+    send('insert')(payload);
+  };
+  const onUpdate = (payload) => {
+    if (hidden.has(payload.txHash) || gatingFeature({ txHash: payload.txHash, ...payload.changes }, req.access, sections)) return;
+    send('update')(payload);
+  };
+  deploymentEvents.on('insert', onInsert);
+  deploymentEvents.on('update', onUpdate);
+
+  // Comment lines keep idle proxies from closing the connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    deploymentEvents.off('insert', onInsert);
+    deploymentEvents.off('update', onUpdate);
+  });
+});
+
+// Typed monitor events as Server-Sent Events
+// Filters: types (comma separated), minDevBuy, token, deployer. Resumes after the Last-Event-ID
+// header (or lastEventId query parameter) from a short in-memory backlog.
+// Needs the newest5 tier (?ticket= works as for /api/deployments/stream); events about tokens in
+// sections the caller can't see are skipped
+app.get('/api/stream', requireFeature('newest5', attachStreamAccess), async (req, res) => {
+  const filter = {};
+  if (req.query.types) {
+    filter.types = String(req.query.types).split(',').map(t => t.trim()).filter(Boolean);
+    const unknown = filter.types.filter(t => !MONITOR_EVENT_TYPES.includes(t));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown event type(s): ${unknown.join(', ')}`, types: MONITOR_EVENT_TYPES });
+    }
+  }
+  if (req.query.minDevBuy !== undefined) {
+    filter.minDevBuy = Number(req.query.minDevBuy);
+    if (!Number.isFinite(filter.minDevBuy)) {
+      return res.status(400).json({ error: 'minDevBuy must be a number' });
+    }
+  }
+  for (const param of ['token', 'deployer']) {
+    if (req.query[param] === undefined) continue;
+    if (!/^0x[0-9a-fA-F]{40}$/.test(req.query[param])) {
+      return res.status(400).json({ error: `Invalid ${param} address` });
+    }
+    filter[param] = req.query[param].toLowerCase();
+  }
+
+  let sections;
+  try {
+    sections = await getGatedSections();
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    return res.status(500).json({ error: 'Failed to open event stream' });
+  }
+  const isVisible = (event) => !gatingFeature({
+    txHash: event.token.txHash,
+    timestamp: event.token.deployedAt,
+    devBuyAmount: event.token.devBuyAmount,
+    devSold: event.type === 'dev.sold'
+  }, req.access, sections);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event) => {
+    if (!matchesEventFilter(event, filter) || !isVisible(event)) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Replay what the client missed, then go live
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    getEventsSince(lastEventId).forEach(send);
+  }
+  monitorEvents.on('event', send);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    monitorEvents.off('event', send);
+  });
+});
+
+// Single token (by token address or deployment tx hash) with its full holder history
+app.get('/api/deployments/:address', attachAccess, async (req, res) => {
+  try {
+    const { address } = req.params;
+    if (!/^0x([0-9a-fA-F]{40}|[0-9a-fA-F]{64})$/.test(address)) {
+      return res.status(400).json({ error: 'Invalid token address or tx hash' });
+    }
+
+    const deployment = await getDeployment(address);
+    if (!deployment) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+    const feature = gatingFeature(deployment, req.access, await getGatedSections());
+    if (feature) {
+      return await denyFeature(res, req.access, feature, `This token is in a gated section (${feature})`);
+    }
+
+    let holderHistory = [];
+    if (deployment.tokenAddress) {
+      try {
+        holderHistory = await getHolderSnapshots(deployment.tokenAddress);
+      } catch (error) {
+        console.error('Error fetching holder snapshots:', error.message);
+      }
+    }
+    // Tokens checked before snapshots existed only have the short history on the row
+    if (holderHistory.length === 0) {
+      holderHistory = (deployment.holderCountHistory || []).map(h => ({ timestamp: h.timestamp, holderCount: h.count }));
+    }
+
+    const deployerProfile = deployment.from ? await getDeployerProfile(deployment.from) : null;
+
+    let devEvents = [];
+    if (deployment.tokenAddress) {
+      try {
+        devEvents = await getDevEvents(deployment.tokenAddress);
+      } catch (error) {
+        console.error('Error fetching dev events:', error.message);
+      }
+    }
+
+    res.json({ deployment, holderHistory, deployerProfile, devEvents });
+  } catch (error) {
+    console.error('Error fetching deployment:', error);
+    res.status(500).json({ error: 'Failed to fetch deployment' });
+  }
+});
+
+// Deployer reputation leaderboard (sort: reputation, launches, recent, holders, marketCap)
+app.get('/api/deployers', async (req, res) => {
+  try {
+    const deployers = await getDeployerProfiles({
+      sort: req.query.sort || 'reputation',
+      ascending: req.query.order === 'asc',
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    });
+    res.json({ deployers });
+  } catch (error) {
+    console.error('Error fetching deployers:', error);
+    res.status(500).json({ error: 'Failed to fetch deployers' });
+  }
+});
+
+// One deployer's profile and launches
+app.get('/api/deployers/:address', attachAccess, async (req, res) => {
+  try {
+    const { address } = req.params;
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+      return res.status(400).json({ error: 'Invalid deployer address' });
+    }
+
+    const deployments = await getDeploymentsByDeployer(address);
+    if (deployments.length === 0) {
+      return res.status(404).json({ error: 'No deployments found for this wallet' });
+    }
+
+    // The monitor builds profiles in the background - until then, aggregate on the fly
+    let profile = await getDeployerProfile(address);
+    if (!profile) {
+      const stats = summarizeDeployer(address, deployments);
+      profile = { ...stats, fundingSource: null, reputationScore: calculateReputationScore(stats), updatedAt: null };
+    }
+
+    const visible = await filterDeploymentsForAccess(deployments.filter(d => d.status !== 'orphaned'), req.access);
+    res.json({ profile, deployments: visible });
+  } catch (error) {
+    console.error('Error fetching deployer:', error);
+    res.status(500).json({ error: 'Failed to fetch deployer' });
+  }
+});
+
+// A deployer's linked-wallet cluster (wallets it sent its tokens or ETH to)
+app.get('/api/deployers/:address/cluster', async (req, res) => {
   try {
-    const latest = await getLatestDeployment();
+    const { address } = req.params;
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+      return res.status(400).json({ error: 'Invalid deployer address' });
+    }
+
+    const edges = await getDevClusterEdges(address);
+    res.json(clusterGraph(address, edges));
+  } catch (error) {
+    console.error('Error fetching dev cluster:', error);
+    res.status(500).json({ error: 'Failed to fetch dev cluster' });
+  }
+});
+
+app.get('/api/latest', attachAccess, async (req, res) => {
+  try {
+    let latest = await getLatestDeployment();
+    if (latest && gatingFeature(latest, req.access, await getGatedSections())) {
+      // Newest launch the caller is allowed to see
+      const { deployments } = await queryDeployments({ limit: 50, before: Math.floor(Date.now() / 1000) - PUBLIC_FEED_DELAY });
+      latest = (await filterDeploymentsForAccess(deployments, req.access))[0] || null;
+    }
     if (latest) {
       res.json({ deployment: latest });
     } else {
@@ -43,6 +474,30 @@ app.get('/api/latest', async (req, res) => {
   }
 });
 
+// OHLCV candles for a token (interval: 1m, 5m or 1h; from/to are unix timestamps)
+app.get('/api/tokens/:address/candles', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const interval = req.query.interval || '5m';
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+      return res.status(400).json({ error: 'Invalid token address' });
+    }
+    if (!CANDLE_INTERVALS[interval]) {
+      return res.status(400).json({ error: `interval must be one of ${Object.keys(CANDLE_INTERVALS).join(', ')}` });
+    }
+
+    const candles = await getCandleSeries(address, interval, {
+      from: req.query.from !== undefined ? parseInt(req.query.from) : undefined,
+      to: req.query.to !== undefined ? parseInt(req.query.to) : undefined,
+      limit: req.query.limit
+    });
+    res.json({ tokenAddress: address.toLowerCase(), interval, candles });
+  } catch (error) {
+    console.error('Error fetching candles:', error);
+    res.status(500).json({ error: 'Failed to fetch candles' });
+  }
+});
+
 
 // Health check
 app.get('/api/health', async (req, res) => {
@@ -63,6 +518,382 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// Per-provider RPC health (latency, error rate, rate-limit state)
+app.get('/api/rpc/stats', (req, res) => {
+  res.json({ providers: getRpcStats() });
+});
+
+// Monitor maintenance jobs (interval, budget, last / next run, queue sizes)
+app.get('/api/scheduler', (req, res) => {
+  res.json({ jobs: getSchedulerStats() });
+});
+
+// Estimated compute units by hour / day, method, provider and job, with the daily budget
+app.get('/api/metering', (req, res) => {
+  const shedJobs = getSchedulerStats().filter(job => job.shed).map(job => job.name);
+  res.json({ ...getMeterStats(), shedJobs });
+});
+
+// Admin-only routes (webhook management, access config) need Authorization: Bearer <ADMIN_API_KEY>
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ error: 'Admin API disabled - set ADMIN_API_KEY' });
+  }
+  const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!safeEqual(token, adminKey)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+// Holder-check ranking of the last monitor cycle with per-factor points (debugging the priority weights)
+app.get('/api/holders/queue', requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const { queue, ...ranking } = getHolderCheckQueue();
+  res.json({ ...ranking, total: queue.length, queue: queue.slice(0, limit) });
+});
+
+// The signing secret is only returned when a webhook is created or its secret rotated
+const redactWebhook = ({ secret, ...webhook }) => webhook;
+
+const parseIdParam = (req) => {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+app.get('/api/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const webhooks = await getWebhooks();
+    res.json({ webhooks: webhooks.map(redactWebhook), events: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+app.post('/api/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const { webhook, error } = validateWebhookInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await createWebhook({ ...webhook, secret: generateWebhookSecret() });
+    invalidateWebhookCache();
+    res.status(201).json({ webhook: created });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// One webhook with its recent delivery log
+app.get('/api/webhooks/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = parseIdParam(req);
+    const webhook = id ? await getWebhook(id) : null;
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const deliveries = await getWebhookDeliveries(id, Math.min(parseInt(req.query.limit) || 50, 500));
+    res.json({ webhook: redactWebhook(webhook), deliveries });
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook' });
+  }
+});
+
+// Change settings; { rotateSecret: true } issues a new signing secret
+app.patch('/api/webhooks/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = parseIdParam(req);
+    const existing = id ? await getWebhook(id) : null;
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const { webhook, error } = validateWebhookInput(req.body || {}, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const rotate = req.body?.rotateSecret === true;
+    if (rotate) {
+      webhook.secret = generateWebhookSecret();
+    }
+
+    const updated = await updateWebhook(id, webhook);
+    invalidateWebhookCache();
+    res.json({ webhook: rotate ? updated : redactWebhook(updated) });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+app.delete('/api/webhooks/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = parseIdParam(req);
+    const deleted = id ? await deleteWebhook(id) : false;
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    invalidateWebhookCache();
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Send a signed ping to check the endpoint and signature verification
+app.post('/api/webhooks/:id/test', requireAdmin, async (req, res) => {
+  try {
+    const id = parseIdParam(req);
+    const webhook = id ? await getWebhook(id) : null;
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json(await sendTestWebhook(webhook));
+  } catch (error) {
+    console.error('Error testing webhook:', error);
+    res.status(500).json({ error: 'Failed to test webhook' });
+  }
+});
+
+// The message must be for the site the frontend is served from. This is a fixed list, never
+// taken from the request (a phishing site's Origin would pass), so sign-in needs SIWE_DOMAIN.
+const SIWE_DOMAINS = (process.env.SIWE_DOMAIN || '').split(',').map(d => d.trim()).filter(Boolean);
+
+function requireSiweDomain(req, res, next) {
+  if (SIWE_DOMAINS.length === 0) {
+    return res.status(503).json({ error: 'Wallet sign-in disabled - set SIWE_DOMAIN' });
+  }
+  next();
+}
+
+// Wallet sign-in (Sign-In with Ethereum). The frontend builds the message with this nonce,
+// the wallet signs it, and /api/auth/verify exchanges the signature for a session token.
+app.get('/api/auth/nonce', requireSiweDomain, (req, res) => {
+  res.json(createNonce());
+});
+
+app.post('/api/auth/verify', requireSiweDomain, async (req, res) => {
+  try {
+    const { message, signature } = req.body || {};
+    if (typeof message !== 'string' || typeof signature !== 'string') {
+      return res.status(400).json({ error: 'message and signature are required' });
+    }
+
+    const fields = parseSiweMessage(message);
+    const domain = fields && SIWE_DOMAINS.includes(fields.domain) ? fields.domain : SIWE_DOMAINS[0];
+    const { address, error } = await verifySiweSignature(message, signature, { domain });
+    if (error) {
+      return res.status(401).json({ error });
+    }
+
+    res.json({ address, ...issueSessionToken(address) });
+  } catch (error) {
+    console.error('Error verifying sign-in:', error);
+    res.status(500).json({ error: 'Failed to verify sign-in' });
+  }
+});
+
+// Wallet-scoped routes need Authorization: Bearer <session token from /api/auth/verify>
+function requireWallet(req, res, next) {
+  const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  const wallet = verifySessionToken(token);
+  if (!wallet) {
+    return res.status(401).json({ error: 'Sign in with your wallet' });
+  }
+  req.wallet = wallet;
+  next();
+}
+
+app.get('/api/auth/session', requireWallet, (req, res) => {
+  res.json({ address: req.wallet });
+});
+
+// One-minute ticket for opening the live streams, so the session token stays out of URLs
+app.post('/api/auth/stream-ticket', requireWallet, (req, res) => {
+  res.json(issueStreamTicket(req.wallet));
+});
+
+// What the caller's wallet unlocks (public access without a session)
+app.get('/api/access', attachAccess, async (req, res) => {
+  try {
+    const { tiers } = await getAccessConfig();
+    res.json({ ...req.access, tiers, publicFeedDelay: PUBLIC_FEED_DELAY });
+  } catch (error) {
+    console.error('Error getting access:', error);
+    res.status(500).json({ error: 'Failed to get access' });
+  }
+});
+
+// Tier configuration the dashboard gates with (public: it's what the UI shows as requirements)
+app.get('/api/access/config', async (req, res) => {
+  try {
+    res.json({ ...await getAccessConfig(), tokenAddress: FEYSCAN_TOKEN_ADDRESS, features: FEATURES, publicFeedDelay: PUBLIC_FEED_DELAY });
+  } catch (error) {
+    console.error('Error getting access config:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/access/config', requireAdmin, async (req, res) => {
+  try {
+    const { config, error } = validateAccessConfig(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const saved = await saveAccessConfig(config);
+    setAccessConfig(saved);
+    console.log(`🔐 Access config updated: ${saved.tiers.map(t => `${t.name} ${t.requiredBalance.toLocaleString('en-US')}`).join(', ')}`);
+    res.json(saved);
+  } catch (error) {
+    console.error('Error saving access config:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rules belong to the signed-in wallet; other wallets' rules look like they don't exist
+async function getOwnAlertRule(req) {
+  const id = parseIdParam(req);
+  const rule = id ? await getAlertRule(id) : null;
+  return rule && rule.wallet === req.wallet ? rule : null;
+}
+
+app.get('/api/alert-rules', requireWallet, async (req, res) => {
+  try {
+    res.json({ rules: await getAlertRules({ wallet: req.wallet }), volumeWindows: VOLUME_WINDOWS });
+  } catch (error) {
+    console.error('Error listing alert rules:', error);
+    res.status(500).json({ error: 'Failed to list alert rules' });
+  }
+});
+
+app.post('/api/alert-rules', requireWallet, requireFeature('alerts'), async (req, res) => {
+  try {
+    const { rule, error } = validateAlertRuleInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const existing = await getAlertRules({ wallet: req.wallet });
+    if (existing.length >= MAX_RULES_PER_WALLET) {
+      return res.status(400).json({ error: `At most ${MAX_RULES_PER_WALLET} rules per wallet` });
+    }
+
+    const created = await createAlertRule({ ...rule, wallet: req.wallet });
+    invalidateAlertRuleCache();
+    res.status(201).json({ rule: created });
+  } catch (error) {
+    console.error('Error creating alert rule:', error);
+    res.status(500).json({ error: 'Failed to create alert rule' });
+  }
+});
+
+// Tokens that met the wallet's rules; poll with ?after=<last seen id>
+app.get('/api/alert-rules/matches', requireWallet, requireFeature('alerts'), async (req, res) => {
+  try {
+    const after = Math.max(parseInt(req.query.after) || 0, 0);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    res.json({ matches: await getAlertMatches(req.wallet, { after, limit }) });
+  } catch (error) {
+    console.error('Error fetching alert matches:', error);
+    res.status(500).json({ error: 'Failed to fetch alert matches' });
+  }
+});
+
+app.patch('/api/alert-rules/:id', requireWallet, async (req, res) => {
+  try {
+    const existing = await getOwnAlertRule(req);
+    if (!existing) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const { rule, error } = validateAlertRuleInput(req.body || {}, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await updateAlertRule(existing.id, rule);
+    invalidateAlertRuleCache();
+    res.json({ rule: updated });
+  } catch (error) {
+    console.error('Error updating alert rule:', error);
+    res.status(500).json({ error: 'Failed to update alert rule' });
+  }
+});
+
+app.delete('/api/alert-rules/:id', requireWallet, async (req, res) => {
+  try {
+    const existing = await getOwnAlertRule(req);
+    if (!existing) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    await deleteAlertRule(existing.id);
+    invalidateAlertRuleCache();
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    res.status(500).json({ error: 'Failed to delete alert rule' });
+  }
+});
+
+// Message board: verified messages, plus what a message costs and where to send it
+app.get('/api/messages', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const messages = await getMessages({ status: 'verified', limit });
+    res.json({
+      messages: messages.map(toPublicMessage),
+      priceEth: MESSAGE_PRICE_ETH,
+      paymentAddress: MESSAGE_PAYMENT_ADDRESS
+    });
+  } catch (error) {
+    console.error('Error listing messages:', error);
+    res.status(500).json({ error: 'Failed to list messages' });
+  }
+});
+
+// Post a message paid for by `paymentTxHash` (an ETH transfer from the signed-in wallet)
+app.post('/api/messages', requireWallet, async (req, res) => {
+  try {
+    const { message, paymentTxHash, error } = validateMessageInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await submitMessage(req.wallet, { message, paymentTxHash });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(result.message.status === 'pending' ? 202 : 201).json({ message: result.message });
+  } catch (error) {
+    console.error('Error posting message:', error);
+    res.status(500).json({ error: 'Failed to post message' });
+  }
+});
+
+// Status of your own message (re-checks the payment while it's pending)
+app.get('/api/messages/:txHash', requireWallet, async (req, res) => {
+  try {
+    const existing = /^0x[0-9a-fA-F]{64}$/.test(req.params.txHash) ? await getMessageByTxHash(req.params.txHash) : null;
+    if (!existing || existing.senderAddress !== req.wallet) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json({ message: await verifyMessage(existing) });
+  } catch (error) {
+    console.error('Error checking message:', error);
+    res.status(500).json({ error: 'Failed to check message' });
+  }
+});
+
 // Manual backfill endpoint
 app.post('/api/backfill', async (req, res) => {
   try {
@@ -92,6 +923,10 @@ if (process.env.VERCEL !== '1' && !process.env.VERCEL_ENV) {
 
     // Start monitoring only in local/dev environment
     startMonitoring();
+    startWebhookDispatcher();
+    startNotifier();
+    startAlertRuleEngine();
+    startMessageVerifier();
   });
 
   // Graceful shutdown
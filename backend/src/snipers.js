@@ -0,0 +1,208 @@
+import { ethers } from 'ethers';
+import { getTokenLedger, updateDeployment } from './supabase-storage.js';
+import { POOL_MANAGER_ADDRESS } from './swap-volume.js';
+import { applyTransferLogs, TRANSFER_TOPIC } from './holder-ledger.js';
+import { fetchFundingSource } from './deployer-profiles.js';
+
+// Launch snipers and bundles: wallets that picked up the token in the first blocks after
+// TokenCreated, which of them the deployer funded, and how much of the supply they hold.
+
+// Blocks after (and including) the deployment block that count as the launch window
+export const SNIPER_WINDOW_BLOCKS = parseInt(process.env.SNIPER_WINDOW_BLOCKS) || 5;
+
+// Funding lookups cost two explorer API calls each - trace the biggest buyers only
+const MAX_TRACED_WALLETS = 20;
+// Wallets kept on the deployment (biggest first)
+const MAX_STORED_WALLETS = 25;
+// Re-measure held shares of tokens younger than a day at most this often
+const HOLDINGS_REFRESH_SECONDS = 1800;
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const DEAD_ADDRESS = '0x000000000000000000000000000000000000dead';
+
+/**
+ * Wallets that gained tokens during the launch window
+ * Uses net flows so routers that pass tokens through don't count. The deployment
+ * transaction itself (supply distribution, dev buy) is skipped.
+ * Returns [{ address, firstBlock, amount (bigint) }], biggest first
+ */
+export function findEarlyBuyers(transferLogs, deployment) {
+  const excluded = new Set([
+    ZERO_ADDRESS,
+    DEAD_ADDRESS,
+    POOL_MANAGER_ADDRESS.toLowerCase(),
+    (deployment.tokenAddress || '').toLowerCase(),
+    (deployment.locker || '').toLowerCase(),
+    ...[deployment.from, deployment.tokenAdmin].filter(Boolean).map(a => a.toLowerCase()),
+    ...(deployment.extensions || []).map(a => a.toLowerCase())
+  ]);
+
+  const deployTx = deployment.txHash.toLowerCase();
+  const launchLogs = transferLogs.filter(log => log.transactionHash.toLowerCase() !== deployTx);
+
+  const net = new Map();
+  const changed = applyTransferLogs(net, launchLogs);
+
+  const firstBlock = new Map();
+  for (const log of launchLogs) {
+    if (!log.topics || log.topics.length !== 3) continue;
+    const to = ('0x' + log.topics[2].slice(-40)).toLowerCase();
+    if (!firstBlock.has(to)) firstBlock.set(to, log.blockNumber);
+  }
+
+  return [...changed]
+    .filter(address => !excluded.has(address) && net.get(address) > 0n)
+    .map(address => ({ address, firstBlock: firstBlock.get(address), amount: net.get(address) }))
+    .sort((a, b) => (b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : 0));
+}
+
+/**
+ * Whether the deployer paid for a wallet's first ETH, directly or through a contract
+ * (disperse / multisend) in a transaction the deployer sent
+ * Returns { fundedByDeployer: true | false | null (unknown), fundingSource }
+ */
+async function traceFunding(wallet, deployer, { getTransaction, apiUrl, apiKey }) {
+  const funding = await fetchFundingSource(wallet, { apiUrl, apiKey });
+  if (!funding) return { fundedByDeployer: null, fundingSource: null };
+
+  if (funding.fundingSource === deployer) {
+    return { fundedByDeployer: true, fundingSource: funding.fundingSource };
+  }
+  const tx = await getTransaction(funding.fundingTxHash);
+  return {
+    fundedByDeployer: !!tx && tx.from.toLowerCase() === deployer,
+    fundingSource: funding.fundingSource
+  };
+}
+
+/**
+ * Shares of the total supply held now by the given wallets (address -> share)
+ * Falls back to what they got during the window while the holder ledger doesn't exist yet.
+ */
+function heldShares(wallets, balances, totalSupply) {
+  const shares = new Map();
+  for (const wallet of wallets) {
+    const balance = balances ? (balances.get(wallet.address) || 0n) : BigInt(wallet.amount);
+    shares.set(wallet.address, totalSupply > 0n ? Number((balance * 1000000n) / totalSupply) / 1000000 : 0);
+  }
+  return shares;
+}
+
+/**
+ * Totals over the stored wallets
+ */
+function summarize(wallets, windowBlocks, deployBlock) {
+  const sum = (list, field) => list.reduce((total, w) => total + (w[field] || 0), 0);
+  const sameBlock = wallets.filter(w => w.firstBlock === deployBlock);
+  const funded = wallets.filter(w => w.fundedByDeployer);
+
+  return {
+    windowBlocks,
+    earlyBuyers: wallets.length,
+    sameBlockBuyers: sameBlock.length,
+    deployerFunded: funded.length,
+    tracedWallets: wallets.filter(w => w.fundedByDeployer !== null).length,
+    boughtShare: sum(wallets, 'boughtShare'),
+    heldShare: sum(wallets, 'heldShare'),
+    sameBlockShare: sum(sameBlock, 'heldShare'),
+    deployerFundedShare: sum(funded, 'heldShare')
+  };
+}
+
+/**
+ * Analyze the launch window of a deployment
+ * getLogs / getTransaction / rpcCall are the monitor's pooled RPC helpers, apiUrl / apiKey
+ * the explorer API used for funding lookups (without a key funding stays unknown).
+ * Returns the sniperStats stored on the deployment
+ */
+export async function analyzeLaunchBuyers(deployment, { getLogs, getTransaction, rpcCall, apiUrl, apiKey }) {
+  const { tokenAddress, blockNumber } = deployment;
+  const deployer = (deployment.from || '').toLowerCase();
+
+  const logs = await getLogs({ address: tokenAddress, topics: [TRANSFER_TOPIC] }, blockNumber, blockNumber + SNIPER_WINDOW_BLOCKS - 1);
+  const buyers = findEarlyBuyers(logs, deployment).slice(0, MAX_STORED_WALLETS);
+
+  const totalSupply = await rpcCall(
+    (provider) => new ethers.Contract(tokenAddress, ['function totalSupply() view returns (uint256)'], provider).totalSupply(),
+    `totalSupply() on ${tokenAddress.slice(0, 10)}...`
+  );
+  const ledger = await getTokenLedger(tokenAddress);
+  const bought = heldShares(buyers, null, totalSupply);
+  const held = heldShares(buyers, ledger ? ledger.balances : null, totalSupply);
+
+  const wallets = [];
+  for (const [index, buyer] of buyers.entries()) {
+    let funding = { fundedByDeployer: null, fundingSource: null };
+    if (index < MAX_TRACED_WALLETS && deployer) {
+      try {
+        funding = await traceFunding(buyer.address, deployer, { getTransaction, apiUrl, apiKey });
+      } catch (error) {
+        console.error(`  ⚠️  Could not trace funding of ${buyer.address.slice(0, 10)}...:`, error.message);
+      }
+    }
+    wallets.push({
+      address: buyer.address,
+      firstBlock: buyer.firstBlock,
+      amount: buyer.amount.toString(),
+      boughtShare: bought.get(buyer.address),
+      heldShare: held.get(buyer.address),
+      ...funding
+    });
+  }
+
+  return {
+    ...summarize(wallets, SNIPER_WINDOW_BLOCKS, blockNumber),
+    wallets,
+    totalSupply: totalSupply.toString(),
+    checkedAt: Math.floor(Date.now() / 1000)
+  };
+}
+
+/**
+ * Re-measure what the launch wallets still hold (no RPC or explorer calls, just the ledger)
+ */
+export async function refreshSniperHoldings(deployment) {
+  const stats = deployment.sniperStats;
+  const ledger = await getTokenLedger(deployment.tokenAddress);
+  if (!ledger) return { ...stats, checkedAt: Math.floor(Date.now() / 1000) };
+
+  const held = heldShares(stats.wallets, ledger.balances, BigInt(stats.totalSupply));
+  const wallets = stats.wallets.map(w => ({ ...w, heldShare: held.get(w.address) }));
+  return {
+    ...stats,
+    ...summarize(wallets, stats.windowBlocks, deployment.blockNumber),
+    wallets,
+    checkedAt: Math.floor(Date.now() / 1000)
+  };
+}
+
+/**
+ * Analyze launches whose window is complete up to safeBlock, and re-measure holdings of
+ * analyzed tokens younger than a day, newest first
+ */
+export async function refreshLaunchBuyers(deployments, safeBlock, { limit = 3, ...options }) {
+  const now = Math.floor(Date.now() / 1000);
+  const due = deployments
+    .filter(d => d.tokenAddress && d.tokenAddress !== 'N/A' && d.blockNumber && d.status !== 'orphaned' && !d.isPruned)
+    .filter(d => d.sniperStats
+      ? now - (d.timestamp || 0) < 86400 && now - d.sniperStats.checkedAt > HOLDINGS_REFRESH_SECONDS
+      : d.blockNumber + SNIPER_WINDOW_BLOCKS - 1 <= safeBlock)
+    .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+    .slice(0, limit);
+
+  let refreshed = 0;
+  for (const deployment of due) {
+    try {
+      const sniperStats = deployment.sniperStats
+        ? await refreshSniperHoldings(deployment)
+        : await analyzeLaunchBuyers(deployment, options);
+      await updateDeployment(deployment.txHash, { sniperStats });
+      refreshed++;
+      console.log(`  🎯 Launch buyers ${deployment.tokenName || deployment.tokenAddress.slice(0, 10) + '...'}: ${sniperStats.earlyBuyers} early (${sniperStats.sameBlockBuyers} same block), ${sniperStats.deployerFunded} deployer-funded, holding ${(sniperStats.heldShare * 100).toFixed(1)}%`);
+    } catch (error) {
+      console.error(`  ⚠️  Error analyzing launch buyers for ${deployment.tokenAddress.slice(0, 10)}...:`, error.message);
+    }
+  }
+
+  return refreshed;
+}
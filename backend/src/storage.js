@@ -6,7 +6,25 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const DATA_FILE = path.join(__dirname, '../../data/deployments.json');
 const STATE_FILE = path.join(__dirname, '../../data/monitor-state.json');
+const LEDGER_FILE = path.join(__dirname, '../../data/token-ledgers.json');
+const SWAPS_FILE = path.join(__dirname, '../../data/token-swaps.json');
+const CANDLES_FILE = path.join(__dirname, '../../data/token-candles.json');
+const HOLDER_SNAPSHOTS_FILE = path.join(__dirname, '../../data/holder-snapshots.json');
+const DEPLOYER_PROFILES_FILE = path.join(__dirname, '../../data/deployer-profiles.json');
+const WEBHOOKS_FILE = path.join(__dirname, '../../data/webhooks.json');
+const WEBHOOK_DELIVERIES_FILE = path.join(__dirname, '../../data/webhook-deliveries.json');
+const ALERT_RULES_FILE = path.join(__dirname, '../../data/alert-rules.json');
+const ALERT_MATCHES_FILE = path.join(__dirname, '../../data/alert-matches.json');
+const ACCESS_CONFIG_FILE = path.join(__dirname, '../../data/access-config.json');
+const MESSAGES_FILE = path.join(__dirname, '../../data/messages.json');
+const DEV_EVENTS_FILE = path.join(__dirname, '../../data/dev-events.json');
+const DEV_CLUSTERS_FILE = path.join(__dirname, '../../data/dev-clusters.json');
+const AUTH_NONCES_FILE = path.join(__dirname, '../../data/auth-nonces.json');
 const MAX_ENTRIES = 1000;
+const MAX_SWAPS_PER_TOKEN = 5000;
+const MAX_SERIES_POINTS = 2000; // Per token (and interval for candles)
+const MAX_WEBHOOK_DELIVERIES = 2000;
+const MAX_ALERT_MATCHES = 5000;
 
 /**
  * Read deployments from JSON file
@@ -77,6 +95,81 @@ export function getAllDeployments() {
   return data.deployments || [];
 }
 
+/**
+ * Get a single deployment by token address or deployment tx hash
+ */
+export function getDeployment(addressOrTxHash) {
+  const key = addressOrTxHash.toLowerCase();
+  return getAllDeployments().find(d =>
+    d.txHash?.toLowerCase() === key || d.tokenAddress?.toLowerCase() === key
+  ) || null;
+}
+
+/**
+ * Get every deployment by a deployer wallet, newest first
+ */
+export function getDeploymentsByDeployer(deployerAddress) {
+  const key = deployerAddress.toLowerCase();
+  return getAllDeployments().filter(d => d.from?.toLowerCase() === key);
+}
+
+const DEPLOYMENT_SORT_FIELDS = {
+  timestamp: 'timestamp',
+  devBuy: 'devBuyAmount',
+  holders: 'holderCount',
+  marketCap: 'marketCap',
+  volume1h: 'volume1h',
+  volume6h: 'volume6h',
+  volume24h: 'volume24h',
+  volume7d: 'volume7d'
+};
+
+/**
+ * Query deployments with filters, sorting and keyset pagination (see supabase-storage.js for the options)
+ */
+export function queryDeployments(filters = {}) {
+  const field = DEPLOYMENT_SORT_FIELDS[filters.sort] || DEPLOYMENT_SORT_FIELDS.timestamp;
+  const direction = filters.ascending === true ? 1 : -1;
+  const limit = filters.limit || 100;
+  const search = filters.search ? filters.search.toLowerCase() : '';
+  const deployer = filters.deployer ? filters.deployer.toLowerCase() : '';
+  const volumeField = DEPLOYMENT_SORT_FIELDS[`volume${filters.volumeWindow || '24h'}`];
+
+  // Same order as the database: sort field with missing values last in both directions, then tx hash
+  const compare = (value, txHash, other) => {
+    const missing = value === null || value === undefined;
+    const otherMissing = other.value === null || other.value === undefined;
+    if (missing !== otherMissing) return missing ? 1 : -1;
+    return (missing ? 0 : (value - other.value) * direction) ||
+      (txHash < other.txHash ? -1 : txHash > other.txHash ? 1 : 0) * direction;
+  };
+
+  const matches = getAllDeployments()
+    .filter(d => filters.includeOrphaned || d.status !== 'orphaned')
+    .filter(d => filters.minDevBuy === undefined || (d.devBuyAmount || 0) >= filters.minDevBuy)
+    .filter(d => filters.maxDevBuy === undefined || (d.devBuyAmount || 0) <= filters.maxDevBuy)
+    .filter(d => filters.minHolders === undefined || (d.holderCount || 0) >= filters.minHolders)
+    .filter(d => filters.minMarketCap === undefined || (d.marketCap || 0) >= filters.minMarketCap)
+    .filter(d => filters.minVolume === undefined || (d[volumeField] || 0) >= filters.minVolume)
+    .filter(d => !deployer || d.from?.toLowerCase() === deployer)
+    .filter(d => filters.isPruned === undefined || (d.isPruned || false) === filters.isPruned)
+    .filter(d => filters.devSold === undefined || (d.devSold || false) === filters.devSold)
+    .filter(d => filters.since === undefined || (d.timestamp || 0) >= filters.since)
+    .filter(d => filters.before === undefined || (d.timestamp || 0) < filters.before)
+    .filter(d => !search ||
+      (d.tokenName || '').toLowerCase().includes(search) ||
+      (d.tokenSymbol || '').toLowerCase().includes(search))
+    .filter(d => !filters.after || compare(d[field], d.txHash, filters.after) > 0)
+    .sort((a, b) => compare(a[field], a.txHash, { value: b[field], txHash: b.txHash }));
+
+  const page = matches.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    deployments: page,
+    next: matches.length > limit ? { value: last[field] ?? null, txHash: last.txHash } : null
+  };
+}
+
 /**
  * Get latest deployment
  */
@@ -138,3 +231,596 @@ export function loadMonitorState() {
   }
 }
 
+/**
+ * Read a JSON data file, returning `fallback` if it doesn't exist or can't be parsed
+ */
+export function readJSONFile(file, fallback) {
+  try {
+    if (!fs.existsSync(file)) {
+      return fallback;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`Error reading ${path.basename(file)}:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON data file (creates the data directory if needed)
+ */
+export function writeJSONFile(file, data) {
+  try {
+    const dataDir = path.dirname(file);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
+    return true;
+  } catch (error) {
+    console.error(`Error writing ${path.basename(file)}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Load a token's holder ledger ({ lastBlock, pendingBlock, holderCount, balances: Map<address, bigint> })
+ */
+export function getTokenLedger(tokenAddress) {
+  const ledgers = readJSONFile(LEDGER_FILE, {});
+  const ledger = ledgers[tokenAddress.toLowerCase()];
+  if (!ledger) return null;
+
+  return {
+    lastBlock: ledger.lastBlock,
+    pendingBlock: null, // JSON writes are atomic per file
+    holderCount: ledger.holderCount || 0,
+    balances: new Map(Object.entries(ledger.balances || {}).map(([holder, balance]) => [holder, BigInt(balance)]))
+  };
+}
+
+/**
+ * Save a token's holder ledger
+ * `balances` only needs the entries that changed; zero balances are dropped
+ */
+export function saveTokenLedger(tokenAddress, { lastBlock, holderCount, balances }) {
+  const ledgers = readJSONFile(LEDGER_FILE, {});
+  const key = tokenAddress.toLowerCase();
+  const stored = ledgers[key]?.balances || {};
+
+  for (const [holder, balance] of balances) {
+    if (balance > 0n) {
+      stored[holder] = balance.toString();
+    } else {
+      delete stored[holder];
+    }
+  }
+
+  ledgers[key] = { lastBlock, holderCount, balances: stored };
+  return writeJSONFile(LEDGER_FILE, ledgers);
+}
+
+/**
+ * Drop a token's ledger so it is rebuilt from the deployment block
+ */
+export function resetTokenLedger(tokenAddress) {
+  const ledgers = readJSONFile(LEDGER_FILE, {});
+  delete ledgers[tokenAddress.toLowerCase()];
+  return writeJSONFile(LEDGER_FILE, ledgers);
+}
+
+/**
+ * Last block whose swaps are stored for a token (null if never synced)
+ */
+export function getSwapCursor(tokenAddress) {
+  const tokens = readJSONFile(SWAPS_FILE, {});
+  const entry = tokens[tokenAddress.toLowerCase()];
+  return entry ? entry.lastBlock : null;
+}
+
+/**
+ * Append swaps for a token and advance its cursor
+ */
+export function saveTokenSwaps(tokenAddress, swaps, lastBlock) {
+  const tokens = readJSONFile(SWAPS_FILE, {});
+  const key = tokenAddress.toLowerCase();
+  const entry = tokens[key] || { lastBlock: null, swaps: [] };
+
+  const seen = new Set(entry.swaps.map(s => `${s.txHash}:${s.logIndex}`));
+  for (const swap of swaps) {
+    if (!seen.has(`${swap.txHash}:${swap.logIndex}`)) {
+      entry.swaps.push(swap);
+    }
+  }
+
+  // Keep only the most recent swaps
+  if (entry.swaps.length > MAX_SWAPS_PER_TOKEN) {
+    entry.swaps = entry.swaps.slice(-MAX_SWAPS_PER_TOKEN);
+  }
+
+  entry.lastBlock = lastBlock;
+  tokens[key] = entry;
+  return writeJSONFile(SWAPS_FILE, tokens);
+}
+
+/**
+ * Get a token's swaps since a unix timestamp, in chain order
+ */
+export function getTokenSwaps(tokenAddress, sinceTimestamp = 0) {
+  const tokens = readJSONFile(SWAPS_FILE, {});
+  const entry = tokens[tokenAddress.toLowerCase()];
+  if (!entry) return [];
+
+  return entry.swaps
+    .filter(s => s.timestamp >= sinceTimestamp)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * A token's dev event cursor ({ lastBlock, devBalance }) or null if never synced
+ */
+export function getDevEventCursor(tokenAddress) {
+  const tokens = readJSONFile(DEV_EVENTS_FILE, {});
+  const entry = tokens[tokenAddress.toLowerCase()];
+  return entry ? { lastBlock: entry.lastBlock, devBalance: entry.devBalance } : null;
+}
+
+/**
+ * Append dev events for a token and advance its cursor
+ */
+export function saveDevEvents(tokenAddress, events, lastBlock, devBalance) {
+  const tokens = readJSONFile(DEV_EVENTS_FILE, {});
+  const key = tokenAddress.toLowerCase();
+  const entry = tokens[key] || { lastBlock: null, devBalance: '0', events: [] };
+
+  const seen = new Set(entry.events.map(e => `${e.txHash}:${e.logIndex}`));
+  for (const event of events) {
+    if (!seen.has(`${event.txHash}:${event.logIndex}`)) {
+      entry.events.push(event);
+    }
+  }
+
+  entry.lastBlock = lastBlock;
+  entry.devBalance = devBalance;
+  tokens[key] = entry;
+  return writeJSONFile(DEV_EVENTS_FILE, tokens);
+}
+
+/**
+ * Get a token's dev events in chain order
+ */
+export function getDevEvents(tokenAddress) {
+  const tokens = readJSONFile(DEV_EVENTS_FILE, {});
+  const entry = tokens[tokenAddress.toLowerCase()];
+  if (!entry) return [];
+
+  return [...entry.events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * Edges linking wallets to a deployer's cluster, in the order they were found
+ */
+export function getDevClusterEdges(deployerAddress) {
+  const clusters = readJSONFile(DEV_CLUSTERS_FILE, {});
+  return clusters[deployerAddress.toLowerCase()] || [];
+}
+
+/**
+ * Store cluster edges, skipping ones already known
+ */
+export function saveDevClusterEdges(edges) {
+  const clusters = readJSONFile(DEV_CLUSTERS_FILE, {});
+  for (const edge of edges) {
+    const list = clusters[edge.deployer] || [];
+    if (!list.some(e => e.from === edge.from && e.to === edge.to && e.kind === edge.kind)) {
+      list.push(edge);
+    }
+    clusters[edge.deployer] = list;
+  }
+  return writeJSONFile(DEV_CLUSTERS_FILE, clusters);
+}
+
+/**
+ * Insert or replace candles for a token and interval
+ */
+export function saveCandles(tokenAddress, interval, candles) {
+  const tokens = readJSONFile(CANDLES_FILE, {});
+  const key = tokenAddress.toLowerCase();
+  const series = new Map((tokens[key]?.[interval] || []).map(c => [c.time, c]));
+
+  for (const candle of candles) {
+    series.set(candle.time, candle);
+  }
+
+  tokens[key] = {
+    ...tokens[key],
+    [interval]: [...series.values()].sort((a, b) => a.time - b.time).slice(-MAX_SERIES_POINTS)
+  };
+  return writeJSONFile(CANDLES_FILE, tokens);
+}
+
+/**
+ * Get the most recent `limit` candles between from and to, oldest first
+ */
+export function getCandles(tokenAddress, interval, { from, to, limit } = {}) {
+  const tokens = readJSONFile(CANDLES_FILE, {});
+  const series = tokens[tokenAddress.toLowerCase()]?.[interval] || [];
+
+  return series
+    .filter(c => (from === undefined || c.time >= from) && (to === undefined || c.time <= to))
+    .slice(-limit);
+}
+
+/**
+ * Record a token's holder count at a point in time
+ */
+export function addHolderSnapshot(tokenAddress, timestamp, holderCount) {
+  const tokens = readJSONFile(HOLDER_SNAPSHOTS_FILE, {});
+  const key = tokenAddress.toLowerCase();
+  const snapshots = tokens[key] || [];
+
+  snapshots.push({ timestamp, holderCount });
+  tokens[key] = snapshots.slice(-MAX_SERIES_POINTS);
+  return writeJSONFile(HOLDER_SNAPSHOTS_FILE, tokens);
+}
+
+/**
+ * Get a token's holder count snapshots up to `to`, oldest first
+ */
+export function getHolderSnapshots(tokenAddress, { to } = {}) {
+  const tokens = readJSONFile(HOLDER_SNAPSHOTS_FILE, {});
+  const snapshots = tokens[tokenAddress.toLowerCase()] || [];
+  return snapshots.filter(s => to === undefined || s.timestamp <= to);
+}
+
+/**
+ * Get a deployer's stored profile (null if it hasn't been built yet)
+ */
+export function getDeployerProfile(deployerAddress) {
+  const profiles = readJSONFile(DEPLOYER_PROFILES_FILE, {});
+  return profiles[deployerAddress.toLowerCase()] || null;
+}
+
+const PROFILE_SORT_FIELDS = {
+  reputation: 'reputationScore',
+  launches: 'totalLaunches',
+  recent: 'lastLaunchAt',
+  holders: 'avgPeakHolders',
+  marketCap: 'avgPeakMarketCap'
+};
+
+/**
+ * List deployer profiles (see supabase-storage.js for the options)
+ */
+export function getDeployerProfiles({ since, sort = 'recent', ascending = false, limit = 1000 } = {}) {
+  const field = PROFILE_SORT_FIELDS[sort] || PROFILE_SORT_FIELDS.recent;
+  return Object.values(readJSONFile(DEPLOYER_PROFILES_FILE, {}))
+    .filter(p => since === undefined || (p.lastLaunchAt || 0) >= since)
+    .sort((a, b) => ascending ? (a[field] || 0) - (b[field] || 0) : (b[field] || 0) - (a[field] || 0))
+    .slice(0, limit);
+}
+
+/**
+ * Insert or replace a deployer profile
+ */
+export function saveDeployerProfile(profile) {
+  const profiles = readJSONFile(DEPLOYER_PROFILES_FILE, {});
+  profiles[profile.address] = profile;
+  return writeJSONFile(DEPLOYER_PROFILES_FILE, profiles);
+}
+
+/**
+ * List webhooks (only active ones with activeOnly)
+ */
+export function getWebhooks({ activeOnly = false } = {}) {
+  const { webhooks } = readJSONFile(WEBHOOKS_FILE, { nextId: 1, webhooks: [] });
+  return webhooks.filter(w => !activeOnly || w.active);
+}
+
+/**
+ * Get one webhook by id (null if it doesn't exist)
+ */
+export function getWebhook(id) {
+  return getWebhooks().find(w => w.id === Number(id)) || null;
+}
+
+/**
+ * Register a webhook, returns it with its id
+ */
+export function createWebhook(webhook) {
+  const data = readJSONFile(WEBHOOKS_FILE, { nextId: 1, webhooks: [] });
+  const created = {
+    minDevBuy: null,
+    holderThreshold: null,
+    runnerScoreThreshold: null,
+    description: null,
+    active: true,
+    ...webhook,
+    id: data.nextId,
+    createdAt: new Date().toISOString()
+  };
+  data.webhooks.push(created);
+  data.nextId++;
+  writeJSONFile(WEBHOOKS_FILE, data);
+  return created;
+}
+
+/**
+ * Change a webhook's settings, returns the updated webhook (null if it doesn't exist)
+ */
+export function updateWebhook(id, updates) {
+  const data = readJSONFile(WEBHOOKS_FILE, { nextId: 1, webhooks: [] });
+  const index = data.webhooks.findIndex(w => w.id === Number(id));
+  if (index === -1) return null;
+
+  data.webhooks[index] = { ...data.webhooks[index], ...updates };
+  writeJSONFile(WEBHOOKS_FILE, data);
+  return data.webhooks[index];
+}
+
+/**
+ * Remove a webhook and its delivery log
+ */
+export function deleteWebhook(id) {
+  const data = readJSONFile(WEBHOOKS_FILE, { nextId: 1, webhooks: [] });
+  const remaining = data.webhooks.filter(w => w.id !== Number(id));
+  if (remaining.length === data.webhooks.length) return false;
+
+  data.webhooks = remaining;
+  writeJSONFile(WEBHOOKS_FILE, data);
+
+  const log = readJSONFile(WEBHOOK_DELIVERIES_FILE, { nextId: 1, deliveries: [] });
+  log.deliveries = log.deliveries.filter(d => d.webhookId !== Number(id));
+  writeJSONFile(WEBHOOK_DELIVERIES_FILE, log);
+  return true;
+}
+
+/**
+ * Queue webhook deliveries (status pending, due at nextAttemptAt)
+ */
+export function addWebhookDeliveries(deliveries) {
+  const log = readJSONFile(WEBHOOK_DELIVERIES_FILE, { nextId: 1, deliveries: [] });
+  for (const delivery of deliveries) {
+    log.deliveries.push({
+      ...delivery,
+      id: log.nextId++,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      lastError: null,
+      deliveredAt: null,
+      createdAt: new Date().toISOString()
+    });
+  }
+  if (log.deliveries.length > MAX_WEBHOOK_DELIVERIES) {
+    log.deliveries = log.deliveries.slice(-MAX_WEBHOOK_DELIVERIES);
+  }
+  return writeJSONFile(WEBHOOK_DELIVERIES_FILE, log);
+}
+
+/**
+ * Pending deliveries whose next attempt is due, oldest first
+ */
+export function getDueWebhookDeliveries(now, limit = 50) {
+  const { deliveries } = readJSONFile(WEBHOOK_DELIVERIES_FILE, { nextId: 1, deliveries: [] });
+  return deliveries
+    .filter(d => d.status === 'pending' && d.nextAttemptAt <= now)
+    .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+    .slice(0, limit);
+}
+
+/**
+ * Record the outcome of a delivery attempt
+ */
+export function updateWebhookDelivery(id, updates) {
+  const log = readJSONFile(WEBHOOK_DELIVERIES_FILE, { nextId: 1, deliveries: [] });
+  const index = log.deliveries.findIndex(d => d.id === id);
+  if (index === -1) return false;
+
+  log.deliveries[index] = { ...log.deliveries[index], ...updates };
+  return writeJSONFile(WEBHOOK_DELIVERIES_FILE, log);
+}
+
+/**
+ * A webhook's delivery log, newest first
+ */
+export function getWebhookDeliveries(webhookId, limit = 50) {
+  const { deliveries } = readJSONFile(WEBHOOK_DELIVERIES_FILE, { nextId: 1, deliveries: [] });
+  return deliveries
+    .filter(d => d.webhookId === Number(webhookId))
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * List alert rules, for one wallet or (with no wallet) everyone's
+ */
+export function getAlertRules({ wallet, activeOnly = false } = {}) {
+  const { rules } = readJSONFile(ALERT_RULES_FILE, { nextId: 1, rules: [] });
+  return rules.filter(r => (!wallet || r.wallet === wallet.toLowerCase()) && (!activeOnly || r.active));
+}
+
+/**
+ * Get one alert rule by id (null if it doesn't exist)
+ */
+export function getAlertRule(id) {
+  return getAlertRules().find(r => r.id === Number(id)) || null;
+}
+
+/**
+ * Save a new alert rule, returns it with its id
+ */
+export function createAlertRule(rule) {
+  const data = readJSONFile(ALERT_RULES_FILE, { nextId: 1, rules: [] });
+  const created = {
+    minDevBuy: null,
+    minHolders: null,
+    minMarketCap: null,
+    minVolume: null,
+    volumeWindow: '24h',
+    minDeployerScore: null,
+    keywords: [],
+    active: true,
+    ...rule,
+    wallet: rule.wallet.toLowerCase(),
+    id: data.nextId,
+    createdAt: new Date().toISOString()
+  };
+  data.rules.push(created);
+  data.nextId++;
+  writeJSONFile(ALERT_RULES_FILE, data);
+  return created;
+}
+
+/**
+ * Change an alert rule, returns the updated rule (null if it doesn't exist)
+ */
+export function updateAlertRule(id, updates) {
+  const data = readJSONFile(ALERT_RULES_FILE, { nextId: 1, rules: [] });
+  const index = data.rules.findIndex(r => r.id === Number(id));
+  if (index === -1) return null;
+
+  data.rules[index] = { ...data.rules[index], ...updates };
+  writeJSONFile(ALERT_RULES_FILE, data);
+  return data.rules[index];
+}
+
+/**
+ * Remove an alert rule and its matches
+ */
+export function deleteAlertRule(id) {
+  const data = readJSONFile(ALERT_RULES_FILE, { nextId: 1, rules: [] });
+  const remaining = data.rules.filter(r => r.id !== Number(id));
+  if (remaining.length === data.rules.length) return false;
+
+  data.rules = remaining;
+  writeJSONFile(ALERT_RULES_FILE, data);
+
+  const log = readJSONFile(ALERT_MATCHES_FILE, { nextId: 1, matches: [] });
+  log.matches = log.matches.filter(m => m.ruleId !== Number(id));
+  writeJSONFile(ALERT_MATCHES_FILE, log);
+  return true;
+}
+
+/**
+ * Record that a token met a rule, returns the match (null if it was already recorded)
+ */
+export function addAlertMatch(match) {
+  const log = readJSONFile(ALERT_MATCHES_FILE, { nextId: 1, matches: [] });
+  if (log.matches.some(m => m.ruleId === match.ruleId && m.txHash === match.txHash)) {
+    return null;
+  }
+
+  const created = { ...match, wallet: match.wallet.toLowerCase(), id: log.nextId++ };
+  log.matches.push(created);
+  if (log.matches.length > MAX_ALERT_MATCHES) {
+    log.matches = log.matches.slice(-MAX_ALERT_MATCHES);
+  }
+  writeJSONFile(ALERT_MATCHES_FILE, log);
+  return created;
+}
+
+/**
+ * A wallet's matches newer than id `after`, newest first
+ */
+export function getAlertMatches(wallet, { after = 0, limit = 50 } = {}) {
+  const { matches } = readJSONFile(ALERT_MATCHES_FILE, { nextId: 1, matches: [] });
+  return matches
+    .filter(m => m.wallet === wallet.toLowerCase() && m.id > after)
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Stored access tier configuration (null until an admin saves one)
+ */
+export function getAccessConfig() {
+  return readJSONFile(ACCESS_CONFIG_FILE, null);
+}
+
+/**
+ * Replace the access tier configuration
+ */
+export function saveAccessConfig(config) {
+  const saved = { ...config, updatedAt: new Date().toISOString() };
+  writeJSONFile(ACCESS_CONFIG_FILE, saved);
+  return saved;
+}
+
+/**
+ * Mark a sign-in nonce as used, returns false if it already was
+ */
+export function consumeAuthNonce(nonce, expiresAt) {
+  const now = Math.floor(Date.now() / 1000);
+  const used = Object.fromEntries(
+    Object.entries(readJSONFile(AUTH_NONCES_FILE, {})).filter(([, expiry]) => expiry >= now)
+  );
+  if (used[nonce]) {
+    return false;
+  }
+  used[nonce] = expiresAt;
+  writeJSONFile(AUTH_NONCES_FILE, used);
+  return true;
+}
+
+/**
+ * Save a new paid message, returns it with its id (null if the payment tx was already used)
+ */
+export function addMessage(message) {
+  const data = readJSONFile(MESSAGES_FILE, { nextId: 1, messages: [] });
+  const txHash = message.paymentTxHash.toLowerCase();
+  if (data.messages.some(m => m.paymentTxHash === txHash)) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const created = {
+    paymentAmountEth: 0,
+    paymentAmountUsd: null,
+    status: 'pending',
+    senderEns: null,
+    rejectionReason: null,
+    verifiedAt: null,
+    ...message,
+    senderAddress: message.senderAddress.toLowerCase(),
+    paymentTxHash: txHash,
+    id: data.nextId++,
+    createdAt: now,
+    updatedAt: now
+  };
+  data.messages.push(created);
+  writeJSONFile(MESSAGES_FILE, data);
+  return created;
+}
+
+/**
+ * Messages newest first, optionally only one status
+ */
+export function getMessages({ status, limit = 50 } = {}) {
+  const { messages } = readJSONFile(MESSAGES_FILE, { nextId: 1, messages: [] });
+  return messages
+    .filter(m => !status || m.status === status)
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Get a message by its payment tx hash (null if there isn't one)
+ */
+export function getMessageByTxHash(paymentTxHash) {
+  const { messages } = readJSONFile(MESSAGES_FILE, { nextId: 1, messages: [] });
+  return messages.find(m => m.paymentTxHash === paymentTxHash.toLowerCase()) || null;
+}
+
+/**
+ * Change a message, returns the updated message (null if it doesn't exist)
+ */
+export function updateMessage(id, updates) {
+  const data = readJSONFile(MESSAGES_FILE, { nextId: 1, messages: [] });
+  const message = data.messages.find(m => m.id === Number(id));
+  if (!message) return null;
+
+  Object.assign(message, updates, { updatedAt: new Date().toISOString() });
+  writeJSONFile(MESSAGES_FILE, data);
+  return message;
+}
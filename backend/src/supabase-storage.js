@@ -1,6 +1,7 @@
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import { readDeployments, getAllDeployments as getJSONDeployments } from './storage.js';
+import { publishDeploymentInsert, publishDeploymentUpdate } from './events.js';
 
 // Load environment variables (dotenv for local dev, Vercel provides them automatically)
 // Only load dotenv if not in production (Vercel sets NODE_ENV=production)
@@ -9,7 +10,9 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+// The service role key bypasses row level security - required for the private tables
+// (MIGRATION_019 on) and once MIGRATION_021 restricts the anon role
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
 
 let supabase = null;
 
@@ -29,7 +32,7 @@ if (SUPABASE_URL && SUPABASE_KEY) {
     console.log('   Missing: SUPABASE_URL');
   }
   if (!SUPABASE_KEY) {
-    console.log('   Missing: SUPABASE_ANON_KEY or SUPABASE_SERVICE_ROLE_KEY');
+    console.log('   Missing: SUPABASE_SERVICE_ROLE_KEY or SUPABASE_ANON_KEY');
   }
 }
 
@@ -49,21 +52,52 @@ function deploymentToDB(deployment) {
     dev_buy_amount_formatted: deployment.devBuyAmountFormatted || null,
     dev_sold: deployment.devSold || false,
     dev_sold_amount: deployment.devSoldAmount || 0,
+    ...(deployment.devSoldAt && { dev_sold_at: deployment.devSoldAt }),
     holder_count: deployment.holderCount || 0,
     holder_count_history: deployment.holderCountHistory || [],
     last_holder_check: deployment.lastHolderCheck || null,
+    ...(deployment.holderCountEstimated !== undefined && { holder_count_estimated: deployment.holderCountEstimated }),
     ...(deployment.volume1h !== undefined && { volume_1h: deployment.volume1h }),
     ...(deployment.volume6h !== undefined && { volume_6h: deployment.volume6h }),
     volume_24h: deployment.volume24h || 0,
     volume_7d: deployment.volume7d || 0,
     volume_history: deployment.volumeHistory || [],
     market_cap: deployment.marketCap || 0,
+    ...(deployment.marketCapHistory && { market_cap_history: deployment.marketCapHistory }),
     dev_transfer_count: deployment.devTransferCount || 0,
     dev_transferred_out: deployment.devTransferredOut || 0,
     dev_transferred_in: deployment.devTransferredIn || 0,
     dev_net_transfer: deployment.devNetTransfer || 0,
+    ...(deployment.devClusterSoldPct != null && { dev_cluster_sold_pct: deployment.devClusterSoldPct }),
+    ...(deployment.devClusterSize && { dev_cluster_size: deployment.devClusterSize }),
     last_transfer_check: deployment.lastTransferCheck || null,
     is_pruned: deployment.isPruned || false,
+    token_symbol: deployment.tokenSymbol || null,
+    token_image: deployment.tokenImage || null,
+    token_metadata: deployment.tokenMetadata || null,
+    token_context: deployment.tokenContext || null,
+    token_admin: deployment.tokenAdmin || null,
+    pool_hook: deployment.poolHook || null,
+    pool_id: deployment.poolId || null,
+    starting_tick: deployment.startingTick ?? null,
+    paired_token: deployment.pairedToken || null,
+    locker_address: deployment.locker || null,
+    mev_module: deployment.mevModule || null,
+    extensions_supply: deployment.extensionsSupply || null,
+    extensions: deployment.extensions || [],
+    ...(deployment.swapStats && { swap_stats: deployment.swapStats }),
+    ...(deployment.lastPriceEth != null && { last_price_eth: deployment.lastPriceEth }),
+    ...(deployment.sniperStats && { sniper_stats: deployment.sniperStats }),
+    ...(deployment.riskCheckedAt && {
+      risk_score: deployment.riskScore,
+      risk_level: deployment.riskLevel,
+      risk_reasons: deployment.riskReasons || [],
+      risk_details: deployment.riskDetails || null,
+      risk_checked_at: deployment.riskCheckedAt
+    }),
+    status: deployment.status || 'pending',
+    block_hash: deployment.blockHash || null,
+    confirmed_at: deployment.confirmedAt || null,
     links: deployment.links || {},
     ...(deployment.farcasterData && { farcaster_data: deployment.farcasterData })
   };
@@ -85,21 +119,50 @@ function dbToDeployment(row) {
     devBuyAmountFormatted: row.dev_buy_amount_formatted,
     devSold: row.dev_sold || false,
     devSoldAmount: parseFloat(row.dev_sold_amount) || 0,
+    devSoldAt: row.dev_sold_at || null,
     holderCount: row.holder_count || 0,
     holderCountHistory: row.holder_count_history || [],
     lastHolderCheck: row.last_holder_check || null,
+    holderCountEstimated: row.holder_count_estimated || false,
     volume1h: row.volume_1h != null ? parseFloat(row.volume_1h) || 0 : 0,
     volume6h: row.volume_6h != null ? parseFloat(row.volume_6h) || 0 : 0,
     volume24h: row.volume_24h != null ? parseFloat(row.volume_24h) || 0 : 0,
     volume7d: row.volume_7d != null ? parseFloat(row.volume_7d) || 0 : 0,
     volumeHistory: row.volume_history || [],
     marketCap: parseFloat(row.market_cap) || 0,
+    marketCapHistory: row.market_cap_history || [],
     devTransferCount: row.dev_transfer_count || 0,
     devTransferredOut: parseFloat(row.dev_transferred_out) || 0,
     devTransferredIn: parseFloat(row.dev_transferred_in) || 0,
     devNetTransfer: parseFloat(row.dev_net_transfer) || 0,
+    devClusterSoldPct: row.dev_cluster_sold_pct != null ? parseFloat(row.dev_cluster_sold_pct) : null,
+    devClusterSize: row.dev_cluster_size || 1,
     lastTransferCheck: row.last_transfer_check || null,
     isPruned: row.is_pruned || false,
+    tokenSymbol: row.token_symbol || null,
+    tokenImage: row.token_image || null,
+    tokenMetadata: row.token_metadata || null,
+    tokenContext: row.token_context || null,
+    tokenAdmin: row.token_admin || null,
+    poolHook: row.pool_hook || null,
+    poolId: row.pool_id || null,
+    startingTick: row.starting_tick ?? null,
+    pairedToken: row.paired_token || null,
+    locker: row.locker_address || null,
+    mevModule: row.mev_module || null,
+    extensionsSupply: row.extensions_supply != null ? String(row.extensions_supply) : null,
+    extensions: row.extensions || [],
+    swapStats: row.swap_stats || null,
+    lastPriceEth: row.last_price_eth != null ? parseFloat(row.last_price_eth) : null,
+    sniperStats: row.sniper_stats || null,
+    riskScore: row.risk_score ?? null,
+    riskLevel: row.risk_level || null,
+    riskReasons: row.risk_reasons || [],
+    riskDetails: row.risk_details || null,
+    riskCheckedAt: row.risk_checked_at || null,
+    status: row.status || 'confirmed',
+    blockHash: row.block_hash || null,
+    confirmedAt: row.confirmed_at || null,
     links: row.links || {},
     farcasterData: row.farcaster_data || null
   };
@@ -154,7 +217,7 @@ export async function getAllDeployments() {
     if (error) {
       console.error('Error getting deployments from Supabase:', error);
       if (error.message && error.message.includes('Invalid API key')) {
-        console.error('⚠️  Supabase API key is invalid. Please check your SUPABASE_ANON_KEY in .env');
+        console.error('⚠️  Supabase API key is invalid. Please check your SUPABASE_SERVICE_ROLE_KEY / SUPABASE_ANON_KEY in .env');
         console.error('   Falling back to JSON file storage');
       }
       return getJSONDeployments();
@@ -168,9 +231,164 @@ export async function getAllDeployments() {
 }
 
 /**
- * Add a new deployment
+ * Get a single deployment by token address or deployment tx hash
+ */
+export async function getDeployment(addressOrTxHash) {
+  if (!supabase) {
+    const { getDeployment: getJSON } = await import('./storage.js');
+    return getJSON(addressOrTxHash);
+  }
+
+  try {
+    const column = addressOrTxHash.length === 66 ? 'tx_hash' : 'token_address';
+    // Addresses are stored checksummed, match case-insensitively
+    const { data, error } = await supabase
+      .from('deployments')
+      .select('*')
+      .ilike(column, addressOrTxHash)
+      .order('timestamp', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      console.error('Error getting deployment from Supabase:', error);
+      const { getDeployment: getJSON } = await import('./storage.js');
+      return getJSON(addressOrTxHash);
+    }
+
+    return data.length > 0 ? dbToDeployment(data[0]) : null;
+  } catch (error) {
+    console.error('Error getting deployment from Supabase:', error);
+    const { getDeployment: getJSON } = await import('./storage.js');
+    return getJSON(addressOrTxHash);
+  }
+}
+
+// Sort keys accepted by queryDeployments -> column
+const DEPLOYMENT_SORT_COLUMNS = {
+  timestamp: 'timestamp',
+  devBuy: 'dev_buy_amount',
+  holders: 'holder_count',
+  marketCap: 'market_cap',
+  volume1h: 'volume_1h',
+  volume6h: 'volume_6h',
+  volume24h: 'volume_24h',
+  volume7d: 'volume_7d'
+};
+
+// Strip characters that have meaning inside a PostgREST or() filter
+const escapeFilterValue = (value) => String(value).replace(/[,()*%\\"]/g, '');
+
+/**
+ * Query deployments with filters, sorting and keyset pagination
+ * Filters: minDevBuy, maxDevBuy, minHolders, minMarketCap, minVolume (over volumeWindow),
+ * deployer, search (name/symbol), isPruned, devSold, since, before, includeOrphaned.
+ * Rows are ordered by the sort column (NULLs last), then tx_hash; `after` is the { value, txHash } of the
+ * last row of the previous page. Returns { deployments, next } (next is null on the last page).
+ */
+export async function queryDeployments(filters = {}) {
+  if (!supabase) {
+    const { queryDeployments: queryJSON } = await import('./storage.js');
+    return queryJSON(filters);
+  }
+
+  const sortKey = DEPLOYMENT_SORT_COLUMNS[filters.sort] ? filters.sort : 'timestamp';
+  const column = DEPLOYMENT_SORT_COLUMNS[sortKey];
+  const ascending = filters.ascending === true;
+  const limit = filters.limit || 100;
+
+  let query = supabase.from('deployments').select('*');
+
+  if (filters.minDevBuy !== undefined) query = query.gte('dev_buy_amount', filters.minDevBuy);
+  if (filters.maxDevBuy !== undefined) query = query.lte('dev_buy_amount', filters.maxDevBuy);
+  if (filters.minHolders !== undefined) query = query.gte('holder_count', filters.minHolders);
+  if (filters.minMarketCap !== undefined) query = query.gte('market_cap', filters.minMarketCap);
+  if (filters.minVolume !== undefined) {
+    query = query.gte(DEPLOYMENT_SORT_COLUMNS[`volume${filters.volumeWindow || '24h'}`], filters.minVolume);
+  }
+  if (filters.deployer) query = query.ilike('deployer_address', filters.deployer);
+  if (filters.isPruned !== undefined) query = query.eq('is_pruned', filters.isPruned);
+  if (filters.devSold !== undefined) query = query.eq('dev_sold', filters.devSold);
+  if (filters.since !== undefined) query = query.gte('timestamp', filters.since);
+  if (filters.before !== undefined) query = query.lt('timestamp', filters.before);
+
+  // or() groups are ANDed together in a single filter
+  const orGroups = [];
+  if (!filters.includeOrphaned) {
+    orGroups.push('status.is.null,status.neq.orphaned');
+  }
+  const search = filters.search ? escapeFilterValue(filters.search).trim() : '';
+  if (search) {
+    orGroups.push(`token_name.ilike.*${search}*,token_symbol.ilike.*${search}*`);
+  }
+  if (filters.after) {
+    // NULL sort values (e.g. volumes never computed) come last in both directions
+    const op = ascending ? 'gt' : 'lt';
+    const txHash = escapeFilterValue(filters.after.txHash);
+    if (filters.after.value === null) {
+      query = query.is(column, null)[op]('tx_hash', filters.after.txHash);
+    } else {
+      const value = escapeFilterValue(filters.after.value);
+      orGroups.push(`${column}.${op}.${value},and(${column}.eq.${value},tx_hash.${op}.${txHash}),${column}.is.null`);
+    }
+  }
+  if (orGroups.length === 1) {
+    query = query.or(orGroups[0]);
+  } else if (orGroups.length > 1) {
+    query = query.or(`and(${orGroups.map(group => `or(${group})`).join(',')})`);
+  }
+
+  try {
+    // One extra row tells us whether there is another page
+    const { data, error } = await query
+      .order(column, { ascending, nullsFirst: false })
+      .order('tx_hash', { ascending })
+      .limit(limit + 1);
+
+    if (error) {
+      console.error('Error querying deployments in Supabase:', error);
+      const { queryDeployments: queryJSON } = await import('./storage.js');
+      return queryJSON(filters);
+    }
+
+    const rows = data.slice(0, limit);
+    const last = rows[rows.length - 1];
+    return {
+      deployments: rows.map(dbToDeployment),
+      next: data.length > limit ? { value: last[column] ?? null, txHash: last.tx_hash } : null
+    };
+  } catch (error) {
+    console.error('Error querying deployments in Supabase:', error);
+    const { queryDeployments: queryJSON } = await import('./storage.js');
+    return queryJSON(filters);
+  }
+}
+
+/**
+ * Add a new deployment and announce it to live subscribers
  */
 export async function addDeployment(newDeployment) {
+  const added = await insertDeployment(newDeployment);
+  if (added) {
+    publishDeploymentInsert(newDeployment);
+  }
+  return added;
+}
+
+/**
+ * Update an existing deployment and announce the changed fields to live subscribers
+ */
+export async function updateDeployment(txHash, updates) {
+  const updated = await writeDeploymentUpdate(txHash, updates);
+  if (updated) {
+    publishDeploymentUpdate(txHash, updates);
+  }
+  return updated;
+}
+
+/**
+ * Insert a new deployment row
+ */
+async function insertDeployment(newDeployment) {
   if (!supabase) {
     // Fallback to JSON
     const { addDeployment: addJSON } = await import('./storage.js');
@@ -207,9 +425,9 @@ export async function addDeployment(newDeployment) {
 }
 
 /**
- * Update an existing deployment
+ * Write changed fields to an existing deployment row
  */
-export async function updateDeployment(txHash, updates) {
+async function writeDeploymentUpdate(txHash, updates) {
   if (!supabase) {
     // Fallback to JSON
     const { updateDeployment: updateJSON } = await import('./storage.js');
@@ -221,35 +439,46 @@ export async function updateDeployment(txHash, updates) {
 
     if (updates.tokenAddress !== undefined) dbUpdates.token_address = updates.tokenAddress;
     if (updates.tokenName !== undefined) dbUpdates.token_name = updates.tokenName;
+    if (updates.tokenSymbol !== undefined) dbUpdates.token_symbol = updates.tokenSymbol;
+    if (updates.tokenImage !== undefined) dbUpdates.token_image = updates.tokenImage;
+    if (updates.poolId !== undefined) dbUpdates.pool_id = updates.poolId;
+    if (updates.pairedToken !== undefined) dbUpdates.paired_token = updates.pairedToken;
+    if (updates.locker !== undefined) dbUpdates.locker_address = updates.locker;
+    if (updates.status !== undefined) dbUpdates.status = updates.status;
+    if (updates.blockNumber !== undefined) dbUpdates.block_number = updates.blockNumber;
+    if (updates.blockHash !== undefined) dbUpdates.block_hash = updates.blockHash;
+    if (updates.confirmedAt !== undefined) dbUpdates.confirmed_at = updates.confirmedAt;
     if (updates.devSold !== undefined) dbUpdates.dev_sold = updates.devSold;
     if (updates.devSoldAmount !== undefined) dbUpdates.dev_sold_amount = updates.devSoldAmount;
+    if (updates.devSoldAt !== undefined) dbUpdates.dev_sold_at = updates.devSoldAt;
     if (updates.holderCount !== undefined) dbUpdates.holder_count = updates.holderCount;
     if (updates.holderCountHistory !== undefined) dbUpdates.holder_count_history = updates.holderCountHistory;
     if (updates.ensName !== undefined) dbUpdates.ens_name = updates.ensName;
     if (updates.lastHolderCheck !== undefined) dbUpdates.last_holder_check = updates.lastHolderCheck;
-    // Only update volume1h/volume6h if migration has been run (columns exist)
-    // For now, we'll skip these if they cause errors - user needs to run migration first
-    // The backend will work fine without them, just won't have 1h/6h data until migration is run
-    if (updates.volume1h !== undefined) {
-      // Only include if we're sure the column exists (will be set after migration)
-      // For now, skip to avoid SQL errors
-      // dbUpdates.volume_1h = updates.volume1h;
-    }
-    if (updates.volume6h !== undefined) {
-      // Only include if we're sure the column exists (will be set after migration)
-      // For now, skip to avoid SQL errors
-      // dbUpdates.volume_6h = updates.volume6h;
-    }
+    if (updates.holderCountEstimated !== undefined) dbUpdates.holder_count_estimated = updates.holderCountEstimated;
+    if (updates.volume1h !== undefined) dbUpdates.volume_1h = updates.volume1h;
+    if (updates.volume6h !== undefined) dbUpdates.volume_6h = updates.volume6h;
     if (updates.volume24h !== undefined) dbUpdates.volume_24h = updates.volume24h;
     if (updates.volume7d !== undefined) dbUpdates.volume_7d = updates.volume7d;
     if (updates.volumeHistory !== undefined) dbUpdates.volume_history = updates.volumeHistory;
+    if (updates.swapStats !== undefined) dbUpdates.swap_stats = updates.swapStats;
+    if (updates.lastPriceEth !== undefined) dbUpdates.last_price_eth = updates.lastPriceEth;
     if (updates.marketCap !== undefined) dbUpdates.market_cap = updates.marketCap;
+    if (updates.marketCapHistory !== undefined) dbUpdates.market_cap_history = updates.marketCapHistory;
     if (updates.devTransferCount !== undefined) dbUpdates.dev_transfer_count = updates.devTransferCount;
     if (updates.devTransferredOut !== undefined) dbUpdates.dev_transferred_out = updates.devTransferredOut;
     if (updates.devTransferredIn !== undefined) dbUpdates.dev_transferred_in = updates.devTransferredIn;
     if (updates.devNetTransfer !== undefined) dbUpdates.dev_net_transfer = updates.devNetTransfer;
+    if (updates.devClusterSoldPct !== undefined) dbUpdates.dev_cluster_sold_pct = updates.devClusterSoldPct;
+    if (updates.devClusterSize !== undefined) dbUpdates.dev_cluster_size = updates.devClusterSize;
     if (updates.lastTransferCheck !== undefined) dbUpdates.last_transfer_check = updates.lastTransferCheck;
     if (updates.isPruned !== undefined) dbUpdates.is_pruned = updates.isPruned;
+    if (updates.sniperStats !== undefined) dbUpdates.sniper_stats = updates.sniperStats;
+    if (updates.riskScore !== undefined) dbUpdates.risk_score = updates.riskScore;
+    if (updates.riskLevel !== undefined) dbUpdates.risk_level = updates.riskLevel;
+    if (updates.riskReasons !== undefined) dbUpdates.risk_reasons = updates.riskReasons;
+    if (updates.riskDetails !== undefined) dbUpdates.risk_details = updates.riskDetails;
+    if (updates.riskCheckedAt !== undefined) dbUpdates.risk_checked_at = updates.riskCheckedAt;
     if (updates.farcasterData !== undefined) dbUpdates.farcaster_data = updates.farcasterData;
 
     const { error } = await supabase
@@ -278,7 +507,7 @@ export async function updateDeployment(txHash, updates) {
  */
 export async function getLatestDeployment() {
   const deployments = await getAllDeployments();
-  return deployments.length > 0 ? deployments[0] : null;
+  return deployments.find(d => d.status !== 'orphaned') || null;
 }
 
 /**
@@ -297,6 +526,9 @@ export async function saveMonitorState(state) {
       .upsert({
         id: 1,
         last_checked_block: state.lastCheckedBlock,
+        ...(state.recentBlocks !== undefined && { recent_blocks: state.recentBlocks }),
+        ...(state.scheduler !== undefined && { scheduler_state: state.scheduler }),
+        ...(state.metering !== undefined && { metering_state: state.metering }),
         updated_at: new Date().toISOString()
       }, {
         onConflict: 'id'
@@ -343,7 +575,10 @@ export async function loadMonitorState() {
     }
 
     return {
-      lastCheckedBlock: data?.last_checked_block || null
+      lastCheckedBlock: data?.last_checked_block || null,
+      recentBlocks: data?.recent_blocks || [],
+      scheduler: data?.scheduler_state || null,
+      metering: data?.metering_state || null
     };
   } catch (error) {
     console.error('Error loading monitor state from Supabase:', error);
@@ -353,6 +588,1397 @@ export async function loadMonitorState() {
   }
 }
 
+const PAGE_SIZE = 1000; // Supabase returns at most 1000 rows per request
+const WRITE_BATCH = 500;
+
+/**
+ * Load a token's holder ledger ({ lastBlock, pendingBlock, holderCount, balances: Map<address, bigint> })
+ * Returns null if the ledger hasn't been started. Unlike deployments, ledger reads and writes
+ * don't fall back to JSON on Supabase errors - splitting one ledger across two stores would
+ * corrupt it, so the error is thrown and the sync is retried next cycle.
+ */
+export async function getTokenLedger(tokenAddress) {
+  if (!supabase) {
+    const { getTokenLedger: getJSON } = await import('./storage.js');
+    return getJSON(tokenAddress);
+  }
+
+  const token = tokenAddress.toLowerCase();
+  const { data: ledger, error } = await supabase
+    .from('token_ledgers')
+    .select('*')
+    .eq('token_address', token)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Error loading ledger for ${token}: ${error.message}`);
+  }
+  if (!ledger) return null;
+
+  const balances = new Map();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: rows, error: rowsError } = await supabase
+      .from('token_balances')
+      .select('holder_address, balance')
+      .eq('token_address', token)
+      .order('holder_address')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (rowsError) {
+      throw new Error(`Error loading balances for ${token}: ${rowsError.message}`);
+    }
+    for (const row of rows) {
+      balances.set(row.holder_address, BigInt(row.balance));
+    }
+    if (rows.length < PAGE_SIZE) break;
+  }
+
+  return {
+    lastBlock: ledger.last_block,
+    pendingBlock: ledger.pending_block,
+    holderCount: ledger.holder_count || 0,
+    balances
+  };
+}
+
+/**
+ * Save a token's holder ledger
+ * `balances` only needs the entries that changed; zero balances are deleted.
+ * pending_block marks the write as in progress until the cursor is advanced.
+ */
+export async function saveTokenLedger(tokenAddress, { lastBlock, holderCount, balances }) {
+  if (!supabase) {
+    const { saveTokenLedger: saveJSON } = await import('./storage.js');
+    return saveJSON(tokenAddress, { lastBlock, holderCount, balances });
+  }
+
+  const token = tokenAddress.toLowerCase();
+  const check = (error, step) => {
+    if (error) throw new Error(`Error saving ledger for ${token} (${step}): ${error.message}`);
+  };
+
+  const { data: existing, error: existingError } = await supabase
+    .from('token_ledgers')
+    .select('last_block')
+    .eq('token_address', token)
+    .maybeSingle();
+  check(existingError, 'load cursor');
+
+  // Mark the write as in progress (keeps the old cursor so a crash is detectable)
+  const { error: pendingError } = await supabase
+    .from('token_ledgers')
+    .upsert({
+      token_address: token,
+      last_block: existing ? existing.last_block : lastBlock,
+      pending_block: lastBlock
+    }, { onConflict: 'token_address' });
+  check(pendingError, 'mark pending');
+
+  const nonZero = [];
+  const zero = [];
+  for (const [holder, balance] of balances) {
+    if (balance > 0n) {
+      nonZero.push({ token_address: token, holder_address: holder, balance: balance.toString(), updated_block: lastBlock });
+    } else {
+      zero.push(holder);
+    }
+  }
+
+  for (let i = 0; i < nonZero.length; i += WRITE_BATCH) {
+    const { error } = await supabase
+      .from('token_balances')
+      .upsert(nonZero.slice(i, i + WRITE_BATCH), { onConflict: 'token_address,holder_address' });
+    check(error, 'upsert balances');
+  }
+
+  for (let i = 0; i < zero.length; i += WRITE_BATCH) {
+    const { error } = await supabase
+      .from('token_balances')
+      .delete()
+      .eq('token_address', token)
+      .in('holder_address', zero.slice(i, i + WRITE_BATCH));
+    check(error, 'delete zero balances');
+  }
+
+  const { error: cursorError } = await supabase
+    .from('token_ledgers')
+    .update({ last_block: lastBlock, pending_block: null, holder_count: holderCount })
+    .eq('token_address', token);
+  check(cursorError, 'advance cursor');
+
+  return true;
+}
+
+/**
+ * Drop a token's ledger so it is rebuilt from the deployment block
+ */
+export async function resetTokenLedger(tokenAddress) {
+  if (!supabase) {
+    const { resetTokenLedger: resetJSON } = await import('./storage.js');
+    return resetJSON(tokenAddress);
+  }
+
+  const token = tokenAddress.toLowerCase();
+  const { error: balancesError } = await supabase.from('token_balances').delete().eq('token_address', token);
+  if (balancesError) {
+    throw new Error(`Error resetting balances for ${token}: ${balancesError.message}`);
+  }
+  const { error } = await supabase.from('token_ledgers').delete().eq('token_address', token);
+  if (error) {
+    throw new Error(`Error resetting ledger for ${token}: ${error.message}`);
+  }
+  return true;
+}
+
+/**
+ * Last block whose swaps are stored for a token (null if never synced)
+ * Like the holder ledger, swap reads and writes throw instead of falling back to JSON.
+ */
+export async function getSwapCursor(tokenAddress) {
+  if (!supabase) {
+    const { getSwapCursor: getJSON } = await import('./storage.js');
+    return getJSON(tokenAddress);
+  }
+
+  const token = tokenAddress.toLowerCase();
+  const { data, error } = await supabase
+    .from('token_swap_cursors')
+    .select('last_block')
+    .eq('token_address', token)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Error loading swap cursor for ${token}: ${error.message}`);
+  }
+  return data ? data.last_block : null;
+}
+
+/**
+ * Store swaps for a token and advance its cursor
+ * Swaps are keyed by (tx_hash, log_index) so re-scanning a range is harmless.
+ */
+export async function saveTokenSwaps(tokenAddress, swaps, lastBlock) {
+  if (!supabase) {
+    const { saveTokenSwaps: saveJSON } = await import('./storage.js');
+    return saveJSON(tokenAddress, swaps, lastBlock);
+  }
+
+  const token = tokenAddress.toLowerCase();
+  const rows = swaps.map(swap => ({
+    token_address: token,
+    tx_hash: swap.txHash,
+    log_index: swap.logIndex,
+    block_number: swap.blockNumber,
+    timestamp: swap.timestamp,
+    trader: swap.trader,
+    side: swap.side,
+    token_amount: swap.tokenAmount,
+    paired_amount: swap.pairedAmount,
+    price: swap.price
+  }));
+
+  for (let i = 0; i < rows.length; i += WRITE_BATCH) {
+    const { error } = await supabase
+      .from('token_swaps')
+      .upsert(rows.slice(i, i + WRITE_BATCH), { onConflict: 'tx_hash,log_index' });
+    if (error) {
+      throw new Error(`Error saving swaps for ${token}: ${error.message}`);
+    }
+  }
+
+  const { error } = await supabase
+    .from('token_swap_cursors')
+    .upsert({ token_address: token, last_block: lastBlock }, { onConflict: 'token_address' });
+  if (error) {
+    throw new Error(`Error advancing swap cursor for ${token}: ${error.message}`);
+  }
+
+  return true;
+}
+
+/**
+ * Get a token's swaps since a unix timestamp, in chain order
+ */
+export async function getTokenSwaps(tokenAddress, sinceTimestamp = 0) {
+  if (!supabase) {
+    const { getTokenSwaps: getJSON } = await import('./storage.js');
+    return getJSON(tokenAddress, sinceTimestamp);
+  }
+
+  const token = tokenAddress.toLowerCase();
+  const swaps = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: rows, error } = await supabase
+      .from('token_swaps')
+      .select('*')
+      .eq('token_address', token)
+      .gte('timestamp', sinceTimestamp)
+      .order('block_number', { ascending: true })
+      .order('log_index', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Error loading swaps for ${token}: ${error.message}`);
+    }
+    for (const row of rows) {
+      swaps.push({
+        txHash: row.tx_hash,
+        logIndex: row.log_index,
+        blockNumber: row.block_number,
+        timestamp: row.timestamp,
+        trader: row.trader,
+        side: row.side,
+        tokenAmount: parseFloat(row.token_amount) || 0,
+        pairedAmount: parseFloat(row.paired_amount) || 0,
+        price: parseFloat(row.price) || 0
+      });
+    }
+    if (rows.length < PAGE_SIZE) break;
+  }
+
+  return swaps;
+}
+
+/**
+ * A token's dev event cursor: last scanned block and the dev's balance at that block
+ * Returns { lastBlock, devBalance } (balance as a decimal string) or null if never synced
+ */
+export async function getDevEventCursor(tokenAddress) {
+  if (!supabase) {
+    const { getDevEventCursor: getJSON } = await import('./storage.js');
+    return getJSON(tokenAddress);
+  }
+
+  const token = tokenAddress.toLowerCase();
+  const { data, error } = await supabase
+    .from('dev_event_cursors')
+    .select('last_block, dev_balance')
+    .eq('token_address', token)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Error loading dev event cursor for ${token}: ${error.message}`);
+  }
+  return data ? { lastBlock: data.last_block, devBalance: String(data.dev_balance) } : null;
+}
+
+/**
+ * Store dev events for a token and advance its cursor
+ * Events are keyed by (tx_hash, log_index) so re-scanning a range is harmless.
+ */
+export async function saveDevEvents(tokenAddress, events, lastBlock, devBalance) {
+  if (!supabase) {
+    const { saveDevEvents: saveJSON } = await import('./storage.js');
+    return saveJSON(tokenAddress, events, lastBlock, devBalance);
+  }
+
+  const token = tokenAddress.toLowerCase();
+  const rows = events.map(event => ({
+    token_address: token,
+    tx_hash: event.txHash,
+    log_index: event.logIndex,
+    block_number: event.blockNumber,
+    timestamp: event.timestamp,
+    deployer_address: event.deployer,
+    wallet_address: event.wallet,
+    event_type: event.type,
+    amount: event.amount,
+    paired_amount: event.pairedAmount,
+    holdings_pct: event.holdingsPct,
+    counterparty: event.counterparty
+  }));
+
+  for (let i = 0; i < rows.length; i += WRITE_BATCH) {
+    const { error } = await supabase
+      .from('dev_events')
+      .upsert(rows.slice(i, i + WRITE_BATCH), { onConflict: 'tx_hash,log_index' });
+    if (error) {
+      throw new Error(`Error saving dev events for ${token}: ${error.message}`);
+    }
+  }
+
+  const { error } = await supabase
+    .from('dev_event_cursors')
+    .upsert({ token_address: token, last_block: lastBlock, dev_balance: devBalance }, { onConflict: 'token_address' });
+  if (error) {
+    throw new Error(`Error advancing dev event cursor for ${token}: ${error.message}`);
+  }
+
+  return true;
+}
+
+/**
+ * Get a token's dev events in chain order
+ */
+export async function getDevEvents(tokenAddress) {
+  if (!supabase) {
+    const { getDevEvents: getJSON } = await import('./storage.js');
+    return getJSON(tokenAddress);
+  }
+
+  const token = tokenAddress.toLowerCase();
+  const events = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: rows, error } = await supabase
+      .from('dev_events')
+      .select('*')
+      .eq('token_address', token)
+      .order('block_number', { ascending: true })
+      .order('log_index', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Error loading dev events for ${token}: ${error.message}`);
+    }
+    for (const row of rows) {
+      events.push({
+        txHash: row.tx_hash,
+        logIndex: row.log_index,
+        blockNumber: row.block_number,
+        timestamp: row.timestamp,
+        deployer: row.deployer_address,
+        wallet: row.wallet_address || row.deployer_address,
+        type: row.event_type,
+        amount: parseFloat(row.amount) || 0,
+        pairedAmount: row.paired_amount != null ? parseFloat(row.paired_amount) : null,
+        holdingsPct: row.holdings_pct != null ? parseFloat(row.holdings_pct) : null,
+        counterparty: row.counterparty
+      });
+    }
+    if (rows.length < PAGE_SIZE) break;
+  }
+
+  return events;
+}
+
+/**
+ * Edges linking wallets to a deployer's cluster
+ * Returns [{ deployer, from, to, kind, tokenAddress, txHash, blockNumber }] in the order they were found
+ */
+export async function getDevClusterEdges(deployerAddress) {
+  if (!supabase) {
+    const { getDevClusterEdges: getJSON } = await import('./storage.js');
+    return getJSON(deployerAddress);
+  }
+
+  const deployer = deployerAddress.toLowerCase();
+  const { data, error } = await supabase
+    .from('dev_cluster_edges')
+    .select('*')
+    .eq('deployer_address', deployer)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Error loading dev cluster of ${deployer}: ${error.message}`);
+  }
+  return data.map(row => ({
+    deployer: row.deployer_address,
+    from: row.from_address,
+    to: row.to_address,
+    kind: row.kind,
+    tokenAddress: row.token_address,
+    txHash: row.tx_hash,
+    blockNumber: row.block_number
+  }));
+}
+
+/**
+ * Store cluster edges (an edge already known keeps the transaction it was first seen in)
+ */
+export async function saveDevClusterEdges(edges) {
+  if (!supabase) {
+    const { saveDevClusterEdges: saveJSON } = await import('./storage.js');
+    return saveJSON(edges);
+  }
+  if (edges.length === 0) return true;
+
+  const rows = edges.map(edge => ({
+    deployer_address: edge.deployer,
+    from_address: edge.from,
+    to_address: edge.to,
+    kind: edge.kind,
+    token_address: edge.tokenAddress || null,
+    tx_hash: edge.txHash,
+    block_number: edge.blockNumber
+  }));
+
+  const { error } = await supabase
+    .from('dev_cluster_edges')
+    .upsert(rows, { onConflict: 'deployer_address,from_address,to_address,kind', ignoreDuplicates: true });
+  if (error) {
+    throw new Error(`Error saving dev cluster edges: ${error.message}`);
+  }
+  return true;
+}
+
+/**
+ * Insert or replace candles for a token and interval
+ */
+export async function saveCandles(tokenAddress, interval, candles) {
+  if (!supabase) {
+    const { saveCandles: saveJSON } = await import('./storage.js');
+    return saveJSON(tokenAddress, interval, candles);
+  }
+
+  const token = tokenAddress.toLowerCase();
+  const rows = candles.map(candle => ({
+    token_address: token,
+    interval,
+    bucket_start: candle.time,
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume,
+    buy_volume: candle.buyVolume,
+    sell_volume: candle.sellVolume,
+    trades: candle.trades
+  }));
+
+  for (let i = 0; i < rows.length; i += WRITE_BATCH) {
+    const { error } = await supabase
+      .from('token_candles')
+      .upsert(rows.slice(i, i + WRITE_BATCH), { onConflict: 'token_address,interval,bucket_start' });
+    if (error) {
+      throw new Error(`Error saving ${interval} candles for ${token}: ${error.message}`);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Get the most recent `limit` candles between from and to, oldest first
+ */
+export async function getCandles(tokenAddress, interval, { from, to, limit } = {}) {
+  if (!supabase) {
+    const { getCandles: getJSON } = await import('./storage.js');
+    return getJSON(tokenAddress, interval, { from, to, limit });
+  }
+
+  const token = tokenAddress.toLowerCase();
+  let query = supabase
+    .from('token_candles')
+    .select('*')
+    .eq('token_address', token)
+    .eq('interval', interval);
+
+  if (from !== undefined) query = query.gte('bucket_start', from);
+  if (to !== undefined) query = query.lte('bucket_start', to);
+
+  const { data, error } = await query
+    .order('bucket_start', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Error loading ${interval} candles for ${token}: ${error.message}`);
+  }
+
+  return data.reverse().map(row => ({
+    time: row.bucket_start,
+    open: parseFloat(row.open),
+    high: parseFloat(row.high),
+    low: parseFloat(row.low),
+    close: parseFloat(row.close),
+    volume: parseFloat(row.volume) || 0,
+    buyVolume: parseFloat(row.buy_volume) || 0,
+    sellVolume: parseFloat(row.sell_volume) || 0,
+    trades: row.trades || 0
+  }));
+}
+
+/**
+ * Record a token's holder count at a point in time
+ */
+export async function addHolderSnapshot(tokenAddress, timestamp, holderCount) {
+  if (!supabase) {
+    const { addHolderSnapshot: addJSON } = await import('./storage.js');
+    return addJSON(tokenAddress, timestamp, holderCount);
+  }
+
+  try {
+    const { error } = await supabase
+      .from('holder_snapshots')
+      .upsert({ token_address: tokenAddress.toLowerCase(), timestamp, holder_count: holderCount },
+        { onConflict: 'token_address,timestamp' });
+
+    if (error) {
+      console.error('Error saving holder snapshot to Supabase:', error);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('Error saving holder snapshot to Supabase:', error);
+    return false;
+  }
+}
+
+/**
+ * Get a token's holder count snapshots up to `to`, oldest first
+ */
+export async function getHolderSnapshots(tokenAddress, { to } = {}) {
+  if (!supabase) {
+    const { getHolderSnapshots: getJSON } = await import('./storage.js');
+    return getJSON(tokenAddress, { to });
+  }
+
+  const token = tokenAddress.toLowerCase();
+  const snapshots = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase
+      .from('holder_snapshots')
+      .select('timestamp, holder_count')
+      .eq('token_address', token);
+    if (to !== undefined) query = query.lte('timestamp', to);
+
+    const { data: rows, error } = await query
+      .order('timestamp', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Error loading holder snapshots for ${token}: ${error.message}`);
+    }
+    for (const row of rows) {
+      snapshots.push({ timestamp: row.timestamp, holderCount: row.holder_count });
+    }
+    if (rows.length < PAGE_SIZE) break;
+  }
+
+  return snapshots;
+}
+
+/**
+ * Get every deployment by a deployer wallet, newest first
+ */
+export async function getDeploymentsByDeployer(deployerAddress) {
+  if (!supabase) {
+    const { getDeploymentsByDeployer: getJSON } = await import('./storage.js');
+    return getJSON(deployerAddress);
+  }
+
+  try {
+    const deployments = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      // Addresses are stored checksummed, match case-insensitively
+      const { data, error } = await supabase
+        .from('deployments')
+        .select('*')
+        .ilike('deployer_address', deployerAddress)
+        .order('timestamp', { ascending: false })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) {
+        console.error('Error getting deployer deployments from Supabase:', error);
+        const { getDeploymentsByDeployer: getJSON } = await import('./storage.js');
+        return getJSON(deployerAddress);
+      }
+
+      deployments.push(...data.map(dbToDeployment));
+      if (data.length < PAGE_SIZE) break;
+    }
+    return deployments;
+  } catch (error) {
+    console.error('Error getting deployer deployments from Supabase:', error);
+    const { getDeploymentsByDeployer: getJSON } = await import('./storage.js');
+    return getJSON(deployerAddress);
+  }
+}
+
+function profileToDB(profile) {
+  return {
+    deployer_address: profile.address,
+    ens_name: profile.ensName,
+    total_launches: profile.totalLaunches,
+    avg_peak_holders: profile.avgPeakHolders,
+    avg_peak_market_cap: profile.avgPeakMarketCap,
+    best_peak_market_cap: profile.bestPeakMarketCap,
+    dev_sold_count: profile.devSoldCount,
+    quick_sell_count: profile.quickSellCount,
+    quick_sell_rate: profile.quickSellRate,
+    funding_source: profile.fundingSource,
+    funding_tx_hash: profile.fundingTxHash,
+    funded_at: profile.fundedAt,
+    first_launch_at: profile.firstLaunchAt,
+    last_launch_at: profile.lastLaunchAt,
+    reputation_score: profile.reputationScore,
+    profile_updated_at: profile.updatedAt
+  };
+}
+
+function dbToProfile(row) {
+  return {
+    address: row.deployer_address,
+    ensName: row.ens_name || null,
+    totalLaunches: row.total_launches || 0,
+    avgPeakHolders: parseFloat(row.avg_peak_holders) || 0,
+    avgPeakMarketCap: parseFloat(row.avg_peak_market_cap) || 0,
+    bestPeakMarketCap: parseFloat(row.best_peak_market_cap) || 0,
+    devSoldCount: row.dev_sold_count || 0,
+    quickSellCount: row.quick_sell_count || 0,
+    quickSellRate: parseFloat(row.quick_sell_rate) || 0,
+    fundingSource: row.funding_source || null,
+    fundingTxHash: row.funding_tx_hash || null,
+    fundedAt: row.funded_at || null,
+    firstLaunchAt: row.first_launch_at || null,
+    lastLaunchAt: row.last_launch_at || null,
+    reputationScore: row.reputation_score ?? null,
+    updatedAt: row.profile_updated_at || null
+  };
+}
+
+/**
+ * Get a deployer's stored profile (null if it hasn't been built yet)
+ */
+export async function getDeployerProfile(deployerAddress) {
+  if (!supabase) {
+    const { getDeployerProfile: getJSON } = await import('./storage.js');
+    return getJSON(deployerAddress);
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('deployer_profiles')
+      .select('*')
+      .eq('deployer_address', deployerAddress.toLowerCase())
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error getting deployer profile from Supabase:', error);
+      return null;
+    }
+    return data ? dbToProfile(data) : null;
+  } catch (error) {
+    console.error('Error getting deployer profile from Supabase:', error);
+    return null;
+  }
+}
+
+const PROFILE_SORT_COLUMNS = {
+  reputation: 'reputation_score',
+  launches: 'total_launches',
+  recent: 'last_launch_at',
+  holders: 'avg_peak_holders',
+  marketCap: 'avg_peak_market_cap'
+};
+
+/**
+ * List deployer profiles
+ * since: only deployers who launched at or after this unix timestamp
+ * sort: reputation | launches | recent | holders | marketCap
+ */
+export async function getDeployerProfiles({ since, sort = 'recent', ascending = false, limit = 1000 } = {}) {
+  if (!supabase) {
+    const { getDeployerProfiles: getJSON } = await import('./storage.js');
+    return getJSON({ since, sort, ascending, limit });
+  }
+
+  try {
+    let query = supabase.from('deployer_profiles').select('*');
+    if (since !== undefined) query = query.gte('last_launch_at', since);
+
+    const { data, error } = await query
+      .order(PROFILE_SORT_COLUMNS[sort] || PROFILE_SORT_COLUMNS.recent, { ascending, nullsFirst: false })
+      .limit(Math.min(limit, PAGE_SIZE));
+
+    if (error) {
+      console.error('Error listing deployer profiles from Supabase:', error);
+      return [];
+    }
+    return data.map(dbToProfile);
+  } catch (error) {
+    console.error('Error listing deployer profiles from Supabase:', error);
+    return [];
+  }
+}
+
+/**
+ * Insert or replace a deployer profile
+ */
+export async function saveDeployerProfile(profile) {
+  if (!supabase) {
+    const { saveDeployerProfile: saveJSON } = await import('./storage.js');
+    return saveJSON(profile);
+  }
+
+  try {
+    const { error } = await supabase
+      .from('deployer_profiles')
+      .upsert(profileToDB(profile), { onConflict: 'deployer_address' });
+
+    if (error) {
+      console.error('Error saving deployer profile to Supabase:', error);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('Error saving deployer profile to Supabase:', error);
+    return false;
+  }
+}
+
+/**
+ * Convert webhook object to database format
+ */
+function webhookToDB(webhook) {
+  return {
+    ...(webhook.url !== undefined && { url: webhook.url }),
+    ...(webhook.secret !== undefined && { secret: webhook.secret }),
+    ...(webhook.events !== undefined && { events: webhook.events }),
+    ...(webhook.minDevBuy !== undefined && { min_dev_buy: webhook.minDevBuy }),
+    ...(webhook.holderThreshold !== undefined && { holder_threshold: webhook.holderThreshold }),
+    ...(webhook.runnerScoreThreshold !== undefined && { runner_score_threshold: webhook.runnerScoreThreshold }),
+    ...(webhook.description !== undefined && { description: webhook.description }),
+    ...(webhook.active !== undefined && { active: webhook.active })
+  };
+}
+
+/**
+ * Convert database row to webhook object
+ */
+function dbToWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    secret: row.secret,
+    events: row.events || [],
+    minDevBuy: row.min_dev_buy != null ? parseFloat(row.min_dev_buy) : null,
+    holderThreshold: row.holder_threshold ?? null,
+    runnerScoreThreshold: row.runner_score_threshold != null ? parseFloat(row.runner_score_threshold) : null,
+    description: row.description || null,
+    active: row.active !== false,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * List webhooks (only active ones with activeOnly)
+ */
+export async function getWebhooks({ activeOnly = false } = {}) {
+  if (!supabase) {
+    const { getWebhooks: getJSON } = await import('./storage.js');
+    return getJSON({ activeOnly });
+  }
+
+  let query = supabase.from('webhooks').select('*');
+  if (activeOnly) query = query.eq('active', true);
+
+  const { data, error } = await query.order('id', { ascending: true });
+  if (error) {
+    throw new Error(`Error listing webhooks: ${error.message}`);
+  }
+  return data.map(dbToWebhook);
+}
+
+/**
+ * Get one webhook by id (null if it doesn't exist)
+ */
+export async function getWebhook(id) {
+  if (!supabase) {
+    const { getWebhook: getJSON } = await import('./storage.js');
+    return getJSON(id);
+  }
+
+  const { data, error } = await supabase
+    .from('webhooks')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Error getting webhook ${id}: ${error.message}`);
+  }
+  return data ? dbToWebhook(data) : null;
+}
+
+/**
+ * Register a webhook, returns it with its id
+ */
+export async function createWebhook(webhook) {
+  if (!supabase) {
+    const { createWebhook: createJSON } = await import('./storage.js');
+    return createJSON(webhook);
+  }
+
+  const { data, error } = await supabase
+    .from('webhooks')
+    .insert(webhookToDB(webhook))
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Error creating webhook: ${error.message}`);
+  }
+  return dbToWebhook(data);
+}
+
+/**
+ * Change a webhook's settings, returns the updated webhook (null if it doesn't exist)
+ */
+export async function updateWebhook(id, updates) {
+  if (!supabase) {
+    const { updateWebhook: updateJSON } = await import('./storage.js');
+    return updateJSON(id, updates);
+  }
+
+  const { data, error } = await supabase
+    .from('webhooks')
+    .update(webhookToDB(updates))
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Error updating webhook ${id}: ${error.message}`);
+  }
+  return data ? dbToWebhook(data) : null;
+}
+
+/**
+ * Remove a webhook and its delivery log
+ */
+export async function deleteWebhook(id) {
+  if (!supabase) {
+    const { deleteWebhook: deleteJSON } = await import('./storage.js');
+    return deleteJSON(id);
+  }
+
+  const { data, error } = await supabase
+    .from('webhooks')
+    .delete()
+    .eq('id', id)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Error deleting webhook ${id}: ${error.message}`);
+  }
+  return data.length > 0;
+}
+
+/**
+ * Convert database row to webhook delivery object
+ */
+function dbToDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts || 0,
+    nextAttemptAt: row.next_attempt_at,
+    responseStatus: row.response_status ?? null,
+    lastError: row.last_error || null,
+    deliveredAt: row.delivered_at || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Queue webhook deliveries (status pending, due at nextAttemptAt)
+ */
+export async function addWebhookDeliveries(deliveries) {
+  if (!supabase) {
+    const { addWebhookDeliveries: addJSON } = await import('./storage.js');
+    return addJSON(deliveries);
+  }
+
+  const { error } = await supabase
+    .from('webhook_deliveries')
+    .insert(deliveries.map(d => ({
+      webhook_id: d.webhookId,
+      event_id: d.eventId,
+      event_type: d.eventType,
+      payload: d.payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: d.nextAttemptAt
+    })));
+
+  if (error) {
+    throw new Error(`Error queueing webhook deliveries: ${error.message}`);
+  }
+  return true;
+}
+
+/**
+ * Pending deliveries whose next attempt is due, oldest first
+ */
+export async function getDueWebhookDeliveries(now, limit = 50) {
+  if (!supabase) {
+    const { getDueWebhookDeliveries: getJSON } = await import('./storage.js');
+    return getJSON(now, limit);
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', now)
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Error loading due webhook deliveries: ${error.message}`);
+  }
+  return data.map(dbToDelivery);
+}
+
+/**
+ * Record the outcome of a delivery attempt
+ */
+export async function updateWebhookDelivery(id, updates) {
+  if (!supabase) {
+    const { updateWebhookDelivery: updateJSON } = await import('./storage.js');
+    return updateJSON(id, updates);
+  }
+
+  const dbUpdates = {};
+  if (updates.status !== undefined) dbUpdates.status = updates.status;
+  if (updates.attempts !== undefined) dbUpdates.attempts = updates.attempts;
+  if (updates.nextAttemptAt !== undefined) dbUpdates.next_attempt_at = updates.nextAttemptAt;
+  if (updates.responseStatus !== undefined) dbUpdates.response_status = updates.responseStatus;
+  if (updates.lastError !== undefined) dbUpdates.last_error = updates.lastError;
+  if (updates.deliveredAt !== undefined) dbUpdates.delivered_at = updates.deliveredAt;
+
+  const { error } = await supabase
+    .from('webhook_deliveries')
+    .update(dbUpdates)
+    .eq('id', id);
+
+  if (error) {
+    throw new Error(`Error updating webhook delivery ${id}: ${error.message}`);
+  }
+  return true;
+}
+
+/**
+ * A webhook's delivery log, newest first
+ */
+export async function getWebhookDeliveries(webhookId, limit = 50) {
+  if (!supabase) {
+    const { getWebhookDeliveries: getJSON } = await import('./storage.js');
+    return getJSON(webhookId, limit);
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*')
+    .eq('webhook_id', webhookId)
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Error loading deliveries for webhook ${webhookId}: ${error.message}`);
+  }
+  return data.map(dbToDelivery);
+}
+
+/**
+ * Convert alert rule object to database format
+ */
+function alertRuleToDB(rule) {
+  return {
+    ...(rule.wallet !== undefined && { wallet: rule.wallet }),
+    ...(rule.name !== undefined && { name: rule.name }),
+    ...(rule.minDevBuy !== undefined && { min_dev_buy: rule.minDevBuy }),
+    ...(rule.minHolders !== undefined && { min_holders: rule.minHolders }),
+    ...(rule.minMarketCap !== undefined && { min_market_cap: rule.minMarketCap }),
+    ...(rule.minVolume !== undefined && { min_volume: rule.minVolume }),
+    ...(rule.volumeWindow !== undefined && { volume_window: rule.volumeWindow }),
+    ...(rule.minDeployerScore !== undefined && { min_deployer_score: rule.minDeployerScore }),
+    ...(rule.keywords !== undefined && { keywords: rule.keywords }),
+    ...(rule.active !== undefined && { active: rule.active })
+  };
+}
+
+const numericOrNull = (value) => (value != null ? parseFloat(value) : null);
+
+/**
+ * Convert database row to alert rule object
+ */
+function dbToAlertRule(row) {
+  return {
+    id: row.id,
+    wallet: row.wallet,
+    name: row.name,
+    minDevBuy: numericOrNull(row.min_dev_buy),
+    minHolders: row.min_holders ?? null,
+    minMarketCap: numericOrNull(row.min_market_cap),
+    minVolume: numericOrNull(row.min_volume),
+    volumeWindow: row.volume_window || '24h',
+    minDeployerScore: row.min_deployer_score ?? null,
+    keywords: row.keywords || [],
+    active: row.active !== false,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * List alert rules, for one wallet or (with no wallet) everyone's
+ */
+export async function getAlertRules({ wallet, activeOnly = false } = {}) {
+  if (!supabase) {
+    const { getAlertRules: getJSON } = await import('./storage.js');
+    return getJSON({ wallet, activeOnly });
+  }
+
+  let query = supabase.from('alert_rules').select('*');
+  if (wallet) query = query.eq('wallet', wallet.toLowerCase());
+  if (activeOnly) query = query.eq('active', true);
+
+  const { data, error } = await query.order('id', { ascending: true });
+  if (error) {
+    throw new Error(`Error listing alert rules: ${error.message}`);
+  }
+  return data.map(dbToAlertRule);
+}
+
+/**
+ * Get one alert rule by id (null if it doesn't exist)
+ */
+export async function getAlertRule(id) {
+  if (!supabase) {
+    const { getAlertRule: getJSON } = await import('./storage.js');
+    return getJSON(id);
+  }
+
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Error getting alert rule ${id}: ${error.message}`);
+  }
+  return data ? dbToAlertRule(data) : null;
+}
+
+/**
+ * Save a new alert rule, returns it with its id
+ */
+export async function createAlertRule(rule) {
+  if (!supabase) {
+    const { createAlertRule: createJSON } = await import('./storage.js');
+    return createJSON(rule);
+  }
+
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .insert(alertRuleToDB({ ...rule, wallet: rule.wallet.toLowerCase() }))
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Error creating alert rule: ${error.message}`);
+  }
+  return dbToAlertRule(data);
+}
+
+/**
+ * Change an alert rule, returns the updated rule (null if it doesn't exist)
+ */
+export async function updateAlertRule(id, updates) {
+  if (!supabase) {
+    const { updateAlertRule: updateJSON } = await import('./storage.js');
+    return updateJSON(id, updates);
+  }
+
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .update(alertRuleToDB(updates))
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Error updating alert rule ${id}: ${error.message}`);
+  }
+  return data ? dbToAlertRule(data) : null;
+}
+
+/**
+ * Remove an alert rule and its matches
+ */
+export async function deleteAlertRule(id) {
+  if (!supabase) {
+    const { deleteAlertRule: deleteJSON } = await import('./storage.js');
+    return deleteJSON(id);
+  }
+
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .delete()
+    .eq('id', id)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Error deleting alert rule ${id}: ${error.message}`);
+  }
+  return data.length > 0;
+}
+
+/**
+ * Convert database row to alert match object
+ */
+function dbToAlertMatch(row) {
+  return {
+    id: row.id,
+    ruleId: row.rule_id,
+    wallet: row.wallet,
+    ruleName: row.rule_name,
+    txHash: row.tx_hash,
+    tokenAddress: row.token_address || null,
+    tokenName: row.token_name || null,
+    tokenSymbol: row.token_symbol || null,
+    eventType: row.event_type,
+    snapshot: row.snapshot || {},
+    matchedAt: row.matched_at
+  };
+}
+
+/**
+ * Record that a token met a rule, returns the match (null if it was already recorded)
+ */
+export async function addAlertMatch(match) {
+  if (!supabase) {
+    const { addAlertMatch: addJSON } = await import('./storage.js');
+    return addJSON(match);
+  }
+
+  const { data, error } = await supabase
+    .from('alert_matches')
+    .upsert({
+      rule_id: match.ruleId,
+      wallet: match.wallet.toLowerCase(),
+      rule_name: match.ruleName,
+      tx_hash: match.txHash,
+      token_address: match.tokenAddress,
+      token_name: match.tokenName,
+      token_symbol: match.tokenSymbol,
+      event_type: match.eventType,
+      snapshot: match.snapshot,
+      matched_at: match.matchedAt
+    }, { onConflict: 'rule_id,tx_hash', ignoreDuplicates: true })
+    .select();
+
+  if (error) {
+    throw new Error(`Error saving alert match: ${error.message}`);
+  }
+  return data.length > 0 ? dbToAlertMatch(data[0]) : null;
+}
+
+/**
+ * A wallet's matches newer than id `after`, newest first
+ */
+export async function getAlertMatches(wallet, { after = 0, limit = 50 } = {}) {
+  if (!supabase) {
+    const { getAlertMatches: getJSON } = await import('./storage.js');
+    return getJSON(wallet, { after, limit });
+  }
+
+  const { data, error } = await supabase
+    .from('alert_matches')
+    .select('*')
+    .eq('wallet', wallet.toLowerCase())
+    .gt('id', after)
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Error loading alert matches: ${error.message}`);
+  }
+  return data.map(dbToAlertMatch);
+}
+
+/**
+ * Stored access tier configuration (null until an admin saves one)
+ */
+export async function getAccessConfig() {
+  if (!supabase) {
+    const { getAccessConfig: getJSON } = await import('./storage.js');
+    return getJSON();
+  }
+
+  const { data, error } = await supabase
+    .from('access_config')
+    .select('*')
+    .eq('id', 1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Error loading access config: ${error.message}`);
+  }
+  return data ? { ...data.config, updatedAt: data.updated_at } : null;
+}
+
+/**
+ * Replace the access tier configuration
+ */
+export async function saveAccessConfig(config) {
+  if (!supabase) {
+    const { saveAccessConfig: saveJSON } = await import('./storage.js');
+    return saveJSON(config);
+  }
+
+  const { data, error } = await supabase
+    .from('access_config')
+    .upsert({ id: 1, config, updated_at: new Date().toISOString() }, { onConflict: 'id' })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Error saving access config: ${error.message}`);
+  }
+  return { ...data.config, updatedAt: data.updated_at };
+}
+
+/**
+ * Mark a sign-in nonce as used, returns false if it already was
+ * Rows past their expiry are cleared first (an expired nonce is refused anyway).
+ */
+export async function consumeAuthNonce(nonce, expiresAt) {
+  if (!supabase) {
+    const { consumeAuthNonce: consumeJSON } = await import('./storage.js');
+    return consumeJSON(nonce, expiresAt);
+  }
+
+  const { error: cleanupError } = await supabase
+    .from('auth_nonces')
+    .delete()
+    .lt('expires_at', new Date().toISOString());
+  if (cleanupError) {
+    console.error('Error clearing expired nonces:', cleanupError.message);
+  }
+
+  const { data, error } = await supabase
+    .from('auth_nonces')
+    .upsert({ nonce, expires_at: new Date(expiresAt * 1000).toISOString() }, { onConflict: 'nonce', ignoreDuplicates: true })
+    .select();
+
+  if (error) {
+    throw new Error(`Error saving nonce: ${error.message}`);
+  }
+  return data.length > 0;
+}
+
+/**
+ * Convert database row to message object
+ */
+function dbToMessage(row) {
+  return {
+    id: row.id,
+    senderAddress: row.sender_address,
+    senderEns: row.sender_ens || null,
+    message: row.message,
+    paymentTxHash: row.payment_tx_hash,
+    paymentAmountEth: parseFloat(row.payment_amount_eth) || 0,
+    paymentAmountUsd: numericOrNull(row.payment_amount_usd),
+    status: row.status,
+    rejectionReason: row.rejection_reason || null,
+    verifiedAt: row.verified_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Save a new paid message, returns it with its id (null if the payment tx was already used)
+ */
+export async function addMessage(message) {
+  if (!supabase) {
+    const { addMessage: addJSON } = await import('./storage.js');
+    return addJSON(message);
+  }
+
+  const { data, error } = await supabase
+    .from('messages')
+    .upsert({
+      sender_address: message.senderAddress.toLowerCase(),
+      message: message.message,
+      payment_tx_hash: message.paymentTxHash.toLowerCase(),
+      payment_amount_eth: message.paymentAmountEth || 0,
+      status: 'pending'
+    }, { onConflict: 'payment_tx_hash', ignoreDuplicates: true })
+    .select();
+
+  if (error) {
+    throw new Error(`Error saving message: ${error.message}`);
+  }
+  return data.length > 0 ? dbToMessage(data[0]) : null;
+}
+
+/**
+ * Messages newest first, optionally only one status
+ */
+export async function getMessages({ status, limit = 50 } = {}) {
+  if (!supabase) {
+    const { getMessages: getJSON } = await import('./storage.js');
+    return getJSON({ status, limit });
+  }
+
+  let query = supabase.from('messages').select('*');
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query.order('id', { ascending: false }).limit(limit);
+  if (error) {
+    throw new Error(`Error listing messages: ${error.message}`);
+  }
+  return data.map(dbToMessage);
+}
+
+/**
+ * Get a message by its payment tx hash (null if there isn't one)
+ */
+export async function getMessageByTxHash(paymentTxHash) {
+  if (!supabase) {
+    const { getMessageByTxHash: getJSON } = await import('./storage.js');
+    return getJSON(paymentTxHash);
+  }
+
+  const { data, error } = await supabase
+    .from('messages')
+    .select('*')
+    .eq('payment_tx_hash', paymentTxHash.toLowerCase())
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Error getting message for ${paymentTxHash}: ${error.message}`);
+  }
+  return data ? dbToMessage(data) : null;
+}
+
+/**
+ * Change a message, returns the updated message (null if it doesn't exist)
+ */
+export async function updateMessage(id, updates) {
+  if (!supabase) {
+    const { updateMessage: updateJSON } = await import('./storage.js');
+    return updateJSON(id, updates);
+  }
+
+  const { data, error } = await supabase
+    .from('messages')
+    .update({
+      ...(updates.senderAddress !== undefined && { sender_address: updates.senderAddress.toLowerCase() }),
+      ...(updates.message !== undefined && { message: updates.message }),
+      ...(updates.createdAt !== undefined && { created_at: updates.createdAt }),
+      ...(updates.status !== undefined && { status: updates.status }),
+      ...(updates.senderEns !== undefined && { sender_ens: updates.senderEns }),
+      ...(updates.paymentAmountEth !== undefined && { payment_amount_eth: updates.paymentAmountEth }),
+      ...(updates.rejectionReason !== undefined && { rejection_reason: updates.rejectionReason }),
+      ...(updates.verifiedAt !== undefined && { verified_at: updates.verifiedAt })
+    })
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    throw new Error(`Error updating message ${id}: ${error.message}`);
+  }
+  return data.length > 0 ? dbToMessage(data[0]) : null;
+}
+
 /**
  * Migrate existing JSON data to Supabase
  */
@@ -0,0 +1,151 @@
+import { ethers } from 'ethers';
+import { getSwapCursor, saveTokenSwaps, getTokenSwaps } from './supabase-storage.js';
+import { updateCandles } from './candles.js';
+
+// Uniswap v4 PoolManager on Base - every Fey pool lives in it, identified by poolId
+export const POOL_MANAGER_ADDRESS = process.env.POOL_MANAGER_ADDRESS || '0x498581fF718922c3f8e6A244956aF099B2652b2b';
+
+export const SWAP_EVENT = 'event Swap(bytes32 indexed id, address indexed sender, int128 amount0, int128 amount1, ' +
+  'uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint24 fee)';
+
+const poolManagerInterface = new ethers.Interface([SWAP_EVENT]);
+
+export const SWAP_TOPIC = poolManagerInterface.getEvent('Swap').topicHash;
+
+// Base produces a block every 2 seconds, so a block's age follows from its number
+const BASE_BLOCK_TIME = 2;
+
+export const VOLUME_WINDOWS = {
+  '1h': 3600,
+  '6h': 21600,
+  '24h': 86400,
+  '7d': 604800
+};
+
+/**
+ * Decode a pool Swap log from the token's point of view
+ * Amounts are swapper deltas: positive means the swapper received that currency.
+ * Fey tokens and the paired token (WETH) both use 18 decimals.
+ * Returns { txHash, logIndex, blockNumber, side, tokenAmount, pairedAmount, price } or null
+ */
+export function decodeSwapLog(log, tokenAddress, pairedToken) {
+  try {
+    const parsed = poolManagerInterface.parseLog({ topics: [...log.topics], data: log.data });
+    if (!parsed) return null;
+
+    // v4 sorts pool currencies by address
+    const tokenIsCurrency0 = BigInt(tokenAddress) < BigInt(pairedToken);
+    const tokenDelta = tokenIsCurrency0 ? parsed.args.amount0 : parsed.args.amount1;
+    const pairedDelta = tokenIsCurrency0 ? parsed.args.amount1 : parsed.args.amount0;
+    if (tokenDelta === 0n || pairedDelta === 0n) return null;
+
+    const abs = (value) => (value < 0n ? -value : value);
+
+    // sqrtPriceX96 is the post-swap price of currency0 in currency1
+    const sqrtPrice = Number(parsed.args.sqrtPriceX96) / 2 ** 96;
+    const price0In1 = sqrtPrice * sqrtPrice;
+    const price = tokenIsCurrency0 ? price0In1 : (price0In1 > 0 ? 1 / price0In1 : 0);
+
+    return {
+      txHash: log.transactionHash,
+      logIndex: log.index ?? log.logIndex,
+      blockNumber: log.blockNumber,
+      side: tokenDelta > 0n ? 'buy' : 'sell',
+      tokenAmount: parseFloat(ethers.formatEther(abs(tokenDelta))),
+      pairedAmount: parseFloat(ethers.formatEther(abs(pairedDelta))),
+      price
+    };
+  } catch (error) {
+    console.error(`  ⚠️  Could not decode Swap log in ${log.transactionHash}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Bring a token's stored swaps forward from its cursor towards toBlock
+ * Scans at most maxBlocks per call so old tokens catch up over several cycles.
+ *
+ * getLogs(filter, fromBlock, toBlock) is the monitor's pooled getLogs,
+ * getTransaction(txHash) resolves the trader (the pool only sees the router).
+ * refBlock / refTimestamp anchor block timestamps.
+ * Returns { lastBlock, caughtUp, added }
+ */
+export async function syncTokenSwaps(deployment, toBlock, { getLogs, getTransaction, refBlock, refTimestamp, maxBlocks = 2000 }) {
+  const { tokenAddress, poolId, pairedToken } = deployment;
+  const cursor = await getSwapCursor(tokenAddress);
+  const startBlock = cursor !== null ? cursor + 1 : deployment.blockNumber;
+
+  if (startBlock > toBlock) {
+    return { lastBlock: startBlock - 1, caughtUp: cursor !== null, added: 0 };
+  }
+
+  const endBlock = Math.min(toBlock, startBlock + maxBlocks - 1);
+  const logs = await getLogs({ address: POOL_MANAGER_ADDRESS, topics: [SWAP_TOPIC, poolId] }, startBlock, endBlock);
+
+  const traders = new Map();
+  const swaps = [];
+  for (const log of logs) {
+    const swap = decodeSwapLog(log, tokenAddress, pairedToken);
+    if (!swap) continue;
+
+    if (!traders.has(swap.txHash)) {
+      const tx = await getTransaction(swap.txHash);
+      traders.set(swap.txHash, tx?.from ? tx.from.toLowerCase() : null);
+    }
+
+    swaps.push({
+      ...swap,
+      trader: traders.get(swap.txHash),
+      timestamp: refTimestamp - (refBlock - swap.blockNumber) * BASE_BLOCK_TIME
+    });
+  }
+
+  // Candles first, so if either write fails the cursor stays put and the range is re-scanned
+  await updateCandles(tokenAddress, swaps);
+  await saveTokenSwaps(tokenAddress, swaps, endBlock);
+
+  return { lastBlock: endBlock, caughtUp: endBlock >= toBlock, added: swaps.length };
+}
+
+/**
+ * Aggregate swaps into per-window stats
+ * Returns { windows: { '1h': { volume, buyVolume, sellVolume, trades, buys, sells, uniqueTraders }, ... }, lastPrice }
+ */
+export function aggregateSwapStats(swaps, now) {
+  const windows = {};
+  for (const [name, seconds] of Object.entries(VOLUME_WINDOWS)) {
+    const since = now - seconds;
+    const stats = { volume: 0, buyVolume: 0, sellVolume: 0, trades: 0, buys: 0, sells: 0, uniqueTraders: 0 };
+    const traders = new Set();
+
+    for (const swap of swaps) {
+      if (swap.timestamp < since) continue;
+      stats.trades++;
+      stats.volume += swap.pairedAmount;
+      if (swap.side === 'buy') {
+        stats.buys++;
+        stats.buyVolume += swap.pairedAmount;
+      } else {
+        stats.sells++;
+        stats.sellVolume += swap.pairedAmount;
+      }
+      if (swap.trader) traders.add(swap.trader);
+    }
+
+    stats.uniqueTraders = traders.size;
+    windows[name] = stats;
+  }
+
+  // Swaps come back in chain order, the last one carries the current pool price
+  const lastPrice = swaps.length > 0 ? swaps[swaps.length - 1].price : null;
+
+  return { windows, lastPrice };
+}
+
+/**
+ * Load the last 7 days of a token's swaps and aggregate them
+ */
+export async function getSwapStats(tokenAddress, now) {
+  const swaps = await getTokenSwaps(tokenAddress, now - VOLUME_WINDOWS['7d']);
+  return aggregateSwapStats(swaps, now);
+}
@@ -0,0 +1,74 @@
+import { ethers } from 'ethers';
+
+/**
+ * Fey Factory TokenCreated event
+ * Based on FEY docs: https://feydocs.lat/contracts/factory
+ * topics[1..3] = msgSender, tokenAddress, tokenAdmin (indexed), everything else is ABI-encoded in data
+ */
+export const TOKEN_CREATED_EVENT = 'event TokenCreated(' +
+  'address indexed msgSender, address indexed tokenAddress, address indexed tokenAdmin, ' +
+  'string tokenMetadata, string tokenImage, string tokenName, string tokenSymbol, string tokenContext, ' +
+  'address poolHook, bytes32 poolId, int24 startingTick, address pairedToken, address locker, ' +
+  'address mevModule, uint256 extensionsSupply, address[] extensions)';
+
+const factoryInterface = new ethers.Interface([TOKEN_CREATED_EVENT]);
+
+export const TOKEN_CREATED_TOPIC = factoryInterface.getEvent('TokenCreated').topicHash;
+
+/**
+ * Decode a TokenCreated log into plain deployment fields
+ * Returns null if the log is not a TokenCreated event or cannot be decoded
+ */
+export function decodeTokenCreatedLog(log) {
+  if (!log || !log.topics || log.topics[0] !== TOKEN_CREATED_TOPIC) {
+    return null;
+  }
+
+  try {
+    const parsed = factoryInterface.parseLog({ topics: [...log.topics], data: log.data });
+    if (!parsed) return null;
+
+    const args = parsed.args;
+    return {
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      logIndex: log.index ?? log.logIndex,
+      msgSender: args.msgSender,
+      tokenAddress: args.tokenAddress,
+      tokenAdmin: args.tokenAdmin,
+      tokenMetadata: args.tokenMetadata,
+      tokenImage: args.tokenImage,
+      tokenName: args.tokenName,
+      tokenSymbol: args.tokenSymbol,
+      tokenContext: args.tokenContext,
+      poolHook: args.poolHook,
+      poolId: args.poolId,
+      startingTick: Number(args.startingTick),
+      pairedToken: args.pairedToken,
+      locker: args.locker,
+      mevModule: args.mevModule,
+      // uint256 can exceed Number precision, keep as decimal string
+      extensionsSupply: args.extensionsSupply.toString(),
+      extensions: [...args.extensions]
+    };
+  } catch (error) {
+    console.error(`  ⚠️  Could not decode TokenCreated log in ${log.transactionHash}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Find and decode the TokenCreated event emitted by the factory in a transaction receipt
+ */
+export function findTokenCreatedEvent(receipt, factoryAddress) {
+  if (!receipt || !receipt.logs) return null;
+
+  const factory = factoryAddress.toLowerCase();
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() === factory && log.topics && log.topics[0] === TOKEN_CREATED_TOPIC) {
+      const decoded = decodeTokenCreatedLog(log);
+      if (decoded) return decoded;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,293 @@
+import crypto from 'crypto';
+import { monitorEvents } from './events.js';
+import { meteredFetch } from './metering.js';
+import {
+  getWebhooks,
+  addWebhookDeliveries,
+  getDueWebhookDeliveries,
+  updateWebhookDelivery
+} from './supabase-storage.js';
+
+// Events a webhook can subscribe to
+// - deployment.created: new launch (dev buy >= minDevBuy when set)
+// - holders.crossed: holder count rises to or past holderThreshold
+// - dev.sold: the deployer sold
+// - runner.crossed: runner score rises to or past runnerScoreThreshold
+export const WEBHOOK_EVENTS = ['deployment.created', 'holders.crossed', 'dev.sold', 'runner.crossed'];
+
+// Seconds to wait before each retry; a delivery fails for good after the last one
+const RETRY_DELAYS = [30, 120, 600, 3600, 21600];
+const DELIVERY_TIMEOUT = 10000;
+const DISPATCH_INTERVAL = 15000;
+const WEBHOOK_CACHE_TTL = 60000;
+
+let webhookCache = null;
+let webhookCacheAt = 0;
+let dispatchTimer = null;
+let dispatching = false;
+
+/**
+ * Drop the cached webhook list (call after webhooks are created, changed or removed)
+ */
+export function invalidateWebhookCache() {
+  webhookCache = null;
+}
+
+async function getActiveWebhooks() {
+  if (!webhookCache || Date.now() - webhookCacheAt > WEBHOOK_CACHE_TTL) {
+    webhookCache = await getWebhooks({ activeOnly: true });
+    webhookCacheAt = Date.now();
+  }
+  return webhookCache;
+}
+
+/**
+ * New random signing secret for a webhook
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Validate a create request body, or an update when the existing webhook is passed
+ * Returns { webhook } with only the accepted fields, or { error }
+ */
+export function validateWebhookInput(body, existing = null) {
+  const partial = existing !== null;
+  const webhook = {};
+
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(body.url);
+    } catch {
+      return { error: 'url must be a valid URL' };
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return { error: 'url must be http(s)' };
+    }
+    webhook.url = url.toString();
+  }
+
+  if (body.events !== undefined || !partial) {
+    if (!Array.isArray(body.events) || body.events.length === 0) {
+      return { error: `events must be a non-empty array of ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    const unknown = body.events.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0) {
+      return { error: `Unknown event(s): ${unknown.join(', ')}` };
+    }
+    webhook.events = [...new Set(body.events)];
+  }
+
+  for (const field of ['minDevBuy', 'holderThreshold', 'runnerScoreThreshold']) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && (!Number.isFinite(body[field]) || body[field] < 0)) {
+      return { error: `${field} must be a non-negative number or null` };
+    }
+    webhook[field] = body[field];
+  }
+
+  if (body.description !== undefined) {
+    webhook.description = body.description === null ? null : String(body.description).slice(0, 200);
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      return { error: 'active must be true or false' };
+    }
+    webhook.active = body.active;
+  }
+
+  // Threshold events need their threshold (checked on the webhook as it will be stored)
+  const merged = { ...existing, ...webhook };
+  if (merged.events.includes('holders.crossed') && merged.holderThreshold == null) {
+    return { error: 'holders.crossed requires holderThreshold' };
+  }
+  if (merged.events.includes('runner.crossed') && merged.runnerScoreThreshold == null) {
+    return { error: 'runner.crossed requires runnerScoreThreshold' };
+  }
+
+  return { webhook };
+}
+
+/**
+ * Webhook events a monitor event triggers for one subscription
+ */
+export function matchWebhookEvents(webhook, event) {
+  if (webhook.minDevBuy != null && event.token.devBuyAmount < webhook.minDevBuy) {
+    return [];
+  }
+
+  const matched = [];
+  const subscribed = (type) => webhook.events.includes(type);
+  const crossed = (previous, current, threshold) => previous < threshold && current >= threshold;
+
+  if (event.type === 'deployment.created' && subscribed('deployment.created')) {
+    matched.push('deployment.created');
+  }
+  if (event.type === 'dev.sold' && subscribed('dev.sold')) {
+    matched.push('dev.sold');
+  }
+  if (event.type === 'holders.updated' && subscribed('holders.crossed') && webhook.holderThreshold != null &&
+      crossed(event.data.previousHolderCount, event.data.holderCount, webhook.holderThreshold)) {
+    matched.push('holders.crossed');
+  }
+  if ((event.type === 'holders.updated' || event.type === 'volume.updated') && subscribed('runner.crossed') &&
+      webhook.runnerScoreThreshold != null && event.data.runnerScore !== undefined &&
+      crossed(event.data.previousRunnerScore, event.data.runnerScore, webhook.runnerScoreThreshold)) {
+    matched.push('runner.crossed');
+  }
+
+  return matched;
+}
+
+/**
+ * HMAC-SHA256 signature of `${timestamp}.${body}` (sent as X-FeyScan-Signature: sha256=<hex>)
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Queue deliveries for every webhook a monitor event triggers
+ */
+async function enqueueEvent(event) {
+  const webhooks = await getActiveWebhooks();
+  const now = Math.floor(Date.now() / 1000);
+  const deliveries = [];
+
+  for (const webhook of webhooks) {
+    for (const type of matchWebhookEvents(webhook, event)) {
+      deliveries.push({
+        webhookId: webhook.id,
+        eventId: event.id,
+        eventType: type,
+        payload: {
+          id: event.id,
+          type,
+          sourceEvent: event.type,
+          timestamp: event.timestamp,
+          token: event.token,
+          data: event.data
+        },
+        nextAttemptAt: now
+      });
+    }
+  }
+
+  if (deliveries.length > 0) {
+    await addWebhookDeliveries(deliveries);
+    processDueDeliveries();
+  }
+}
+
+/**
+ * POST one delivery to its webhook, returns { ok, status, error }
+ */
+async function sendDelivery(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT);
+
+  try {
+    const response = await meteredFetch('webhook', delivery.eventType, webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'FeyScan-Webhooks/1.0',
+        'X-FeyScan-Event': delivery.eventType,
+        'X-FeyScan-Delivery': String(delivery.id),
+        'X-FeyScan-Timestamp': String(timestamp),
+        'X-FeyScan-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`
+      },
+      body,
+      signal: controller.signal
+    });
+    return { ok: response.ok, status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+  } catch (error) {
+    return { ok: false, status: null, error: error.name === 'AbortError' ? 'Timed out' : error.message };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Attempt every due delivery once; failures are rescheduled with exponential backoff
+ */
+export async function processDueDeliveries() {
+  if (dispatching) return;
+  dispatching = true;
+
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    const due = await getDueWebhookDeliveries(now);
+    if (due.length === 0) return;
+
+    const webhooks = new Map((await getWebhooks()).map(w => [w.id, w]));
+
+    for (const delivery of due) {
+      const webhook = webhooks.get(delivery.webhookId);
+      const attempts = delivery.attempts + 1;
+
+      if (!webhook || !webhook.active) {
+        await updateWebhookDelivery(delivery.id, { status: 'failed', lastError: 'Webhook removed or disabled' });
+        continue;
+      }
+
+      const result = await sendDelivery(webhook, delivery);
+      if (result.ok) {
+        await updateWebhookDelivery(delivery.id, {
+          status: 'delivered',
+          attempts,
+          responseStatus: result.status,
+          lastError: null,
+          deliveredAt: Math.floor(Date.now() / 1000)
+        });
+        continue;
+      }
+
+      const retryDelay = RETRY_DELAYS[attempts - 1];
+      await updateWebhookDelivery(delivery.id, {
+        status: retryDelay === undefined ? 'failed' : 'pending',
+        attempts,
+        responseStatus: result.status,
+        lastError: result.error,
+        ...(retryDelay !== undefined && { nextAttemptAt: Math.floor(Date.now() / 1000) + retryDelay })
+      });
+      console.log(`  ⚠️  Webhook ${webhook.id} delivery ${delivery.id} failed (${result.error})${retryDelay === undefined ? ', giving up' : `, retrying in ${retryDelay}s`}`);
+    }
+  } catch (error) {
+    console.error('Error dispatching webhooks:', error.message);
+  } finally {
+    dispatching = false;
+  }
+}
+
+/**
+ * Queue deliveries for monitor events and keep retrying due ones
+ * Runs in the process that runs the monitor (events are in-process).
+ */
+export function startWebhookDispatcher() {
+  if (dispatchTimer) return;
+
+  monitorEvents.on('event', (event) => {
+    enqueueEvent(event).catch(error => {
+      console.error(`Error queueing webhooks for ${event.type}:`, error.message);
+    });
+  });
+
+  dispatchTimer = setInterval(processDueDeliveries, DISPATCH_INTERVAL);
+  console.log('🪝 Webhook dispatcher started');
+}
+
+/**
+ * Send a ping to one webhook right away (not logged, no retries)
+ */
+export async function sendTestWebhook(webhook) {
+  return sendDelivery(webhook, {
+    id: `test-${Date.now()}`,
+    eventType: 'ping',
+    payload: { id: `test-${Date.now()}`, type: 'ping', timestamp: Math.floor(Date.now() / 1000) }
+  });
+}
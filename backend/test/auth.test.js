@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL = '';
+process.env.AUTH_SECRET = 'test-secret';
+const { issueSessionToken, issueStreamTicket, verifySessionToken, verifyStreamTicket } = await import('../src/auth.js');
+
+const WALLET = '0xAbCdEf0000000000000000000000000000000001';
+
+test('stream tickets and session tokens only work for their own purpose', () => {
+  const { token } = issueSessionToken(WALLET);
+  const { ticket, expiresAt } = issueStreamTicket(WALLET);
+
+  assert.equal(verifySessionToken(token), WALLET.toLowerCase());
+  assert.equal(verifyStreamTicket(ticket), WALLET.toLowerCase());
+  assert.equal(verifySessionToken(ticket), null);
+  assert.equal(verifyStreamTicket(token), null);
+  assert.ok(expiresAt - Math.floor(Date.now() / 1000) <= 60);
+});
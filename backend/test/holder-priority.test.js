@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_HOLDER_PRIORITY,
+  loadHolderPriorityConfig,
+  rankHolderChecks,
+  scoreHolderPriority,
+  splitVolumeChecks
+} from '../src/holder-priority.js';
+
+const NOW = 1700000000;
+const POLL_INTERVAL = 90;
+
+// [seconds ago, holder count] pairs, oldest first
+const history = (...points) => points.map(([ago, count]) => ({ timestamp: NOW - ago, count }));
+
+const FIXTURES = [
+  // Launched two minutes ago, never checked
+  { deployment: { tokenAddress: 'fresh', timestamp: NOW - 120 }, recentVolume: 0 },
+  // Big, busy token checked a moment ago
+  {
+    deployment: {
+      tokenAddress: 'runner',
+      timestamp: NOW - 5400,
+      holderCount: 140,
+      marketCap: 120000,
+      volume24h: 3,
+      devBuyAmount: 0.5,
+      holderCountHistory: history([400, 100], [100, 140]),
+      lastHolderCheck: NOW - 100
+    },
+    recentVolume: 30
+  },
+  // Small token still gaining holders
+  {
+    deployment: {
+      tokenAddress: 'growing',
+      timestamp: NOW - 3000,
+      holderCount: 20,
+      holderCountHistory: history([900, 12], [700, 20]),
+      lastHolderCheck: NOW - 700
+    },
+    recentVolume: 8
+  },
+  // Day-old token with no movement, checked recently
+  {
+    deployment: {
+      tokenAddress: 'quiet',
+      timestamp: NOW - 86400,
+      holderCount: 3,
+      holderCountHistory: history([400, 3], [200, 3]),
+      lastHolderCheck: NOW - 200
+    },
+    recentVolume: 0
+  },
+  // No movement and not checked for a while
+  {
+    deployment: {
+      tokenAddress: 'stale',
+      timestamp: NOW - 40000,
+      holderCount: 8,
+      holderCountHistory: history([2000, 8], [1000, 8]),
+      lastHolderCheck: NOW - 1000
+    },
+    recentVolume: 0
+  }
+];
+
+const rank = (catchUpMode) => rankHolderChecks(FIXTURES, { now: NOW, catchUpMode, pollInterval: POLL_INTERVAL })
+  .map(entry => [entry.deployment.tokenAddress, entry.priority, entry.eligible]);
+
+test('normal mode puts active big tokens first and lets quiet ones sit out', () => {
+  assert.deepEqual(rank(false), [
+    ['runner', 22850, true],
+    ['fresh', 2500, true],
+    ['growing', 2255, true],
+    ['stale', -1870, false],
+    ['quiet', -9900, false]
+  ]);
+});
+
+test('catch-up mode works through never-checked tokens first', () => {
+  assert.deepEqual(rank(true), [
+    ['fresh', 51000, true],
+    ['runner', 22850, true],
+    ['growing', 22155, true],
+    ['stale', 18030, true],
+    ['quiet', 10000, false]
+  ]);
+});
+
+test('factors add up to the priority', () => {
+  for (const { deployment, recentVolume } of FIXTURES) {
+    const { priority, factors } = scoreHolderPriority(deployment, { recentVolume, now: NOW, pollInterval: POLL_INTERVAL });
+    assert.equal(priority, Object.values(factors).reduce((sum, points) => sum + points, 0));
+  }
+});
+
+test('partial overrides keep the sibling defaults', () => {
+  const config = loadHolderPriorityConfig({
+    HOLDER_PRIORITY_CONFIG: JSON.stringify({
+      dataState: { normal: { noData: 2000 } },
+      tier1Boost: { marketCap: [[50000, 8000]] },
+      chillSeconds: 600
+    })
+  });
+  assert.equal(config.dataState.normal.noData, 2000);
+  assert.equal(config.dataState.normal.stale, DEFAULT_HOLDER_PRIORITY.dataState.normal.stale);
+  assert.deepEqual(config.dataState.catchUp, DEFAULT_HOLDER_PRIORITY.dataState.catchUp);
+  assert.deepEqual(config.tier1Boost.marketCap, [[50000, 8000]]);
+  assert.deepEqual(config.tier1Boost.holders, DEFAULT_HOLDER_PRIORITY.tier1Boost.holders);
+  assert.equal(config.chillSeconds, 600);
+  assert.doesNotThrow(() => rankHolderChecks(FIXTURES, { now: NOW, catchUpMode: true, pollInterval: POLL_INTERVAL }, config));
+});
+
+test('malformed overrides fall back to the defaults', () => {
+  for (const overrides of [
+    { recentTransfers: 'lots' },
+    { recentTransfers: [[10]] },
+    { cooldown: [{ under: 300 }] },
+    { dataState: { normal: null } },
+    { chilSeconds: 600 },
+    [1, 2]
+  ]) {
+    assert.equal(loadHolderPriorityConfig({ HOLDER_PRIORITY_CONFIG: JSON.stringify(overrides) }), DEFAULT_HOLDER_PRIORITY);
+  }
+  assert.equal(loadHolderPriorityConfig({ HOLDER_PRIORITY_CONFIG: '{not json' }), DEFAULT_HOLDER_PRIORITY);
+});
+
+test('every candidate is ranked once, volume-checked or not', () => {
+  const candidates = Array.from({ length: 60 }, (_, i) => `token${i}`);
+  for (const [catchUpMode, checked] of [[false, 10], [true, 50]]) {
+    const { toCheck, unchecked } = splitVolumeChecks(candidates, { catchUpMode });
+    assert.equal(toCheck.length, checked);
+    assert.deepEqual([...toCheck, ...unchecked], candidates);
+  }
+});
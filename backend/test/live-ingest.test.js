@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocketServer } from 'ws';
+import { createLiveIngestor } from '../src/live-ingest.js';
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const TOPIC = `0x${'ab'.repeat(32)}`;
+const hex = (n) => `0x${n.toString(16)}`;
+
+/**
+ * Minimal eth_subscribe node on a local port
+ */
+async function startNode(head = 100) {
+  const wss = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+  await new Promise(resolve => wss.once('listening', resolve));
+  const node = { head, subscriptions: new Map(), connections: 0 };
+  let nextId = 1;
+
+  wss.on('connection', (socket) => {
+    node.connections++;
+    socket.on('message', (raw) => {
+      const { id, method, params } = JSON.parse(raw);
+      const reply = (result) => socket.send(JSON.stringify({ jsonrpc: '2.0', id, result }));
+
+      if (method === 'eth_chainId') return reply('0x2105');
+      if (method === 'eth_blockNumber') return reply(hex(node.head));
+      if (method === 'eth_unsubscribe') return reply(true);
+      if (method === 'eth_subscribe') {
+        const subscription = hex(nextId++);
+        node.subscriptions.set(subscription, { kind: params[0], socket });
+        return reply(subscription);
+      }
+      socket.send(JSON.stringify({ jsonrpc: '2.0', id, error: { code: -32601, message: `${method} not supported` } }));
+    });
+    socket.on('close', () => {
+      for (const [key, sub] of node.subscriptions) {
+        if (sub.socket === socket) node.subscriptions.delete(key);
+      }
+    });
+  });
+
+  const notify = (kind, result) => {
+    for (const [subscription, sub] of node.subscriptions) {
+      if (sub.kind !== kind) continue;
+      sub.socket.send(JSON.stringify({ jsonrpc: '2.0', method: 'eth_subscription', params: { subscription, result } }));
+    }
+  };
+
+  node.url = `ws://127.0.0.1:${wss.address().port}`;
+  node.pushHead = (number) => {
+    node.head = number;
+    notify('newHeads', { number: hex(number), hash: `0x${number.toString(16).padStart(64, '0')}` });
+  };
+  node.pushLog = (blockNumber) => notify('logs', {
+    address: TOKEN,
+    topics: [TOPIC],
+    data: '0x',
+    blockNumber: hex(blockNumber),
+    blockHash: `0x${'cd'.repeat(32)}`,
+    transactionHash: `0x${'ef'.repeat(32)}`,
+    transactionIndex: '0x0',
+    logIndex: '0x0',
+    removed: false
+  });
+  node.dropConnections = () => {
+    for (const client of wss.clients) client.terminate();
+  };
+  node.close = () => new Promise(resolve => {
+    node.dropConnections();
+    wss.close(resolve);
+  });
+  return node;
+}
+
+async function waitFor(check, what) {
+  const deadline = Date.now() + 5000;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function setup(node) {
+  const heads = [];
+  const logs = [];
+  const statuses = [];
+  const ingestor = createLiveIngestor({
+    url: node.url,
+    filter: { address: TOKEN, topics: [TOPIC] },
+    onLog: (log) => logs.push(log),
+    onHead: (blockNumber, { gap }) => heads.push([blockNumber, gap]),
+    onStatusChange: (status) => statuses.push(status),
+    reconnectDelay: 50
+  });
+  // Both subscriptions are up once the node knows about them
+  const subscribed = () => waitFor(() => ingestor.isConnected() && node.subscriptions.size === 2, 'subscriptions');
+  return { ingestor, heads, logs, statuses, subscribed };
+}
+
+test('streams heads and logs, flagging skipped heads as gaps', async () => {
+  const node = await startNode(100);
+  const { ingestor, heads, logs, statuses, subscribed } = setup(node);
+
+  try {
+    ingestor.start();
+    await subscribed();
+    node.pushHead(101);
+    node.pushLog(101);
+    node.pushHead(104);
+    await waitFor(() => heads.length === 3 && logs.length === 1, 'heads and logs');
+
+    assert.deepEqual(heads, [[100, true], [101, false], [104, true]]);
+    assert.equal(logs[0].address, TOKEN);
+    assert.equal(logs[0].blockNumber, 101);
+    assert.equal(ingestor.getStatus().lastHead, 104);
+  } finally {
+    await ingestor.stop();
+    await node.close();
+  }
+  assert.deepEqual(statuses, ['connecting', 'connected', 'stopped']);
+});
+
+test('reconnects after the socket drops and backfills from a gap head', async () => {
+  const node = await startNode(200);
+  const { ingestor, heads, statuses, subscribed } = setup(node);
+
+  try {
+    ingestor.start();
+    await subscribed();
+    node.head = 205;
+    node.dropConnections();
+    await waitFor(() => node.connections === 2, 'reconnect');
+    await subscribed();
+    node.pushHead(206);
+    await waitFor(() => heads.length === 3, 'heads');
+
+    assert.deepEqual(heads, [[200, true], [205, true], [206, false]]);
+  } finally {
+    await ingestor.stop();
+    await node.close();
+  }
+  assert.deepEqual(statuses, ['connecting', 'connected', 'disconnected', 'connecting', 'connected', 'stopped']);
+});
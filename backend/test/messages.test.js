@@ -0,0 +1,100 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Local JSON-RPC node that knows only the transactions in `transactions`
+const transactions = new Map();
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const requests = JSON.parse(body);
+    const answer = ({ id, method, params }) => ({
+      jsonrpc: '2.0',
+      id,
+      result: method === 'eth_getTransactionByHash' ? transactions.get(params[0]) ?? null : null
+    });
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+      .end(JSON.stringify(Array.isArray(requests) ? requests.map(answer) : answer(requests)));
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+// Run against the JSON fallback, keeping whatever local data was there
+process.env.SUPABASE_URL = '';
+process.env.RPC_PROVIDERS = JSON.stringify([{ name: 'local', url: `http://127.0.0.1:${server.address().port}` }]);
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../data');
+const MESSAGES_FILE = path.join(DATA_DIR, 'messages.json');
+const dataDirExisted = fs.existsSync(DATA_DIR);
+let saved = null;
+
+const { MESSAGE_PAYMENT_ADDRESS, submitMessage } = await import('../src/messages.js');
+
+const PAYER = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const txHash = (n) => `0x${String(n).padStart(64, '0')}`;
+
+// Unmined payment from `from` to the dev wallet
+const sendPayment = (hash, from) => transactions.set(hash, {
+  hash,
+  from,
+  to: MESSAGE_PAYMENT_ADDRESS,
+  value: '0x38d7ea4c68000', // 0.001 ETH
+  nonce: '0x0',
+  gas: '0x5208',
+  gasPrice: '0x3b9aca00',
+  input: '0x',
+  chainId: '0x2105',
+  type: '0x0',
+  blockHash: null,
+  blockNumber: null,
+  transactionIndex: null,
+  v: '0x1b',
+  r: `0x${'11'.repeat(32)}`,
+  s: `0x${'22'.repeat(32)}`
+});
+
+before(() => {
+  saved = fs.existsSync(MESSAGES_FILE) ? fs.readFileSync(MESSAGES_FILE, 'utf8') : null;
+  fs.rmSync(MESSAGES_FILE, { force: true });
+  mock.method(console, 'log', () => {});
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  if (saved === null) fs.rmSync(MESSAGES_FILE, { force: true });
+  else fs.writeFileSync(MESSAGES_FILE, saved, 'utf8');
+  if (!dataDirExisted) fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+test('a visible payment can only be claimed by the wallet that sent it', async () => {
+  sendPayment(txHash(1), PAYER);
+
+  assert.deepEqual(await submitMessage(OTHER, { message: 'mine now', paymentTxHash: txHash(1) }),
+    { status: 403, error: 'Payment was sent from a different wallet' });
+
+  const { message } = await submitMessage(PAYER, { message: 'gm', paymentTxHash: txHash(1) });
+  assert.equal(message.senderAddress, PAYER);
+  assert.equal(message.status, 'pending');
+
+  assert.equal((await submitMessage(PAYER, { message: 'again', paymentTxHash: txHash(1) })).status, 409);
+});
+
+test('the sender takes over a hash another wallet claimed before it was visible', async () => {
+  const early = await submitMessage(OTHER, { message: 'front-run', paymentTxHash: txHash(2) });
+  assert.equal(early.message.senderAddress, OTHER);
+
+  // Still not visible, so nobody can tell who paid yet
+  assert.equal((await submitMessage(PAYER, { message: 'gm', paymentTxHash: txHash(2) })).status, 409);
+
+  sendPayment(txHash(2), PAYER);
+  await new Promise(resolve => setTimeout(resolve, 300)); // ethers reuses identical requests for 250ms
+  const { message } = await submitMessage(PAYER, { message: 'gm', paymentTxHash: txHash(2) });
+  assert.equal(message.id, early.message.id);
+  assert.equal(message.senderAddress, PAYER);
+  assert.equal(message.message, 'gm');
+  assert.equal(message.status, 'pending');
+});
@@ -0,0 +1,100 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { dispatchAlert, loadNotifierChannels, matchAlert } from '../src/notifier.js';
+
+// Local stand-in for the Telegram API and Discord webhooks, answering with the queued
+// [status, body] replies and 200 once they run out
+const received = [];
+const replies = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ path: req.url, body: JSON.parse(body) });
+    const [status, reply] = replies.shift() ?? [200, { ok: true }];
+    res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(reply));
+  });
+});
+
+let baseUrl;
+
+// The retry and drop warnings are expected here
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  resolve();
+})));
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const channels = (...configs) => loadNotifierChannels({
+  NOTIFY_CHANNELS: JSON.stringify(configs),
+  TELEGRAM_BOT_TOKEN: '123:abc',
+  TELEGRAM_API_URL: baseUrl
+});
+
+const launch = (txHash, devBuyAmount) => ({
+  type: 'deployment.created',
+  timestamp: 1700000000,
+  token: { txHash, tokenAddress: '0x1111111111111111111111111111111111111111', tokenName: 'Test <Token>', tokenSymbol: 'TST', deployer: '0x2222222222222222222222222222222222222222', devBuyAmount },
+  data: {}
+});
+
+// Wait for every channel queue to be sent (or given up on)
+async function settle(list) {
+  const deadline = Date.now() + 5000;
+  while (list.some(c => c.queue.length > 0 || c.draining)) {
+    if (Date.now() > deadline) throw new Error('Notifier did not drain');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('alerts follow the channel rules', () => {
+  const [channel] = loadNotifierChannels({ DISCORD_WEBHOOK_URL: 'http://127.0.0.1/hook' });
+  assert.deepEqual(channel.alerts, ['high_dev_buy', 'dev_sold', 'hot_runner']);
+  assert.equal(matchAlert(channel, launch('0xa', 2)), 'high_dev_buy');
+  assert.equal(matchAlert(channel, launch('0xb', 0.1)), null);
+
+  const runner = (previousRunnerScore, runnerScore) => ({ type: 'volume.updated', token: {}, data: { previousRunnerScore, runnerScore } });
+  assert.equal(matchAlert(channel, runner(4, 6)), 'hot_runner');
+  assert.equal(matchAlert(channel, runner(6, 7)), null);
+  assert.deepEqual(loadNotifierChannels({ NOTIFY_CHANNELS: '[{"type":"telegram"}]' }), []);
+});
+
+test('telegram alerts are posted once per token as HTML', async () => {
+  received.length = 0;
+  const list = channels({ type: 'telegram', chatId: '-100123', alerts: ['launch', 'high_dev_buy'] });
+  dispatchAlert(list, launch('0xc', 1.5));
+  dispatchAlert(list, launch('0xc', 1.5));
+  await settle(list);
+
+  assert.equal(received.length, 1);
+  const [{ path, body }] = received;
+  assert.equal(path, '/bot123:abc/sendMessage');
+  assert.equal(body.chat_id, '-100123');
+  assert.equal(body.parse_mode, 'HTML');
+  assert.match(body.text, /^<b>💰 High dev buy: Test &lt;Token&gt; \(\$TST\)<\/b>/);
+});
+
+test('discord alerts wait out a 429 and retry server errors, but not client errors', async () => {
+  received.length = 0;
+  const list = channels({ type: 'discord', webhookUrl: `${baseUrl}/discord`, alerts: ['launch'], highDevBuy: 10 });
+  replies.push([429, { retry_after: 0.2 }], [500, {}], [200, {}], [400, {}]);
+  const started = Date.now();
+  dispatchAlert(list, launch('0xd', 0.5));
+  dispatchAlert(list, launch('0xe', 0.6));
+  await settle(list);
+
+  // 0xd: 429, 500, 200 - then 0xe: 400 and dropped
+  assert.ok(Date.now() - started >= 200);
+  assert.deepEqual(received.map(r => r.body.embeds[0].fields[0]), [
+    { name: 'Dev buy', value: '0.500 ETH', inline: true },
+    { name: 'Dev buy', value: '0.500 ETH', inline: true },
+    { name: 'Dev buy', value: '0.500 ETH', inline: true },
+    { name: 'Dev buy', value: '0.600 ETH', inline: true }
+  ]);
+  assert.equal(received[0].body.embeds[0].title, '🚀 New launch: Test <Token> ($TST)');
+});
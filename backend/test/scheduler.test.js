@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler, loadSchedulerOverrides, maxPriorityFor } from '../src/scheduler.js';
+
+// Scheduler with a clock the test moves by hand
+function setup({ state = null, overrides = {}, pressure = 0 } = {}) {
+  const clock = { now: 1000, pressure };
+  const scheduler = createScheduler({ state, overrides, now: () => clock.now, pressure: () => clock.pressure });
+  return { clock, scheduler };
+}
+
+test('jobs run when their interval has passed', async () => {
+  const { clock, scheduler } = setup();
+  const runs = [];
+  scheduler.register({ name: 'everyCycle', run: () => runs.push('everyCycle') });
+  scheduler.register({ name: 'slow', intervalSeconds: 600, run: () => runs.push('slow') });
+
+  assert.deepEqual(await scheduler.runDue(), ['everyCycle', 'slow']);
+  clock.now += 90;
+  assert.deepEqual(await scheduler.runDue(), ['everyCycle']);
+  clock.now += 600;
+  assert.deepEqual(await scheduler.runDue(), ['everyCycle', 'slow']);
+  assert.equal(runs.length, 5);
+});
+
+test('take hands out unseen keys first, then the longest overdue, within the budget', async () => {
+  const { clock, scheduler } = setup();
+  const taken = [];
+  scheduler.register({
+    name: 'tokens',
+    budget: 2,
+    run: ({ take, defer }) => {
+      const keys = take(['a', 'b', 'c', 'd']);
+      for (const key of keys) defer(key, 100);
+      taken.push(keys);
+      return keys.length;
+    }
+  });
+
+  await scheduler.runDue();
+  clock.now += 10;
+  await scheduler.runDue();
+  clock.now += 10;
+  await scheduler.runDue(); // nothing due yet
+  clock.now += 95;
+  await scheduler.runDue(); // a and b are due again (deferred first)
+
+  assert.deepEqual(taken, [['a', 'b'], ['c', 'd'], [], ['a', 'b']]);
+  assert.equal(scheduler.stats()[0].lastProcessed, 2);
+});
+
+test('a failing job is recorded and does not stop the others', async () => {
+  const { scheduler } = setup();
+  scheduler.register({ name: 'broken', run: () => { throw new Error('boom'); } });
+  scheduler.register({ name: 'fine', run: () => 1 });
+
+  assert.deepEqual(await scheduler.runDue(), ['broken', 'fine']);
+  const [broken, fine] = scheduler.stats();
+  assert.equal(broken.failures, 1);
+  assert.equal(broken.lastError, 'boom');
+  assert.equal(fine.failures, 0);
+});
+
+test('state survives a restart through toJSON', async () => {
+  const first = setup();
+  first.scheduler.register({ name: 'slow', intervalSeconds: 600, run: ({ defer }) => defer('a', 300) });
+  await first.scheduler.runDue();
+  const saved = JSON.parse(JSON.stringify(first.scheduler.toJSON()));
+
+  const second = setup({ state: saved });
+  let ran = false;
+  second.scheduler.register({ name: 'slow', intervalSeconds: 600, run: () => { ran = true; } });
+  second.clock.now += 100;
+  assert.deepEqual(await second.scheduler.runDue(), []);
+  assert.equal(ran, false);
+  assert.equal(second.scheduler.isDue('slow', 'a'), false);
+  second.clock.now += 500;
+  assert.deepEqual(await second.scheduler.runDue(), ['slow']);
+});
+
+test('overrides change settings and disable jobs', async () => {
+  const overrides = loadSchedulerOverrides({ SCHEDULER_JOBS: '{"a":{"intervalSeconds":60,"budget":2},"b":{"enabled":false}}' });
+  const { scheduler } = setup({ overrides });
+  scheduler.register({ name: 'a', intervalSeconds: 900, budget: 5, run: () => {} });
+  scheduler.register({ name: 'b', run: () => {} });
+
+  assert.deepEqual(await scheduler.runDue(), ['a']);
+  const [a, b] = scheduler.stats();
+  assert.equal(a.intervalSeconds, 60);
+  assert.equal(a.budget, 2);
+  assert.equal(b.enabled, false);
+  assert.deepEqual(loadSchedulerOverrides({ SCHEDULER_JOBS: 'not json' }), {});
+});
+
+test('lower-priority jobs are shed as the compute budget fills and stay due', async () => {
+  const { clock, scheduler } = setup();
+  for (const [name, priority] of [['p0', 0], ['p1', 1], ['p2', 2], ['p3', 3]]) {
+    scheduler.register({ name, priority, intervalSeconds: 600, run: () => {} });
+  }
+
+  clock.pressure = 1.2;
+  assert.deepEqual(await scheduler.runDue(), ['p0']);
+  clock.pressure = 0.8;
+  assert.deepEqual(await scheduler.runDue(), ['p1', 'p2']);
+  clock.pressure = 0;
+  assert.deepEqual(await scheduler.runDue(), ['p3']);
+
+  const p3 = scheduler.stats().find(job => job.name === 'p3');
+  assert.equal(p3.skipped, 2);
+  assert.deepEqual([0, 0.75, 0.9, 1].map(maxPriorityFor), [Infinity, 2, 1, 0]);
+});
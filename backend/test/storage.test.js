@@ -0,0 +1,51 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { queryDeployments, writeDeployments } from '../src/storage.js';
+
+// Keep whatever local data was there
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../data');
+const DATA_FILE = path.join(DATA_DIR, 'deployments.json');
+const dataDirExisted = fs.existsSync(DATA_DIR);
+let saved = null;
+
+const txHash = (n) => `0x${String(n).padStart(64, '0')}`;
+
+before(() => {
+  saved = fs.existsSync(DATA_FILE) ? fs.readFileSync(DATA_FILE, 'utf8') : null;
+  // Volumes never computed are missing or null, and 0 is a real value
+  writeDeployments({
+    deployments: [
+      { txHash: txHash(1), timestamp: 1, volume24h: 5 },
+      { txHash: txHash(2), timestamp: 2 },
+      { txHash: txHash(3), timestamp: 3, volume24h: 0 },
+      { txHash: txHash(4), timestamp: 4, volume24h: null },
+      { txHash: txHash(5), timestamp: 5, volume24h: 2 }
+    ]
+  });
+});
+
+after(() => {
+  if (saved === null) fs.rmSync(DATA_FILE, { force: true });
+  else fs.writeFileSync(DATA_FILE, saved, 'utf8');
+  if (!dataDirExisted) fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+// Follow the cursor two rows at a time
+function pageThrough(filters) {
+  const seen = [];
+  let after;
+  do {
+    const { deployments, next } = queryDeployments({ ...filters, limit: 2, after });
+    seen.push(...deployments.map(d => Number(d.txHash)));
+    after = next;
+  } while (after);
+  return seen;
+}
+
+test('missing sort values come last in both directions and are paged over', () => {
+  assert.deepEqual(pageThrough({ sort: 'volume24h' }), [1, 5, 3, 4, 2]);
+  assert.deepEqual(pageThrough({ sort: 'volume24h', ascending: true }), [3, 5, 1, 2, 4]);
+});
@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Run against the JSON fallback, keeping whatever local data was there
+process.env.SUPABASE_URL = '';
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../data');
+const DATA_FILES = ['webhooks.json', 'webhook-deliveries.json'].map(name => path.join(DATA_DIR, name));
+const saved = new Map();
+const dataDirExisted = fs.existsSync(DATA_DIR);
+
+const { createWebhook, addWebhookDeliveries, getWebhookDeliveries, updateWebhookDelivery } = await import('../src/supabase-storage.js');
+const { processDueDeliveries, signWebhookPayload } = await import('../src/webhooks.js');
+
+// Local receiver answering with the queued status codes, 200 once they run out
+const received = [];
+const statuses = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(statuses.shift() ?? 200).end();
+  });
+});
+
+let webhook;
+const now = () => Math.floor(Date.now() / 1000);
+
+before(async () => {
+  for (const file of DATA_FILES) {
+    saved.set(file, fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+    fs.rmSync(file, { force: true });
+  }
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  webhook = await createWebhook({
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    events: ['deployment.created'],
+    secret: 'whsec_test'
+  });
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  for (const [file, contents] of saved) {
+    if (contents === null) fs.rmSync(file, { force: true });
+    else fs.writeFileSync(file, contents, 'utf8');
+  }
+  if (!dataDirExisted) fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+async function queueDelivery(eventId) {
+  await addWebhookDeliveries([{
+    webhookId: webhook.id,
+    eventId,
+    eventType: 'deployment.created',
+    payload: { id: eventId, type: 'deployment.created' },
+    nextAttemptAt: now()
+  }]);
+  return (await getWebhookDeliveries(webhook.id))[0];
+}
+
+const reload = async (id) => (await getWebhookDeliveries(webhook.id)).find(d => d.id === id);
+
+test('a failed delivery is rescheduled with backoff and delivered on retry', async () => {
+  const { id } = await queueDelivery('evt-retry');
+  statuses.push(500);
+
+  await processDueDeliveries();
+  let delivery = await reload(id);
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.responseStatus, 500);
+  assert.equal(delivery.lastError, 'HTTP 500');
+  assert.ok(Math.abs(delivery.nextAttemptAt - (now() + 30)) <= 1);
+
+  // Not due yet, so nothing is sent
+  await processDueDeliveries();
+  assert.equal(received.length, 1);
+
+  await updateWebhookDelivery(id, { nextAttemptAt: now() });
+  await processDueDeliveries();
+  delivery = await reload(id);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.responseStatus, 200);
+  assert.equal(delivery.lastError, null);
+  assert.equal(received.length, 2);
+});
+
+test('deliveries are signed over the timestamp and body', async () => {
+  const { headers, body } = received.at(-1);
+  assert.equal(headers['x-feyscan-event'], 'deployment.created');
+  assert.deepEqual(JSON.parse(body), { id: 'evt-retry', type: 'deployment.created' });
+  assert.equal(
+    headers['x-feyscan-signature'],
+    `sha256=${signWebhookPayload('whsec_test', headers['x-feyscan-timestamp'], body)}`
+  );
+});
+
+test('a delivery fails for good after the last retry', async () => {
+  const { id } = await queueDelivery('evt-exhausted');
+  await updateWebhookDelivery(id, { attempts: 5 });
+  statuses.push(503);
+
+  await processDueDeliveries();
+  const delivery = await reload(id);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 6);
+  assert.equal(delivery.lastError, 'HTTP 503');
+});
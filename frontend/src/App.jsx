@@ -1,27 +1,121 @@
-import { useState, useEffect } from 'react';
-import { useAccount, useBalance } from 'wagmi';
+import { useState, useEffect, useRef } from 'react';
+import { useAccount, useBalance, useSignMessage } from 'wagmi';
 import { formatUnits } from 'viem';
 import TokenFeed from './components/TokenFeed';
+import TokenDetail from './components/TokenDetail';
+import DeployerProfile from './components/DeployerProfile';
 import WalletConnect from './components/WalletConnect';
 import MessageBoard from './components/MessageBoard';
-import { FEYSCAN_TOKEN_ADDRESS, REQUIRED_BALANCE, isWhitelisted } from './components/WalletConnect';
+import AlertRules from './components/AlertRules';
 import { getAllDeployments, getLatestDeployment, supabase } from './config/supabase.js';
+import { getStoredSession, clearSession, signIn, authFetch } from './config/session.js';
+import {
+  FEYSCAN_TOKEN_ADDRESS,
+  FEATURES,
+  DEFAULT_ACCESS_CONFIG,
+  fetchAccessConfig,
+  isWhitelisted,
+  getTierForBalance,
+  requiredBalanceFor,
+  formatTokenAmount
+} from './config/access.js';
 import './App.css';
 import feyLogo from '/FeyScanner.jpg';
 
+// Deep-linkable token page: /token/0x...
+const TOKEN_ROUTE = /^\/token\/(0x[0-9a-fA-F]{40})\/?$/;
+// Deployer reputation page: /deployer/0x...
+const DEPLOYER_ROUTE = /^\/deployer\/(0x[0-9a-fA-F]{40})\/?$/;
+
+// Full refresh interval; much slower while live updates are flowing (just to reconcile)
+const POLL_INTERVAL = 15000;
+const LIVE_POLL_INTERVAL = 120000;
+const STREAM_RETRY_DELAY = 5000;
+
 function App() {
   const [deployments, setDeployments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [dbStatus, setDbStatus] = useState('checking');
   const [showAbout, setShowAbout] = useState(false);
-  const [seenDeployments, setSeenDeployments] = useState(new Set());
+  const seenDeployments = useRef(new Set()); // txHashes already shown, so the chime only plays for new ones
   const [isMuted, setIsMuted] = useState(false);
+  const mutedRef = useRef(isMuted); // Read by long-lived subscription callbacks
+  const [isLive, setIsLive] = useState(false);
   const [isSupportExpanded, setIsSupportExpanded] = useState(false);
+  const [path, setPath] = useState(window.location.pathname);
   const { address, isConnected } = useAccount();
+  const { signMessageAsync } = useSignMessage();
+  const [session, setSession] = useState(() => getStoredSession(address));
+  const sessionRef = useRef(session); // Read by the polling interval
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const [serverAccess, setServerAccess] = useState(null); // Features the backend grants this session
+  const [accessConfig, setAccessConfig] = useState(DEFAULT_ACCESS_CONFIG);
 
   // Wagmi automatically handles account changes - no manual listeners needed
 
+  // Switching wallets switches sessions
+  useEffect(() => {
+    setSession(getStoredSession(address));
+  }, [address]);
+
+  useEffect(() => {
+    sessionRef.current = session;
+  }, [session]);
+
+  const handleSignIn = async () => {
+    setIsSigningIn(true);
+    try {
+      setSession(await signIn(address, signMessageAsync));
+    } catch (err) {
+      console.error('❌ Sign-in failed:', err.shortMessage || err.message);
+    } finally {
+      setIsSigningIn(false);
+    }
+  };
+
+  const handleSessionExpired = () => {
+    clearSession(address);
+    setSession(null);
+  };
+
+  // The backend checks the balance on-chain and decides what this session may see
+  useEffect(() => {
+    setServerAccess(null);
+    if (!session) return;
+    let cancelled = false;
+
+    authFetch(session, '/api/access')
+      .then(access => {
+        if (!cancelled) setServerAccess(access);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        if (err.status === 401) handleSessionExpired();
+        console.error('❌ Error checking access:', err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [session]);
+
+  // Keep the view in sync with browser back/forward
+  useEffect(() => {
+    const handlePopState = () => setPath(window.location.pathname);
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = (to) => {
+    window.history.pushState({}, '', to);
+    setPath(to);
+    window.scrollTo(0, 0);
+  };
+
+  const tokenRoute = path.match(TOKEN_ROUTE);
+  const deployerRoute = path.match(DEPLOYER_ROUTE);
+
   // Check token balance for gating
   const { data: tokenBalance } = useBalance({
     address: address,
@@ -32,23 +126,41 @@ function App() {
     },
   });
 
-  const isWhitelistedDev = address && isWhitelisted(address);
-  const hasEnoughTokens = tokenBalance && tokenBalance.value >= REQUIRED_BALANCE;
-  const hasAccess = isWhitelistedDev || hasEnoughTokens;
+  // Tiers come from the backend so admins can change them without a redeploy
+  useEffect(() => {
+    fetchAccessConfig()
+      .then(setAccessConfig)
+      .catch(err => console.error('❌ Error loading access tiers (using defaults):', err.message));
+  }, []);
 
-  // Different thresholds for different sections
-  const ALERTS_THRESHOLD = 25000000n; // 25M
-  const HOT_RUNNERS_THRESHOLD = 15000000n; // 15M
-  const NEWEST_5_THRESHOLD = 10000000n; // 10M
-  const ALL_DEPLOYMENTS_THRESHOLD = 5000000n; // 5M
+  // Tiers are in whole tokens; the balance comes in base units
+  const walletBalance = tokenBalance ? Number(formatUnits(tokenBalance.value, tokenBalance.decimals)) : 0;
+  const isWhitelistedDev = isWhitelisted(accessConfig, address);
+  const localTier = getTierForBalance(accessConfig, walletBalance);
+
+  // Once signed in, the backend's answer wins (it also counts NFT / LP holdings and decides what the API returns)
+  const features = serverAccess
+    ? serverAccess.features
+    : (isWhitelistedDev ? FEATURES : (localTier?.features || []));
+  const walletAccess = serverAccess
+    ? { whitelisted: serverAccess.whitelisted, tier: serverAccess.tier, balance: serverAccess.balance }
+    : { whitelisted: isWhitelistedDev, tier: localTier?.name || null, balance: walletBalance };
+  const hasEnoughTokens = !!walletAccess.tier;
+  const hasAccess = walletAccess.whitelisted || hasEnoughTokens;
+
+  const hasAlertsAccess = features.includes('alerts');
+  const hasHotRunnersAccess = features.includes('hotRunners');
+  const hasNewest5Access = features.includes('newest5');
+  const hasAllDeploymentsAccess = features.includes('allDeployments');
+  const canStream = !!serverAccess && serverAccess.features.includes('newest5');
+  const requiredBalances = Object.fromEntries(FEATURES.map(f => [f, requiredBalanceFor(accessConfig, f)]));
 
-  const hasAlertsAccess = isWhitelistedDev || (tokenBalance && tokenBalance.value >= ALERTS_THRESHOLD);
-  const hasHotRunnersAccess = isWhitelistedDev || (tokenBalance && tokenBalance.value >= HOT_RUNNERS_THRESHOLD);
-  const hasNewest5Access = isWhitelistedDev || (tokenBalance && tokenBalance.value >= NEWEST_5_THRESHOLD);
-  const hasAllDeploymentsAccess = isWhitelistedDev || (tokenBalance && tokenBalance.value >= ALL_DEPLOYMENTS_THRESHOLD);
+  useEffect(() => {
+    mutedRef.current = isMuted;
+  }, [isMuted]);
 
   const playDeploymentSound = () => {
-    if (isMuted) return;
+    if (mutedRef.current) return;
 
     try {
       const audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -88,14 +200,24 @@ function App() {
     }
   };
 
+  // Without Supabase (backend on JSON storage), or once signed in, the feed comes from the backend API
+  // The API only returns what the session's tier covers.
+  const fetchFromApi = async () => {
+    const currentSession = sessionRef.current;
+    const response = await fetch('/api/deployments?limit=1000', {
+      headers: currentSession ? { Authorization: `Bearer ${currentSession.token}` } : {}
+    });
+    if (!response.ok) {
+      throw new Error(`Backend returned HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    return data.deployments || [];
+  };
+
   const fetchDeployments = async () => {
     try {
-      if (!supabase) {
-        throw new Error('Supabase not configured. Please set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY');
-      }
-
       console.log('🔄 Fetching deployments from database...');
-      const newDeployments = await getAllDeployments();
+      const newDeployments = supabase && !sessionRef.current ? await getAllDeployments() : await fetchFromApi();
       console.log(`✅ Successfully loaded ${newDeployments.length} deployments`);
 
       if (newDeployments.length === 0) {
@@ -104,10 +226,10 @@ function App() {
 
       // Check for new deployments (not seen before)
       // Only check if we already have seen deployments (to avoid beeping on initial load)
-      if (seenDeployments.size > 0 && newDeployments.length > 0) {
+      if (seenDeployments.current.size > 0 && newDeployments.length > 0) {
         const newDeploymentHashes = new Set();
         newDeployments.forEach(deployment => {
-          if (deployment.txHash && !seenDeployments.has(deployment.txHash)) {
+          if (deployment.txHash && !seenDeployments.current.has(deployment.txHash)) {
             // New deployment detected!
             newDeploymentHashes.add(deployment.txHash);
           }
@@ -121,15 +243,10 @@ function App() {
       }
 
       // Update seen deployments AFTER checking for new ones
-      // Use functional update to ensure we're working with the latest state
-      setSeenDeployments(prevSeen => {
-        const newSeenSet = new Set(prevSeen);
-        newDeployments.forEach(deployment => {
-          if (deployment.txHash) {
-            newSeenSet.add(deployment.txHash);
-          }
-        });
-        return newSeenSet;
+      newDeployments.forEach(deployment => {
+        if (deployment.txHash) {
+          seenDeployments.current.add(deployment.txHash);
+        }
       });
 
       setDeployments(newDeployments);
@@ -152,7 +269,9 @@ function App() {
   const checkDbHealth = async () => {
     try {
       if (!supabase) {
-        setDbStatus('offline');
+        const response = await fetch('/api/health');
+        const health = response.ok ? await response.json() : null;
+        setDbStatus(health?.status === 'ok' ? 'online' : 'offline');
         return;
       }
 
@@ -184,22 +303,107 @@ function App() {
     // Initial fetch
     fetchDeployments();
 
-    // Poll every 15 seconds for live updates (reduced frequency to avoid excessive API calls)
-    const interval = setInterval(() => {
-      fetchDeployments();
-    }, 15000);
-
     // Check health every 30 seconds
     const healthInterval = setInterval(() => {
       checkDbHealth();
     }, 30000);
 
     return () => {
-      clearInterval(interval);
       clearInterval(healthInterval);
     };
   }, []);
 
+  // Signing in or out changes what the backend returns (the initial fetch is above)
+  const accessLoaded = useRef(false);
+  useEffect(() => {
+    if (!accessLoaded.current) {
+      accessLoaded.current = true;
+      return;
+    }
+    if (serverAccess || !session) fetchDeployments();
+  }, [serverAccess]);
+
+  // Full re-fetch as a fallback (and to reconcile anything missed while live)
+  useEffect(() => {
+    const interval = setInterval(() => {
+      fetchDeployments();
+    }, isLive ? LIVE_POLL_INTERVAL : POLL_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [isLive]);
+
+  // Patch single rows as the backend stores them instead of reloading the whole feed
+  useEffect(() => {
+    const applyInsert = (deployment) => {
+      if (!deployment.txHash || deployment.status === 'orphaned') return;
+      if (!seenDeployments.current.has(deployment.txHash)) {
+        seenDeployments.current.add(deployment.txHash);
+        console.log(`🔔 New deployment: ${deployment.tokenName || deployment.txHash}`);
+        playDeploymentSound();
+      }
+      setDeployments(prev => (prev.some(d => d.txHash === deployment.txHash) ? prev : [deployment, ...prev]));
+    };
+
+    const applyUpdate = (txHash, changes) => {
+      setDeployments(prev => {
+        // Reorged-out deployments leave the feed
+        if (changes.status === 'orphaned') {
+          return prev.filter(d => d.txHash !== txHash);
+        }
+        return prev.map(d => (d.txHash === txHash ? { ...d, ...changes } : d));
+      });
+    };
+
+    // The backend's Server-Sent Events stream needs a session with the Newest 5 tier. Without one the
+    // feed is polled - Supabase Realtime isn't used, the anon key only sees launches older than 5 minutes.
+    if (!canStream) {
+      setIsLive(false);
+      return undefined;
+    }
+
+    // EventSource can't send headers, so each connection is opened with a one-minute stream ticket
+    // (the session token stays out of the URL)
+    let source = null;
+    let retryTimer = null;
+    let closed = false;
+    const retry = () => {
+      if (!closed) retryTimer = setTimeout(open, STREAM_RETRY_DELAY);
+    };
+
+    const open = async () => {
+      try {
+        const { ticket } = await authFetch(session, '/api/auth/stream-ticket', { method: 'POST' });
+        if (closed) return;
+        source = new EventSource(`/api/deployments/stream?ticket=${encodeURIComponent(ticket)}`);
+      } catch (err) {
+        console.error('❌ Could not open the live stream:', err.message);
+        if (err.status !== 401) retry();
+        return;
+      }
+
+      source.onopen = () => setIsLive(true);
+      source.onerror = () => {
+        setIsLive(false);
+        // EventSource reconnects by itself, but once the ticket has expired the server refuses
+        // and it gives up - open a new stream with a fresh ticket
+        if (source.readyState === EventSource.CLOSED) retry();
+      };
+      source.addEventListener('insert', (e) => applyInsert(JSON.parse(e.data).deployment));
+      source.addEventListener('update', (e) => {
+        const { txHash, changes } = JSON.parse(e.data);
+        applyUpdate(txHash, changes);
+      });
+    };
+    open();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      source?.close();
+      setIsLive(false);
+    };
+  }, [session, canStream]);
+
   return (
     <div className="App">
       <header className="App-header">
@@ -211,9 +415,16 @@ function App() {
                     <div className={`status-indicator ${dbStatus}`} title={dbStatus === 'online' ? 'Database Online' : 'Database Offline'}>
                       <span className="status-dot"></span>
                       <span className="status-text">{dbStatus === 'online' ? 'Online' : dbStatus === 'offline' ? 'Offline' : 'Checking...'}</span>
+                      {isLive && <span className="live-badge" title="Receiving live updates">LIVE</span>}
+                      {supabase && !session && <span className="delayed-badge" title="Without a signed-in wallet the feed shows launches older than 5 minutes">5 MIN DELAY</span>}
                     </div>
                     <div className="wallet-connect-wrapper">
-                      <WalletConnect />
+                      <WalletConnect access={walletAccess} />
+                      {isConnected && address && !session && (
+                        <button className="sign-in-button" onClick={handleSignIn} disabled={isSigningIn} title="Sign a message so the backend can check your FeyScan balance">
+                          {isSigningIn ? 'Signing...' : '✍️ Sign in'}
+                        </button>
+                      )}
                     </div>
                   </div>
             <p className="subtitle">Live monitoring of token deployments on Base Network</p>
@@ -332,7 +543,12 @@ function App() {
                     </button>
                   </div>
                 </div>
-                <MessageBoard />
+                <MessageBoard
+                  session={session}
+                  onSignIn={handleSignIn}
+                  onSessionExpired={handleSessionExpired}
+                  isSigningIn={isSigningIn}
+                />
               </div>
             )}
           </div>
@@ -340,20 +556,53 @@ function App() {
       </header>
 
       <main className="App-main">
-        {loading && <div className="loading">Loading deployments...</div>}
-        {error && <div className="error">Error: {error}</div>}
-        {!loading && !error && (
-          <TokenFeed
-            deployments={deployments}
-            serverStatus={dbStatus}
-            hasEnoughTokens={hasEnoughTokens}
-            hasAccess={hasAccess}
-            hasAlertsAccess={hasAlertsAccess}
-            hasHotRunnersAccess={hasHotRunnersAccess}
-            hasNewest5Access={hasNewest5Access}
-            hasAllDeploymentsAccess={hasAllDeploymentsAccess}
-            onMuteChange={setIsMuted}
+        {tokenRoute ? (
+          <TokenDetail
+            address={tokenRoute[1]}
+            session={session}
+            onBack={() => navigate('/')}
+            onOpenDeployer={(deployerAddress) => navigate(`/deployer/${deployerAddress}`)}
+          />
+        ) : deployerRoute ? (
+          <DeployerProfile
+            address={deployerRoute[1]}
+            session={session}
+            onBack={() => navigate('/')}
+            onOpenToken={(tokenAddress) => navigate(`/token/${tokenAddress}`)}
           />
+        ) : (
+          <>
+            {loading && <div className="loading">Loading deployments...</div>}
+            {error && <div className="error">Error: {error}</div>}
+            {isConnected && address && (
+              <AlertRules
+                session={session}
+                onSignIn={handleSignIn}
+                onSessionExpired={handleSessionExpired}
+                isSigningIn={isSigningIn}
+                hasAlertsAccess={hasAlertsAccess}
+                requiredBalance={requiredBalances.alerts}
+                isMuted={isMuted}
+                onOpenToken={(tokenAddress) => navigate(`/token/${tokenAddress}`)}
+              />
+            )}
+            {!loading && !error && (
+              <TokenFeed
+                deployments={deployments}
+                serverStatus={dbStatus}
+                hasEnoughTokens={hasEnoughTokens}
+                hasAccess={hasAccess}
+                hasAlertsAccess={hasAlertsAccess}
+                hasHotRunnersAccess={hasHotRunnersAccess}
+                hasNewest5Access={hasNewest5Access}
+                hasAllDeploymentsAccess={hasAllDeploymentsAccess}
+                requiredBalances={requiredBalances}
+                session={session}
+                onMuteChange={setIsMuted}
+                onOpenToken={(tokenAddress) => navigate(`/token/${tokenAddress}`)}
+              />
+            )}
+          </>
         )}
       </main>
 
@@ -374,9 +623,10 @@ function App() {
                 <li>Live token deployment tracking</li>
                 <li>Holder count monitoring with trend indicators</li>
                 <li>Dev buy alerts (notifications for high dev buys &gt; 0.25 ETH)</li>
+                <li>Custom alert rules saved to your wallet (dev buy, holders, market cap, volume, deployer score, name keywords)</li>
                 <li>Priority-based holder checking (focuses on high-volume tokens)</li>
-                <li>Advanced filtering (hide zero dev buys, remove duplicates, filter serial deployers)</li>
-                <li>Token gating (requires 10M FeyScan tokens for premium features)</li>
+                <li>Advanced filtering (hide zero dev buys, remove duplicates, filter by deployer reputation)</li>
+                <li>Token gating ({accessConfig.tiers.map(t => `${t.name}: ${formatTokenAmount(t.requiredBalance)}`).join(', ')} FeyScan tokens)</li>
               </ul>
               <h3>Tech Stack</h3>
               <ul>
@@ -0,0 +1,273 @@
+import { useState, useEffect, useRef } from 'react';
+import { authFetch } from '../config/session.js';
+import { formatTokenAmount } from '../config/access.js';
+import './AlertRules.css';
+
+const MATCH_POLL_INTERVAL = 15000;
+
+const EMPTY_FORM = {
+  name: '',
+  minDevBuy: '',
+  minHolders: '',
+  minMarketCap: '',
+  minVolume: '',
+  volumeWindow: '24h',
+  minDeployerScore: '',
+  keywords: ''
+};
+
+const formatUsd = (value) => {
+  if (!value) return '-';
+  if (value >= 1000000) return `$${(value / 1000000).toFixed(2)}M`;
+  if (value >= 1000) return `$${(value / 1000).toFixed(1)}K`;
+  return `$${value.toFixed(0)}`;
+};
+
+/**
+ * One-line summary of a rule's conditions
+ */
+function describeRule(rule) {
+  const parts = [];
+  if (rule.minDevBuy != null) parts.push(`dev buy ≥ ${rule.minDevBuy} ETH`);
+  if (rule.minHolders != null) parts.push(`≥ ${rule.minHolders} holders`);
+  if (rule.minMarketCap != null) parts.push(`mcap ≥ ${formatUsd(rule.minMarketCap)}`);
+  if (rule.minVolume != null) parts.push(`${rule.volumeWindow} vol ≥ ${rule.minVolume} ETH`);
+  if (rule.minDeployerScore != null) parts.push(`deployer score ≥ ${rule.minDeployerScore}`);
+  if (rule.keywords.length > 0) parts.push(`name has ${rule.keywords.map(k => `"${k}"`).join(' or ')}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Form values -> API body (empty inputs clear the condition)
+ */
+function formToRule(form) {
+  const number = (value) => (value === '' ? null : parseFloat(value));
+  return {
+    name: form.name,
+    minDevBuy: number(form.minDevBuy),
+    minHolders: form.minHolders === '' ? null : parseInt(form.minHolders),
+    minMarketCap: number(form.minMarketCap),
+    minVolume: number(form.minVolume),
+    volumeWindow: form.volumeWindow,
+    minDeployerScore: form.minDeployerScore === '' ? null : parseInt(form.minDeployerScore),
+    keywords: form.keywords.split(',').map(k => k.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Saved alert rules for the connected wallet
+ * Rules live on the backend (signed in with the wallet), which records a match the first time
+ * a token meets a rule; matches are polled here and shown as browser notifications.
+ */
+function AlertRules({ session, onSignIn, onSessionExpired, isSigningIn, hasAlertsAccess, requiredBalance, isMuted, onOpenToken }) {
+  const [rules, setRules] = useState([]);
+  const [matches, setMatches] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showForm, setShowForm] = useState(false);
+  const [isExpanded, setIsExpanded] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const lastMatchId = useRef(null); // null until the first load, so old matches don't notify
+  const mutedRef = useRef(isMuted);
+
+  useEffect(() => {
+    mutedRef.current = isMuted;
+  }, [isMuted]);
+
+  const handleApiError = (err) => {
+    if (err.status === 401) {
+      onSessionExpired();
+    }
+    setError(err.message);
+  };
+
+  // Switching wallets (or signing out) switches sessions
+  useEffect(() => {
+    setRules([]);
+    setMatches([]);
+    setError(null);
+    lastMatchId.current = null;
+    if (!session) return;
+    let cancelled = false;
+
+    authFetch(session, '/api/alert-rules')
+      .then(data => {
+        if (!cancelled) setRules(data.rules);
+      })
+      .catch(handleApiError);
+
+    const pollMatches = async () => {
+      try {
+        const data = await authFetch(session, `/api/alert-rules/matches?after=${lastMatchId.current || 0}`);
+        if (cancelled || data.matches.length === 0) return;
+
+        if (lastMatchId.current !== null && !mutedRef.current && 'Notification' in window && Notification.permission === 'granted') {
+          data.matches.forEach(match => {
+            new Notification(`🎯 ${match.ruleName}`, {
+              body: `${match.tokenName || 'Unknown'}${match.tokenSymbol ? ` ($${match.tokenSymbol})` : ''} - ${match.snapshot.holderCount} holders, dev buy ${match.snapshot.devBuyAmount} ETH`
+            });
+          });
+        }
+
+        lastMatchId.current = Math.max(lastMatchId.current || 0, ...data.matches.map(m => m.id));
+        setMatches(prev => [...data.matches, ...prev].slice(0, 50));
+      } catch (err) {
+        if (!cancelled) handleApiError(err);
+      }
+    };
+
+    // Matches need the alerts tier (the backend answers 403 otherwise)
+    if (!hasAlertsAccess) {
+      return () => {
+        cancelled = true;
+      };
+    }
+
+    pollMatches();
+    const timer = setInterval(pollMatches, MATCH_POLL_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [session, hasAlertsAccess]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const { rule } = await authFetch(session, '/api/alert-rules', { method: 'POST', body: formToRule(form) });
+      setRules(prev => [...prev, rule]);
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleRule = async (rule) => {
+    try {
+      const { rule: updated } = await authFetch(session, `/api/alert-rules/${rule.id}`, { method: 'PATCH', body: { active: !rule.active } });
+      setRules(prev => prev.map(r => (r.id === rule.id ? updated : r)));
+    } catch (err) {
+      handleApiError(err);
+    }
+  };
+
+  const deleteRule = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"?`)) return;
+    try {
+      await authFetch(session, `/api/alert-rules/${rule.id}`, { method: 'DELETE' });
+      setRules(prev => prev.filter(r => r.id !== rule.id));
+      setMatches(prev => prev.filter(m => m.ruleId !== rule.id));
+    } catch (err) {
+      handleApiError(err);
+    }
+  };
+
+  const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <div className="alert-rules">
+      <div className="alert-rules-header clickable" onClick={() => setIsExpanded(!isExpanded)}>
+        <h2>🎯 My Alert Rules {rules.length > 0 && <span className="alert-rules-count">({rules.length})</span>}</h2>
+        <span className="expand-icon">{isExpanded ? '▼' : '▶'}</span>
+      </div>
+
+      {isExpanded && (
+        <div className="alert-rules-body">
+          {error && <div className="alert-rules-error">{error}</div>}
+
+          {!session ? (
+            <div className="alert-rules-signin">
+              <p>Sign a message with your wallet to save alert rules and get notified when a token matches.</p>
+              <button className="alert-rules-button" onClick={onSignIn} disabled={isSigningIn}>
+                {isSigningIn ? 'Waiting for signature...' : '✍️ Sign in with wallet'}
+              </button>
+            </div>
+          ) : (
+            <>
+              {!hasAlertsAccess && (
+                <p className="alert-rules-empty">Creating rules and receiving matches needs {formatTokenAmount(requiredBalance)} FeyScan tokens.</p>
+              )}
+              {rules.length === 0 && !showForm && <p className="alert-rules-empty">No rules yet.</p>}
+              <ul className="alert-rules-list">
+                {rules.map(rule => (
+                  <li key={rule.id} className={rule.active ? '' : 'inactive'}>
+                    <div>
+                      <strong>{rule.name}</strong>
+                      <span className="alert-rules-conditions">{describeRule(rule)}</span>
+                    </div>
+                    <div className="alert-rules-actions">
+                      <button onClick={() => toggleRule(rule)} title={rule.active ? 'Pause' : 'Resume'}>{rule.active ? '⏸' : '▶'}</button>
+                      <button onClick={() => deleteRule(rule)} title="Delete">✕</button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+
+              {showForm ? (
+                <form className="alert-rules-form" onSubmit={handleSave}>
+                  <label>Name<input type="text" value={form.name} onChange={updateField('name')} maxLength={60} required /></label>
+                  <label>Min dev buy (ETH)<input type="number" min="0" step="0.01" value={form.minDevBuy} onChange={updateField('minDevBuy')} /></label>
+                  <label>Min holders<input type="number" min="0" step="1" value={form.minHolders} onChange={updateField('minHolders')} /></label>
+                  <label>Min market cap ($)<input type="number" min="0" step="100" value={form.minMarketCap} onChange={updateField('minMarketCap')} /></label>
+                  <label>
+                    Min volume (ETH)
+                    <span className="alert-rules-volume">
+                      <input type="number" min="0" step="0.1" value={form.minVolume} onChange={updateField('minVolume')} />
+                      <select value={form.volumeWindow} onChange={updateField('volumeWindow')}>
+                        {['1h', '6h', '24h', '7d'].map(w => <option key={w} value={w}>{w}</option>)}
+                      </select>
+                    </span>
+                  </label>
+                  <label>Min deployer score<input type="number" min="0" max="100" step="1" value={form.minDeployerScore} onChange={updateField('minDeployerScore')} /></label>
+                  <label className="wide">Name keywords (comma separated)<input type="text" value={form.keywords} onChange={updateField('keywords')} placeholder="pepe, ai" /></label>
+                  <div className="alert-rules-form-actions">
+                    <button type="submit" className="alert-rules-button" disabled={busy}>Save rule</button>
+                    <button type="button" className="alert-rules-button secondary" onClick={() => setShowForm(false)}>Cancel</button>
+                  </div>
+                </form>
+              ) : hasAlertsAccess && (
+                <button className="alert-rules-button" onClick={() => setShowForm(true)}>+ New rule</button>
+              )}
+
+              {matches.length > 0 && (
+                <div className="alert-rules-matches">
+                  <h3>Recent matches</h3>
+                  <ul>
+                    {matches.map(match => (
+                      <li key={match.id}>
+                        <span className="alert-rules-match-rule">{match.ruleName}</span>
+                        {match.tokenAddress ? (
+                          <a
+                            href={`/token/${match.tokenAddress}`}
+                            onClick={(e) => {
+                              if (!onOpenToken) return;
+                              e.preventDefault();
+                              onOpenToken(match.tokenAddress);
+                            }}
+                          >
+                            {match.tokenName || 'Unknown'}{match.tokenSymbol && ` ($${match.tokenSymbol})`}
+                          </a>
+                        ) : (
+                          <span>{match.tokenName || 'Unknown'}</span>
+                        )}
+                        <span className="muted">{new Date(match.matchedAt * 1000).toLocaleTimeString()}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AlertRules;
@@ -0,0 +1,178 @@
+import { useState, useEffect } from 'react';
+import { reputationClass } from './TokenDetail';
+import { authFetch } from '../config/session.js';
+import './TokenDetail.css';
+import './DeployerProfile.css';
+
+const formatUsd = (value) => {
+  if (!value) return '-';
+  if (value >= 1000000) return `$${(value / 1000000).toFixed(2)}M`;
+  if (value >= 1000) return `$${(value / 1000).toFixed(1)}K`;
+  return `$${value.toFixed(0)}`;
+};
+
+const formatDate = (timestamp) => (timestamp ? new Date(timestamp * 1000).toLocaleString() : '-');
+
+const shortAddress = (address) => (address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '-');
+
+/**
+ * Deployer page (/deployer/:address)
+ * Reputation profile and every launch from one wallet, loaded from GET /api/deployers/:address
+ */
+function DeployerProfile({ address, session = null, onBack, onOpenToken }) {
+  const [profile, setProfile] = useState(null);
+  const [deployments, setDeployments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadProfile = async () => {
+      try {
+        // Launches in gated sections are only listed for sessions whose tier covers them
+        const data = await authFetch(session, `/api/deployers/${address}`);
+        if (!cancelled) {
+          setProfile(data.profile);
+          setDeployments(data.deployments || []);
+          setError(null);
+        }
+      } catch (err) {
+        console.error('Error fetching deployer:', err);
+        if (!cancelled) setError(err.status === 404 ? 'No launches found for this wallet' : err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    setLoading(true);
+    loadProfile();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [address, session]);
+
+  if (loading && !profile) {
+    return <div className="loading">Loading deployer...</div>;
+  }
+
+  if (error && !profile) {
+    return (
+      <div className="token-detail">
+        <button className="token-detail-back" onClick={onBack}>← Back to feed</button>
+        <div className="error">Error: {error}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="token-detail">
+      <div className="token-detail-topbar">
+        <button className="token-detail-back" onClick={onBack}>← Back to feed</button>
+      </div>
+
+      <div className="token-detail-card token-detail-hero">
+        <div className={`deployer-score ${reputationClass(profile.reputationScore)}`} title="Reputation score (0-100)">
+          {profile.reputationScore}
+        </div>
+        <div className="token-detail-title">
+          <h2>{profile.ensName || shortAddress(profile.address)}</h2>
+          <code className="token-detail-address" onClick={() => navigator.clipboard.writeText(profile.address)} title="Click to copy">
+            {profile.address}
+          </code>
+        </div>
+        <div className="token-detail-headline">
+          <div><span className="label">Launches</span><span className="value">{profile.totalLaunches}</span></div>
+          <div><span className="label">Avg peak holders</span><span className="value">{Math.round(profile.avgPeakHolders)}</span></div>
+          <div><span className="label">Avg peak mcap</span><span className="value">{formatUsd(profile.avgPeakMarketCap)}</span></div>
+          <div><span className="label">Quick sells</span><span className="value">{Math.round(profile.quickSellRate * 100)}%</span></div>
+        </div>
+      </div>
+
+      <div className="token-detail-grid">
+        <div className="token-detail-card">
+          <h3>Track record</h3>
+          <dl>
+            <dt>Best peak mcap</dt>
+            <dd>{formatUsd(profile.bestPeakMarketCap)}</dd>
+            <dt>Dev sold</dt>
+            <dd className={profile.devSoldCount > 0 ? 'sell' : ''}>{profile.devSoldCount} of {profile.totalLaunches}</dd>
+            <dt>Sold quickly</dt>
+            <dd className={profile.quickSellCount > 0 ? 'sell' : ''}>{profile.quickSellCount}</dd>
+            <dt>First launch</dt>
+            <dd>{formatDate(profile.firstLaunchAt)}</dd>
+            <dt>Last launch</dt>
+            <dd>{formatDate(profile.lastLaunchAt)}</dd>
+          </dl>
+        </div>
+
+        <div className="token-detail-card">
+          <h3>Wallet</h3>
+          <dl>
+            <dt>BaseScan</dt>
+            <dd>
+              <a href={`https://basescan.org/address/${profile.address}`} target="_blank" rel="noopener noreferrer">
+                {shortAddress(profile.address)}
+              </a>
+            </dd>
+            <dt>Funded by</dt>
+            <dd>
+              {profile.fundingSource ? (
+                <>
+                  <a href={`https://basescan.org/address/${profile.fundingSource}`} target="_blank" rel="noopener noreferrer">
+                    {shortAddress(profile.fundingSource)}
+                  </a>
+                  {profile.fundedAt && <span className="muted"> {formatDate(profile.fundedAt)}</span>}
+                </>
+              ) : <span className="muted">Unknown</span>}
+            </dd>
+            <dt>Updated</dt>
+            <dd>{profile.updatedAt ? formatDate(profile.updatedAt) : <span className="muted">Not stored yet</span>}</dd>
+          </dl>
+        </div>
+      </div>
+
+      <div className="token-detail-card">
+        <h3>Launches</h3>
+        <table className="deployer-launches">
+          <thead>
+            <tr>
+              <th>Token</th>
+              <th>Deployed</th>
+              <th>Holders</th>
+              <th>Market cap</th>
+              <th>Dev sold</th>
+            </tr>
+          </thead>
+          <tbody>
+            {deployments.map(d => (
+              <tr key={d.txHash}>
+                <td>
+                  <a
+                    href={`/token/${d.tokenAddress}`}
+                    onClick={(e) => {
+                      if (!onOpenToken) return;
+                      e.preventDefault();
+                      onOpenToken(d.tokenAddress);
+                    }}
+                  >
+                    {d.tokenName || 'Unknown'}{d.tokenSymbol ? ` ($${d.tokenSymbol})` : ''}
+                  </a>
+                </td>
+                <td>{formatDate(d.timestamp)}</td>
+                <td>{d.holderCount ?? '-'}</td>
+                <td>{formatUsd(d.marketCap)}</td>
+                <td className={d.devSold ? 'sell' : ''}>
+                  {d.devSold ? (d.devSoldAt ? `after ${Math.max(1, Math.round((d.devSoldAt - d.timestamp) / 60))}m` : 'Yes') : 'No'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default DeployerProfile;
@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react';
+import { authFetch } from '../config/session.js';
+import './PriceChart.css';
+
+const INTERVALS = ['1m', '5m', '1h'];
+
+const WIDTH = 720;
+const HEIGHT = 320;
+const PADDING = { top: 12, right: 56, bottom: 24, left: 64 };
+const VOLUME_SHARE = 0.25; // Bottom part of the plot used for volume bars
+
+function formatPrice(price) {
+  if (!price) return '0';
+  if (price >= 1) return price.toFixed(4);
+  // Keep 3 significant digits for tiny prices
+  return price.toPrecision(3);
+}
+
+function formatTime(timestamp, interval) {
+  const date = new Date(timestamp * 1000);
+  if (interval === '1h') {
+    return `${date.getMonth() + 1}/${date.getDate()} ${String(date.getHours()).padStart(2, '0')}h`;
+  }
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Candlestick price chart with volume bars and a holder count overlay
+ * Candles come from the backend (GET /api/tokens/:address/candles)
+ */
+function PriceChart({ tokenAddress, session = null }) {
+  const [chartInterval, setChartInterval] = useState('5m');
+  const [candles, setCandles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!tokenAddress) return;
+    let cancelled = false;
+
+    const loadCandles = async () => {
+      try {
+        const data = await authFetch(session, `/api/tokens/${tokenAddress}/candles?interval=${chartInterval}&limit=120`);
+        if (!cancelled) {
+          setCandles(data.candles || []);
+          setError(null);
+        }
+      } catch (err) {
+        console.error('Error fetching candles:', err);
+        if (!cancelled) setError('Could not load chart data');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    setLoading(true);
+    loadCandles();
+    // Refresh with the monitor's volume updates
+    const timer = setInterval(loadCandles, 60000);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [tokenAddress, chartInterval, session]);
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const priceHeight = plotHeight * (1 - VOLUME_SHARE);
+  const volumeTop = PADDING.top + priceHeight;
+  const volumeHeight = plotHeight * VOLUME_SHARE;
+
+  const renderChart = () => {
+    const high = Math.max(...candles.map(c => c.high));
+    const low = Math.min(...candles.map(c => c.low));
+    const priceRange = high - low || high || 1;
+    const maxVolume = Math.max(...candles.map(c => c.volume)) || 1;
+
+    const holderCounts = candles.map(c => c.holderCount).filter(h => h !== null && h !== undefined);
+    const maxHolders = holderCounts.length > 0 ? Math.max(...holderCounts) : 0;
+    const minHolders = holderCounts.length > 0 ? Math.min(...holderCounts) : 0;
+    const holderRange = maxHolders - minHolders || 1;
+
+    const step = plotWidth / candles.length;
+    const bodyWidth = Math.max(1, step * 0.6);
+    const x = (i) => PADDING.left + step * i + step / 2;
+    const priceY = (price) => PADDING.top + (1 - (price - low) / priceRange) * priceHeight;
+    const holderY = (count) => PADDING.top + (1 - (count - minHolders) / holderRange) * priceHeight;
+
+    const holderPoints = candles
+      .map((c, i) => (c.holderCount !== null && c.holderCount !== undefined ? `${x(i)},${holderY(c.holderCount)}` : null))
+      .filter(Boolean)
+      .join(' ');
+
+    const labelEvery = Math.max(1, Math.ceil(candles.length / 6));
+
+    return (
+      <svg className="price-chart-svg" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none">
+        {/* Price axis */}
+        {[high, (high + low) / 2, low].map((price, i) => (
+          <g key={`price-${i}`}>
+            <line className="price-chart-grid" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={priceY(price)} y2={priceY(price)} />
+            <text className="price-chart-label" x={PADDING.left - 6} y={priceY(price) + 4} textAnchor="end">
+              {formatPrice(price)}
+            </text>
+          </g>
+        ))}
+
+        {/* Holder axis */}
+        {holderCounts.length > 0 && (
+          <>
+            <text className="price-chart-label holders" x={WIDTH - PADDING.right + 6} y={holderY(maxHolders) + 4}>{maxHolders}</text>
+            <text className="price-chart-label holders" x={WIDTH - PADDING.right + 6} y={holderY(minHolders) + 4}>{minHolders}</text>
+          </>
+        )}
+
+        {candles.map((c, i) => {
+          const up = c.close >= c.open;
+          const bodyTop = priceY(Math.max(c.open, c.close));
+          const bodyBottom = priceY(Math.min(c.open, c.close));
+          const barHeight = (c.volume / maxVolume) * volumeHeight;
+
+          return (
+            <g key={c.time} className={up ? 'candle up' : 'candle down'}>
+              <title>{`${formatTime(c.time, chartInterval)}  O ${formatPrice(c.open)}  H ${formatPrice(c.high)}  L ${formatPrice(c.low)}  C ${formatPrice(c.close)}  Vol ${c.volume.toFixed(3)} ETH  ${c.trades} trades${c.holderCount !== null && c.holderCount !== undefined ? `  ${c.holderCount} holders` : ''}`}</title>
+              <line className="candle-wick" x1={x(i)} x2={x(i)} y1={priceY(c.high)} y2={priceY(c.low)} />
+              <rect className="candle-body" x={x(i) - bodyWidth / 2} y={bodyTop} width={bodyWidth} height={Math.max(1, bodyBottom - bodyTop)} />
+              <rect className="volume-bar" x={x(i) - bodyWidth / 2} y={volumeTop + volumeHeight - barHeight} width={bodyWidth} height={barHeight} />
+              {i % labelEvery === 0 && (
+                <text className="price-chart-label" x={x(i)} y={HEIGHT - 6} textAnchor="middle">{formatTime(c.time, chartInterval)}</text>
+              )}
+            </g>
+          );
+        })}
+
+        {holderPoints && <polyline className="holder-line" points={holderPoints} />}
+      </svg>
+    );
+  };
+
+  return (
+    <div className="price-chart">
+      <div className="price-chart-header">
+        <div className="price-chart-legend">
+          <span className="legend-item price">Price (ETH)</span>
+          <span className="legend-item volume">Volume</span>
+          <span className="legend-item holders">Holders</span>
+        </div>
+        <div className="price-chart-intervals">
+          {INTERVALS.map(option => (
+            <button
+              key={option}
+              className={`interval-button ${option === chartInterval ? 'active' : ''}`}
+              onClick={() => setChartInterval(option)}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+      {loading && candles.length === 0 ? (
+        <div className="price-chart-empty">Loading chart...</div>
+      ) : error ? (
+        <div className="price-chart-empty">{error}</div>
+      ) : candles.length === 0 ? (
+        <div className="price-chart-empty">No swaps recorded yet</div>
+      ) : (
+        renderChart()
+      )}
+    </div>
+  );
+}
+
+export default PriceChart;
@@ -0,0 +1,418 @@
+import { useState, useEffect } from 'react';
+import PriceChart from './PriceChart';
+import { authFetch } from '../config/session.js';
+import './TokenDetail.css';
+
+/**
+ * Small inline SVG line chart for the short histories stored on a deployment
+ */
+function Sparkline({ points, formatValue }) {
+  if (!points || points.length < 2) {
+    return <div className="sparkline-empty">Not enough data yet</div>;
+  }
+
+  const width = 240;
+  const height = 60;
+  const values = points.map(p => p.value);
+  const max = Math.max(...values);
+  const min = Math.min(...values);
+  const range = max - min || 1;
+  const first = points[0].timestamp;
+  const span = points[points.length - 1].timestamp - first || 1;
+
+  const path = points
+    .map(p => `${((p.timestamp - first) / span) * width},${height - ((p.value - min) / range) * (height - 4) - 2}`)
+    .join(' ');
+  const up = values[values.length - 1] >= values[0];
+
+  return (
+    <div className="sparkline">
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+        <polyline className={`sparkline-line ${up ? 'up' : 'down'}`} points={path} />
+      </svg>
+      <div className="sparkline-range">
+        <span>{formatValue(min)}</span>
+        <span>{formatValue(max)}</span>
+      </div>
+    </div>
+  );
+}
+
+const formatEth = (value) => {
+  if (!value) return '-';
+  if (value >= 1) return `${value.toFixed(2)} ETH`;
+  if (value >= 0.01) return `${value.toFixed(3)} ETH`;
+  return `${value.toFixed(4)} ETH`;
+};
+
+const formatUsd = (value) => {
+  if (!value) return '-';
+  if (value >= 1000000) return `$${(value / 1000000).toFixed(2)}M`;
+  if (value >= 1000) return `$${(value / 1000).toFixed(1)}K`;
+  return `$${value.toFixed(0)}`;
+};
+
+const shortAddress = (address) => (address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '-');
+
+const DEV_EVENT_LABELS = {
+  buy: '🟢 Bought',
+  sell: '🔴 Sold',
+  transfer_out: '📤 Sent',
+  transfer_in: '📥 Received',
+  cluster_transfer: '🔀 Moved to linked wallet',
+  lp_add: '💧 Added liquidity',
+  lp_remove: '🚰 Removed liquidity'
+};
+
+const formatTokens = (amount) => {
+  if (amount >= 1e9) return `${(amount / 1e9).toFixed(2)}B`;
+  if (amount >= 1e6) return `${(amount / 1e6).toFixed(2)}M`;
+  if (amount >= 1e3) return `${(amount / 1e3).toFixed(1)}K`;
+  return amount.toFixed(2);
+};
+
+// Score bands, shared with the deployer page
+export const reputationClass = (score) => (score >= 60 ? 'good' : score >= 35 ? 'neutral' : 'bad');
+
+/**
+ * Token detail page (/token/:address)
+ * Everything we know about one deployment, loaded from GET /api/deployments/:address
+ * New and alert-flagged tokens are gated, so the session goes along when signed in.
+ */
+function TokenDetail({ address, session = null, onBack, onOpenDeployer }) {
+  const [deployment, setDeployment] = useState(null);
+  const [holderHistory, setHolderHistory] = useState([]);
+  const [deployerProfile, setDeployerProfile] = useState(null);
+  const [devEvents, setDevEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadDeployment = async () => {
+      try {
+        const data = await authFetch(session, `/api/deployments/${address}`);
+        if (!cancelled) {
+          setDeployment(data.deployment);
+          setHolderHistory(data.holderHistory || []);
+          setDeployerProfile(data.deployerProfile || null);
+          setDevEvents(data.devEvents || []);
+          setError(null);
+        }
+      } catch (err) {
+        console.error('Error fetching token:', err);
+        if (!cancelled) {
+          setError(err.status === 404 ? 'Token not found - it may not have been indexed yet' : err.message);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    setLoading(true);
+    loadDeployment();
+    // Same refresh rate as the feed
+    const timer = setInterval(loadDeployment, 15000);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [address, session]);
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(window.location.href);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 1500);
+  };
+
+  if (loading && !deployment) {
+    return <div className="loading">Loading token...</div>;
+  }
+
+  if (error && !deployment) {
+    return (
+      <div className="token-detail">
+        <button className="token-detail-back" onClick={onBack}>← Back to feed</button>
+        <div className="error">Error: {error}</div>
+      </div>
+    );
+  }
+
+  const farcaster = deployment.farcasterData;
+  const stats = deployment.swapStats || {};
+  const snipers = deployment.sniperStats;
+  const formatShare = (share) => `${((share || 0) * 100).toFixed(2)}%`;
+
+  return (
+    <div className="token-detail">
+      <div className="token-detail-topbar">
+        <button className="token-detail-back" onClick={onBack}>← Back to feed</button>
+        <button className="token-detail-share" onClick={copyLink}>{copied ? '✓ Link copied' : '🔗 Copy link'}</button>
+      </div>
+
+      <div className="token-detail-card token-detail-hero">
+        {deployment.tokenImage && <img className="token-detail-image" src={deployment.tokenImage} alt={deployment.tokenName} />}
+        <div className="token-detail-title">
+          <h2>
+            {deployment.tokenName || 'Unknown'}
+            {deployment.tokenSymbol && <span className="token-detail-symbol"> ${deployment.tokenSymbol}</span>}
+            {deployment.status === 'pending' && <span className="pending-badge">PENDING</span>}
+            {deployment.devSold && (
+              <span className="dev-sold-badge">{deployment.devClusterSoldPct != null ? `SOLD ${deployment.devClusterSoldPct}%` : 'SOLD'}</span>
+            )}
+          </h2>
+          <code className="token-detail-address" onClick={() => navigator.clipboard.writeText(deployment.tokenAddress)} title="Click to copy">
+            {deployment.tokenAddress}
+          </code>
+        </div>
+        <div className="token-detail-headline">
+          <div>
+            <span className="label">Holders</span>
+            <span className="value" title={deployment.holderCountEstimated ? 'Estimated - the holder ledger is still catching up' : undefined}>
+              {deployment.holderCount != null ? `${deployment.holderCountEstimated ? '~' : ''}${deployment.holderCount}` : '-'}
+            </span>
+          </div>
+          <div><span className="label">Market cap</span><span className="value">{formatUsd(deployment.marketCap)}</span></div>
+          <div><span className="label">Price</span><span className="value">{deployment.lastPriceEth ? `${deployment.lastPriceEth.toPrecision(3)} ETH` : '-'}</span></div>
+          <div><span className="label">Volume 24h</span><span className="value">{formatEth(deployment.volume24h)}</span></div>
+        </div>
+        <div className="compact-links">
+          {deployment.links?.dexscreener && (
+            <a href={deployment.links.dexscreener} target="_blank" rel="noopener noreferrer" className="compact-link" title="DexScreener">DS</a>
+          )}
+          {deployment.links?.defined && (
+            <a href={deployment.links.defined} target="_blank" rel="noopener noreferrer" className="compact-link" title="Defined.fi">DF</a>
+          )}
+          {deployment.links?.basescan && (
+            <a href={deployment.links.basescan} target="_blank" rel="noopener noreferrer" className="compact-link" title="BaseScan">BS</a>
+          )}
+        </div>
+      </div>
+
+      {deployment.tokenAddress && <PriceChart tokenAddress={deployment.tokenAddress} session={session} />}
+
+      <div className="token-detail-grid">
+        <div className="token-detail-card">
+          <h3>Deployment</h3>
+          <dl>
+            <dt>Transaction</dt>
+            <dd>
+              <a href={`https://basescan.org/tx/${deployment.txHash}`} target="_blank" rel="noopener noreferrer">
+                {shortAddress(deployment.txHash)}
+              </a>
+            </dd>
+            <dt>Block</dt>
+            <dd>{deployment.blockNumber ?? '-'}</dd>
+            <dt>Deployed</dt>
+            <dd>{deployment.timestamp ? new Date(deployment.timestamp * 1000).toLocaleString() : '-'}</dd>
+            <dt>Status</dt>
+            <dd>{deployment.status || 'confirmed'}</dd>
+          </dl>
+        </div>
+
+        <div className="token-detail-card">
+          <h3>Deployer</h3>
+          <dl>
+            <dt>Wallet</dt>
+            <dd>
+              <a
+                href={`/deployer/${deployment.from}`}
+                onClick={(e) => {
+                  if (!onOpenDeployer) return;
+                  e.preventDefault();
+                  onOpenDeployer(deployment.from);
+                }}
+              >
+                {deployment.ensName || shortAddress(deployment.from)}
+              </a>
+              <a href={`https://basescan.org/address/${deployment.from}`} target="_blank" rel="noopener noreferrer" className="muted"> ↗</a>
+            </dd>
+            <dt>Reputation</dt>
+            <dd>
+              {deployerProfile ? (
+                <>
+                  <span className={`reputation-score ${reputationClass(deployerProfile.reputationScore)}`}>{deployerProfile.reputationScore}</span>
+                  <span className="muted"> {deployerProfile.totalLaunches} launch{deployerProfile.totalLaunches === 1 ? '' : 'es'}</span>
+                </>
+              ) : <span className="muted">Not scored yet</span>}
+            </dd>
+            <dt>Farcaster</dt>
+            <dd>
+              {farcaster ? (
+                <span className="farcaster-profile">
+                  {farcaster.pfp && <img src={farcaster.pfp} alt={farcaster.username} className="token-detail-pfp" />}
+                  <a href={`https://warpcast.com/${farcaster.username}`} target="_blank" rel="noopener noreferrer">@{farcaster.username}</a>
+                  <span className="muted"> {farcaster.followerCount} followers</span>
+                </span>
+              ) : '-'}
+            </dd>
+          </dl>
+        </div>
+
+        <div className="token-detail-card">
+          <h3>Dev activity</h3>
+          <dl>
+            <dt>Dev buy</dt>
+            <dd>{deployment.devBuyAmountFormatted || formatEth(deployment.devBuyAmount)}</dd>
+            <dt>Dev sold</dt>
+            <dd className={deployment.devSold ? 'sell' : ''}>
+              {deployment.devSold ? `Yes (${deployment.devSoldAmount?.toFixed(4) || '?'} tokens)` : 'No'}
+              {deployment.devClusterSoldPct != null && (
+                <span className="muted"> · cluster sold {deployment.devClusterSoldPct}% of its tokens</span>
+              )}
+            </dd>
+            <dt>Dev cluster</dt>
+            <dd>{deployment.devClusterSize || 1} wallet{(deployment.devClusterSize || 1) === 1 ? '' : 's'}</dd>
+            <dt>Transfers</dt>
+            <dd>
+              {deployment.devTransferCount || 0}
+              {deployment.devTransferCount > 0 && (
+                <span className="muted"> (out {deployment.devTransferredOut?.toFixed(2)}, in {deployment.devTransferredIn?.toFixed(2)}, net {deployment.devNetTransfer?.toFixed(2)})</span>
+              )}
+            </dd>
+          </dl>
+        </div>
+
+        <div className="token-detail-card">
+          <h3>Dev timeline</h3>
+          {devEvents.length === 0 ? (
+            <span className="muted">No dev token movements yet</span>
+          ) : (
+            <ol className="dev-timeline">
+              {[...devEvents].reverse().map(event => (
+                <li key={`${event.txHash}:${event.logIndex}`} className={`dev-event ${event.type}`}>
+                  <div className="dev-event-head">
+                    <span>{DEV_EVENT_LABELS[event.type] || event.type}</span>
+                    <a href={`https://basescan.org/tx/${event.txHash}`} target="_blank" rel="noopener noreferrer" className="muted">
+                      {new Date(event.timestamp * 1000).toLocaleString()}
+                    </a>
+                  </div>
+                  <div>
+                    {formatTokens(event.amount)} tokens
+                    {event.pairedAmount != null && <span> for {formatEth(event.pairedAmount)}</span>}
+                    {event.holdingsPct != null && <span className="muted"> · {event.holdingsPct}% of holdings</span>}
+                  </div>
+                  {(event.type === 'transfer_out' || event.type === 'transfer_in' || event.type === 'cluster_transfer') && (
+                    <div className="muted">
+                      {event.type === 'transfer_in' ? 'from ' : 'to '}
+                      <a href={`https://basescan.org/address/${event.counterparty}`} target="_blank" rel="noopener noreferrer">{shortAddress(event.counterparty)}</a>
+                    </div>
+                  )}
+                  {event.wallet && event.wallet !== event.deployer && (
+                    <div className="muted">
+                      by linked wallet <a href={`https://basescan.org/address/${event.wallet}`} target="_blank" rel="noopener noreferrer">{shortAddress(event.wallet)}</a>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        <div className="token-detail-card">
+          <h3>Launch buyers</h3>
+          {snipers ? (
+            <>
+              <dl>
+                <dt>First {snipers.windowBlocks} blocks</dt>
+                <dd>{snipers.earlyBuyers} wallet{snipers.earlyBuyers === 1 ? '' : 's'}</dd>
+                <dt>Same block</dt>
+                <dd className={snipers.sameBlockBuyers > 0 ? 'sell' : ''}>
+                  {snipers.sameBlockBuyers} <span className="muted">holding {formatShare(snipers.sameBlockShare)}</span>
+                </dd>
+                <dt>Deployer funded</dt>
+                <dd className={snipers.deployerFunded > 0 ? 'sell' : ''}>
+                  {snipers.deployerFunded} <span className="muted">of {snipers.tracedWallets} traced, holding {formatShare(snipers.deployerFundedShare)}</span>
+                </dd>
+                <dt>Supply</dt>
+                <dd>{formatShare(snipers.boughtShare)} bought, {formatShare(snipers.heldShare)} still held</dd>
+              </dl>
+              {snipers.wallets.length > 0 && (
+                <table className="token-detail-stats">
+                  <thead>
+                    <tr>
+                      <th>Wallet</th>
+                      <th>Block</th>
+                      <th>Holds</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {snipers.wallets.slice(0, 10).map(w => (
+                      <tr key={w.address}>
+                        <td>
+                          <a href={`https://basescan.org/address/${w.address}`} target="_blank" rel="noopener noreferrer">{shortAddress(w.address)}</a>
+                        </td>
+                        <td>+{w.firstBlock - deployment.blockNumber}</td>
+                        <td>{formatShare(w.heldShare)}</td>
+                        <td className="sell">{w.fundedByDeployer ? '📦 dev funded' : ''}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          ) : <span className="muted">Not analyzed yet</span>}
+        </div>
+
+        <div className="token-detail-card">
+          <h3>Trading</h3>
+          <table className="token-detail-stats">
+            <thead>
+              <tr>
+                <th></th>
+                <th>Volume</th>
+                <th>Buys</th>
+                <th>Sells</th>
+                <th>Traders</th>
+              </tr>
+            </thead>
+            <tbody>
+              {['1h', '6h', '24h', '7d'].map(period => {
+                const w = stats[period];
+                return (
+                  <tr key={period}>
+                    <td>{period}</td>
+                    <td>{formatEth(w ? w.volume : deployment[`volume${period}`])}</td>
+                    <td className="buy">{w ? `${w.buys} · ${formatEth(w.buyVolume)}` : '-'}</td>
+                    <td className="sell">{w ? `${w.sells} · ${formatEth(w.sellVolume)}` : '-'}</td>
+                    <td>{w ? w.uniqueTraders : '-'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="token-detail-card">
+          <h3>Holder history</h3>
+          <Sparkline
+            points={holderHistory.map(h => ({ timestamp: h.timestamp, value: h.holderCount }))}
+            formatValue={(v) => `${Math.round(v)} holders`}
+          />
+        </div>
+
+        <div className="token-detail-card">
+          <h3>Volume history (24h)</h3>
+          <Sparkline
+            points={(deployment.volumeHistory || []).map(v => ({ timestamp: v.timestamp, value: v.volume }))}
+            formatValue={formatEth}
+          />
+        </div>
+
+        <div className="token-detail-card">
+          <h3>Market cap trend</h3>
+          <Sparkline
+            points={(deployment.marketCapHistory || []).map(m => ({ timestamp: m.timestamp, value: m.marketCap }))}
+            formatValue={formatUsd}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TokenDetail;
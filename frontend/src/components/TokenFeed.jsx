@@ -1,6 +1,14 @@
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useMemo, useEffect, useRef } from 'react';
+import PriceChart from './PriceChart';
+import { getDeployerScores } from '../config/supabase.js';
+import { DEFAULT_ACCESS_CONFIG, FEATURES, requiredBalanceFor, formatTokenAmount } from '../config/access.js';
 import './TokenFeed.css';
 
+// Holder count, marked ~ while the token's holder ledger is still catching up
+const formatHolderCount = (deployment) => (deployment.holderCount !== undefined
+  ? `${deployment.holderCountEstimated ? '~' : ''}${deployment.holderCount}`
+  : '-');
+
 // Component to show live updating time
 function LiveTime({ timestamp }) {
   const [timeSince, setTimeSince] = useState(() => {
@@ -36,6 +44,65 @@ function LiveTime({ timestamp }) {
 }
 
 // Component to show live updating time since last holder check
+// Briefly highlights a value when it changes in place (live updates)
+function LiveValue({ value, children }) {
+  const previous = useRef(value);
+  const [direction, setDirection] = useState(null);
+
+  useEffect(() => {
+    if (previous.current === value) return;
+    setDirection(value > previous.current ? 'up' : 'down');
+    previous.current = value;
+
+    const timer = setTimeout(() => setDirection(null), 1500);
+    return () => clearTimeout(timer);
+  }, [value]);
+
+  return <span className={direction ? `live-value ${direction}` : 'live-value'}>{children}</span>;
+}
+
+// Rug / honeypot risk from the backend's checks (nothing until the token was checked)
+function RiskBadge({ deployment }) {
+  if (!deployment.riskLevel) return null;
+  const reasons = deployment.riskReasons?.length > 0 ? deployment.riskReasons.join('\n') : 'No red flags found';
+  return (
+    <span className={`risk-badge ${deployment.riskLevel}`} title={`Risk ${deployment.riskScore}/100\n${reasons}`}>
+      {deployment.riskLevel === 'high' ? '☠️ HIGH' : deployment.riskLevel === 'medium' ? '⚠️ MED' : '🛡️ LOW'}
+    </span>
+  );
+}
+
+// Launch snipers / deployer-funded bundles (nothing until the launch window was analyzed)
+function SniperBadge({ deployment }) {
+  const stats = deployment.sniperStats;
+  if (!stats || (stats.sameBlockBuyers === 0 && stats.deployerFunded === 0)) return null;
+  const pct = (share) => `${(share * 100).toFixed(1)}%`;
+  const title = [
+    `${stats.earlyBuyers} wallets bought in the first ${stats.windowBlocks} blocks, ${stats.sameBlockBuyers} in the launch block`,
+    `${stats.deployerFunded} funded by the deployer`,
+    `Launch buyers hold ${pct(stats.heldShare)} (bundled ${pct(stats.deployerFundedShare)})`
+  ].join('\n');
+  return (
+    <span className={`sniper-badge ${stats.deployerFunded > 0 ? 'bundled' : ''}`} title={title}>
+      {stats.deployerFunded > 0 ? `📦 ${pct(stats.deployerFundedShare)}` : `🎯 ${stats.sameBlockBuyers}`}
+    </span>
+  );
+}
+
+function DevSoldBadge({ deployment }) {
+  if (!deployment.devSold) return null;
+  const pct = deployment.devClusterSoldPct;
+  const wallets = deployment.devClusterSize || 1;
+  const title = pct != null
+    ? `Dev cluster (${wallets} wallet${wallets === 1 ? '' : 's'}) sold ${pct}% of its tokens (${deployment.devSoldAmount?.toFixed(4) || 0} tokens)`
+    : `Dev sold ${deployment.devSoldAmount?.toFixed(4) || 'tokens'}`;
+  return (
+    <span className="dev-sold-badge" title={title}>
+      {pct != null ? `SOLD ${pct}%` : 'SOLD'}
+    </span>
+  );
+}
+
 function HolderCheckTime({ lastCheckTime }) {
   const [timeSince, setTimeSince] = useState(() => {
     if (!lastCheckTime) return 'Never';
@@ -87,17 +154,22 @@ function TokenFeed({
   hasHotRunnersAccess = false,
   hasNewest5Access = false,
   hasAllDeploymentsAccess = false,
-  onMuteChange
+  requiredBalances = Object.fromEntries(FEATURES.map(f => [f, requiredBalanceFor(DEFAULT_ACCESS_CONFIG, f)])),
+  session = null,
+  onMuteChange,
+  onOpenToken
 }) {
   const [sortField, setSortField] = useState('timestamp');
   const [sortDirection, setSortDirection] = useState('desc');
   const [ensNames, setEnsNames] = useState({});
   const [playedAlerts, setPlayedAlerts] = useState(new Set());
-  const [devBuyThreshold, setDevBuyThreshold] = useState('');
+  const [devBuyThreshold, setDevBuyThreshold] = useState(() => localStorage.getItem('feyscan.devBuyThreshold') || ''); // Kept across reloads
   const [hideZeroDevBuy, setHideZeroDevBuy] = useState(false); // Default OFF
   const [removeDuplicates, setRemoveDuplicates] = useState(true); // Default ON
-  const [removeSerialDeployers, setRemoveSerialDeployers] = useState(true); // Default ON
+  const [minDeployerScore, setMinDeployerScore] = useState(25); // Hide known ruggers by default
+  const [deployerScores, setDeployerScores] = useState(new Map()); // deployer address -> reputation
   const [hideDeadTokens, setHideDeadTokens] = useState(false); // Default OFF
+  const [maxRiskLevel, setMaxRiskLevel] = useState('any'); // 'any' | 'medium' | 'low'
   const [isMuted, setIsMuted] = useState(false);
   const [serverStatus, setServerStatus] = useState('checking');
   const [notifiedAboutMissingAlerts, setNotifiedAboutMissingAlerts] = useState(new Set());
@@ -106,6 +178,15 @@ function TokenFeed({
   const [isHotRunnersCollapsed, setIsHotRunnersCollapsed] = useState(false);
   const [isNewest5Collapsed, setIsNewest5Collapsed] = useState(false);
   const [isAllDeploymentsCollapsed, setIsAllDeploymentsCollapsed] = useState(false);
+  const [selectedToken, setSelectedToken] = useState(null); // Deployment shown in the token detail modal
+  const [olderDeployments, setOlderDeployments] = useState([]); // History beyond the live feed, paged from the API
+  const [historyCursor, setHistoryCursor] = useState(null);
+  const [hasMoreHistory, setHasMoreHistory] = useState(true);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+
+  useEffect(() => {
+    localStorage.setItem('feyscan.devBuyThreshold', devBuyThreshold);
+  }, [devBuyThreshold]);
 
   // Sync mute state with parent
   const handleMuteToggle = () => {
@@ -148,6 +229,77 @@ function TokenFeed({
     return `$${numValue.toFixed(2)}`;
   };
 
+  // Token Detail Modal Component (price chart + swap stats)
+  const TokenDetailModal = ({ deployment }) => {
+    const stats = deployment.swapStats || {};
+    return (
+      <div className="modal-overlay" onClick={() => setSelectedToken(null)}>
+        <div className="modal-content token-detail-modal" onClick={(e) => e.stopPropagation()}>
+          <div className="modal-header">
+            <h2>
+              {deployment.tokenName || 'Unknown'}
+              {deployment.tokenSymbol && <span className="token-detail-symbol"> ${deployment.tokenSymbol}</span>}
+            </h2>
+            <button className="modal-close" onClick={() => setSelectedToken(null)}>×</button>
+          </div>
+          <div className="modal-body">
+            <div className="token-detail-summary">
+              <code className="token-detail-address" onClick={() => copyToClipboard(deployment.tokenAddress)} title="Click to copy">
+                {deployment.tokenAddress}
+              </code>
+              <span>{formatHolderCount(deployment)} holders</span>
+              {deployment.lastPriceEth ? <span>{deployment.lastPriceEth.toPrecision(3)} ETH</span> : null}
+              <span>{formatMarketCap(deployment.marketCap)}</span>
+              {onOpenToken && (
+                <a
+                  href={`/token/${deployment.tokenAddress}`}
+                  className="token-detail-open"
+                  onClick={(e) => {
+                    e.preventDefault();
+                    setSelectedToken(null);
+                    onOpenToken(deployment.tokenAddress);
+                  }}
+                >
+                  Open token page →
+                </a>
+              )}
+            </div>
+
+            <PriceChart tokenAddress={deployment.tokenAddress} session={session} />
+
+            <table className="token-detail-stats">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Volume</th>
+                  <th>Buys</th>
+                  <th>Sells</th>
+                  <th>Trades</th>
+                  <th>Traders</th>
+                </tr>
+              </thead>
+              <tbody>
+                {['1h', '6h', '24h', '7d'].map(period => {
+                  const w = stats[period];
+                  return (
+                    <tr key={period}>
+                      <td>{period}</td>
+                      <td>{formatVolume(w ? w.volume : deployment[`volume${period}`])}</td>
+                      <td className="buy">{w ? formatVolume(w.buyVolume) : '-'}</td>
+                      <td className="sell">{w ? formatVolume(w.sellVolume) : '-'}</td>
+                      <td>{w ? `${w.trades} (${w.buys}/${w.sells})` : '-'}</td>
+                      <td>{w ? w.uniqueTraders : '-'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   // Score Help Modal Component
   const ScoreHelpModal = () => (
     <div className="modal-overlay" onClick={() => setShowScoreHelp(false)}>
@@ -262,9 +414,58 @@ function TokenFeed({
     setEnsNames(prev => ({ ...prev, ...newEnsNames }));
   }, [deployments]);
 
+  // Live feed plus any older pages loaded on demand
+  const feedDeployments = useMemo(() => {
+    if (olderDeployments.length === 0) return deployments;
+    const live = new Set(deployments.map(d => d.txHash));
+    return [...deployments, ...olderDeployments.filter(d => !live.has(d.txHash))];
+  }, [deployments, olderDeployments]);
+
+  // Page further back in history through the backend query API
+  // The first page starts just before the oldest deployment in the live feed
+  const loadOlderDeployments = async () => {
+    if (isLoadingHistory || feedDeployments.length === 0) return;
+    setIsLoadingHistory(true);
+
+    try {
+      const params = new URLSearchParams({ limit: '200' });
+      if (historyCursor) {
+        params.set('cursor', historyCursor);
+      } else {
+        params.set('before', String(Math.min(...deployments.map(d => d.timestamp || 0))));
+      }
+
+      // The backend only pages through history for wallets with the allDeployments tier
+      const response = await fetch(`/api/deployments?${params}`, {
+        headers: session ? { Authorization: `Bearer ${session.token}` } : {}
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      setOlderDeployments(prev => [...prev, ...(data.deployments || [])]);
+      setHistoryCursor(data.nextCursor);
+      setHasMoreHistory(!!data.nextCursor);
+    } catch (err) {
+      console.error('Error loading older deployments:', err);
+    } finally {
+      setIsLoadingHistory(false);
+    }
+  };
+
+  // Load reputation scores for the deployers in the feed (profiles are built by the backend)
+  useEffect(() => {
+    if (feedDeployments.length === 0) return;
+    const oldest = Math.min(...feedDeployments.map(d => d.timestamp || 0));
+
+    getDeployerScores(oldest)
+      .then(setDeployerScores)
+      .catch(err => console.error('Error loading deployer scores:', err));
+  }, [feedDeployments]);
+
   // Filter deployments based on all filters
   const filteredDeployments = useMemo(() => {
-    let filtered = [...deployments];
+    let filtered = [...feedDeployments];
 
     // Filter by dev buy threshold
     if (devBuyThreshold !== '' && !isNaN(parseFloat(devBuyThreshold))) {
@@ -290,32 +491,20 @@ function TokenFeed({
       });
     }
 
-    // Remove serial deployers (wallets that deployed 2+ tokens)
-    if (removeSerialDeployers) {
-      // Count deployments per wallet address
-      const deployerCounts = new Map();
-      deployments.forEach(d => {
-        if (d.from) {
-          const addr = d.from.toLowerCase();
-          deployerCounts.set(addr, (deployerCounts.get(addr) || 0) + 1);
-        }
-      });
-
-      // Find serial deployers (2+ deployments)
-      const serialDeployers = new Set();
-      deployerCounts.forEach((count, addr) => {
-        if (count >= 2) {
-          serialDeployers.add(addr);
-        }
+    // Hide deployers whose reputation score is below the minimum
+    // Deployers without a profile yet (first launch, not scored) are kept
+    if (minDeployerScore > 0) {
+      filtered = filtered.filter(d => {
+        if (!d.from) return true;
+        const profile = deployerScores.get(d.from.toLowerCase());
+        return !profile || profile.reputationScore >= minDeployerScore;
       });
+    }
 
-      // Filter out all deployments from serial deployers
-      if (serialDeployers.size > 0) {
-        filtered = filtered.filter(d => {
-          if (!d.from) return true;
-          return !serialDeployers.has(d.from.toLowerCase());
-        });
-      }
+    // Hide tokens above the chosen risk level (tokens not checked yet are kept)
+    if (maxRiskLevel !== 'any') {
+      const allowed = maxRiskLevel === 'low' ? ['low'] : ['low', 'medium'];
+      filtered = filtered.filter(d => !d.riskLevel || allowed.includes(d.riskLevel));
     }
 
     // Hide dead tokens (tokens with no activity)
@@ -355,7 +544,7 @@ function TokenFeed({
     }
 
     return filtered;
-  }, [deployments, devBuyThreshold, hideZeroDevBuy, removeDuplicates, removeSerialDeployers, hideDeadTokens]);
+  }, [feedDeployments, devBuyThreshold, hideZeroDevBuy, removeDuplicates, minDeployerScore, deployerScores, maxRiskLevel, hideDeadTokens]);
 
   // Get alerts (dev buy > 0.25 ETH) - exclude dev sold items, apply filters
   const alerts = useMemo(() => {
@@ -464,7 +653,7 @@ function TokenFeed({
         // Fallback: browser notification
         if (Notification.permission === 'granted') {
           new Notification('🔒 Alerts Available', {
-            body: `You're missing ${alerts.length} high-value alert${alerts.length > 1 ? 's' : ''}. Hold 25M FeyScan tokens to view them.`,
+            body: `You're missing ${alerts.length} high-value alert${alerts.length > 1 ? 's' : ''}. Hold ${formatTokenAmount(requiredBalances.alerts)} FeyScan tokens to view them.`,
             icon: '🔔'
           });
         }
@@ -598,7 +787,15 @@ function TokenFeed({
         {/* Row 1: Token Name, Age, Holders, Growth */}
         <div className="mobile-card-row-1">
           <div className="mobile-card-title-section">
-            <div className="mobile-card-title">{deployment.tokenName || 'Unknown'}</div>
+            <div className="mobile-card-title">
+              {deployment.tokenName || 'Unknown'}
+              {deployment.status === 'pending' && <span className="pending-badge">PENDING</span>}
+              <RiskBadge deployment={deployment} />
+              <SniperBadge deployment={deployment} />
+              {deployment.tokenAddress && (
+                <button className="chart-button" onClick={() => setSelectedToken(deployment)} title="Price chart">📈</button>
+              )}
+            </div>
             <div className="mobile-card-age">
               <LiveTime timestamp={deployment.timestamp} />
             </div>
@@ -608,7 +805,7 @@ function TokenFeed({
               <span className="mobile-card-metric-label">Holders:</span>
               <div className="mobile-card-metric-value">
                 <span className={`holder-count-number ${holderTrend?.change > 0 ? 'up' : holderTrend?.change < 0 ? 'down' : ''} ${holderTrend?.isRapid ? 'rapid' : ''}`}>
-                  {deployment.holderCount !== undefined ? deployment.holderCount : '-'}
+                  {formatHolderCount(deployment)}
                 </span>
                 {holderTrend && holderTrend.change > 0 && (
                   <span className={`holder-trend up ${holderTrend.isRapid ? 'rapid' : ''}`}>↑</span>
@@ -665,7 +862,7 @@ function TokenFeed({
               <span className="mobile-card-data-label">Dev Buy:</span>
               <div className="mobile-card-data-value">
                 <span>{deployment.devBuyAmountFormatted || `${deployment.devBuyAmount || 0} ETH`}</span>
-                {deployment.devSold && <span className="dev-sold-badge">SOLD</span>}
+                <DevSoldBadge deployment={deployment} />
               </div>
             </div>
           </div>
@@ -816,14 +1013,33 @@ function TokenFeed({
             </label>
           </div>
           <div className="filter-group">
-            <label className="checkbox-label">
-              <input
-                type="checkbox"
-                checked={removeSerialDeployers}
-                onChange={(e) => setRemoveSerialDeployers(e.target.checked)}
-                className="filter-checkbox"
-              />
-              <span>Remove Serial Deployers (2+ tokens)</span>
+            <label className="filter-label" title="Deployer reputation (0-100) from past launches: holders, market cap and how fast the dev sold">
+              Min Deployer Score:
+              <select
+                value={minDeployerScore}
+                onChange={(e) => setMinDeployerScore(parseInt(e.target.value))}
+                className="threshold-input"
+              >
+                <option value={0}>Any</option>
+                <option value={25}>25+</option>
+                <option value={40}>40+</option>
+                <option value={50}>50+</option>
+                <option value={60}>60+</option>
+              </select>
+            </label>
+          </div>
+          <div className="filter-group">
+            <label className="filter-label" title="Rug / honeypot risk: simulated buy+sell, transfer check, LP lock and holder concentration">
+              Max Risk:
+              <select
+                value={maxRiskLevel}
+                onChange={(e) => setMaxRiskLevel(e.target.value)}
+                className="threshold-input"
+              >
+                <option value="any">Any</option>
+                <option value="medium">Hide High</option>
+                <option value="low">Low Only</option>
+              </select>
             </label>
           </div>
           <div className="filter-group">
@@ -867,7 +1083,7 @@ function TokenFeed({
           <div className="token-gate-message">
             <div className="gate-content">
               <h2>🔒 Token Gated</h2>
-              <p>Hold at least 25,000,000 FeyScan tokens to view alerts.</p>
+              <p>Hold at least {formatTokenAmount(requiredBalances.alerts)} FeyScan tokens to view alerts.</p>
               <p className="gate-subtext">Connect your wallet to check your balance.</p>
             </div>
           </div>
@@ -896,6 +1112,8 @@ function TokenFeed({
                     <div key={alert.txHash || index} className="alert-item-compact">
                       <div className="alert-row-1">
                         <span className="alert-token-compact">{alert.tokenName || 'Unknown'}</span>
+                        <RiskBadge deployment={alert} />
+                        <SniperBadge deployment={alert} />
                         <span className="alert-dev-buy-compact">{alert.devBuyAmountFormatted || `${alert.devBuyAmount} ETH`}</span>
                       </div>
                       <div className="alert-row-2">
@@ -933,12 +1151,12 @@ function TokenFeed({
 
       {/* Main Content */}
       <div className="main-content">
-        {/* Hot Runners Section - Token Gated at 15M */}
+        {/* Hot Runners Section - Token Gated */}
         {!hasHotRunnersAccess && runners.length > 0 && (
           <div className="token-gate-message">
             <div className="gate-content">
               <h2>🔒 Token Gated Content</h2>
-              <p>Hold at least 15,000,000 FeyScan tokens to view Hot Runners.</p>
+              <p>Hold at least {formatTokenAmount(requiredBalances.hotRunners)} FeyScan tokens to view Hot Runners.</p>
               <p className="gate-subtext">Connect your wallet to check your balance.</p>
             </div>
           </div>
@@ -1159,13 +1377,18 @@ function TokenFeed({
                             >
                               {runner.tokenName || 'Unknown'}
                             </strong>
+                            {runner.tokenAddress && (
+                              <button className="chart-button" onClick={() => setSelectedToken(runner)} title="Price chart">📈</button>
+                            )}
+                            <RiskBadge deployment={runner} />
+                            <SniperBadge deployment={runner} />
                           </div>
                         </td>
                         <td className="holder-count-cell">
                           <div className="holder-count-display">
                             <div className="holder-count-main">
                               <span className={`holder-count-number ${holderTrend?.change > 0 ? 'up' : ''}`}>
-                                {runner.holderCount !== undefined ? runner.holderCount : '-'}
+                                <LiveValue value={runner.holderCount}>{formatHolderCount(runner)}</LiveValue>
                               </span>
                               {holderTrend && holderTrend.change > 0 && (
                                 <span className={`holder-trend up ${holderTrend.isRapid ? 'rapid' : ''}`}>↑</span>
@@ -1183,17 +1406,17 @@ function TokenFeed({
                           )}
                         </td>
                         <td className="volume-cell">
-                          {formatVolume(runner.volume1h || 0)}
+                          <LiveValue value={runner.volume1h}>{formatVolume(runner.volume1h || 0)}</LiveValue>
                         </td>
                         <td className="volume-cell">
-                          {formatVolume(runner.volume6h || 0)}
+                          <LiveValue value={runner.volume6h}>{formatVolume(runner.volume6h || 0)}</LiveValue>
                         </td>
                         <td className="volume-cell">
-                          {formatVolume(runner.volume24h || 0)}
+                          <LiveValue value={runner.volume24h}>{formatVolume(runner.volume24h || 0)}</LiveValue>
                           {(runner.volume24h || 0) > 0.1 && <span className="volume-badge">💰</span>}
                         </td>
                         <td className="mcap-cell">
-                          {formatMarketCap(runner.marketCap || 0)}
+                          <LiveValue value={runner.marketCap}>{formatMarketCap(runner.marketCap || 0)}</LiveValue>
                         </td>
                         <td className="score-cell">
                           <span className={`runner-score ${runner.runnerData.score > 0.5 ? 'high' : runner.runnerData.score > 0.2 ? 'medium' : 'low'}`}>
@@ -1203,11 +1426,7 @@ function TokenFeed({
                         <td className="dev-buy-cell">
                           <div className="dev-buy-content">
                             {runner.devBuyAmountFormatted || `${runner.devBuyAmount || 0} ETH`}
-                            {runner.devSold && (
-                              <span className="dev-sold-badge" title={`Dev sold ${runner.devSoldAmount?.toFixed(4) || 'tokens'}`}>
-                                SOLD
-                              </span>
-                            )}
+                            <DevSoldBadge deployment={runner} />
                           </div>
                         </td>
                         <td className="time-cell">
@@ -1285,7 +1504,7 @@ function TokenFeed({
           <div className="token-gate-message">
             <div className="gate-content">
               <h2>🔒 Token Gated Content</h2>
-              <p>Hold at least 10,000,000 FeyScan tokens to view the newest 5 deployments.</p>
+              <p>Hold at least {formatTokenAmount(requiredBalances.newest5)} FeyScan tokens to view the newest 5 deployments.</p>
               <p className="gate-subtext">Connect your wallet to check your balance.</p>
             </div>
           </div>
@@ -1294,6 +1513,13 @@ function TokenFeed({
           <div className="newest-section">
             <div className="section-header">
               <h2>Newest 5 Deployments</h2>
+              <button
+                className="collapse-button"
+                onClick={() => setIsNewest5Collapsed(!isNewest5Collapsed)}
+                title={isNewest5Collapsed ? 'Expand' : 'Collapse'}
+              >
+                {isNewest5Collapsed ? '▼' : '▲'}
+              </button>
             </div>
             {/* Mobile Card View */}
             <div className="mobile-deployments-list">
@@ -1302,6 +1528,7 @@ function TokenFeed({
               ))}
             </div>
             {/* Desktop Table View */}
+            {!isNewest5Collapsed && (
             <div className="newest-table-container">
               <table className="newest-table">
                 <thead>
@@ -1505,6 +1732,14 @@ function TokenFeed({
                             >
                               {deployment.tokenName || 'Unknown'}
                             </strong>
+                            {deployment.tokenAddress && (
+                              <button className="chart-button" onClick={() => setSelectedToken(deployment)} title="Price chart">📈</button>
+                            )}
+                            {deployment.status === 'pending' && (
+                              <span className="pending-badge" title="Waiting for block confirmations">PENDING</span>
+                            )}
+                            <RiskBadge deployment={deployment} />
+                            <SniperBadge deployment={deployment} />
                             {isRunner && <span className="runner-badge-small" title="Hot Runner">🔥</span>}
                             {holderTrend && holderTrend.change > 0 && <span className="growth-badge-small" title="Growing">📈</span>}
                             {isHighVolume && <span className="volume-badge-small" title="High Volume">💰</span>}
@@ -1514,7 +1749,7 @@ function TokenFeed({
                           <div className="holder-count-display">
                             <div className="holder-count-main">
                               <span className={`holder-count-number ${holderTrend?.change > 0 ? 'up' : holderTrend?.change < 0 ? 'down' : ''} ${holderTrend?.isRapid ? 'rapid' : ''}`}>
-                                {deployment.holderCount !== undefined ? deployment.holderCount : '-'}
+                                <LiveValue value={deployment.holderCount}>{formatHolderCount(deployment)}</LiveValue>
                               </span>
                               {holderTrend && holderTrend.change > 0 && (
                                 <span className={`holder-trend up ${holderTrend.isRapid ? 'rapid' : ''}`} title={`+${holderTrend.change} (+${holderTrend.changePercent.toFixed(1)}%)`}>↑</span>
@@ -1536,16 +1771,16 @@ function TokenFeed({
                           )}
                         </td>
                         <td className="volume-cell">
-                          {formatVolume(deployment.volume1h)}
+                          <LiveValue value={deployment.volume1h}>{formatVolume(deployment.volume1h)}</LiveValue>
                         </td>
                         <td className="volume-cell">
-                          {formatVolume(deployment.volume6h)}
+                          <LiveValue value={deployment.volume6h}>{formatVolume(deployment.volume6h)}</LiveValue>
                         </td>
                         <td className="volume-cell">
-                          {formatVolume(deployment.volume24h)}
+                          <LiveValue value={deployment.volume24h}>{formatVolume(deployment.volume24h)}</LiveValue>
                         </td>
                         <td className="mcap-cell">
-                          {formatMarketCap(deployment.marketCap || 0)}
+                          <LiveValue value={deployment.marketCap}>{formatMarketCap(deployment.marketCap || 0)}</LiveValue>
                         </td>
                         <td className="score-cell">
                           {(() => {
@@ -1563,11 +1798,7 @@ function TokenFeed({
                         <td className="dev-buy-cell">
                           <div className="dev-buy-content">
                             {deployment.devBuyAmountFormatted || `${deployment.devBuyAmount || 0} ETH`}
-                            {deployment.devSold && (
-                              <span className="dev-sold-badge" title={`Dev sold ${deployment.devSoldAmount?.toFixed(4) || 'tokens'}`}>
-                                SOLD
-                              </span>
-                            )}
+                            <DevSoldBadge deployment={deployment} />
                           </div>
                         </td>
                         <td className="time-cell">
@@ -1644,7 +1875,14 @@ function TokenFeed({
         {sortedDeployments.length > 0 && (
           <div className="database-section">
             <div className="section-header">
-              <h2>All Deployments ({filteredDeployments.length}{filteredDeployments.length !== deployments.length ? ` / ${deployments.length}` : ''})</h2>
+              <h2>All Deployments ({filteredDeployments.length}{filteredDeployments.length !== feedDeployments.length ? ` / ${feedDeployments.length}` : ''})</h2>
+              <button
+                className="collapse-button"
+                onClick={() => setIsAllDeploymentsCollapsed(!isAllDeploymentsCollapsed)}
+                title={isAllDeploymentsCollapsed ? 'Expand' : 'Collapse'}
+              >
+                {isAllDeploymentsCollapsed ? '▼' : '▲'}
+              </button>
             </div>
             {/* Mobile Card View */}
             <div className="mobile-deployments-list">
@@ -1653,6 +1891,7 @@ function TokenFeed({
               ))}
             </div>
             {/* Desktop Table View */}
+            {!isAllDeploymentsCollapsed && (
             <div className="table-container">
               <table className="deployments-table">
                 <thead>
@@ -1856,6 +2095,14 @@ function TokenFeed({
                             >
                               {deployment.tokenName || 'Unknown'}
                             </strong>
+                            {deployment.tokenAddress && (
+                              <button className="chart-button" onClick={() => setSelectedToken(deployment)} title="Price chart">📈</button>
+                            )}
+                            {deployment.status === 'pending' && (
+                              <span className="pending-badge" title="Waiting for block confirmations">PENDING</span>
+                            )}
+                            <RiskBadge deployment={deployment} />
+                            <SniperBadge deployment={deployment} />
                             {isRunner && <span className="runner-badge-small" title="Hot Runner">🔥</span>}
                             {holderTrend && holderTrend.change > 0 && <span className="growth-badge-small" title="Growing">📈</span>}
                             {isHighVolume && <span className="volume-badge-small" title="High Volume">💰</span>}
@@ -1865,7 +2112,7 @@ function TokenFeed({
                           <div className="holder-count-display">
                             <div className="holder-count-main">
                               <span className={`holder-count-number ${holderTrend?.change > 0 ? 'up' : holderTrend?.change < 0 ? 'down' : ''} ${holderTrend?.isRapid ? 'rapid' : ''}`}>
-                                {deployment.holderCount !== undefined ? deployment.holderCount : '-'}
+                                <LiveValue value={deployment.holderCount}>{formatHolderCount(deployment)}</LiveValue>
                               </span>
                               {holderTrend && holderTrend.change > 0 && (
                                 <span className={`holder-trend up ${holderTrend.isRapid ? 'rapid' : ''}`} title={`+${holderTrend.change} (+${holderTrend.changePercent.toFixed(1)}%)`}>↑</span>
@@ -1887,16 +2134,16 @@ function TokenFeed({
                           )}
                         </td>
                         <td className="volume-cell">
-                          {formatVolume(deployment.volume1h)}
+                          <LiveValue value={deployment.volume1h}>{formatVolume(deployment.volume1h)}</LiveValue>
                         </td>
                         <td className="volume-cell">
-                          {formatVolume(deployment.volume6h)}
+                          <LiveValue value={deployment.volume6h}>{formatVolume(deployment.volume6h)}</LiveValue>
                         </td>
                         <td className="volume-cell">
-                          {formatVolume(deployment.volume24h)}
+                          <LiveValue value={deployment.volume24h}>{formatVolume(deployment.volume24h)}</LiveValue>
                         </td>
                         <td className="mcap-cell">
-                          {formatMarketCap(deployment.marketCap || 0)}
+                          <LiveValue value={deployment.marketCap}>{formatMarketCap(deployment.marketCap || 0)}</LiveValue>
                         </td>
                         <td className="score-cell">
                           {(() => {
@@ -1914,11 +2161,7 @@ function TokenFeed({
                         <td className="dev-buy-cell">
                           <div className="dev-buy-content">
                             {deployment.devBuyAmountFormatted || `${deployment.devBuyAmount || 0} ETH`}
-                            {deployment.devSold && (
-                              <span className="dev-sold-badge" title={`Dev sold ${deployment.devSoldAmount?.toFixed(4) || 'tokens'}`}>
-                                SOLD
-                              </span>
-                            )}
+                            <DevSoldBadge deployment={deployment} />
                           </div>
                         </td>
                         <td className="time-cell">
@@ -1988,12 +2231,20 @@ function TokenFeed({
               </table>
             </div>
             )}
+            {hasMoreHistory && hasAllDeploymentsAccess && (
+              <button className="load-older-button" onClick={loadOlderDeployments} disabled={isLoadingHistory}>
+                {isLoadingHistory ? 'Loading...' : 'Load older deployments'}
+              </button>
+            )}
           </div>
         )}
       </div>
 
       {/* Score Help Modal */}
       {showScoreHelp && <ScoreHelpModal />}
+
+      {/* Token Detail Modal */}
+      {selectedToken && <TokenDetailModal deployment={selectedToken} />}
     </div>
   );
 }
@@ -0,0 +1,57 @@
+// Token gating tiers, served by the backend (GET /api/access/config)
+// The defaults mirror the backend's and are used until the config loads.
+
+export const FEYSCAN_TOKEN_ADDRESS = '0x1a013768E7c572d6F7369a3e5bC9b29b0a0f0659';
+
+export const FEATURES = ['allDeployments', 'newest5', 'hotRunners', 'alerts'];
+
+export const DEFAULT_ACCESS_CONFIG = {
+  tiers: [
+    { name: 'Explorer', requiredBalance: 5000000, features: ['allDeployments'] },
+    { name: 'Scout', requiredBalance: 10000000, features: ['allDeployments', 'newest5'] },
+    { name: 'Hunter', requiredBalance: 15000000, features: ['allDeployments', 'newest5', 'hotRunners'] },
+    { name: 'Whale', requiredBalance: 25000000, features: FEATURES }
+  ],
+  whitelist: [
+    '0x6a111f6a341e7110837fe3ea8e8f426fc5fa2b32',
+    '0x8dfbdeec8c5d4970bb5f481c6ec7f73fa1c65be5'
+  ],
+  holdings: []
+};
+
+export async function fetchAccessConfig() {
+  const response = await fetch('/api/access/config');
+  if (!response.ok) {
+    throw new Error(`Backend returned HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+export function isWhitelisted(config, address) {
+  return !!address && config.whitelist.includes(address.toLowerCase());
+}
+
+/**
+ * Highest tier a balance (whole tokens) reaches, or null
+ */
+export function getTierForBalance(config, balance) {
+  return config.tiers.filter(t => balance >= t.requiredBalance).pop() || null;
+}
+
+/**
+ * Lowest balance that unlocks a feature (null if no tier includes it)
+ */
+export function requiredBalanceFor(config, feature) {
+  const tier = config.tiers.find(t => t.features.includes(feature));
+  return tier ? tier.requiredBalance : null;
+}
+
+/**
+ * 25000000 -> "25M"
+ */
+export function formatTokenAmount(amount) {
+  if (amount == null) return '-';
+  if (amount >= 1000000) return `${+(amount / 1000000).toFixed(2)}M`;
+  if (amount >= 1000) return `${+(amount / 1000).toFixed(1)}K`;
+  return `${amount}`;
+}
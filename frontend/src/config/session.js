@@ -0,0 +1,95 @@
+// Wallet sessions for the backend's wallet-scoped routes (Sign-In with Ethereum)
+// The session token from /api/auth/verify is kept in localStorage per wallet.
+
+const storageKey = (address) => `feyscan.session.${address.toLowerCase()}`;
+
+/**
+ * Stored session for a wallet, or null if missing or expired
+ */
+export function getStoredSession(address) {
+  if (!address) return null;
+  try {
+    const session = JSON.parse(localStorage.getItem(storageKey(address)));
+    if (!session || session.expiresAt * 1000 < Date.now()) return null;
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+export function clearSession(address) {
+  if (address) localStorage.removeItem(storageKey(address));
+}
+
+/**
+ * EIP-4361 message for this site
+ */
+function buildSiweMessage(address, nonce) {
+  const { host, origin } = window.location;
+  return [
+    `${host} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    'Sign in to FeyScan with your wallet.',
+    '',
+    `URI: ${origin}`,
+    'Version: 1',
+    'Chain ID: 8453',
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`
+  ].join('\n');
+}
+
+/**
+ * Sign in: fetch a nonce, have the wallet sign the message, exchange it for a session
+ * signMessage is wagmi's signMessageAsync.
+ */
+export async function signIn(address, signMessage) {
+  const nonceResponse = await fetch('/api/auth/nonce');
+  if (!nonceResponse.ok) {
+    throw new Error(`Could not start sign-in (HTTP ${nonceResponse.status})`);
+  }
+  const { nonce } = await nonceResponse.json();
+
+  const message = buildSiweMessage(address, nonce);
+  const signature = await signMessage({ message });
+
+  const response = await fetch('/api/auth/verify', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message, signature })
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Sign-in failed (HTTP ${response.status})`);
+  }
+
+  const session = { address: data.address, token: data.token, expiresAt: data.expiresAt };
+  localStorage.setItem(storageKey(address), JSON.stringify(session));
+  return session;
+}
+
+/**
+ * fetch() with the session token (none when session is null, for public routes that show
+ * more to signed-in wallets); throws with the API's error message on failure
+ * err.status is set: a 401 with a session means it is no longer valid, so callers can sign out.
+ */
+export async function authFetch(session, path, { method = 'GET', body } = {}) {
+  const response = await fetch(path, {
+    method,
+    headers: {
+      ...(session && { Authorization: `Bearer ${session.token}` }),
+      ...(body !== undefined && { 'Content-Type': 'application/json' })
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  if (response.status === 204) return null;
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
@@ -32,6 +32,7 @@ function dbToDeployment(row) {
     devSoldAmount: parseFloat(row.dev_sold_amount) || 0,
     holderCount: row.holder_count || 0,
     holderCountHistory: row.holder_count_history || [],
+    holderCountEstimated: row.holder_count_estimated || false,
     lastHolderCheck: row.last_holder_check || null,
     // New columns (may not exist until migration is run)
     volume1h: (row.volume_1h != null && row.volume_1h !== undefined) ? parseFloat(row.volume_1h) || 0 : 0,
@@ -40,6 +41,15 @@ function dbToDeployment(row) {
     volume24h: (row.volume_24h != null && row.volume_24h !== undefined) ? parseFloat(row.volume_24h) || 0 : 0,
     volume7d: (row.volume_7d != null && row.volume_7d !== undefined) ? parseFloat(row.volume_7d) || 0 : 0,
     volumeHistory: row.volume_history || [],
+    swapStats: row.swap_stats || null,
+    marketCapHistory: row.market_cap_history || [],
+    lastPriceEth: row.last_price_eth != null ? parseFloat(row.last_price_eth) : null,
+    // Launch snipers / bundles (may not exist until migration 025 is run)
+    sniperStats: row.sniper_stats || null,
+    // Risk scoring (may not exist until migration 024 is run)
+    riskScore: row.risk_score ?? null,
+    riskLevel: row.risk_level || null,
+    riskReasons: row.risk_reasons || [],
     marketCap: (() => {
       const value = row.market_cap;
       if (value == null || value === undefined || value === '' || value === 'N/A') return 0;
@@ -57,7 +67,20 @@ function dbToDeployment(row) {
     devTransferredOut: (row.dev_transferred_out != null && row.dev_transferred_out !== undefined) ? parseFloat(row.dev_transferred_out) || 0 : 0,
     devTransferredIn: (row.dev_transferred_in != null && row.dev_transferred_in !== undefined) ? parseFloat(row.dev_transferred_in) || 0 : 0,
     devNetTransfer: (row.dev_net_transfer != null && row.dev_net_transfer !== undefined) ? parseFloat(row.dev_net_transfer) || 0 : 0,
+    // Dev cluster columns (may not exist until migration 027 is run)
+    devClusterSoldPct: row.dev_cluster_sold_pct != null ? parseFloat(row.dev_cluster_sold_pct) : null,
+    devClusterSize: row.dev_cluster_size || 1,
     lastTransferCheck: row.last_transfer_check || null,
+    // Decoded TokenCreated fields (may not exist until migration 010 is run)
+    tokenSymbol: row.token_symbol || null,
+    tokenImage: row.token_image || null,
+    tokenMetadata: row.token_metadata || null,
+    poolId: row.pool_id || null,
+    pairedToken: row.paired_token || null,
+    locker: row.locker_address || null,
+    // Reorg tracking (may not exist until migration 011 is run - treat as confirmed)
+    status: row.status || 'confirmed',
+    blockHash: row.block_hash || null,
     links: row.links || {},
     farcasterData: row.farcaster_data || null
   };
@@ -89,7 +112,8 @@ export async function getAllDeployments() {
     }
 
     console.log(`✅ Loaded ${data.length} deployments from database`);
-    return data.map(dbToDeployment);
+    // Deployments from reorged-out blocks stay in the database but never reach the feed
+    return data.map(dbToDeployment).filter(d => d.status !== 'orphaned');
   } catch (error) {
     console.error('Error getting deployments from Supabase:', error);
     throw error;
@@ -109,23 +133,50 @@ export async function getLatestDeployment() {
       .from('deployments')
       .select('*')
       .order('timestamp', { ascending: false })
-      .limit(1)
-      .single();
+      .limit(5);
 
     if (error) {
-      if (error.code === 'PGRST116') {
-        // No rows found
-        return null;
-      }
       throw error;
     }
 
-    return dbToDeployment(data);
+    // Skip deployments from reorged-out blocks
+    const latest = (data || []).map(dbToDeployment).find(d => d.status !== 'orphaned');
+    return latest || null;
   } catch (error) {
     console.error('Error getting latest deployment:', error);
     throw error;
   }
 }
 
+/**
+ * Get reputation scores for deployers who launched since `since` (unix seconds)
+ * Returns a Map of lowercased deployer address -> { reputationScore, totalLaunches }
+ */
+export async function getDeployerScores(since) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('deployer_profiles')
+      .select('deployer_address, reputation_score, total_launches')
+      .gte('last_launch_at', since)
+      .limit(1000);
+
+    if (error) {
+      throw error;
+    }
+
+    return new Map((data || []).map(row => [
+      row.deployer_address.toLowerCase(),
+      { reputationScore: row.reputation_score, totalLaunches: row.total_launches }
+    ]));
+  } catch (error) {
+    console.error('Error getting deployer scores:', error);
+    throw error;
+  }
+}
+
 export { supabase };
 